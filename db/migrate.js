@@ -0,0 +1,149 @@
+// Versioned schema migrations. Files in db/migrations are named NNN_description.js and export
+// { up, down }: lists of SQL strings or { text, values } query configs.
+// Applied versions are tracked in schema_migrations; each migration runs in its own transaction.
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d{3})_([\w-]+)\.js$/;
+
+// Advisory lock key so two instances never migrate at the same time
+const MIGRATION_LOCK_KEY = 7240412;
+
+// 001_initial_schema style label, as in the file name
+function formatMigration({ version, name }) {
+    return `${String(version).padStart(3, '0')}_${name}`;
+}
+
+function loadMigrations() {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .map((file) => file.match(MIGRATION_FILE_PATTERN))
+        .filter(Boolean)
+        .map(([file, version, name]) => {
+            const { up, down } = require(path.join(MIGRATIONS_DIR, file));
+            return { version: Number(version), name, up, down };
+        })
+        .sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable(client) {
+    await client.query(
+        `CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name VARCHAR(100) NOT NULL,
+            applied_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+        )`
+    );
+}
+
+async function getAppliedVersions(client) {
+    const result = await client.query('SELECT version FROM schema_migrations ORDER BY version');
+    return result.rows.map((row) => row.version);
+}
+
+// Run one direction of a migration and record it, all or nothing
+async function runMigration(client, migration, direction) {
+    await client.query('BEGIN');
+    try {
+        for (const statement of migration[direction]) {
+            await client.query(statement);
+        }
+        if (direction === 'up') {
+            await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+        } else {
+            await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        }
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        error.message = `Migration ${formatMigration(migration)} (${direction}) failed: ${error.message}`;
+        throw error;
+    }
+}
+
+async function withMigrationLock(pool, callback) {
+    const client = await pool.connect();
+    try {
+        await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+        try {
+            await ensureMigrationsTable(client);
+            return await callback(client);
+        } finally {
+            await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+        }
+    } finally {
+        client.release();
+    }
+}
+
+// Apply pending migrations up to `to` (default: all). Returns the applied migrations.
+async function migrate(pool, { to } = {}) {
+    return withMigrationLock(pool, async (client) => {
+        const applied = new Set(await getAppliedVersions(client));
+        const pending = loadMigrations()
+            .filter((migration) => !applied.has(migration.version))
+            .filter((migration) => to === undefined || migration.version <= to);
+
+        for (const migration of pending) {
+            console.log(`⬆️ Applying migration ${formatMigration(migration)}`);
+            await runMigration(client, migration, 'up');
+        }
+        return pending;
+    });
+}
+
+// Revert the last `steps` applied migrations, or every migration above `to`. Returns the reverted ones.
+async function rollback(pool, { steps = 1, to } = {}) {
+    return withMigrationLock(pool, async (client) => {
+        const known = new Map(loadMigrations().map((migration) => [migration.version, migration]));
+        const applied = (await getAppliedVersions(client)).reverse();
+        const targets = to === undefined
+            ? applied.slice(0, steps)
+            : applied.filter((version) => version > to);
+
+        const reverted = [];
+        for (const version of targets) {
+            const migration = known.get(version);
+            if (!migration) {
+                throw new Error(`Migration ${version} is applied but its file is missing`);
+            }
+            console.log(`⬇️ Reverting migration ${formatMigration(migration)}`);
+            await runMigration(client, migration, 'down');
+            reverted.push(migration);
+        }
+        return reverted;
+    });
+}
+
+// Applied and pending migrations; `unknown` are versions in the database without a file (newer code ran)
+async function getMigrationStatus(pool) {
+    const client = await pool.connect();
+    try {
+        await ensureMigrationsTable(client);
+        const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+        const migrations = loadMigrations();
+        const appliedVersions = new Set(result.rows.map((row) => row.version));
+        const knownVersions = new Set(migrations.map((migration) => migration.version));
+
+        return {
+            current: result.rows.length > 0 ? result.rows[result.rows.length - 1].version : 0,
+            latest: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+            applied: result.rows,
+            pending: migrations
+                .filter((migration) => !appliedVersions.has(migration.version))
+                .map(({ version, name }) => ({ version, name })),
+            unknown: result.rows.filter((row) => !knownVersions.has(row.version))
+        };
+    } finally {
+        client.release();
+    }
+}
+
+module.exports = {
+    formatMigration,
+    loadMigrations,
+    migrate,
+    rollback,
+    getMigrationStatus
+};
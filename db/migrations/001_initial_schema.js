@@ -0,0 +1,82 @@
+// Tables the API was first written against: users and their ECG results.
+// IF NOT EXISTS so databases created before migrations existed can adopt this history; the
+// statements after each table give such databases the constraints it would have been created with.
+
+module.exports = {
+    up: [
+        `CREATE TABLE IF NOT EXISTS users (
+            id SERIAL PRIMARY KEY,
+            username VARCHAR(50) NOT NULL,
+            password VARCHAR(255) NOT NULL,
+            age INTEGER,
+            gender VARCHAR(20),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            CONSTRAINT users_username_key UNIQUE (username)
+        )`,
+        'ALTER TABLE users ALTER COLUMN username SET NOT NULL',
+        'ALTER TABLE users ALTER COLUMN password SET NOT NULL',
+        `DO $$
+        BEGIN
+            IF NOT EXISTS (
+                SELECT 1 FROM pg_constraint
+                WHERE conrelid = 'users'::regclass AND contype IN ('u', 'p')
+                  AND conkey = ARRAY[(SELECT attnum FROM pg_attribute WHERE attrelid = 'users'::regclass AND attname = 'username')]
+            ) THEN
+                ALTER TABLE users ADD CONSTRAINT users_username_key UNIQUE (username);
+            END IF;
+        END $$`,
+
+        `CREATE TABLE IF NOT EXISTS ecg_results (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER NOT NULL,
+            username VARCHAR(50) NOT NULL,
+            tanggal DATE NOT NULL DEFAULT CURRENT_DATE,
+            waktu TIME NOT NULL,
+            bpm INTEGER NOT NULL,
+            status VARCHAR(20) NOT NULL,
+            kondisi VARCHAR(50) NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            CONSTRAINT ecg_results_user_id_fkey FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )`,
+        `ALTER TABLE ecg_results
+            ALTER COLUMN user_id SET NOT NULL,
+            ALTER COLUMN username SET NOT NULL,
+            ALTER COLUMN tanggal SET DEFAULT CURRENT_DATE,
+            ALTER COLUMN tanggal SET NOT NULL,
+            ALTER COLUMN waktu SET NOT NULL,
+            ALTER COLUMN bpm SET NOT NULL,
+            ALTER COLUMN status SET NOT NULL,
+            ALTER COLUMN kondisi SET NOT NULL`,
+        // A user_id foreign key without ON DELETE CASCADE is replaced: deleting a user must take their results
+        `DO $$
+        DECLARE
+            fk RECORD;
+        BEGIN
+            FOR fk IN
+                SELECT conname FROM pg_constraint
+                WHERE conrelid = 'ecg_results'::regclass AND contype = 'f' AND confrelid = 'users'::regclass
+                  AND conkey = ARRAY[(SELECT attnum FROM pg_attribute WHERE attrelid = 'ecg_results'::regclass AND attname = 'user_id')]
+                  AND confdeltype <> 'c'
+            LOOP
+                EXECUTE format('ALTER TABLE ecg_results DROP CONSTRAINT %I', fk.conname);
+            END LOOP;
+
+            IF NOT EXISTS (
+                SELECT 1 FROM pg_constraint
+                WHERE conrelid = 'ecg_results'::regclass AND contype = 'f' AND confrelid = 'users'::regclass
+                  AND conkey = ARRAY[(SELECT attnum FROM pg_attribute WHERE attrelid = 'ecg_results'::regclass AND attname = 'user_id')]
+            ) THEN
+                ALTER TABLE ecg_results ADD CONSTRAINT ecg_results_user_id_fkey
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE;
+            END IF;
+        END $$`,
+        'CREATE INDEX IF NOT EXISTS idx_ecg_results_user_id ON ecg_results (user_id)',
+        'CREATE INDEX IF NOT EXISTS idx_ecg_results_username ON ecg_results (username)'
+    ],
+
+    down: [
+        'DROP TABLE IF EXISTS ecg_results',
+        'DROP TABLE IF EXISTS users'
+    ]
+};
@@ -0,0 +1,26 @@
+// User roles and DB-backed sessions for signed access / refresh tokens
+
+module.exports = {
+    up: [
+        // 'user', 'clinician' or 'admin'
+        "ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'user'",
+
+        // One row per refresh token
+        `CREATE TABLE IF NOT EXISTS auth_sessions (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            refresh_token_hash VARCHAR(64) NOT NULL UNIQUE,
+            user_agent TEXT,
+            expires_at TIMESTAMP NOT NULL,
+            revoked_at TIMESTAMP,
+            last_used_at TIMESTAMP,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )`,
+        'CREATE INDEX IF NOT EXISTS idx_auth_sessions_user_id ON auth_sessions (user_id)'
+    ],
+
+    down: [
+        'DROP TABLE IF EXISTS auth_sessions',
+        'ALTER TABLE users DROP COLUMN IF EXISTS role'
+    ]
+};
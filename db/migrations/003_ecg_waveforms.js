@@ -0,0 +1,25 @@
+// Raw ECG waveforms, lead-major samples linked to one ecg_results row
+
+module.exports = {
+    up: [
+        `CREATE TABLE IF NOT EXISTS ecg_waveforms (
+            id SERIAL PRIMARY KEY,
+            ecg_result_id INTEGER NOT NULL UNIQUE REFERENCES ecg_results(id) ON DELETE CASCADE,
+            sample_rate REAL NOT NULL,
+            gain REAL,
+            baseline REAL NOT NULL DEFAULT 0,
+            units VARCHAR(20) NOT NULL,
+            encoding VARCHAR(10) NOT NULL,
+            lead_count INTEGER NOT NULL,
+            samples_per_lead INTEGER NOT NULL,
+            leads JSONB NOT NULL,
+            samples BYTEA NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )`
+    ],
+
+    down: [
+        'DROP TABLE IF EXISTS ecg_waveforms'
+    ]
+};
@@ -0,0 +1,42 @@
+// Server-side analysis of uploaded signals: heart rate, rhythm screening and HRV
+
+module.exports = {
+    up: [
+        // Client-reported vs server-derived heart rate
+        'ALTER TABLE ecg_results ADD COLUMN IF NOT EXISTS client_bpm REAL',
+        'ALTER TABLE ecg_results ADD COLUMN IF NOT EXISTS server_bpm REAL',
+        'ALTER TABLE ecg_results ADD COLUMN IF NOT EXISTS signal_quality REAL',
+        'ALTER TABLE ecg_results ADD COLUMN IF NOT EXISTS rr_intervals JSONB',
+        "ALTER TABLE ecg_results ADD COLUMN IF NOT EXISTS bpm_source VARCHAR(20) NOT NULL DEFAULT 'client'",
+
+        // Rhythm screening findings (possible AF, pauses, ectopic beats) next to kondisi
+        'ALTER TABLE ecg_results ADD COLUMN IF NOT EXISTS rhythm_analysis JSONB',
+
+        // Heart-rate-variability metrics per recording (RR values in ms, LF/HF power in ms²)
+        `CREATE TABLE IF NOT EXISTS ecg_hrv (
+            ecg_result_id INTEGER PRIMARY KEY REFERENCES ecg_results(id) ON DELETE CASCADE,
+            nn_count INTEGER NOT NULL,
+            duration_seconds REAL,
+            mean_rr REAL,
+            sdnn REAL,
+            rmssd REAL,
+            pnn50 REAL,
+            lf_power REAL,
+            hf_power REAL,
+            lf_hf_ratio REAL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )`
+    ],
+
+    down: [
+        'DROP TABLE IF EXISTS ecg_hrv',
+        `ALTER TABLE ecg_results
+            DROP COLUMN IF EXISTS rhythm_analysis,
+            DROP COLUMN IF EXISTS bpm_source,
+            DROP COLUMN IF EXISTS rr_intervals,
+            DROP COLUMN IF EXISTS signal_quality,
+            DROP COLUMN IF EXISTS server_bpm,
+            DROP COLUMN IF EXISTS client_bpm`
+    ]
+};
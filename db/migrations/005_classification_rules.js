@@ -0,0 +1,29 @@
+// Classification context and the rule set version that produced status / kondisi.
+// Rows from before the rule engine were classified with the fixed v1 thresholds.
+
+module.exports = {
+    up: [
+        "ALTER TABLE ecg_results ADD COLUMN IF NOT EXISTS activity_context VARCHAR(20) NOT NULL DEFAULT 'rest'",
+        "ALTER TABLE ecg_results ADD COLUMN IF NOT EXISTS rule_set_version VARCHAR(20) NOT NULL DEFAULT 'v1'",
+        'ALTER TABLE ecg_results ADD COLUMN IF NOT EXISTS classification_details JSONB',
+
+        // Clinician-set BPM limits per user
+        `CREATE TABLE IF NOT EXISTS user_thresholds (
+            user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+            low_bpm INTEGER,
+            high_bpm INTEGER,
+            note TEXT,
+            set_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )`
+    ],
+
+    down: [
+        'DROP TABLE IF EXISTS user_thresholds',
+        `ALTER TABLE ecg_results
+            DROP COLUMN IF EXISTS classification_details,
+            DROP COLUMN IF EXISTS rule_set_version,
+            DROP COLUMN IF EXISTS activity_context`
+    ]
+};
@@ -0,0 +1,44 @@
+// Admin reclassification jobs and their per-row audit
+
+module.exports = {
+    up: [
+        // last_processed_id is the resume cursor
+        `CREATE TABLE IF NOT EXISTS reclassification_jobs (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+            rule_set_version VARCHAR(20) NOT NULL,
+            status VARCHAR(20) NOT NULL DEFAULT 'pending',
+            last_processed_id INTEGER NOT NULL DEFAULT 0,
+            processed_count INTEGER NOT NULL DEFAULT 0,
+            changed_count INTEGER NOT NULL DEFAULT 0,
+            error TEXT,
+            created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            finished_at TIMESTAMP
+        )`,
+
+        // One row per result whose status / kondisi was changed by a reclassification
+        `CREATE TABLE IF NOT EXISTS ecg_reclassification_audit (
+            id SERIAL PRIMARY KEY,
+            job_id INTEGER REFERENCES reclassification_jobs(id) ON DELETE SET NULL,
+            ecg_result_id INTEGER NOT NULL REFERENCES ecg_results(id) ON DELETE CASCADE,
+            user_id INTEGER NOT NULL,
+            bpm INTEGER,
+            old_status VARCHAR(20),
+            old_kondisi VARCHAR(50),
+            old_rule_set_version VARCHAR(20),
+            new_status VARCHAR(20) NOT NULL,
+            new_kondisi VARCHAR(50) NOT NULL,
+            new_rule_set_version VARCHAR(20) NOT NULL,
+            changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )`,
+        'CREATE INDEX IF NOT EXISTS idx_ecg_reclassification_audit_result ON ecg_reclassification_audit (ecg_result_id)'
+    ],
+
+    down: [
+        'DROP TABLE IF EXISTS ecg_reclassification_audit',
+        'DROP TABLE IF EXISTS reclassification_jobs'
+    ]
+};
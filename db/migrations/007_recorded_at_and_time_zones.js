@@ -0,0 +1,48 @@
+// Time-zone-correct timestamps: an absolute recorded_at plus the IANA zone it was captured in,
+// and a per-user zone for showing and bucketing readings. tanggal / waktu stay as the local date / time.
+
+const { DEFAULT_TIME_ZONE, STORAGE_TIME_ZONE } = require('../../utils/timezone');
+
+module.exports = {
+    up: [
+        'ALTER TABLE users ADD COLUMN IF NOT EXISTS timezone VARCHAR(64)',
+        'ALTER TABLE ecg_results ADD COLUMN IF NOT EXISTS recorded_at TIMESTAMPTZ',
+        'ALTER TABLE ecg_results ADD COLUMN IF NOT EXISTS timezone VARCHAR(64)',
+
+        // Legacy rows were written on the server clock: convert them once, then re-render tanggal / waktu
+        // in the owner's zone. Rows without a date fall back to created_at.
+        {
+            text: `UPDATE ecg_results r
+                   SET recorded_at = s.recorded_at,
+                       timezone = s.zone,
+                       tanggal = (s.recorded_at AT TIME ZONE s.zone)::date,
+                       waktu = date_trunc('second', s.recorded_at AT TIME ZONE s.zone)::time
+                   FROM (
+                       SELECT e.id,
+                              COALESCE(e.tanggal + COALESCE(e.waktu, TIME '00:00'), e.created_at, LOCALTIMESTAMP) AT TIME ZONE $1 AS recorded_at,
+                              COALESCE(u.timezone, $2) AS zone
+                       FROM ecg_results e
+                       LEFT JOIN users u ON u.id = e.user_id
+                       WHERE e.recorded_at IS NULL
+                   ) s
+                   WHERE r.id = s.id`,
+            values: [STORAGE_TIME_ZONE, DEFAULT_TIME_ZONE]
+        },
+        'ALTER TABLE ecg_results ALTER COLUMN recorded_at SET DEFAULT CURRENT_TIMESTAMP',
+        'ALTER TABLE ecg_results ALTER COLUMN recorded_at SET NOT NULL',
+        'CREATE INDEX IF NOT EXISTS idx_ecg_results_user_recorded_at ON ecg_results (user_id, recorded_at)'
+    ],
+
+    down: [
+        // Back to server-clock dates and times
+        {
+            text: `UPDATE ecg_results
+                   SET tanggal = (recorded_at AT TIME ZONE $1)::date,
+                       waktu = date_trunc('second', recorded_at AT TIME ZONE $1)::time`,
+            values: [STORAGE_TIME_ZONE]
+        },
+        'DROP INDEX IF EXISTS idx_ecg_results_user_recorded_at',
+        'ALTER TABLE ecg_results DROP COLUMN IF EXISTS timezone, DROP COLUMN IF EXISTS recorded_at',
+        'ALTER TABLE users DROP COLUMN IF EXISTS timezone'
+    ]
+};
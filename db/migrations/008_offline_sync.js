@@ -0,0 +1,55 @@
+// Offline sync: client-generated reading ids, a change sequence bumped on every insert / update,
+// and tombstones of deleted results so other devices can drop them
+
+module.exports = {
+    up: [
+        'ALTER TABLE ecg_results ADD COLUMN IF NOT EXISTS client_id UUID',
+        'CREATE UNIQUE INDEX IF NOT EXISTS idx_ecg_results_user_client_id ON ecg_results (user_id, client_id)',
+        'CREATE SEQUENCE IF NOT EXISTS ecg_change_seq',
+        "ALTER TABLE ecg_results ADD COLUMN IF NOT EXISTS change_seq BIGINT NOT NULL DEFAULT nextval('ecg_change_seq')",
+        'CREATE INDEX IF NOT EXISTS idx_ecg_results_user_change_seq ON ecg_results (user_id, change_seq)',
+
+        // No FK on user_id: the user may be gone too
+        `CREATE TABLE IF NOT EXISTS ecg_deletions (
+            id SERIAL PRIMARY KEY,
+            ecg_result_id INTEGER NOT NULL,
+            user_id INTEGER,
+            client_id UUID,
+            change_seq BIGINT NOT NULL DEFAULT nextval('ecg_change_seq'),
+            deleted_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+        )`,
+        'CREATE INDEX IF NOT EXISTS idx_ecg_deletions_user_change_seq ON ecg_deletions (user_id, change_seq)',
+        'CREATE INDEX IF NOT EXISTS idx_ecg_deletions_user_client_id ON ecg_deletions (user_id, client_id)',
+
+        // Triggers so every write path (routes, reclassification jobs, cascades) is seen by sync
+        `CREATE OR REPLACE FUNCTION ecg_results_bump_change_seq() RETURNS trigger AS $$
+         BEGIN
+             NEW.change_seq := nextval('ecg_change_seq');
+             RETURN NEW;
+         END;
+         $$ LANGUAGE plpgsql`,
+        'DROP TRIGGER IF EXISTS ecg_results_change_seq ON ecg_results',
+        `CREATE TRIGGER ecg_results_change_seq BEFORE UPDATE ON ecg_results
+         FOR EACH ROW EXECUTE FUNCTION ecg_results_bump_change_seq()`,
+        `CREATE OR REPLACE FUNCTION ecg_results_record_deletion() RETURNS trigger AS $$
+         BEGIN
+             INSERT INTO ecg_deletions (ecg_result_id, user_id, client_id) VALUES (OLD.id, OLD.user_id, OLD.client_id);
+             RETURN OLD;
+         END;
+         $$ LANGUAGE plpgsql`,
+        'DROP TRIGGER IF EXISTS ecg_results_deletion ON ecg_results',
+        `CREATE TRIGGER ecg_results_deletion AFTER DELETE ON ecg_results
+         FOR EACH ROW EXECUTE FUNCTION ecg_results_record_deletion()`
+    ],
+
+    down: [
+        'DROP TRIGGER IF EXISTS ecg_results_deletion ON ecg_results',
+        'DROP TRIGGER IF EXISTS ecg_results_change_seq ON ecg_results',
+        'DROP FUNCTION IF EXISTS ecg_results_record_deletion()',
+        'DROP FUNCTION IF EXISTS ecg_results_bump_change_seq()',
+        'DROP TABLE IF EXISTS ecg_deletions',
+        'DROP INDEX IF EXISTS idx_ecg_results_user_client_id',
+        'ALTER TABLE ecg_results DROP COLUMN IF EXISTS change_seq, DROP COLUMN IF EXISTS client_id',
+        'DROP SEQUENCE IF EXISTS ecg_change_seq'
+    ]
+};
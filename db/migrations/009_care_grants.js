@@ -0,0 +1,27 @@
+// Care team sharing: a patient invites a clinician or caregiver account, which gets read-only
+// access to the patient's data once it accepts, until either side revokes it
+
+module.exports = {
+    up: [
+        // relationship: 'clinician' or 'caregiver'; status: 'pending', 'active', 'declined' or 'revoked'
+        `CREATE TABLE IF NOT EXISTS care_grants (
+            id SERIAL PRIMARY KEY,
+            patient_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            grantee_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            relationship VARCHAR(20) NOT NULL,
+            status VARCHAR(20) NOT NULL DEFAULT 'pending',
+            created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+            responded_at TIMESTAMPTZ,
+            revoked_at TIMESTAMPTZ,
+            revoked_by INTEGER REFERENCES users(id) ON DELETE SET NULL
+        )`,
+        // At most one open (pending or active) grant per patient and grantee
+        `CREATE UNIQUE INDEX IF NOT EXISTS idx_care_grants_open ON care_grants (patient_id, grantee_id)
+         WHERE status IN ('pending', 'active')`,
+        'CREATE INDEX IF NOT EXISTS idx_care_grants_grantee ON care_grants (grantee_id, status)'
+    ],
+
+    down: [
+        'DROP TABLE IF EXISTS care_grants'
+    ]
+};
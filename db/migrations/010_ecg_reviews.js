@@ -0,0 +1,27 @@
+// Clinician reviews of ECG results: notes and a human verdict kept apart from the automatic
+// status / kondisi. ecg_results.review_status holds the latest verdict, so it reaches sync clients.
+
+module.exports = {
+    up: [
+        // verdict: 'confirmed' or 'overridden', NULL for a note without a verdict.
+        // reviewed_status / diagnosis are the human status and kondisi (copied from the result when confirmed)
+        `CREATE TABLE IF NOT EXISTS ecg_reviews (
+            id SERIAL PRIMARY KEY,
+            ecg_result_id INTEGER NOT NULL REFERENCES ecg_results(id) ON DELETE CASCADE,
+            author_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            verdict VARCHAR(20),
+            reviewed_status VARCHAR(20),
+            diagnosis VARCHAR(100),
+            note TEXT,
+            created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+        )`,
+        'CREATE INDEX IF NOT EXISTS idx_ecg_reviews_result ON ecg_reviews (ecg_result_id, created_at)',
+        "ALTER TABLE ecg_results ADD COLUMN IF NOT EXISTS review_status VARCHAR(20) NOT NULL DEFAULT 'unreviewed'"
+    ],
+
+    down: [
+        'ALTER TABLE ecg_results DROP COLUMN IF EXISTS review_status',
+        'DROP TABLE IF EXISTS ecg_reviews'
+    ]
+};
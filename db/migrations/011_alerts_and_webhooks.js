@@ -0,0 +1,85 @@
+// Alerting: per-user rules evaluated on every saved reading, the alerts they raise, and
+// signed webhook deliveries of those alerts with retries and a log of every attempt
+
+module.exports = {
+    up: [
+        // type: 'abnormal', 'abnormal_count' (threshold_count within window_hours), 'bpm_above' or 'bpm_below' (bpm_limit)
+        `CREATE TABLE IF NOT EXISTS alert_rules (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            type VARCHAR(30) NOT NULL,
+            threshold_count INTEGER,
+            window_hours INTEGER,
+            bpm_limit INTEGER,
+            enabled BOOLEAN NOT NULL DEFAULT true,
+            created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+        )`,
+        'CREATE INDEX IF NOT EXISTS idx_alert_rules_user ON alert_rules (user_id)',
+
+        // The reading's values are copied, so an alert outlives the rule and the result
+        `CREATE TABLE IF NOT EXISTS alerts (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            rule_id INTEGER REFERENCES alert_rules(id) ON DELETE SET NULL,
+            rule_type VARCHAR(30) NOT NULL,
+            ecg_result_id INTEGER REFERENCES ecg_results(id) ON DELETE SET NULL,
+            bpm INTEGER,
+            status VARCHAR(20),
+            kondisi VARCHAR(50),
+            recorded_at TIMESTAMPTZ,
+            details JSONB,
+            created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+        )`,
+        'CREATE INDEX IF NOT EXISTS idx_alerts_user_created ON alerts (user_id, created_at)',
+        'CREATE INDEX IF NOT EXISTS idx_alerts_rule_recorded ON alerts (rule_id, recorded_at)',
+
+        // secret signs every delivery (HMAC-SHA256)
+        `CREATE TABLE IF NOT EXISTS webhooks (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            url TEXT NOT NULL,
+            secret VARCHAR(128) NOT NULL,
+            enabled BOOLEAN NOT NULL DEFAULT true,
+            created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+        )`,
+        'CREATE INDEX IF NOT EXISTS idx_webhooks_user ON webhooks (user_id)',
+
+        // One delivery per alert and webhook; status: 'pending', 'delivered' or 'failed' (out of attempts)
+        `CREATE TABLE IF NOT EXISTS webhook_deliveries (
+            id SERIAL PRIMARY KEY,
+            alert_id INTEGER NOT NULL REFERENCES alerts(id) ON DELETE CASCADE,
+            webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+            status VARCHAR(20) NOT NULL DEFAULT 'pending',
+            attempts INTEGER NOT NULL DEFAULT 0,
+            next_attempt_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+            last_status_code INTEGER,
+            last_error TEXT,
+            created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+            delivered_at TIMESTAMPTZ
+        )`,
+        'CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at)',
+        'CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries (webhook_id, created_at)',
+
+        `CREATE TABLE IF NOT EXISTS webhook_delivery_attempts (
+            id SERIAL PRIMARY KEY,
+            delivery_id INTEGER NOT NULL REFERENCES webhook_deliveries(id) ON DELETE CASCADE,
+            attempt INTEGER NOT NULL,
+            status_code INTEGER,
+            error TEXT,
+            duration_ms INTEGER,
+            attempted_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+        )`,
+        'CREATE INDEX IF NOT EXISTS idx_webhook_delivery_attempts_delivery ON webhook_delivery_attempts (delivery_id)'
+    ],
+
+    down: [
+        'DROP TABLE IF EXISTS webhook_delivery_attempts',
+        'DROP TABLE IF EXISTS webhook_deliveries',
+        'DROP TABLE IF EXISTS webhooks',
+        'DROP TABLE IF EXISTS alerts',
+        'DROP TABLE IF EXISTS alert_rules'
+    ]
+};
@@ -0,0 +1,34 @@
+// Account deletion: a pending request on the user (deleted when the grace period is over) and a
+// minimal audit of deleted accounts. The audit has no FK and no personal data: the user is gone.
+
+module.exports = {
+    up: [
+        `ALTER TABLE users
+            ADD COLUMN IF NOT EXISTS deletion_requested_at TIMESTAMPTZ,
+            ADD COLUMN IF NOT EXISTS deletion_scheduled_for TIMESTAMPTZ,
+            ADD COLUMN IF NOT EXISTS deletion_requested_by INTEGER REFERENCES users(id) ON DELETE SET NULL`,
+        'CREATE INDEX IF NOT EXISTS idx_users_deletion_scheduled_for ON users (deletion_scheduled_for) WHERE deletion_scheduled_for IS NOT NULL',
+
+        // requested_by: the user themselves or an admin; ecg_result_count: results removed with the account
+        `CREATE TABLE IF NOT EXISTS account_deletions (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER NOT NULL,
+            role VARCHAR(20),
+            requested_at TIMESTAMPTZ,
+            requested_by INTEGER,
+            scheduled_for TIMESTAMPTZ,
+            ecg_result_count INTEGER NOT NULL DEFAULT 0,
+            deleted_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+        )`,
+        'CREATE INDEX IF NOT EXISTS idx_account_deletions_deleted_at ON account_deletions (deleted_at)'
+    ],
+
+    down: [
+        'DROP TABLE IF EXISTS account_deletions',
+        'DROP INDEX IF EXISTS idx_users_deletion_scheduled_for',
+        `ALTER TABLE users
+            DROP COLUMN IF EXISTS deletion_requested_by,
+            DROP COLUMN IF EXISTS deletion_scheduled_for,
+            DROP COLUMN IF EXISTS deletion_requested_at`
+    ]
+};
@@ -0,0 +1,69 @@
+// Trash for ECG results: a deleted result keeps its row (and waveform, HRV, reviews) with deleted_at
+// set until it is restored or purged. Sync sees the trashing as the deletion: the tombstone is written
+// then, removed again on restore, and not written a second time when the row is purged.
+// Audit log of deletions, restores and profile changes, with before / after values.
+
+module.exports = {
+    up: [
+        `ALTER TABLE ecg_results
+            ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ,
+            ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL`,
+        'CREATE INDEX IF NOT EXISTS idx_ecg_results_deleted_at ON ecg_results (deleted_at) WHERE deleted_at IS NOT NULL',
+
+        `CREATE OR REPLACE FUNCTION ecg_results_record_deletion() RETURNS trigger AS $$
+         BEGIN
+             IF OLD.deleted_at IS NULL THEN
+                 INSERT INTO ecg_deletions (ecg_result_id, user_id, client_id) VALUES (OLD.id, OLD.user_id, OLD.client_id);
+             END IF;
+             RETURN OLD;
+         END;
+         $$ LANGUAGE plpgsql`,
+        `CREATE OR REPLACE FUNCTION ecg_results_record_trash() RETURNS trigger AS $$
+         BEGIN
+             IF OLD.deleted_at IS NULL AND NEW.deleted_at IS NOT NULL THEN
+                 INSERT INTO ecg_deletions (ecg_result_id, user_id, client_id) VALUES (NEW.id, NEW.user_id, NEW.client_id);
+             ELSIF OLD.deleted_at IS NOT NULL AND NEW.deleted_at IS NULL THEN
+                 DELETE FROM ecg_deletions WHERE ecg_result_id = NEW.id;
+             END IF;
+             RETURN NEW;
+         END;
+         $$ LANGUAGE plpgsql`,
+        'DROP TRIGGER IF EXISTS ecg_results_trash ON ecg_results',
+        `CREATE TRIGGER ecg_results_trash AFTER UPDATE OF deleted_at ON ecg_results
+         FOR EACH ROW EXECUTE FUNCTION ecg_results_record_trash()`,
+
+        // user_id: whose data changed (their entries go with their account); actor_id: who changed it,
+        // null for the server itself (actor_role 'system')
+        `CREATE TABLE IF NOT EXISTS audit_log (
+            id SERIAL PRIMARY KEY,
+            actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            actor_role VARCHAR(20),
+            action VARCHAR(30) NOT NULL,
+            entity_type VARCHAR(30) NOT NULL,
+            entity_id INTEGER,
+            user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+            before JSONB,
+            after JSONB,
+            created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+        )`,
+        'CREATE INDEX IF NOT EXISTS idx_audit_log_user_id ON audit_log (user_id, id)',
+        'CREATE INDEX IF NOT EXISTS idx_audit_log_actor_id ON audit_log (actor_id, id)',
+        'CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log (entity_type, entity_id)'
+    ],
+
+    down: [
+        'DROP TABLE IF EXISTS audit_log',
+        // Results still in the trash were deleted; their tombstones already exist
+        'DELETE FROM ecg_results WHERE deleted_at IS NOT NULL',
+        'DROP TRIGGER IF EXISTS ecg_results_trash ON ecg_results',
+        'DROP FUNCTION IF EXISTS ecg_results_record_trash()',
+        `CREATE OR REPLACE FUNCTION ecg_results_record_deletion() RETURNS trigger AS $$
+         BEGIN
+             INSERT INTO ecg_deletions (ecg_result_id, user_id, client_id) VALUES (OLD.id, OLD.user_id, OLD.client_id);
+             RETURN OLD;
+         END;
+         $$ LANGUAGE plpgsql`,
+        'DROP INDEX IF EXISTS idx_ecg_results_deleted_at',
+        'ALTER TABLE ecg_results DROP COLUMN IF EXISTS deleted_by, DROP COLUMN IF EXISTS deleted_at'
+    ]
+};
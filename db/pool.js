@@ -0,0 +1,58 @@
+const { Pool } = require('pg');
+
+// Database connection
+let pool;
+let databaseStatus = 'not configured';
+
+if (process.env.DATABASE_URL) {
+    try {
+        console.log('✅ Creating database pool...');
+        pool = new Pool({
+            connectionString: process.env.DATABASE_URL,
+            ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+        });
+        
+        databaseStatus = 'configured';
+        console.log('✅ Database pool created');
+        
+        // Test connection
+        pool.on('connect', () => {
+            console.log('✅ Database connected');
+            databaseStatus = 'connected';
+        });
+        
+        pool.on('error', (err) => {
+            console.error('❌ Database error:', err);
+            databaseStatus = 'error';
+        });
+        
+    } catch (error) {
+        console.error('❌ Database pool creation failed:', error);
+        databaseStatus = 'error';
+    }
+} else {
+    console.log('❌ DATABASE_URL not found');
+}
+
+// Helper function
+async function checkDatabaseConnection() {
+    if (!pool) return false;
+    try {
+        const client = await pool.connect();
+        client.release();
+        return true;
+    } catch (error) {
+        console.error('Database check failed:', error);
+        return false;
+    }
+}
+
+function getDatabaseStatus() {
+    return databaseStatus;
+}
+
+module.exports = {
+    pool,
+    getDatabaseStatus,
+    checkDatabaseConnection
+};
@@ -0,0 +1,40 @@
+// Alert rules on saved readings. A rule is one of:
+//   abnormal        any Abnormal reading
+//   abnormal_count  threshold_count Abnormal readings within window_hours (counting this one)
+//   bpm_above       BPM above bpm_limit
+//   bpm_below       BPM below bpm_limit
+
+const ALERT_RULE_TYPES = ['abnormal', 'abnormal_count', 'bpm_above', 'bpm_below'];
+
+// Rule parameters each type needs; the others must not be set
+const RULE_PARAMETERS = {
+    abnormal: [],
+    abnormal_count: ['threshold_count', 'window_hours'],
+    bpm_above: ['bpm_limit'],
+    bpm_below: ['bpm_limit']
+};
+
+// Does a stored result trip a rule? Returns the details stored with the alert, or null.
+// context.abnormalCount is the number of Abnormal readings in the rule's window (abnormal_count only).
+function matchAlertRule(rule, result, context = {}) {
+    switch (rule.type) {
+        case 'abnormal':
+            return result.status === 'Abnormal' ? { status: result.status, kondisi: result.kondisi } : null;
+        case 'abnormal_count':
+            return result.status === 'Abnormal' && context.abnormalCount >= rule.threshold_count
+                ? { count: context.abnormalCount, thresholdCount: rule.threshold_count, windowHours: rule.window_hours }
+                : null;
+        case 'bpm_above':
+            return result.bpm > rule.bpm_limit ? { bpm: result.bpm, limit: rule.bpm_limit } : null;
+        case 'bpm_below':
+            return result.bpm < rule.bpm_limit ? { bpm: result.bpm, limit: rule.bpm_limit } : null;
+        default:
+            return null;
+    }
+}
+
+module.exports = {
+    ALERT_RULE_TYPES,
+    RULE_PARAMETERS,
+    matchAlertRule
+};
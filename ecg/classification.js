@@ -0,0 +1,133 @@
+// BPM classification rule engine.
+//
+// Rule sets are versioned and never edited once results have been classified with them;
+// changing the rules means adding a new version and pointing CURRENT_RULE_SET_VERSION at it.
+// Each stored result keeps the version (and limits) that produced its status / kondisi.
+
+const ACTIVITY_CONTEXTS = ['rest', 'sleep', 'post_exercise'];
+
+const RULE_SETS = {
+    // Original fixed thresholds
+    v1: {
+        version: 'v1',
+        description: 'Fixed adult thresholds: < 60 Bradikardia, > 100 Takikardia',
+        ageBands: [
+            { minAge: 0, maxAge: null, low: 60, high: 100 }
+        ],
+        activities: {},
+        allowUserThresholds: false
+    },
+
+    // Age bands (paediatric resting ranges), activity context and clinician-set limits
+    v2: {
+        version: 'v2',
+        description: 'Age-banded resting ranges with activity context and per-user clinician thresholds',
+        ageBands: [
+            { minAge: 0, maxAge: 0, low: 100, high: 160 },
+            { minAge: 1, maxAge: 2, low: 90, high: 150 },
+            { minAge: 3, maxAge: 5, low: 80, high: 140 },
+            { minAge: 6, maxAge: 11, low: 70, high: 120 },
+            { minAge: 12, maxAge: 17, low: 60, high: 100 },
+            { minAge: 18, maxAge: null, low: 60, high: 100 }
+        ],
+        activities: {
+            rest: {},
+            // Heart rate normally drops during sleep
+            sleep: { lowOffset: -10 },
+            // Shortly after exercise, only flag rates above 85% of the age-predicted maximum
+            post_exercise: { highPercentOfMaxHr: 0.85 }
+        },
+        allowUserThresholds: true
+    }
+};
+
+const CURRENT_RULE_SET_VERSION = process.env.CLASSIFICATION_RULE_SET || 'v2';
+
+if (!RULE_SETS[CURRENT_RULE_SET_VERSION]) {
+    throw new Error(`Unknown classification rule set: ${CURRENT_RULE_SET_VERSION}`);
+}
+
+function getRuleSet(version = CURRENT_RULE_SET_VERSION) {
+    return RULE_SETS[version] || null;
+}
+
+function listRuleSets() {
+    return Object.values(RULE_SETS).map((ruleSet) => ({
+        ...ruleSet,
+        current: ruleSet.version === CURRENT_RULE_SET_VERSION
+    }));
+}
+
+// Bands may optionally be restricted to a gender; the first matching band wins
+function findAgeBand(ruleSet, age, gender) {
+    const years = Number.isFinite(age) ? age : null;
+    return ruleSet.ageBands.find((band) =>
+        (years === null ? band.maxAge === null : years >= band.minAge && (band.maxAge === null || years <= band.maxAge)) &&
+        (!band.gender || band.gender === gender)
+    ) || ruleSet.ageBands[ruleSet.ageBands.length - 1];
+}
+
+// Classify a BPM value. Context: { age, gender, activity, thresholds: { low_bpm, high_bpm } }.
+// Returns status / kondisi plus the details needed to explain the decision later.
+function classifyBpm(bpm, context = {}, version = CURRENT_RULE_SET_VERSION) {
+    const ruleSet = getRuleSet(version);
+    if (!ruleSet) {
+        throw new Error(`Unknown classification rule set: ${version}`);
+    }
+
+    const age = context.age === undefined || context.age === null ? null : parseInt(context.age, 10);
+    const activity = context.activity || 'rest';
+    const band = findAgeBand(ruleSet, age, context.gender);
+
+    let low = band.low;
+    let high = band.high;
+    let source = 'age_band';
+
+    // Clinician-set limits replace the age band
+    const thresholds = context.thresholds;
+    if (ruleSet.allowUserThresholds && thresholds) {
+        if (thresholds.low_bpm !== null && thresholds.low_bpm !== undefined) low = thresholds.low_bpm;
+        if (thresholds.high_bpm !== null && thresholds.high_bpm !== undefined) high = thresholds.high_bpm;
+        source = 'user_threshold';
+    }
+
+    const adjustment = ruleSet.activities[activity] || {};
+    if (adjustment.lowOffset) low += adjustment.lowOffset;
+    if (adjustment.highPercentOfMaxHr && Number.isFinite(age)) {
+        high = Math.max(high, Math.round(adjustment.highPercentOfMaxHr * (220 - age)));
+    }
+
+    let status, kondisi;
+    if (bpm < low) {
+        status = 'Abnormal';
+        kondisi = 'Bradikardia';
+    } else if (bpm > high) {
+        status = 'Abnormal';
+        kondisi = 'Takikardia';
+    } else {
+        status = 'Normal';
+        kondisi = 'Normal';
+    }
+
+    return {
+        status,
+        kondisi,
+        ruleSetVersion: ruleSet.version,
+        details: {
+            low,
+            high,
+            source,
+            activity,
+            age: Number.isFinite(age) ? age : null,
+            ageBand: { minAge: band.minAge, maxAge: band.maxAge }
+        }
+    };
+}
+
+module.exports = {
+    ACTIVITY_CONTEXTS,
+    CURRENT_RULE_SET_VERSION,
+    getRuleSet,
+    listRuleSets,
+    classifyBpm
+};
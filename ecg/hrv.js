@@ -0,0 +1,123 @@
+// Heart-rate-variability metrics from an RR interval series (milliseconds).
+// Time domain: mean RR, SDNN, RMSSD, pNN50. Frequency domain: LF (0.04–0.15 Hz) and
+// HF (0.15–0.4 Hz) power of the RR series resampled at 4 Hz, with their ratio.
+
+const MIN_NN_INTERVALS = 10;
+const MIN_SPECTRAL_SECONDS = 60;
+const RESAMPLE_RATE = 4; // Hz
+const LF_BAND = [0.04, 0.15];
+const HF_BAND = [0.15, 0.4];
+
+function round(value, digits = 2) {
+    if (value === null || !Number.isFinite(value)) return null;
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+function mean(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+// Keep physiological intervals and drop ones that jump more than 20% from the
+// previous accepted interval (ectopic beats, missed or extra detections)
+function normalToNormal(rrIntervals) {
+    const nn = [];
+    for (const rr of rrIntervals) {
+        if (!Number.isFinite(rr) || rr < 300 || rr > 2000) continue;
+        const previous = nn[nn.length - 1];
+        if (previous !== undefined && Math.abs(rr - previous) > 0.2 * previous) continue;
+        nn.push(rr);
+    }
+    return nn;
+}
+
+// Evenly resample the RR tachogram by linear interpolation
+function resample(nn) {
+    const times = [];
+    let t = 0;
+    for (const rr of nn) {
+        t += rr / 1000;
+        times.push(t);
+    }
+
+    const series = [];
+    let j = 0;
+    for (let time = times[0]; time <= times[times.length - 1]; time += 1 / RESAMPLE_RATE) {
+        while (j < times.length - 2 && times[j + 1] < time) j++;
+        const ratio = (time - times[j]) / (times[j + 1] - times[j]);
+        series.push(nn[j] + ratio * (nn[j + 1] - nn[j]));
+    }
+    return series;
+}
+
+// Hann-windowed periodogram integrated over the LF and HF bands (ms²)
+function bandPowers(nn) {
+    const series = resample(nn);
+    const n = series.length;
+
+    // Remove the linear trend
+    const xMean = (n - 1) / 2;
+    const yMean = mean(series);
+    let num = 0, den = 0;
+    series.forEach((y, x) => {
+        num += (x - xMean) * (y - yMean);
+        den += (x - xMean) ** 2;
+    });
+    const slope = den > 0 ? num / den : 0;
+
+    const window = series.map((_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (n - 1)));
+    const windowPower = window.reduce((sum, w) => sum + w * w, 0);
+    const detrended = series.map((y, x) => (y - yMean - slope * (x - xMean)) * window[x]);
+
+    const resolution = RESAMPLE_RATE / n;
+    const power = (band) => {
+        let total = 0;
+        for (let k = Math.ceil(band[0] / resolution); k * resolution < band[1]; k++) {
+            let re = 0, im = 0;
+            for (let i = 0; i < n; i++) {
+                const angle = 2 * Math.PI * k * i / n;
+                re += detrended[i] * Math.cos(angle);
+                im -= detrended[i] * Math.sin(angle);
+            }
+            // One-sided power spectral density times the bin width
+            total += 2 * (re * re + im * im) / (RESAMPLE_RATE * windowPower) * resolution;
+        }
+        return total;
+    };
+
+    return { lf: power(LF_BAND), hf: power(HF_BAND) };
+}
+
+// Returns null when there are too few clean intervals to say anything
+function computeHrv(rrIntervals) {
+    const nn = normalToNormal(rrIntervals || []);
+    if (nn.length < MIN_NN_INTERVALS) return null;
+
+    const meanRR = mean(nn);
+    const sdnn = Math.sqrt(nn.reduce((sum, rr) => sum + (rr - meanRR) ** 2, 0) / (nn.length - 1));
+
+    const diffs = [];
+    for (let i = 1; i < nn.length; i++) diffs.push(nn[i] - nn[i - 1]);
+    const rmssd = Math.sqrt(mean(diffs.map((d) => d * d)));
+    const pnn50 = diffs.filter((d) => Math.abs(d) > 50).length / diffs.length * 100;
+
+    const durationSeconds = nn.reduce((sum, rr) => sum + rr, 0) / 1000;
+    const spectral = durationSeconds >= MIN_SPECTRAL_SECONDS ? bandPowers(nn) : null;
+
+    return {
+        nnCount: nn.length,
+        durationSeconds: round(durationSeconds, 1),
+        meanRR: round(meanRR),
+        sdnn: round(sdnn),
+        rmssd: round(rmssd),
+        pnn50: round(pnn50),
+        lfPower: spectral ? round(spectral.lf) : null,
+        hfPower: spectral ? round(spectral.hf) : null,
+        lfHfRatio: spectral && spectral.hf > 0 ? round(spectral.lf / spectral.hf, 3) : null
+    };
+}
+
+module.exports = {
+    MIN_NN_INTERVALS,
+    computeHrv
+};
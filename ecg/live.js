@@ -0,0 +1,301 @@
+// Live measurement sessions: the phone streams raw samples and / or per-beat BPM while it measures,
+// the server keeps a running heart rate and relays every chunk to the session's viewers.
+// Sessions live in this process only; when one finishes it is turned into an ordinary reading
+// (see prepareReading in ./reading.js). No database access happens here.
+
+const crypto = require('crypto');
+const { MIN_RELIABLE_QUALITY, analyzeLead } = require('./qrs');
+const { MAX_SAMPLES_PER_LEAD, parseWaveformJson } = require('./waveform');
+
+// Longest session, and how long a session may go without data before it is dropped
+const LIVE_MAX_SECONDS = parseInt(process.env.LIVE_MAX_SECONDS, 10) || 600;
+const LIVE_IDLE_TIMEOUT_MS = parseInt(process.env.LIVE_IDLE_TIMEOUT_MS, 10) || 60000;
+
+// Samples are held in memory until the session ends, so both the samples of one session (over all
+// its leads) and the number of sessions running at once are capped
+const LIVE_MAX_SAMPLES = parseInt(process.env.LIVE_MAX_SAMPLES, 10) || 1000000;
+const LIVE_MAX_SESSIONS = parseInt(process.env.LIVE_MAX_SESSIONS, 10) || 50;
+
+// The running heart rate uses the last 10 s of signal, or the last 8 beats
+const HR_WINDOW_SECONDS = 10;
+const HR_MIN_SECONDS = 3;
+const HR_BEATS = 8;
+const MAX_BEATS = LIVE_MAX_SECONDS * 5;
+
+const sessions = new Map();
+let sweepTimer = null;
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function round(value) {
+    return Math.round(value * 10) / 10;
+}
+
+// Lead II when present, otherwise the first lead
+function analysisLeadIndex(session) {
+    const index = session.waveform.leads.findIndex((name) => name.toUpperCase() === 'II');
+    return index === -1 ? 0 : index;
+}
+
+function samplesReceived(session) {
+    return session.waveform ? session.waveform.data[0].length : 0;
+}
+
+// Public view of a session, as returned by the API and sent to viewers when they connect
+function describeLiveSession(session) {
+    return {
+        id: session.id,
+        userId: session.userId,
+        username: session.username,
+        startedAt: session.startedAt,
+        lastDataAt: session.lastDataAt,
+        sampleRate: session.waveform ? session.waveform.sampleRate : null,
+        leads: session.waveform ? session.waveform.leads : [],
+        samplesReceived: samplesReceived(session),
+        beatsReceived: session.beats.length,
+        heartRate: session.heartRate,
+        heartRateSource: session.heartRateSource,
+        signalQuality: session.signalQuality,
+        viewers: session.viewers.size
+    };
+}
+
+function publish(session, event, data) {
+    session.viewers.forEach((listener) => listener(event, data));
+}
+
+// End a session without saving: it disappears and its viewers get a last event
+function closeLiveSession(session, event, data = {}) {
+    if (sessions.get(session.id) !== session) return;
+
+    sessions.delete(session.id);
+    publish(session, event, { sessionId: session.id, ...data });
+    session.viewers.clear();
+
+    if (sessions.size === 0 && sweepTimer) {
+        clearInterval(sweepTimer);
+        sweepTimer = null;
+    }
+}
+
+// Viewer streams hold their connections open, so a shutting-down server ends every session first
+function closeAllLiveSessions(event) {
+    sessions.forEach((session) => closeLiveSession(session, event));
+}
+
+function sweepIdleSessions() {
+    const cutoff = Date.now() - LIVE_IDLE_TIMEOUT_MS;
+    sessions.forEach((session) => {
+        if (session.lastDataAt.getTime() < cutoff) {
+            console.log('⌛ Live session', session.id, 'of user', session.userId, 'expired without data');
+            closeLiveSession(session, 'expired');
+        }
+    });
+}
+
+// options: userId, username, activity, timeZone, clientId and, for sample streams, sampleRate,
+// gain, baseline, units and leads (lead names, default ["I"]). Without sampleRate only beats are accepted.
+// Returns null when LIVE_MAX_SESSIONS sessions are already running.
+function startLiveSession(options) {
+    if (sessions.size >= LIVE_MAX_SESSIONS) return null;
+
+    const now = new Date();
+    const id = crypto.randomUUID();
+    const session = {
+        id,
+        userId: options.userId,
+        username: options.username,
+        activity: options.activity,
+        timeZone: options.timeZone,
+        // Also the clientId of the saved reading, so finishing twice does not save twice
+        clientId: options.clientId || id,
+        startedAt: now,
+        lastDataAt: now,
+        waveform: options.sampleRate ? {
+            sampleRate: options.sampleRate,
+            gain: options.gain,
+            baseline: options.baseline,
+            units: options.units,
+            leads: options.leads || ['I'],
+            data: (options.leads || ['I']).map(() => [])
+        } : null,
+        beats: [],
+        heartRate: null,
+        heartRateSource: null,
+        signalQuality: null,
+        viewers: new Set()
+    };
+
+    sessions.set(id, session);
+    if (!sweepTimer) {
+        sweepTimer = setInterval(sweepIdleSessions, Math.min(LIVE_IDLE_TIMEOUT_MS, 10000));
+        sweepTimer.unref();
+    }
+    return session;
+}
+
+function findLiveSession(id) {
+    return sessions.get(String(id).toLowerCase()) || null;
+}
+
+function listLiveSessions(userId) {
+    return [...sessions.values()].filter((session) => String(session.userId) === String(userId));
+}
+
+// Calls listener(event, data) for every event of the session; returns the function that stops it
+function watchLiveSession(session, listener) {
+    session.viewers.add(listener);
+    return () => session.viewers.delete(listener);
+}
+
+// Samples of one chunk, one array per lead of the session. Returns { error } or { leads }.
+function readSampleChunk(session, { samples, leads }) {
+    if (!session.waveform) return { error: 'this session was started without sampleRate and only takes beats' };
+
+    const chunk = leads || [samples];
+    if (chunk.length !== session.waveform.leads.length) {
+        return { error: `expected samples for ${session.waveform.leads.length} lead(s)` };
+    }
+    if (!chunk.every((lead) => Array.isArray(lead) && lead.length === chunk[0].length)) {
+        return { error: 'all leads must have the same number of samples' };
+    }
+    if (!chunk.every((lead) => lead.every((value) => typeof value === 'number' && Number.isFinite(value)))) {
+        return { error: 'samples must be numbers' };
+    }
+
+    const limit = Math.min(
+        Math.floor(session.waveform.sampleRate * LIVE_MAX_SECONDS),
+        Math.floor(LIVE_MAX_SAMPLES / chunk.length),
+        MAX_SAMPLES_PER_LEAD
+    );
+    if (samplesReceived(session) + chunk[0].length > limit) {
+        return { error: `a live session holds at most ${LIVE_MAX_SECONDS} s and ${LIVE_MAX_SAMPLES} samples over all leads` };
+    }
+    return { leads: chunk };
+}
+
+// Beats as { bpm } and / or { rr } (ms). Returns { error } or { beats } with both filled in.
+function readBeats(session, beats) {
+    const parsed = [];
+    for (const beat of beats) {
+        const bpm = beat && beat.bpm !== undefined ? beat.bpm : undefined;
+        const rr = beat && beat.rr !== undefined ? beat.rr : undefined;
+        if ((bpm !== undefined && !(typeof bpm === 'number' && bpm > 0 && bpm <= 300)) ||
+            (rr !== undefined && !(typeof rr === 'number' && rr >= 200 && rr <= 5000)) ||
+            (bpm === undefined && rr === undefined)) {
+            return { error: 'each beat needs bpm (1-300) and / or rr (200-5000 ms)' };
+        }
+        parsed.push({ bpm: bpm !== undefined ? bpm : 60000 / rr, rr: rr !== undefined ? rr : 60000 / bpm });
+    }
+
+    if (session.beats.length + parsed.length > MAX_BEATS) {
+        return { error: `a live session holds at most ${MAX_BEATS} beats` };
+    }
+    return { beats: parsed };
+}
+
+// Recompute the running heart rate: from the signal when it is clean enough, otherwise from the beats
+function updateHeartRate(session) {
+    const { waveform } = session;
+    if (waveform && samplesReceived(session) >= waveform.sampleRate * HR_MIN_SECONDS) {
+        const lead = waveform.data[analysisLeadIndex(session)];
+        const window = lead.slice(-Math.round(waveform.sampleRate * HR_WINDOW_SECONDS));
+        const analysis = analyzeLead(window, waveform.sampleRate);
+        session.signalQuality = analysis.signalQuality;
+
+        if (analysis.heartRate && analysis.signalQuality >= MIN_RELIABLE_QUALITY) {
+            session.heartRate = analysis.heartRate;
+            session.heartRateSource = 'waveform';
+            return;
+        }
+    }
+
+    if (session.beats.length > 0) {
+        session.heartRate = round(median(session.beats.slice(-HR_BEATS).map((beat) => beat.bpm)));
+        session.heartRateSource = 'beats';
+    }
+}
+
+// Add one chunk ({ samples } or { leads }, and / or { beats }) and relay it to the viewers.
+// Returns { error } or { update } with the running heart rate.
+function addLiveData(session, chunk) {
+    const samples = chunk.samples !== undefined || chunk.leads !== undefined ? readSampleChunk(session, chunk) : { leads: null };
+    if (samples.error) return samples;
+    const beats = chunk.beats !== undefined ? readBeats(session, chunk.beats) : { beats: [] };
+    if (beats.error) return beats;
+
+    const offset = samplesReceived(session);
+    if (samples.leads) {
+        samples.leads.forEach((values, index) => {
+            const target = session.waveform.data[index];
+            for (const value of values) target.push(value);
+        });
+    }
+    session.beats.push(...beats.beats);
+    session.lastDataAt = new Date();
+    updateHeartRate(session);
+
+    const update = {
+        heartRate: session.heartRate,
+        heartRateSource: session.heartRateSource,
+        signalQuality: session.signalQuality,
+        samplesReceived: samplesReceived(session),
+        beatsReceived: session.beats.length
+    };
+
+    publish(session, 'data', {
+        sessionId: session.id,
+        offset,
+        leads: samples.leads,
+        beats: beats.beats.map((beat) => ({ bpm: round(beat.bpm), rr: Math.round(beat.rr) })),
+        ...update
+    });
+
+    return { update };
+}
+
+// The reading body (as accepted by prepareReading) for everything the session received, or null
+// when nothing was received. bpm, when given, is the heart rate measured by the phone.
+function liveSessionReading(session, { bpm } = {}) {
+    let waveform;
+    if (samplesReceived(session) > 0) {
+        const { leads, data, ...meta } = session.waveform;
+        const parsed = parseWaveformJson({ ...meta, leads: leads.map((name, index) => ({ name, samples: data[index] })) });
+        if (parsed.error) throw new Error(`Live session ${session.id} has an invalid waveform: ${parsed.error}`);
+        waveform = parsed.waveform;
+    }
+
+    const beatsBpm = session.beats.length > 0 ? Math.round(median(session.beats.map((beat) => beat.bpm))) : undefined;
+    const body = {
+        userId: session.userId,
+        bpm: bpm !== undefined ? bpm : beatsBpm,
+        waveform,
+        rrIntervals: session.beats.length > 0 ? session.beats.map((beat) => Math.round(beat.rr)) : undefined,
+        activity: session.activity,
+        timeZone: session.timeZone,
+        clientId: session.clientId,
+        recordedAt: session.startedAt
+    };
+
+    return body.bpm === undefined && body.waveform === undefined ? null : body;
+}
+
+module.exports = {
+    LIVE_MAX_SECONDS,
+    LIVE_IDLE_TIMEOUT_MS,
+    LIVE_MAX_SAMPLES,
+    LIVE_MAX_SESSIONS,
+    startLiveSession,
+    findLiveSession,
+    listLiveSessions,
+    describeLiveSession,
+    watchLiveSession,
+    addLiveData,
+    liveSessionReading,
+    closeLiveSession,
+    closeAllLiveSessions
+};
@@ -0,0 +1,303 @@
+// QRS / R-peak detection (Pan–Tompkins style) and beat-level measurements.
+//
+// Pipeline: 5–15 Hz band-pass -> derivative -> squaring -> 150 ms moving-window
+// integration -> adaptive dual thresholds with search-back and T-wave rejection.
+// Filters are applied forward and backward so detected peaks line up with the input.
+
+const REFRACTORY_MS = 200;
+const T_WAVE_WINDOW_MS = 360;
+const INTEGRATION_WINDOW_MS = 150;
+const MIN_RR_MS = 300; // 200 bpm
+const MAX_RR_MS = 2000; // 30 bpm
+
+// Below this signal quality the server-derived heart rate is stored but not trusted
+const MIN_RELIABLE_QUALITY = 0.5;
+
+// RBJ cookbook biquad coefficients, normalised so a0 = 1
+function biquad(type, cutoff, sampleRate) {
+    const w0 = 2 * Math.PI * cutoff / sampleRate;
+    const alpha = Math.sin(w0) / (2 * Math.SQRT1_2);
+    const cos = Math.cos(w0);
+    const a0 = 1 + alpha;
+    const b = type === 'lowpass'
+        ? [(1 - cos) / 2, 1 - cos, (1 - cos) / 2]
+        : [(1 + cos) / 2, -(1 + cos), (1 + cos) / 2];
+
+    return {
+        b: b.map((value) => value / a0),
+        a: [1, -2 * cos / a0, (1 - alpha) / a0]
+    };
+}
+
+function applyFilter(signal, { b, a }) {
+    const out = new Float64Array(signal.length);
+    let x1 = signal[0], x2 = signal[0], y1 = 0, y2 = 0;
+    // Start from a settled state to avoid a step response at the edge
+    if (b[0] + b[1] + b[2] !== 0) {
+        y1 = y2 = signal[0] * (b[0] + b[1] + b[2]) / (1 + a[1] + a[2]);
+    }
+
+    for (let n = 0; n < signal.length; n++) {
+        const x0 = signal[n];
+        const y0 = b[0] * x0 + b[1] * x1 + b[2] * x2 - a[1] * y1 - a[2] * y2;
+        out[n] = y0;
+        x2 = x1; x1 = x0;
+        y2 = y1; y1 = y0;
+    }
+    return out;
+}
+
+// Zero-phase filtering: run the filter forward, then backward
+function filtfilt(signal, coefficients) {
+    const forward = applyFilter(signal, coefficients).reverse();
+    return applyFilter(forward, coefficients).reverse();
+}
+
+function bandpass(signal, sampleRate) {
+    const high = Math.min(15, sampleRate * 0.45);
+    const low = Math.min(5, high / 2);
+    return filtfilt(filtfilt(signal, biquad('highpass', low, sampleRate)), biquad('lowpass', high, sampleRate));
+}
+
+// Five-point derivative, centred so it adds no delay
+function derivative(signal) {
+    const out = new Float64Array(signal.length);
+    for (let n = 2; n < signal.length - 2; n++) {
+        out[n] = (-signal[n - 2] - 2 * signal[n - 1] + 2 * signal[n + 1] + signal[n + 2]) / 8;
+    }
+    return out;
+}
+
+// Centred moving average
+function movingWindowIntegration(signal, width) {
+    const out = new Float64Array(signal.length);
+    const half = Math.floor(width / 2);
+    let sum = 0;
+
+    for (let n = 0; n < signal.length + half; n++) {
+        if (n < signal.length) sum += signal[n];
+        if (n - width >= 0) sum -= signal[n - width];
+        if (n - half >= 0 && n - half < signal.length) out[n - half] = sum / width;
+    }
+    return out;
+}
+
+// Local maxima of the integrated signal, at least `distance` samples apart
+function findCandidatePeaks(signal, distance) {
+    const peaks = [];
+    for (let n = 1; n < signal.length - 1; n++) {
+        if (signal[n] > signal[n - 1] && signal[n] >= signal[n + 1]) {
+            const last = peaks[peaks.length - 1];
+            if (last !== undefined && n - last < distance) {
+                if (signal[n] > signal[last]) peaks[peaks.length - 1] = n;
+            } else {
+                peaks.push(n);
+            }
+        }
+    }
+    return peaks;
+}
+
+function maxAbsIndex(signal, from, to) {
+    let index = Math.max(from, 0);
+    for (let n = Math.max(from, 0); n < Math.min(to, signal.length); n++) {
+        if (Math.abs(signal[n]) > Math.abs(signal[index])) index = n;
+    }
+    return index;
+}
+
+function maxSlope(slopes, center, half) {
+    let max = 0;
+    for (let n = Math.max(center - half, 0); n < Math.min(center + half, slopes.length); n++) {
+        max = Math.max(max, Math.abs(slopes[n]));
+    }
+    return max;
+}
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Detect R peaks in one lead; returns sample indices in ascending order
+function detectRPeaks(samples, sampleRate) {
+    if (!samples || samples.length < sampleRate * 2) return [];
+
+    const filtered = bandpass(Float64Array.from(samples), sampleRate);
+    const slopes = derivative(filtered);
+    const integrated = movingWindowIntegration(
+        slopes.map((value) => value * value),
+        Math.max(Math.round(INTEGRATION_WINDOW_MS / 1000 * sampleRate), 1)
+    );
+
+    const refractory = Math.round(REFRACTORY_MS / 1000 * sampleRate);
+    const tWaveWindow = Math.round(T_WAVE_WINDOW_MS / 1000 * sampleRate);
+    const qrsHalfWidth = Math.round(0.075 * sampleRate);
+    const candidates = findCandidatePeaks(integrated, refractory);
+
+    // Learning phase over the first two seconds
+    const learning = integrated.subarray(0, Math.min(integrated.length, 2 * sampleRate));
+    let signalLevel = Math.max(...learning) * 0.25;
+    let noiseLevel = learning.reduce((sum, value) => sum + value, 0) / learning.length * 0.5;
+    const threshold = () => noiseLevel + 0.25 * (signalLevel - noiseLevel);
+
+    const qrs = []; // indices into `integrated`
+    const qrsSlopes = [];
+    const skipped = [];
+    const rrHistory = [];
+
+    const accept = (index, searchBack) => {
+        const slope = maxSlope(slopes, index, qrsHalfWidth);
+        const previous = qrs[qrs.length - 1];
+
+        // A candidate soon after the last beat with a shallow slope is most likely a T wave
+        if (previous !== undefined && index - previous < tWaveWindow &&
+            slope < 0.5 * qrsSlopes[qrsSlopes.length - 1]) {
+            noiseLevel = 0.125 * integrated[index] + 0.875 * noiseLevel;
+            return false;
+        }
+
+        const weight = searchBack ? 0.25 : 0.125;
+        signalLevel = weight * integrated[index] + (1 - weight) * signalLevel;
+        if (previous !== undefined) {
+            rrHistory.push(index - previous);
+            if (rrHistory.length > 8) rrHistory.shift();
+        }
+        qrs.push(index);
+        qrsSlopes.push(slope);
+        return true;
+    };
+
+    for (const index of candidates) {
+        // Search back for a missed beat when the current RR gap is unusually long
+        const previous = qrs[qrs.length - 1];
+        const averageRR = rrHistory.length > 0
+            ? rrHistory.reduce((sum, value) => sum + value, 0) / rrHistory.length
+            : null;
+        if (previous !== undefined && averageRR && index - previous > 1.66 * averageRR) {
+            const missed = skipped
+                .filter((candidate) => candidate - previous > refractory && index - candidate > refractory)
+                .filter((candidate) => integrated[candidate] > threshold() / 2)
+                .sort((a, b) => integrated[b] - integrated[a])[0];
+            if (missed !== undefined) accept(missed, true);
+        }
+
+        if (integrated[index] > threshold()) {
+            accept(index, false);
+        } else {
+            noiseLevel = 0.125 * integrated[index] + 0.875 * noiseLevel;
+            skipped.push(index);
+        }
+    }
+
+    // Move each detection to the largest deflection of the band-passed signal nearby
+    const peaks = [];
+    for (const index of qrs.sort((a, b) => a - b)) {
+        const peak = maxAbsIndex(filtered, index - qrsHalfWidth, index + qrsHalfWidth + 1);
+        if (peaks.length === 0 || peak - peaks[peaks.length - 1] >= refractory) peaks.push(peak);
+    }
+    return peaks;
+}
+
+function correlation(a, b) {
+    const meanA = a.reduce((sum, value) => sum + value, 0) / a.length;
+    const meanB = b.reduce((sum, value) => sum + value, 0) / b.length;
+    let cov = 0, varA = 0, varB = 0;
+    for (let i = 0; i < a.length; i++) {
+        cov += (a[i] - meanA) * (b[i] - meanB);
+        varA += (a[i] - meanA) ** 2;
+        varB += (b[i] - meanB) ** 2;
+    }
+    return varA > 0 && varB > 0 ? cov / Math.sqrt(varA * varB) : 0;
+}
+
+// How much the detected beats look alike: mean correlation of each QRS with the average beat
+function templateCorrelation(samples, sampleRate, peaks) {
+    const half = Math.round(0.1 * sampleRate);
+    const beats = peaks
+        .filter((index) => index - half >= 0 && index + half < samples.length)
+        .map((index) => Array.from(samples.slice(index - half, index + half + 1)));
+    if (beats.length < 2) return 0;
+
+    const template = beats[0].map((_, i) => beats.reduce((sum, beat) => sum + beat[i], 0) / beats.length);
+    const scores = beats.map((beat) => Math.max(0, correlation(beat, template)));
+    return scores.reduce((sum, value) => sum + value, 0) / scores.length;
+}
+
+// 0..1 score from the share of plausible RR intervals, R amplitude consistency,
+// coverage of the recording by detected beats and the amount of clipped samples,
+// scaled by how similar the detected beats are to each other (noise scores low)
+function signalQuality(samples, sampleRate, peaks, rrIntervals) {
+    if (peaks.length < 3) return 0;
+
+    const plausible = rrIntervals.filter((rr) => rr >= MIN_RR_MS && rr <= MAX_RR_MS).length / rrIntervals.length;
+
+    const amplitudes = peaks.map((index) => Math.abs(samples[index] - median(
+        samples.slice(Math.max(index - sampleRate, 0), Math.min(index + sampleRate, samples.length))
+    )));
+    const meanAmplitude = amplitudes.reduce((sum, value) => sum + value, 0) / amplitudes.length;
+    const amplitudeSd = Math.sqrt(amplitudes.reduce((sum, value) => sum + (value - meanAmplitude) ** 2, 0) / amplitudes.length);
+    const consistency = meanAmplitude > 0 ? Math.max(0, 1 - amplitudeSd / meanAmplitude) : 0;
+
+    // Long stretches without beats (lead-off, motion) reduce coverage
+    const durationMs = samples.length / sampleRate * 1000;
+    const gapMs = [peaks[0] / sampleRate * 1000, ...rrIntervals, (samples.length - peaks[peaks.length - 1]) / sampleRate * 1000]
+        .filter((gap) => gap > MAX_RR_MS)
+        .reduce((sum, gap) => sum + gap, 0);
+    const coverage = Math.max(0, 1 - gapMs / durationMs);
+
+    let min = Infinity, max = -Infinity;
+    for (const value of samples) {
+        if (value < min) min = value;
+        if (value > max) max = value;
+    }
+    const clipped = max > min
+        ? samples.filter((value) => value === min || value === max).length / samples.length
+        : 1;
+    const unclipped = Math.max(0, 1 - clipped * 20);
+
+    const similarity = templateCorrelation(samples, sampleRate, peaks);
+
+    return Math.round((plausible + consistency + coverage + unclipped) / 4 * similarity * 100) / 100;
+}
+
+// Full beat analysis of one lead: R peaks, RR intervals (ms), heart rate and quality
+function analyzeLead(samples, sampleRate) {
+    const rPeaks = detectRPeaks(samples, sampleRate);
+    const rrIntervals = [];
+    for (let i = 1; i < rPeaks.length; i++) {
+        rrIntervals.push(Math.round((rPeaks[i] - rPeaks[i - 1]) / sampleRate * 1000));
+    }
+
+    const plausibleRR = rrIntervals.filter((rr) => rr >= MIN_RR_MS && rr <= MAX_RR_MS);
+    const medianRR = median(plausibleRR);
+
+    return {
+        rPeaks,
+        rrIntervals,
+        heartRate: medianRR ? Math.round(60000 / medianRR * 10) / 10 : null,
+        signalQuality: signalQuality(samples, sampleRate, rPeaks, rrIntervals),
+        beatCount: rPeaks.length
+    };
+}
+
+// Analyse a parsed waveform on lead II when present, otherwise on its first lead
+function analyzeWaveform(waveform) {
+    let leadIndex = waveform.leads.findIndex((lead) => String(lead.name).toUpperCase() === 'II');
+    if (leadIndex === -1) leadIndex = 0;
+
+    return {
+        lead: waveform.leads[leadIndex].name,
+        ...analyzeLead(waveform.data[leadIndex], waveform.sampleRate)
+    };
+}
+
+module.exports = {
+    MIN_RELIABLE_QUALITY,
+    detectRPeaks,
+    analyzeLead,
+    analyzeWaveform,
+    median
+};
@@ -0,0 +1,62 @@
+// Signal analysis of one ECG reading as sent by the app, shared by POST /api/ecg/save and
+// the offline batch sync. No database access happens here.
+
+const { MIN_RELIABLE_QUALITY, analyzeWaveform } = require('./qrs');
+const { computeHrv } = require('./hrv');
+const { analyzeRhythm } = require('./rhythm');
+
+// Difference (bpm) between client and server heart rate that gets logged as a possible faulty device
+const BPM_MISMATCH_THRESHOLD = 10;
+
+// Run the server-side analysis of a reading that passed the reading schema
+// (validation/schemas.js readingFields): waveform is already parsed and recordedAt is a Date.
+// Returns { code, statusCode, analysis } or { reading } ready to be classified and stored.
+function prepareReading(body, { now = Date.now() } = {}) {
+    const { bpm, waveform = null } = body;
+    const activity = body.activity || 'rest';
+    const recordedAt = body.recordedAt || new Date(now);
+    const clientRR = body.rrIntervals;
+
+    // Derive the heart rate from the signal; a reliable server BPM wins over the client's number
+    const analysis = waveform ? analyzeWaveform(waveform) : null;
+    const rrIntervals = analysis ? analysis.rrIntervals : (clientRR || null);
+    const hrv = computeHrv(rrIntervals);
+    const rhythm = rrIntervals
+        ? analyzeRhythm(rrIntervals, { signalQuality: analysis ? analysis.signalQuality : null })
+        : null;
+    const useServerBpm = !!(analysis && analysis.heartRate && analysis.signalQuality >= MIN_RELIABLE_QUALITY);
+    const classifiedBpm = useServerBpm ? Math.round(analysis.heartRate) : bpm;
+
+    if (!classifiedBpm) {
+        return {
+            code: 'BPM_UNDETERMINED',
+            statusCode: 422,
+            analysis
+        };
+    }
+
+    if (analysis && analysis.heartRate && bpm && Math.abs(analysis.heartRate - bpm) > BPM_MISMATCH_THRESHOLD) {
+        console.log('⚠️ Client/server BPM mismatch for user', body.userId, { clientBpm: bpm, serverBpm: analysis.heartRate, quality: analysis.signalQuality });
+    }
+
+    return {
+        reading: {
+            clientId: body.clientId ? body.clientId.toLowerCase() : null,
+            bpm: bpm || null,
+            classifiedBpm,
+            bpmSource: useServerBpm ? 'waveform' : 'client',
+            activity,
+            timeZone: body.timeZone,
+            recordedAt,
+            waveform,
+            analysis,
+            rrIntervals,
+            hrv,
+            rhythm
+        }
+    };
+}
+
+module.exports = {
+    prepareReading
+};
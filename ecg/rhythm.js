@@ -0,0 +1,188 @@
+// Rhythm screening on an RR interval series (milliseconds): irregularly irregular
+// rhythm (possible atrial fibrillation), pauses and frequent ectopic-looking beats.
+// This is a screening aid next to the BPM category, not a diagnosis.
+
+const MIN_INTERVALS = 12;
+const PAUSE_MS = 2000;
+const LONG_PAUSE_MS = 3000;
+const FREQUENT_ECTOPIC_RATIO = 0.05;
+
+// Thresholds commonly used for RR-based AF detection
+const AF_NRMSSD = 0.1;
+const AF_ENTROPY = 0.7;
+const AF_TPR_RANGE = [0.54, 0.77];
+
+const CONFIDENCE_LEVELS = ['low', 'medium', 'high'];
+
+function mean(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function lowerConfidence(level) {
+    return CONFIDENCE_LEVELS[Math.max(CONFIDENCE_LEVELS.indexOf(level) - 1, 0)];
+}
+
+// Trim the extreme 5% on each side so a few ectopic or missed beats don't look like AF
+function trimOutliers(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const cut = Math.floor(sorted.length * 0.05);
+    const low = sorted[cut];
+    const high = sorted[sorted.length - 1 - cut];
+    return values.filter((value) => value >= low && value <= high);
+}
+
+// Shannon entropy of the RR histogram (16 bins), normalised to 0..1
+function shannonEntropy(values) {
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    if (max === min) return 0;
+
+    const bins = new Array(16).fill(0);
+    for (const value of values) {
+        bins[Math.min(Math.floor((value - min) / (max - min) * 16), 15)]++;
+    }
+
+    const entropy = bins
+        .filter((count) => count > 0)
+        .reduce((sum, count) => {
+            const p = count / values.length;
+            return sum - p * Math.log(p);
+        }, 0);
+    return entropy / Math.log(16);
+}
+
+// Share of intervals that are a local peak or trough; about 2/3 for a random series
+function turningPointRatio(values) {
+    let turning = 0;
+    for (let i = 1; i < values.length - 1; i++) {
+        if ((values[i] > values[i - 1] && values[i] > values[i + 1]) ||
+            (values[i] < values[i - 1] && values[i] < values[i + 1])) {
+            turning++;
+        }
+    }
+    return turning / (values.length - 2);
+}
+
+function round(value, digits = 3) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+function detectPauses(rrIntervals) {
+    return rrIntervals
+        .map((rr, index) => ({ rr, index }))
+        .filter(({ rr }) => rr >= PAUSE_MS)
+        .map(({ rr, index }) => ({ beatIndex: index + 1, durationMs: rr }));
+}
+
+// Premature beat: short interval followed by a compensatory long one, compared with the local median
+function detectEctopicBeats(rrIntervals) {
+    const beats = [];
+    for (let i = 1; i < rrIntervals.length - 1; i++) {
+        const neighbours = [];
+        for (let j = Math.max(i - 5, 0); j < Math.min(i + 7, rrIntervals.length); j++) {
+            if (j !== i && j !== i + 1) neighbours.push(rrIntervals[j]);
+        }
+        if (neighbours.length === 0) continue;
+
+        const sorted = [...neighbours].sort((a, b) => a - b);
+        const local = sorted[Math.floor(sorted.length / 2)];
+        if (rrIntervals[i] < 0.8 * local && rrIntervals[i + 1] > 1.15 * local) {
+            beats.push(i + 1);
+            i++;
+        }
+    }
+    return beats;
+}
+
+// Returns { rhythm, findings, metrics }. signalQuality (0..1) lowers confidence when poor.
+function analyzeRhythm(rrIntervals, { signalQuality = null } = {}) {
+    const intervals = (rrIntervals || []).filter((rr) => Number.isFinite(rr) && rr > 0);
+
+    if (intervals.length < MIN_INTERVALS) {
+        return {
+            rhythm: 'insufficient_data',
+            findings: [],
+            metrics: { intervalCount: intervals.length }
+        };
+    }
+
+    const findings = [];
+    const poorSignal = signalQuality !== null && signalQuality < 0.5;
+    const adjust = (level) => (poorSignal ? lowerConfidence(level) : level);
+
+    // Pauses are judged on the raw series, before anything is trimmed
+    const pauses = detectPauses(intervals);
+    if (pauses.length > 0) {
+        const longest = Math.max(...pauses.map((pause) => pause.durationMs));
+        findings.push({
+            type: 'pause',
+            label: 'Jeda (pause)',
+            confidence: adjust(longest >= LONG_PAUSE_MS ? 'high' : 'medium'),
+            count: pauses.length,
+            longestMs: longest,
+            pauses
+        });
+    }
+
+    const beats = intervals.filter((rr) => rr < PAUSE_MS);
+    const trimmed = trimOutliers(beats);
+    const meanRR = mean(trimmed);
+    const diffs = trimmed.slice(1).map((rr, i) => rr - trimmed[i]);
+    const nrmssd = Math.sqrt(mean(diffs.map((d) => d * d))) / meanRR;
+    const entropy = shannonEntropy(trimmed);
+    const tpr = turningPointRatio(trimmed);
+
+    const criteria = [
+        nrmssd > AF_NRMSSD,
+        entropy > AF_ENTROPY,
+        tpr >= AF_TPR_RANGE[0] && tpr <= AF_TPR_RANGE[1]
+    ].filter(Boolean).length;
+
+    // nRMSSD is required: without beat-to-beat variability the rhythm isn't irregular
+    const possibleAf = nrmssd > AF_NRMSSD && criteria >= 2;
+    if (possibleAf) {
+        let confidence = criteria === 3 ? 'high' : 'medium';
+        if (beats.length < 30) confidence = lowerConfidence(confidence);
+        findings.push({
+            type: 'possible_af',
+            label: 'Kemungkinan fibrilasi atrium (irregularly irregular)',
+            confidence: adjust(confidence),
+            criteriaMet: criteria
+        });
+    }
+
+    // Ectopic beats can't be told apart inside an irregularly irregular rhythm
+    const ectopic = possibleAf ? [] : detectEctopicBeats(beats);
+    const ectopicRatio = ectopic.length / (beats.length + 1);
+    if (ectopic.length > 0) {
+        const frequent = ectopicRatio >= FREQUENT_ECTOPIC_RATIO;
+        findings.push({
+            type: 'ectopic_beats',
+            label: frequent ? 'Denyut ektopik sering' : 'Denyut ektopik',
+            confidence: adjust(ectopicRatio >= 2 * FREQUENT_ECTOPIC_RATIO ? 'high' : (frequent ? 'medium' : 'low')),
+            frequent,
+            count: ectopic.length,
+            percentOfBeats: round(ectopicRatio * 100, 1),
+            beatIndexes: ectopic
+        });
+    }
+
+    return {
+        rhythm: possibleAf || ectopic.length > 0 || pauses.length > 0 ? 'irregular' : 'regular',
+        findings,
+        metrics: {
+            intervalCount: intervals.length,
+            meanRR: round(meanRR, 1),
+            nrmssd: round(nrmssd),
+            shannonEntropy: round(entropy),
+            turningPointRatio: round(tpr),
+            ectopicBeats: ectopic.length,
+            pauses: pauses.length
+        }
+    };
+}
+
+module.exports = {
+    analyzeRhythm
+};
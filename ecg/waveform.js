@@ -0,0 +1,214 @@
+// Raw ECG waveform parsing, storage encoding and slicing.
+// Samples are stored lead-major (all samples of lead 1, then lead 2, ...) as little-endian
+// int16 or float32, next to the metadata needed to turn them back into millivolts.
+
+const MAX_LEADS = 12;
+const MAX_SAMPLE_RATE = 10000; // Hz
+const MAX_SAMPLES_PER_LEAD = 2000000;
+const ENCODINGS = {
+    int16: { bytes: 2, read: 'readInt16LE', write: 'writeInt16LE' },
+    float32: { bytes: 4, read: 'readFloatLE', write: 'writeFloatLE' }
+};
+
+function toNumber(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : NaN;
+}
+
+// Shared checks for JSON and binary uploads. Returns an error message or null.
+function validateMeta({ sampleRate, gain, baseline }) {
+    if (!Number.isFinite(sampleRate) || sampleRate <= 0 || sampleRate > MAX_SAMPLE_RATE) {
+        return `sampleRate must be a number between 0 and ${MAX_SAMPLE_RATE}`;
+    }
+    if (gain !== undefined && (!Number.isFinite(gain) || gain <= 0)) {
+        return 'gain must be a positive number (ADC units per mV)';
+    }
+    if (baseline !== undefined && !Number.isFinite(baseline)) {
+        return 'baseline must be a number';
+    }
+    return null;
+}
+
+function pickEncoding(leads) {
+    for (const lead of leads) {
+        for (const value of lead) {
+            if (!Number.isInteger(value) || value < -32768 || value > 32767) return 'float32';
+        }
+    }
+    return 'int16';
+}
+
+function buildWaveform(meta, leadInfo, leadSamples, encoding) {
+    return {
+        sampleRate: meta.sampleRate,
+        gain: meta.gain === undefined ? null : meta.gain,
+        baseline: meta.baseline === undefined ? 0 : meta.baseline,
+        units: meta.units || (meta.gain === undefined ? 'mV' : 'adc'),
+        encoding,
+        samplesPerLead: leadSamples[0].length,
+        leads: leadInfo,
+        data: leadSamples
+    };
+}
+
+// JSON upload: { sampleRate, gain?, baseline?, units?, leads: [{ name, samples: [...] }] }
+// or the single-lead shorthand { sampleRate, lead?, samples: [...] }
+function parseWaveformJson(body) {
+    if (!body || typeof body !== 'object') {
+        return { error: 'Waveform must be an object' };
+    }
+
+    const meta = {
+        sampleRate: toNumber(body.sampleRate),
+        gain: toNumber(body.gain),
+        baseline: toNumber(body.baseline),
+        units: typeof body.units === 'string' ? body.units : undefined
+    };
+    const metaError = validateMeta(meta);
+    if (metaError) return { error: metaError };
+
+    const rawLeads = Array.isArray(body.leads)
+        ? body.leads
+        : (Array.isArray(body.samples) ? [{ name: body.lead || 'I', samples: body.samples }] : null);
+
+    if (!rawLeads || rawLeads.length === 0) {
+        return { error: 'Waveform needs at least one lead with samples' };
+    }
+    if (rawLeads.length > MAX_LEADS) {
+        return { error: `A waveform can have at most ${MAX_LEADS} leads` };
+    }
+
+    const leadInfo = [];
+    const leadSamples = [];
+    for (let i = 0; i < rawLeads.length; i++) {
+        const lead = rawLeads[i] || {};
+        const { samples, ...info } = lead;
+
+        if (!Array.isArray(samples) || samples.length === 0) {
+            return { error: `Lead ${i + 1} has no samples` };
+        }
+        if (samples.length > MAX_SAMPLES_PER_LEAD) {
+            return { error: `Lead ${i + 1} has more than ${MAX_SAMPLES_PER_LEAD} samples` };
+        }
+        if (leadSamples.length > 0 && samples.length !== leadSamples[0].length) {
+            return { error: 'All leads must have the same number of samples' };
+        }
+        if (!samples.every((value) => typeof value === 'number' && Number.isFinite(value))) {
+            return { error: `Lead ${i + 1} contains non-numeric samples` };
+        }
+
+        leadInfo.push({ ...info, name: String(info.name || `Lead ${i + 1}`) });
+        leadSamples.push(samples);
+    }
+
+    return { waveform: buildWaveform(meta, leadInfo, leadSamples, pickEncoding(leadSamples)) };
+}
+
+// Binary upload: lead-major little-endian samples, metadata from the query string
+// (sampleRate, gain, baseline, units, encoding=int16|float32, leads=I,II,...)
+function parseWaveformBinary(buffer, query) {
+    if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+        return { error: 'Binary waveform body is empty' };
+    }
+
+    const meta = {
+        sampleRate: toNumber(query.sampleRate),
+        gain: toNumber(query.gain),
+        baseline: toNumber(query.baseline),
+        units: typeof query.units === 'string' ? query.units : undefined
+    };
+    const metaError = validateMeta(meta);
+    if (metaError) return { error: metaError };
+
+    const encoding = query.encoding || 'int16';
+    const format = ENCODINGS[encoding];
+    if (!format) {
+        return { error: `encoding must be one of: ${Object.keys(ENCODINGS).join(', ')}` };
+    }
+
+    const names = typeof query.leads === 'string' && query.leads.trim()
+        ? query.leads.split(',').map((name) => name.trim())
+        : ['I'];
+    if (names.length > MAX_LEADS) {
+        return { error: `A waveform can have at most ${MAX_LEADS} leads` };
+    }
+
+    const totalSamples = buffer.length / format.bytes;
+    const samplesPerLead = totalSamples / names.length;
+    if (!Number.isInteger(samplesPerLead) || samplesPerLead === 0) {
+        return { error: `Body length does not match ${names.length} lead(s) of ${encoding} samples` };
+    }
+    if (samplesPerLead > MAX_SAMPLES_PER_LEAD) {
+        return { error: `Leads have more than ${MAX_SAMPLES_PER_LEAD} samples` };
+    }
+
+    const leadSamples = names.map((name, leadIndex) => {
+        const samples = new Array(samplesPerLead);
+        const offset = leadIndex * samplesPerLead * format.bytes;
+        for (let i = 0; i < samplesPerLead; i++) {
+            samples[i] = buffer[format.read](offset + i * format.bytes);
+        }
+        return samples;
+    });
+
+    return {
+        waveform: buildWaveform(meta, names.map((name) => ({ name })), leadSamples, encoding)
+    };
+}
+
+// Pack parsed samples into a single lead-major buffer for the BYTEA column
+function encodeSamples(waveform) {
+    const format = ENCODINGS[waveform.encoding];
+    const buffer = Buffer.alloc(waveform.leads.length * waveform.samplesPerLead * format.bytes);
+
+    waveform.data.forEach((samples, leadIndex) => {
+        const offset = leadIndex * waveform.samplesPerLead * format.bytes;
+        samples.forEach((value, i) => buffer[format.write](value, offset + i * format.bytes));
+    });
+
+    return buffer;
+}
+
+// Read one lead back from a stored row, in the index range [from, to)
+function decodeLead(row, leadIndex, from = 0, to = row.samples_per_lead) {
+    const format = ENCODINGS[row.encoding];
+    const offset = leadIndex * row.samples_per_lead * format.bytes;
+    const samples = new Array(Math.max(to - from, 0));
+
+    for (let i = from; i < to; i++) {
+        samples[i - from] = row.samples[format.read](offset + i * format.bytes);
+    }
+    return samples;
+}
+
+// Reduce the sample rate by an integer factor, averaging each block
+function downsample(samples, factor) {
+    if (!factor || factor <= 1) return samples;
+
+    const result = [];
+    for (let i = 0; i < samples.length; i += factor) {
+        const block = samples.slice(i, i + factor);
+        result.push(block.reduce((sum, value) => sum + value, 0) / block.length);
+    }
+    return result;
+}
+
+// Convert ADC counts to millivolts when the recording has a gain
+function toMillivolts(samples, row) {
+    if (!row.gain) return samples;
+    const baseline = row.baseline || 0;
+    return samples.map((value) => (value - baseline) / row.gain);
+}
+
+module.exports = {
+    MAX_LEADS,
+    MAX_SAMPLE_RATE,
+    MAX_SAMPLES_PER_LEAD,
+    parseWaveformJson,
+    parseWaveformBinary,
+    encodeSamples,
+    decodeLead,
+    downsample,
+    toMillivolts
+};
@@ -0,0 +1,88 @@
+// Personal data export: everything held about a user (accounts.exportData) as a ZIP archive of
+// JSON files, the readings also as CSV, and each raw waveform as its own JSON file.
+
+const { createZip } = require('./zip');
+const { historyToCsv } = require('./csv');
+const { decodeLead } = require('../ecg/waveform');
+const { resolveTimeZone, toLocalDateTime } = require('../utils/timezone');
+
+// File name, exportData key and description (for README.txt) of each table
+const TABLE_FILES = [
+    ['profile.json', 'profile', 'Your account: username, age, gender, role, time zone and any pending deletion'],
+    ['sessions.json', 'sessions', 'Devices signed in to your account'],
+    ['ecg_results.json', 'ecgResults', 'Every ECG reading with its classification, RR intervals and rhythm analysis'],
+    ['ecg_hrv.json', 'hrv', 'Heart rate variability of your readings'],
+    ['ecg_reviews.json', 'reviews', 'Clinician reviews (verdicts and notes) of your readings'],
+    ['ecg_reclassifications.json', 'reclassifications', 'Changes to the classification of your readings'],
+    ['thresholds.json', 'thresholds', 'BPM thresholds set for you'],
+    ['care_grants.json', 'careGrants', 'Who you shared your data with, and who shared theirs with you'],
+    ['alert_rules.json', 'alertRules', 'Your alert rules'],
+    ['alerts.json', 'alerts', 'Alerts raised by your readings'],
+    ['webhooks.json', 'webhooks', 'Your alert webhooks (secrets left out)'],
+    ['webhook_deliveries.json', 'webhookDeliveries', 'Deliveries of your alerts to your webhooks'],
+    ['audit_log.json', 'auditLog', 'Deletions, restores and profile changes on your account, and who made them']
+];
+
+function toJson(value) {
+    return `${JSON.stringify(value, null, 2)}\n`;
+}
+
+// Readings outside the trash with their local date / time and latest verdict, as the history and its
+// CSV export show them
+function historyRows(data) {
+    const latestReview = new Map();
+    data.reviews
+        .filter((review) => review.verdict !== null)
+        .forEach((review) => latestReview.set(review.ecg_result_id, review));
+
+    return data.ecgResults.filter((row) => !row.deleted_at).map((row) => {
+        const timeZone = resolveTimeZone(row.timezone, data.profile.timezone);
+        const local = row.recorded_at ? toLocalDateTime(row.recorded_at, timeZone) : { date: null, time: null };
+        return {
+            ...row,
+            timezone: timeZone,
+            local_date: local.date,
+            local_time: local.time,
+            review: latestReview.get(row.id) || null
+        };
+    });
+}
+
+// Waveform metadata with each lead's raw samples (ADC counts; millivolts = (sample - baseline) / gain)
+function waveformJson(row) {
+    const { samples, leads, ...meta } = row;
+    return toJson({
+        ...meta,
+        leads: leads.map((lead, index) => ({ ...lead, samples: decodeLead(row, index) }))
+    });
+}
+
+function readme(data, generatedAt) {
+    return [
+        `Personal data export of ${data.profile.username}`,
+        `Generated at ${generatedAt.toISOString()}`,
+        '',
+        'Times are UTC (ISO 8601) unless a local_date / local_time column says otherwise.',
+        'Password and session token hashes and webhook secrets are not included.',
+        '',
+        ...TABLE_FILES.map(([name, , description]) => `${name}  ${description}`),
+        'ecg_results.csv  Your readings as a spreadsheet (the same columns as the ECG history CSV export; readings in the trash are only in ecg_results.json)',
+        'waveforms/<id>.json  Raw waveform of reading <id>, one array of samples per lead',
+        ''
+    ].join('\r\n');
+}
+
+// ZIP archive (Buffer) of the data returned by accounts.exportData
+function buildAccountArchive(data, { generatedAt = new Date() } = {}) {
+    const files = [{ name: 'README.txt', data: readme(data, generatedAt) }];
+
+    TABLE_FILES.forEach(([name, key]) => files.push({ name, data: toJson(data[key]) }));
+    files.push({ name: 'ecg_results.csv', data: historyToCsv(historyRows(data)) });
+    data.waveforms.forEach((row) => files.push({ name: `waveforms/${row.ecg_result_id}.json`, data: waveformJson(row) }));
+
+    return createZip(files, { date: generatedAt });
+}
+
+module.exports = {
+    buildAccountArchive
+};
@@ -0,0 +1,50 @@
+// ECG history as CSV (RFC 4180, CRLF line endings, UTF-8 with a byte order mark so spreadsheet
+// apps pick the right encoding). The header names are stable: the CSV import reads them back.
+
+const HISTORY_CSV_COLUMNS = [
+    ['id', (row) => row.id],
+    ['client_id', (row) => row.client_id],
+    ['recorded_at', (row) => row.recorded_at && new Date(row.recorded_at).toISOString()],
+    ['local_date', (row) => row.local_date],
+    ['local_time', (row) => row.local_time],
+    ['timezone', (row) => row.timezone],
+    ['bpm', (row) => row.bpm],
+    ['status', (row) => row.status],
+    ['kondisi', (row) => row.kondisi],
+    ['activity', (row) => row.activity_context],
+    ['bpm_source', (row) => row.bpm_source],
+    ['client_bpm', (row) => row.client_bpm],
+    ['server_bpm', (row) => row.server_bpm],
+    ['signal_quality', (row) => row.signal_quality],
+    ['rule_set_version', (row) => row.rule_set_version],
+    ['review_status', (row) => row.review_status],
+    ['review_verdict', (row) => row.review && row.review.verdict],
+    ['review_diagnosis', (row) => row.review && row.review.diagnosis],
+    ['review_note', (row) => row.review && row.review.note]
+];
+
+// Text starting with = + - @ would run as a formula when the file is opened in a spreadsheet
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') return String(value);
+
+    let text = String(value);
+    if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// History rows (with local_date / local_time and review) as a CSV document
+function historyToCsv(rows) {
+    const lines = [
+        HISTORY_CSV_COLUMNS.map(([header]) => header).join(','),
+        ...rows.map((row) => HISTORY_CSV_COLUMNS.map(([, value]) => csvCell(value(row))).join(','))
+    ];
+    return `\ufeff${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+    HISTORY_CSV_COLUMNS,
+    historyToCsv
+};
@@ -0,0 +1,103 @@
+// ECG history as an HL7 FHIR R4 Bundle (type "collection") of heart-rate Observations
+// (LOINC 8867-4, vital-signs) for one Patient. Each Observation carries the result id and, when
+// the reading has one, its clientId as identifiers, so an import can recognise readings it already has.
+
+const crypto = require('crypto');
+
+const LOINC_SYSTEM = 'http://loinc.org';
+const LOINC_HEART_RATE = '8867-4';
+const UCUM_SYSTEM = 'http://unitsofmeasure.org';
+const CATEGORY_SYSTEM = 'http://terminology.hl7.org/CodeSystem/observation-category';
+const INTERPRETATION_SYSTEM = 'http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation';
+const URI_SYSTEM = 'urn:ietf:rfc:3986';
+const RESULT_ID_SYSTEM = 'urn:ecg-heartbeat-api:ecg-result';
+const USER_ID_SYSTEM = 'urn:ecg-heartbeat-api:user';
+
+const GENDERS = { male: 'male', 'laki-laki': 'male', female: 'female', perempuan: 'female' };
+
+// kondisi -> v3 interpretation code
+const INTERPRETATIONS = {
+    Takikardia: { code: 'H', display: 'High' },
+    Bradikardia: { code: 'L', display: 'Low' },
+    Normal: { code: 'N', display: 'Normal' }
+};
+
+function perMinute(value) {
+    return { value: Number(value), unit: 'beats/minute', system: UCUM_SYSTEM, code: '/min' };
+}
+
+function interpretation(row) {
+    const coding = INTERPRETATIONS[row.kondisi] ||
+        (row.status === 'Abnormal' ? { code: 'A', display: 'Abnormal' } : { code: 'N', display: 'Normal' });
+    return [{ coding: [{ system: INTERPRETATION_SYSTEM, ...coding }], text: row.kondisi }];
+}
+
+function reviewNote(review) {
+    const parts = [`Clinician review (${review.verdict || 'note'})`];
+    if (review.diagnosis) parts.push(review.diagnosis);
+    if (review.note) parts.push(review.note);
+    return { text: parts.join(': ') };
+}
+
+function toObservation(row, patientUrl) {
+    const details = row.classification_details || {};
+    const identifier = [{ system: RESULT_ID_SYSTEM, value: String(row.id) }];
+    if (row.client_id) identifier.push({ system: URI_SYSTEM, value: `urn:uuid:${row.client_id}` });
+
+    const observation = {
+        resourceType: 'Observation',
+        status: 'final',
+        identifier,
+        category: [{ coding: [{ system: CATEGORY_SYSTEM, code: 'vital-signs', display: 'Vital Signs' }] }],
+        code: { coding: [{ system: LOINC_SYSTEM, code: LOINC_HEART_RATE, display: 'Heart rate' }], text: 'Heart rate' },
+        subject: { reference: patientUrl },
+        effectiveDateTime: new Date(row.recorded_at).toISOString(),
+        valueQuantity: perMinute(row.bpm),
+        interpretation: interpretation(row)
+    };
+
+    if (details.low !== undefined && details.high !== undefined) {
+        observation.referenceRange = [{ low: perMinute(details.low), high: perMinute(details.high) }];
+    }
+    if (row.activity_context) {
+        observation.method = { text: row.activity_context };
+    }
+    if (row.review) {
+        observation.note = [reviewNote(row.review)];
+    }
+
+    return observation;
+}
+
+// user: { id, username, gender }; rows: history rows with their latest review
+function historyToFhirBundle(user, rows, { generatedAt = new Date() } = {}) {
+    const patientUrl = `urn:uuid:${crypto.randomUUID()}`;
+    const patient = {
+        resourceType: 'Patient',
+        identifier: [{ system: USER_ID_SYSTEM, value: String(user.id) }],
+        name: [{ text: user.username }]
+    };
+    const gender = GENDERS[String(user.gender || '').toLowerCase()];
+    if (gender) patient.gender = gender;
+
+    return {
+        resourceType: 'Bundle',
+        type: 'collection',
+        timestamp: generatedAt.toISOString(),
+        entry: [
+            { fullUrl: patientUrl, resource: patient },
+            ...rows.map((row) => ({
+                fullUrl: `urn:uuid:${crypto.randomUUID()}`,
+                resource: toObservation(row, patientUrl)
+            }))
+        ]
+    };
+}
+
+module.exports = {
+    LOINC_SYSTEM,
+    LOINC_HEART_RATE,
+    URI_SYSTEM,
+    RESULT_ID_SYSTEM,
+    historyToFhirBundle
+};
@@ -0,0 +1,178 @@
+// Minimal PDF writer for generated reports: A4 pages with text in the standard Helvetica fonts,
+// lines, rectangles and polylines. Coordinates are in points from the top-left corner of the page.
+// Text is encoded as WinAnsi (Latin-1); other characters are replaced with "?".
+
+const zlib = require('zlib');
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+
+const FONTS = { regular: 'F1', bold: 'F2' };
+
+// Helvetica advance widths (1/1000 em) for ASCII 32..126, used to measure text
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+function toLatin1(text) {
+    return String(text).replace(/[^\x20-\x7e\xa0-\xff]/g, '?');
+}
+
+function escapeText(text) {
+    return toLatin1(text).replace(/[\\()]/g, (char) => `\\${char}`);
+}
+
+function number(value) {
+    return Number(value.toFixed(2)).toString();
+}
+
+// "#rrggbb" -> "r g b" in 0..1
+function color(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return [value >> 16, (value >> 8) & 255, value & 255].map((channel) => number(channel / 255)).join(' ');
+}
+
+// Width of a string in points; characters outside ASCII count as an average letter
+function textWidth(text, size, bold = false) {
+    const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+    let total = 0;
+    for (const char of toLatin1(text)) {
+        const code = char.charCodeAt(0);
+        total += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+    }
+    return total * size / 1000;
+}
+
+function createPdf({ title = '' } = {}) {
+    const pages = [];
+    let current = null;
+
+    const y = (top) => number(PAGE_HEIGHT - top);
+
+    const pdf = {
+        width: PAGE_WIDTH,
+        height: PAGE_HEIGHT,
+
+        addPage() {
+            current = [];
+            pages.push(current);
+            return pdf;
+        },
+
+        pageCount() {
+            return pages.length;
+        },
+
+        // Draw on an earlier page again (e.g. footers that need the page count)
+        usePage(index) {
+            current = pages[index];
+            return pdf;
+        },
+
+        // Text with its baseline at `top`; align is left, right (x is the right edge) or center
+        text(x, top, text, { size = 10, bold = false, fill = '#000000', align = 'left' } = {}) {
+            const width = textWidth(text, size, bold);
+            const left = align === 'right' ? x - width : align === 'center' ? x - width / 2 : x;
+            current.push(`BT /${bold ? FONTS.bold : FONTS.regular} ${number(size)} Tf ${color(fill)} rg ${number(left)} ${y(top)} Td (${escapeText(text)}) Tj ET`);
+            return pdf;
+        },
+
+        line(x1, top1, x2, top2, { stroke = '#000000', width = 0.5 } = {}) {
+            current.push(`${color(stroke)} RG ${number(width)} w ${number(x1)} ${y(top1)} m ${number(x2)} ${y(top2)} l S`);
+            return pdf;
+        },
+
+        rect(x, top, width, height, { fill = null, stroke = null, lineWidth = 0.5 } = {}) {
+            const operator = fill && stroke ? 'B' : fill ? 'f' : 'S';
+            current.push(`${fill ? `${color(fill)} rg ` : ''}${stroke ? `${color(stroke)} RG ${number(lineWidth)} w ` : ''}${number(x)} ${y(top + height)} ${number(width)} ${number(height)} re ${operator}`);
+            return pdf;
+        },
+
+        polyline(points, { stroke = '#000000', width = 1 } = {}) {
+            if (points.length < 2) return pdf;
+            const path = points.map(([px, top], index) => `${number(px)} ${y(top)} ${index === 0 ? 'm' : 'l'}`).join(' ');
+            current.push(`${color(stroke)} RG ${number(width)} w 1 j ${path} S`);
+            return pdf;
+        },
+
+        textWidth,
+
+        // The finished document
+        toBuffer() {
+            const objects = [];
+            // Object numbers start at 1; push returns the new length
+            const add = (body) => objects.push(body);
+
+            const catalogId = add(null);
+            const pagesId = add(null);
+            const regularId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+            const boldId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+            const infoId = add(`<< /Title (${escapeText(title)}) /Producer (ecg-heartbeat-api) >>`);
+
+            const pageIds = pages.map((operations) => {
+                const content = zlib.deflateSync(Buffer.from(operations.join('\n'), 'latin1'));
+                const contentId = add(Buffer.concat([
+                    Buffer.from(`<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+                    content,
+                    Buffer.from('\nendstream', 'latin1')
+                ]));
+                return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+                    `/Resources << /Font << /${FONTS.regular} ${regularId} 0 R /${FONTS.bold} ${boldId} 0 R >> >> /Contents ${contentId} 0 R >>`);
+            });
+
+            objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+            objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+            const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+            let offset = chunks[0].length;
+            const offsets = objects.map((body, index) => {
+                const chunk = Buffer.concat([
+                    Buffer.from(`${index + 1} 0 obj\n`, 'latin1'),
+                    Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1'),
+                    Buffer.from('\nendobj\n', 'latin1')
+                ]);
+                chunks.push(chunk);
+                const start = offset;
+                offset += chunk.length;
+                return start;
+            });
+
+            const xref = [
+                'xref',
+                `0 ${objects.length + 1}`,
+                '0000000000 65535 f ',
+                ...offsets.map((start) => `${String(start).padStart(10, '0')} 00000 n `),
+                'trailer',
+                `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>`,
+                'startxref',
+                String(offset),
+                '%%EOF'
+            ].join('\n');
+            chunks.push(Buffer.from(`${xref}\n`, 'latin1'));
+
+            return Buffer.concat(chunks);
+        }
+    };
+
+    return pdf;
+}
+
+module.exports = {
+    PAGE_WIDTH,
+    PAGE_HEIGHT,
+    createPdf,
+    textWidth
+};
@@ -0,0 +1,212 @@
+// Printable ECG history report (PDF): profile, summary table, BPM trend chart and the list of
+// readings. Labels come from the locale catalogs (REPORT_* codes) through t(code, params).
+
+const { createPdf } = require('./pdf');
+
+const MARGIN = 40;
+const ROW_HEIGHT = 15;
+const TABLE_BOTTOM = 790;
+const GREY = '#666666';
+const LIGHT = '#dddddd';
+const LINE_COLOR = '#1f5fbf';
+const ABNORMAL_COLOR = '#c62828';
+const BAND_COLOR = '#e3f4e1';
+
+// Normal band drawn on the chart when the readings do not carry their classification limits
+const DEFAULT_RANGE = { low: 60, high: 100 };
+
+function round(value, digits = 1) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+// Cut text to fit a column width
+function fit(pdf, text, width, size) {
+    let value = text === null || text === undefined ? '' : String(text);
+    if (pdf.textWidth(value, size) <= width) return value;
+    while (value.length > 1 && pdf.textWidth(`${value}...`, size) > width) value = value.slice(0, -1);
+    return `${value}...`;
+}
+
+function summarize(rows) {
+    const bpms = rows.map((row) => Number(row.bpm));
+    const conditions = {};
+    rows.forEach((row) => { conditions[row.kondisi] = (conditions[row.kondisi] || 0) + 1; });
+
+    return {
+        count: rows.length,
+        average: bpms.length ? round(bpms.reduce((sum, bpm) => sum + bpm, 0) / bpms.length) : null,
+        min: bpms.length ? Math.min(...bpms) : null,
+        max: bpms.length ? Math.max(...bpms) : null,
+        normal: rows.filter((row) => row.status === 'Normal').length,
+        abnormal: rows.filter((row) => row.status === 'Abnormal').length,
+        conditions
+    };
+}
+
+function drawField(pdf, x, top, label, value, width) {
+    pdf.text(x, top, fit(pdf, label, 110, 9), { size: 9, fill: GREY });
+    pdf.text(x + 115, top, fit(pdf, value, width, 10), { size: 10 });
+}
+
+// Key / value lines in two columns
+function drawFields(pdf, top, fields) {
+    fields.forEach(([label, value], index) => {
+        drawField(pdf, MARGIN + (index % 2) * 260, top + Math.floor(index / 2) * 16, label, value, 135);
+    });
+    return top + Math.ceil(fields.length / 2) * 16;
+}
+
+// One key / value line across the page
+function drawWideField(pdf, top, label, value) {
+    drawField(pdf, MARGIN, top, label, value, pdf.width - 2 * MARGIN - 115);
+    return top + 16;
+}
+
+function drawHeading(pdf, top, text) {
+    pdf.text(MARGIN, top, text, { size: 13, bold: true });
+    pdf.line(MARGIN, top + 5, pdf.width - MARGIN, top + 5, { stroke: LIGHT });
+    return top + 22;
+}
+
+function drawTrendChart(pdf, top, rows, t) {
+    const height = 170;
+    const left = MARGIN + 30;
+    const right = pdf.width - MARGIN;
+    const bottom = top + height;
+
+    const points = rows
+        .map((row) => ({ time: new Date(row.recorded_at).getTime(), bpm: Number(row.bpm), abnormal: row.status === 'Abnormal', date: row.local_date }))
+        .sort((a, b) => a.time - b.time);
+    const latest = [...rows].sort((a, b) => new Date(b.recorded_at) - new Date(a.recorded_at))[0];
+    const limits = latest && latest.classification_details && latest.classification_details.low !== undefined
+        ? latest.classification_details
+        : DEFAULT_RANGE;
+
+    const low = Math.floor((Math.min(limits.low, ...points.map((point) => point.bpm)) - 10) / 10) * 10;
+    const high = Math.ceil((Math.max(limits.high, ...points.map((point) => point.bpm)) + 10) / 10) * 10;
+    const first = points[0].time;
+    const span = points[points.length - 1].time - first;
+
+    const x = (time) => (span === 0 ? (left + right) / 2 : left + (time - first) / span * (right - left));
+    const y = (bpm) => bottom - (bpm - low) / (high - low) * height;
+
+    // Normal band, grid and axis labels
+    pdf.rect(left, y(limits.high), right - left, y(limits.low) - y(limits.high), { fill: BAND_COLOR });
+    const step = high - low > 100 ? 20 : 10;
+    for (let bpm = low; bpm <= high; bpm += step) {
+        pdf.line(left, y(bpm), right, y(bpm), { stroke: LIGHT, width: 0.3 });
+        pdf.text(left - 4, y(bpm) + 3, String(bpm), { size: 7, fill: GREY, align: 'right' });
+    }
+    pdf.rect(left, top, right - left, height, { stroke: GREY });
+
+    pdf.text(left, bottom + 12, points[0].date, { size: 7, fill: GREY });
+    if (span > 0) pdf.text(right, bottom + 12, points[points.length - 1].date, { size: 7, fill: GREY, align: 'right' });
+    pdf.text(right, top - 4, t('REPORT_NORMAL_RANGE', { low: limits.low, high: limits.high }), { size: 7, fill: GREY, align: 'right' });
+
+    // Readings: line through all of them, abnormal ones marked in red
+    pdf.polyline(points.map((point) => [x(point.time), y(point.bpm)]), { stroke: LINE_COLOR, width: 0.8 });
+    points.forEach((point) => {
+        const size = point.abnormal ? 3 : 2;
+        pdf.rect(x(point.time) - size / 2, y(point.bpm) - size / 2, size, size, { fill: point.abnormal ? ABNORMAL_COLOR : LINE_COLOR });
+    });
+
+    return bottom + 30;
+}
+
+const TABLE_COLUMNS = [
+    { label: 'REPORT_DATE', x: 0, width: 60, value: (row) => row.local_date },
+    { label: 'REPORT_TIME', x: 62, width: 45, value: (row) => row.local_time },
+    { label: 'REPORT_BPM', x: 110, width: 30, value: (row) => row.bpm, align: 'right' },
+    { label: 'REPORT_STATUS', x: 150, width: 55, value: (row) => row.status },
+    { label: 'REPORT_CONDITION', x: 210, width: 70, value: (row) => row.kondisi },
+    { label: 'REPORT_ACTIVITY', x: 285, width: 55, value: (row) => row.activity_context },
+    {
+        label: 'REPORT_REVIEW',
+        x: 345,
+        width: 170,
+        value: (row) => (row.review ? [row.review.verdict, row.review.diagnosis, row.review.note].filter(Boolean).join(' - ') : '')
+    }
+];
+
+function drawTableHeader(pdf, top, t) {
+    TABLE_COLUMNS.forEach((column) => {
+        const x = MARGIN + column.x + (column.align === 'right' ? column.width : 0);
+        pdf.text(x, top, t(column.label), { size: 8, bold: true, align: column.align });
+    });
+    pdf.line(MARGIN, top + 4, pdf.width - MARGIN, top + 4, { stroke: GREY });
+    return top + ROW_HEIGHT;
+}
+
+function drawTableRow(pdf, top, row, shaded) {
+    if (shaded) pdf.rect(MARGIN, top - 10, pdf.width - 2 * MARGIN, ROW_HEIGHT, { fill: '#f5f5f5' });
+    TABLE_COLUMNS.forEach((column) => {
+        const x = MARGIN + column.x + (column.align === 'right' ? column.width : 0);
+        const fill = column.label === 'REPORT_STATUS' && row.status === 'Abnormal' ? ABNORMAL_COLOR : '#000000';
+        pdf.text(x, top, fit(pdf, column.value(row), column.width, 8), { size: 8, align: column.align, fill });
+    });
+    return top + ROW_HEIGHT;
+}
+
+// user: { username, age, gender }; rows: history rows (local_date / local_time, review) in report order;
+// period / filters: already formatted strings
+function buildHistoryReport({ user, rows, timeZone, period, filters, generatedAt = new Date(), t }) {
+    const pdf = createPdf({ title: `${t('REPORT_TITLE')} - ${user.username}` });
+    const summary = summarize(rows);
+
+    pdf.addPage();
+    pdf.text(MARGIN, 60, t('REPORT_TITLE'), { size: 20, bold: true });
+    pdf.text(MARGIN, 76, t('REPORT_GENERATED', { date: generatedAt.toISOString().replace('T', ' ').slice(0, 16) + ' UTC' }), { size: 9, fill: GREY });
+
+    let top = drawHeading(pdf, 105, t('REPORT_PATIENT'));
+    top = drawFields(pdf, top, [
+        [t('REPORT_USERNAME'), user.username],
+        [t('REPORT_AGE'), user.age],
+        [t('REPORT_GENDER'), user.gender],
+        [t('REPORT_TIME_ZONE'), timeZone],
+        [t('REPORT_PERIOD'), period]
+    ]);
+    top = drawWideField(pdf, top, t('REPORT_FILTERS'), filters || '-');
+
+    top = drawHeading(pdf, top + 14, t('REPORT_SUMMARY'));
+    top = drawFields(pdf, top, [
+        [t('REPORT_READINGS'), summary.count],
+        [t('REPORT_AVERAGE_BPM'), summary.average === null ? '-' : summary.average],
+        [t('REPORT_NORMAL'), summary.normal],
+        [t('REPORT_MIN_MAX_BPM'), summary.count ? `${summary.min} / ${summary.max}` : '-'],
+        [t('REPORT_ABNORMAL'), summary.abnormal]
+    ]);
+    top = drawWideField(pdf, top, t('REPORT_CONDITIONS'),
+        Object.entries(summary.conditions).map(([kondisi, count]) => `${kondisi} ${count}`).join(', ') || '-');
+
+    if (rows.length === 0) {
+        pdf.text(MARGIN, top + 24, t('REPORT_NO_READINGS'), { size: 11, fill: GREY });
+    } else {
+        top = drawHeading(pdf, top + 14, t('REPORT_TREND'));
+        top = drawTrendChart(pdf, top + 6, rows, t);
+
+        top = drawHeading(pdf, top, t('REPORT_READINGS'));
+        top = drawTableHeader(pdf, top, t);
+        rows.forEach((row, index) => {
+            if (top > TABLE_BOTTOM) {
+                pdf.addPage();
+                top = drawTableHeader(pdf, 60, t);
+            }
+            top = drawTableRow(pdf, top, row, index % 2 === 1);
+        });
+    }
+
+    // Footer on every page, now that the page count is known
+    const pages = pdf.pageCount();
+    for (let page = 0; page < pages; page++) {
+        pdf.usePage(page);
+        pdf.text(MARGIN, 820, user.username, { size: 8, fill: GREY });
+        pdf.text(pdf.width - MARGIN, 820, t('REPORT_PAGE', { page: page + 1, pages }), { size: 8, fill: GREY, align: 'right' });
+    }
+
+    return pdf.toBuffer();
+}
+
+module.exports = {
+    buildHistoryReport
+};
@@ -0,0 +1,82 @@
+// Minimal ZIP writer for downloads made of several files: deflated entries with UTF-8 names
+// ("folder/file.json" for folders), no ZIP64, so at most 65535 files of up to 4 GB.
+
+const zlib = require('zlib');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS time and date fields (2-second precision)
+function dosDateTime(date) {
+    return {
+        time: (date.getUTCHours() << 11) | (date.getUTCMinutes() << 5) | Math.floor(date.getUTCSeconds() / 2),
+        date: ((date.getUTCFullYear() - 1980) << 9) | ((date.getUTCMonth() + 1) << 5) | date.getUTCDate()
+    };
+}
+
+// files: [{ name, data }] with data a Buffer or a string (written as UTF-8). Returns the archive.
+function createZip(files, { date = new Date() } = {}) {
+    const stamp = dosDateTime(date);
+    const chunks = [];
+    const central = [];
+    let offset = 0;
+
+    files.forEach(({ name, data }) => {
+        const content = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8');
+        const compressed = zlib.deflateRawSync(content);
+        const fileName = Buffer.from(name, 'utf8');
+        const crc = crc32(content);
+
+        // Version 2.0, flag 0x0800 (UTF-8 name), method 8 (deflate)
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt16LE(0x0800, 6);
+        header.writeUInt16LE(8, 8);
+        header.writeUInt16LE(stamp.time, 10);
+        header.writeUInt16LE(stamp.date, 12);
+        header.writeUInt32LE(crc, 14);
+        header.writeUInt32LE(compressed.length, 18);
+        header.writeUInt32LE(content.length, 22);
+        header.writeUInt16LE(fileName.length, 26);
+        header.writeUInt16LE(0, 28);
+
+        const entry = Buffer.alloc(46);
+        entry.writeUInt32LE(0x02014b50, 0);
+        entry.writeUInt16LE(20, 4);
+        entry.writeUInt16LE(20, 6);
+        header.copy(entry, 8, 6, 30);
+        entry.writeUInt16LE(0, 32);
+        entry.writeUInt16LE(0, 34);
+        entry.writeUInt16LE(0, 36);
+        entry.writeUInt32LE(0, 38);
+        entry.writeUInt32LE(offset, 42);
+
+        chunks.push(header, fileName, compressed);
+        central.push(entry, fileName);
+        offset += header.length + fileName.length + compressed.length;
+    });
+
+    const directory = Buffer.concat(central);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...chunks, directory, end]);
+}
+
+module.exports = {
+    createZip
+};
@@ -0,0 +1,169 @@
+// Readings from a CSV file (RFC 4180 with a header line; comma, semicolon or tab separated,
+// detected from the header). A mapping names the column of each reading field; columns it leaves
+// out are looked up under the headers of the CSV export (export/csv.js), so an exported file
+// imports as is. No database access happens here.
+
+const { isValidTimeZone, fromLocalDateTime } = require('../utils/timezone');
+
+// Reading fields a column can be mapped to, with the export header used when the mapping has none.
+// The capture time is recordedAt, or a local date (and time) in the row's time zone.
+const CSV_IMPORT_COLUMNS = {
+    clientId: 'client_id',
+    recordedAt: 'recorded_at',
+    date: 'local_date',
+    time: 'local_time',
+    bpm: 'bpm',
+    activity: 'activity',
+    timeZone: 'timezone'
+};
+
+const DELIMITERS = [',', ';', '\t'];
+
+// Offset or Z at the end: an absolute time; without it the time is local
+const OFFSET_PATTERN = /(Z|[+-]\d{2}:?\d{2})$/i;
+const LOCAL_TIME_PATTERN = /^(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2}(?::\d{2})?)(?:\.\d+)?$/;
+
+// The delimiter that occurs most often in the header line
+function detectDelimiter(text) {
+    const header = text.slice(0, text.search(/\r?\n|$/));
+    return DELIMITERS
+        .map((delimiter) => ({ delimiter, count: header.split(delimiter).length }))
+        .sort((a, b) => b.count - a.count)[0].delimiter;
+}
+
+// Records as { line, cells }, line being where the record starts in the file. Returns { error } or { records }.
+function parseCsv(text, delimiter = detectDelimiter(text)) {
+    const records = [];
+    let cells = [];
+    let cell = '';
+    let quoted = false;
+    let line = 1;
+    let recordLine = 1;
+
+    const endCell = () => { cells.push(cell); cell = ''; };
+    const endRecord = () => {
+        endCell();
+        // Blank lines are skipped
+        if (cells.length > 1 || cells[0] !== '') records.push({ line: recordLine, cells });
+        cells = [];
+        recordLine = line;
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            endCell();
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            line++;
+            endRecord();
+        } else {
+            cell += char;
+        }
+    }
+
+    if (quoted) return { error: `unterminated quoted value starting on line ${recordLine}` };
+    if (cell !== '' || cells.length > 0) endRecord();
+    return { records };
+}
+
+// Undo the quote the export puts before text that a spreadsheet would run as a formula
+function cellValue(cell) {
+    const value = cell.trim().replace(/^'(?=[=+\-@])/, '');
+    return value === '' ? undefined : value;
+}
+
+// recordedAt as the schema takes it: epoch milliseconds, a time with offset, or a local
+// 'YYYY-MM-DD HH:MM[:SS]' turned into an absolute time in timeZone. Other text is left for validation.
+function captureTime({ recordedAt, date, time }, timeZone) {
+    if (recordedAt === undefined) {
+        return date === undefined ? undefined : captureTime({ recordedAt: `${date} ${time || '00:00:00'}` }, timeZone);
+    }
+    if (/^\d+$/.test(recordedAt)) return Number(recordedAt);
+    if (OFFSET_PATTERN.test(recordedAt)) return recordedAt;
+
+    const match = LOCAL_TIME_PATTERN.exec(recordedAt);
+    const instant = match && fromLocalDateTime(match[1], match[2], timeZone);
+    return instant ? instant.toISOString() : recordedAt;
+}
+
+// Column index of each mapped field. mapping: { field: header } (null leaves out a default column).
+// Returns { columns } or { missing: [{ field, column }] } for headers that are not in the file.
+function resolveColumns(header, mapping) {
+    const names = header.map((name) => name.trim().toLowerCase());
+    const columns = {};
+    const missing = [];
+
+    Object.entries(CSV_IMPORT_COLUMNS).forEach(([field, exportHeader]) => {
+        const mapped = mapping[field];
+        if (mapped === null) return;
+
+        const index = names.indexOf(String(mapped === undefined ? exportHeader : mapped).trim().toLowerCase());
+        if (index !== -1) columns[field] = index;
+        else if (mapped !== undefined) missing.push({ field, column: mapped });
+    });
+
+    // bpm and a capture time are needed in every file
+    const isMissing = (field) => columns[field] === undefined && !missing.some((item) => item.field === field);
+    if (isMissing('bpm')) {
+        missing.push({ field: 'bpm', column: mapping.bpm || CSV_IMPORT_COLUMNS.bpm });
+    }
+    if (isMissing('recordedAt') && isMissing('date')) {
+        missing.push({ field: 'recordedAt', column: mapping.recordedAt || CSV_IMPORT_COLUMNS.recordedAt });
+    }
+    return missing.length > 0 ? { missing } : { columns };
+}
+
+// One entry per data row: { line, fields } with the reading fields found in the row.
+// timeZone is the zone of local times in rows without a valid timezone column.
+// Returns { error }, { missing } (see resolveColumns) or { entries }.
+function csvToReadings(text, { mapping = {}, timeZone }) {
+    // Byte order mark, as written by the export and most spreadsheet apps
+    const parsed = parseCsv(text.replace(/^\ufeff/, ''));
+    if (parsed.error) return parsed;
+
+    const [header, ...rows] = parsed.records;
+    if (!header) return { error: 'the file is empty' };
+    if (rows.length === 0) return { error: 'the file has a header line but no readings' };
+
+    const resolved = resolveColumns(header.cells, mapping);
+    if (resolved.missing) return resolved;
+    const { columns } = resolved;
+
+    const entries = rows.map(({ line, cells }) => {
+        const row = {};
+        Object.entries(columns).forEach(([field, index]) => { row[field] = cellValue(cells[index] || ''); });
+
+        const fields = {
+            clientId: row.clientId,
+            recordedAt: captureTime(row, isValidTimeZone(row.timeZone) ? row.timeZone : timeZone),
+            bpm: row.bpm,
+            activity: row.activity && row.activity.toLowerCase(),
+            timeZone: row.timeZone
+        };
+        Object.keys(fields).forEach((field) => { if (fields[field] === undefined) delete fields[field]; });
+
+        return { line, fields };
+    });
+
+    return { entries };
+}
+
+module.exports = {
+    CSV_IMPORT_COLUMNS,
+    parseCsv,
+    csvToReadings
+};
@@ -0,0 +1,86 @@
+// Readings from HL7 FHIR: a Bundle (any type) or a single Observation. Heart-rate Observations
+// (LOINC 8867-4) become readings; other resources, such as the Patient of an exported bundle, are
+// ignored, and Observations of anything else are reported as rejected. No database access happens here.
+
+const { ACTIVITY_CONTEXTS } = require('../ecg/classification');
+const { LOINC_SYSTEM, LOINC_HEART_RATE, URI_SYSTEM } = require('../export/fhir');
+
+// Observation statuses that describe a real measurement
+const IMPORT_STATUSES = ['final', 'amended', 'corrected', 'preliminary'];
+
+// UCUM code and unit texts of beats per minute
+const PER_MINUTE = ['/min', '{beats}/min', 'beats/minute', 'beats/min', 'bpm'];
+
+const UUID_URN = /^urn:uuid:([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})$/i;
+
+function isHeartRate(observation) {
+    const codings = (observation.code && Array.isArray(observation.code.coding)) ? observation.code.coding : [];
+    return codings.some((coding) => coding && coding.system === LOINC_SYSTEM && coding.code === LOINC_HEART_RATE);
+}
+
+// Client-generated reading id, as written by the export (identifier urn:uuid:<clientId>)
+function clientIdOf(observation) {
+    const identifiers = Array.isArray(observation.identifier) ? observation.identifier : [];
+    const match = identifiers
+        .filter((identifier) => identifier && identifier.system === URI_SYSTEM)
+        .map((identifier) => UUID_URN.exec(String(identifier.value)))
+        .find(Boolean);
+    return match ? match[1] : undefined;
+}
+
+function effectiveTime(observation) {
+    if (observation.effectiveDateTime !== undefined) return observation.effectiveDateTime;
+    if (observation.effectiveInstant !== undefined) return observation.effectiveInstant;
+    return observation.effectivePeriod ? observation.effectivePeriod.start : undefined;
+}
+
+// { fields } for a heart-rate Observation, or { code, params } when it cannot be imported
+function readObservation(observation) {
+    if (!isHeartRate(observation)) return { code: 'IMPORT_NOT_HEART_RATE', params: {} };
+    if (!IMPORT_STATUSES.includes(observation.status)) {
+        return { code: 'IMPORT_STATUS_NOT_ACCEPTED', params: { status: String(observation.status) } };
+    }
+
+    const quantity = observation.valueQuantity || {};
+    const unit = quantity.code || quantity.unit;
+    if (unit !== undefined && !PER_MINUTE.includes(String(unit).toLowerCase())) {
+        return { code: 'IMPORT_UNIT_INVALID', params: { unit: String(unit) } };
+    }
+
+    // The export keeps the activity as the method; methods of other sources are not activities
+    const method = observation.method && typeof observation.method.text === 'string' ? observation.method.text.toLowerCase() : undefined;
+
+    const fields = {
+        clientId: clientIdOf(observation),
+        recordedAt: effectiveTime(observation),
+        bpm: quantity.value,
+        activity: ACTIVITY_CONTEXTS.includes(method) ? method : undefined
+    };
+    Object.keys(fields).forEach((field) => { if (fields[field] === undefined) delete fields[field]; });
+    return { fields };
+}
+
+// One entry per Observation: { entry, fields } or { entry, code, params }, entry being its index
+// in Bundle.entry (0 for a single Observation). Returns { error } or { entries }.
+function fhirToReadings(document) {
+    let resources;
+    if (document.resourceType === 'Observation') {
+        resources = [document];
+    } else if (document.resourceType === 'Bundle' && Array.isArray(document.entry)) {
+        resources = document.entry.map((item) => (item && item.resource) || null);
+    } else {
+        return { error: 'expected a FHIR Bundle with entries or an Observation' };
+    }
+
+    const entries = [];
+    resources.forEach((resource, entry) => {
+        if (resource && resource.resourceType === 'Observation') entries.push({ entry, ...readObservation(resource) });
+    });
+
+    if (entries.length === 0) return { error: 'the bundle has no Observations' };
+    return { entries };
+}
+
+module.exports = {
+    fhirToReadings
+};
@@ -0,0 +1,63 @@
+// Account deletion: a requested deletion waits for a grace period (the user can cancel it),
+// then the purge worker deletes the account with all its data and records it in the audit.
+
+const ACCOUNT_DELETION_GRACE_DAYS = parseFloat(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+const ACCOUNT_PURGE_INTERVAL_MS = parseInt(process.env.ACCOUNT_PURGE_INTERVAL_MS, 10) || 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PURGE_BATCH_SIZE = 50;
+
+// When an account whose deletion is requested now gets deleted
+function deletionDate(now = new Date()) {
+    return new Date(now.getTime() + ACCOUNT_DELETION_GRACE_DAYS * DAY_MS);
+}
+
+let purging = false;
+
+// Delete every account whose grace period is over. onDeleted(record) runs after each deletion.
+async function purgeDueAccounts(storage, { onDeleted } = {}) {
+    if (purging) return;
+    purging = true;
+
+    try {
+        for (;;) {
+            const userIds = await storage.accounts.listDueDeletions(PURGE_BATCH_SIZE);
+            let deleted = 0;
+
+            for (const userId of userIds) {
+                try {
+                    // Null when the deletion was cancelled since the list was read
+                    const record = await storage.transaction((repos) => repos.accounts.deleteAccount(userId));
+                    if (!record) continue;
+
+                    deleted++;
+                    console.log('🗑️ Account', record.user_id, 'deleted with', record.ecg_result_count, 'ECG results');
+                    if (onDeleted) onDeleted(record);
+                } catch (error) {
+                    console.error('❌ Account deletion failed for user', userId, ':', error);
+                }
+            }
+
+            // A full batch may have more behind it, unless nothing in it could be deleted
+            if (userIds.length < PURGE_BATCH_SIZE || deleted === 0) break;
+        }
+    } catch (error) {
+        console.error('❌ Account purge run failed:', error);
+    } finally {
+        purging = false;
+    }
+}
+
+function startAccountPurgeWorker(storage, options) {
+    purgeDueAccounts(storage, options);
+    const timer = setInterval(() => purgeDueAccounts(storage, options), ACCOUNT_PURGE_INTERVAL_MS);
+    timer.unref();
+    return () => clearInterval(timer);
+}
+
+module.exports = {
+    ACCOUNT_DELETION_GRACE_DAYS,
+    deletionDate,
+    purgeDueAccounts,
+    startAccountPurgeWorker
+};
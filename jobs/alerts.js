@@ -0,0 +1,214 @@
+// Alerts on saved readings and their webhook deliveries.
+//
+// raiseAlerts() runs the user's enabled rules against a new result. Every match is stored as an
+// alert and queued for each enabled webhook of the user, in one transaction. The worker sends due
+// deliveries as signed JSON POSTs, retries failures with exponential backoff and logs every attempt.
+// Deliveries are claimed with a lease, so a delivery is not sent twice while an attempt is running.
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { matchAlertRule } = require('../ecg/alerts');
+const { isAllowedWebhookUrl, lookupPublicAddress } = require('../utils/webhookTargets');
+
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+const WEBHOOK_RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 30000;
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+const WEBHOOK_POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS, 10) || 5000;
+
+// Longest wait between two attempts
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+const CLAIM_BATCH_SIZE = 20;
+const LEASE_MS = WEBHOOK_TIMEOUT_MS + 30000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Wait before the next attempt after `attempt` failed ones: base, 2 × base, 4 × base, ...
+function retryDelay(attempt) {
+    return Math.min(WEBHOOK_RETRY_BASE_MS * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+}
+
+// Shared secret of a new webhook, returned to its owner once
+function generateWebhookSecret() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+// Hex HMAC-SHA256 of "<timestamp>.<body>", sent as X-ECG-Signature: t=<timestamp>,v1=<signature>
+function signPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function buildPayload(row) {
+    return {
+        event: 'alert.created',
+        alert: {
+            id: row.alert_id,
+            userId: row.user_id,
+            username: row.username,
+            ruleId: row.rule_id,
+            type: row.rule_type,
+            ecgResultId: row.ecg_result_id,
+            bpm: row.bpm,
+            status: row.status,
+            kondisi: row.kondisi,
+            recordedAt: row.recorded_at,
+            details: row.details,
+            createdAt: row.alert_created_at
+        }
+    };
+}
+
+// POST a JSON body; resolves with the response status code, rejects on network errors, timeouts and
+// targets in private networks (see utils/webhookTargets.js)
+function postJson(url, body, headers) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        if (!isAllowedWebhookUrl(url)) {
+            return reject(new Error(`${target.hostname} is a local or private address, which webhooks may not target`));
+        }
+
+        const request = (target.protocol === 'https:' ? https : http).request(target, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+            timeout: WEBHOOK_TIMEOUT_MS,
+            lookup: lookupPublicAddress
+        }, (response) => {
+            response.resume();
+            response.on('end', () => resolve(response.statusCode));
+        });
+        request.on('timeout', () => request.destroy(new Error(`No response within ${WEBHOOK_TIMEOUT_MS} ms`)));
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+// One attempt of one delivery; a 2xx response counts as delivered
+async function sendDelivery(storage, row) {
+    const attempt = row.attempts + 1;
+    const body = JSON.stringify(buildPayload(row));
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+
+    let statusCode = null;
+    let error = null;
+    try {
+        statusCode = await postJson(row.url, body, {
+            'User-Agent': 'ecg-heartbeat-api',
+            'X-ECG-Event': 'alert.created',
+            'X-ECG-Delivery': String(row.delivery_id),
+            'X-ECG-Signature': `t=${timestamp},v1=${signPayload(row.secret, timestamp, body)}`
+        });
+        if (statusCode < 200 || statusCode >= 300) error = `HTTP ${statusCode}`;
+    } catch (requestError) {
+        error = requestError.message;
+    }
+
+    const delivered = error === null;
+    const nextAttemptAt = delivered || attempt >= WEBHOOK_MAX_ATTEMPTS ? null : new Date(Date.now() + retryDelay(attempt));
+
+    await storage.webhooks.recordAttempt(row.delivery_id, {
+        attempt,
+        statusCode,
+        error,
+        durationMs: Date.now() - started,
+        delivered,
+        nextAttemptAt
+    });
+
+    if (delivered) {
+        console.log('📨 Webhook delivery', row.delivery_id, 'of alert', row.alert_id, 'delivered on attempt', attempt);
+    } else if (nextAttemptAt) {
+        console.log('⚠️ Webhook delivery', row.delivery_id, 'attempt', attempt, 'failed:', error, '- retrying at', nextAttemptAt.toISOString());
+    } else {
+        console.error('❌ Webhook delivery', row.delivery_id, 'failed after', attempt, 'attempts:', error);
+    }
+}
+
+let delivering = false;
+let runAgain = false;
+
+// Send every due delivery. A call while a run is in progress makes that run check once more.
+async function deliverDueWebhooks(storage) {
+    if (delivering) {
+        runAgain = true;
+        return;
+    }
+    delivering = true;
+
+    try {
+        do {
+            runAgain = false;
+            for (;;) {
+                const rows = await storage.webhooks.claimDue({ limit: CLAIM_BATCH_SIZE, leaseMs: LEASE_MS });
+                if (rows.length === 0) break;
+                await Promise.all(rows.map((row) => sendDelivery(storage, row)));
+            }
+        } while (runAgain);
+    } catch (error) {
+        console.error('❌ Webhook delivery run failed:', error);
+    } finally {
+        delivering = false;
+    }
+}
+
+// Poll for due deliveries (retries, and deliveries left over from before a restart)
+function startWebhookWorker(storage) {
+    deliverDueWebhooks(storage);
+    const timer = setInterval(() => deliverDueWebhooks(storage), WEBHOOK_POLL_INTERVAL_MS);
+    timer.unref();
+    return () => clearInterval(timer);
+}
+
+// Run the user's enabled rules against a newly stored result and queue the matches for delivery.
+// Returns the alerts raised.
+async function raiseAlerts(storage, result) {
+    const rules = await storage.alerts.listEnabledRules(result.user_id);
+    const alerts = [];
+
+    for (const rule of rules) {
+        const context = {};
+
+        if (rule.type === 'abnormal_count') {
+            if (result.status !== 'Abnormal') continue;
+            const windowStart = new Date(new Date(result.recorded_at).getTime() - rule.window_hours * HOUR_MS);
+            // At most one alert per window: none while the reading of the last one is still inside it
+            if (await storage.alerts.hasAlertSince(rule.id, windowStart)) continue;
+            context.abnormalCount = await storage.ecgResults.countAbnormalBetween(result.user_id, windowStart, result.recorded_at);
+        }
+
+        const details = matchAlertRule(rule, result, context);
+        if (!details) continue;
+
+        const alert = await storage.transaction(async (repos) => {
+            const created = await repos.alerts.create({
+                userId: result.user_id,
+                ruleId: rule.id,
+                ruleType: rule.type,
+                resultId: result.id,
+                bpm: result.bpm,
+                status: result.status,
+                kondisi: result.kondisi,
+                recordedAt: result.recorded_at,
+                details
+            });
+            await repos.webhooks.enqueueDeliveries(created.id, result.user_id);
+            return created;
+        });
+        alerts.push(alert);
+    }
+
+    if (alerts.length > 0) {
+        console.log('🚨 ECG result', result.id, 'raised', alerts.length, 'alert(s):', alerts.map((alert) => alert.rule_type).join(', '));
+        deliverDueWebhooks(storage);
+    }
+
+    return alerts;
+}
+
+module.exports = {
+    WEBHOOK_MAX_ATTEMPTS,
+    generateWebhookSecret,
+    signPayload,
+    raiseAlerts,
+    deliverDueWebhooks,
+    startWebhookWorker
+};
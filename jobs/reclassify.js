@@ -0,0 +1,136 @@
+// Re-run BPM classification over stored ecg_results.
+//
+// Rows are read in id order in small batches; each batch is applied in its own short
+// transaction together with its audit rows and the job cursor, so a job never holds
+// locks for long and continues from the last committed batch after an interruption.
+
+const { classifyBpm, CURRENT_RULE_SET_VERSION } = require('../ecg/classification');
+
+const BATCH_SIZE = parseInt(process.env.RECLASSIFY_BATCH_SIZE, 10) || 500;
+
+// Jobs being processed by this process
+const runningJobs = new Set();
+
+// Classify one stored row again; returns the diff, or null when status / kondisi stay the same
+function reclassifyRow(row, ruleSetVersion) {
+    // Prefer the age recorded when the reading was classified
+    const recordedAge = row.classification_details && row.classification_details.age;
+    const classification = classifyBpm(row.bpm, {
+        age: recordedAge !== undefined && recordedAge !== null ? recordedAge : row.age,
+        gender: row.gender,
+        activity: row.activity_context,
+        thresholds: row.low_bpm !== null || row.high_bpm !== null
+            ? { low_bpm: row.low_bpm, high_bpm: row.high_bpm }
+            : null
+    }, ruleSetVersion);
+
+    if (classification.status === row.status && classification.kondisi === row.kondisi) {
+        return null;
+    }
+
+    return {
+        ecgResultId: row.id,
+        userId: row.user_id,
+        bpm: row.bpm,
+        before: { status: row.status, kondisi: row.kondisi, ruleSetVersion: row.rule_set_version },
+        after: { status: classification.status, kondisi: classification.kondisi, ruleSetVersion: classification.ruleSetVersion },
+        details: classification.details
+    };
+}
+
+// Dry run: walk the whole scope and report what would change, without writing anything
+async function previewReclassification(storage, { userId = null, ruleSetVersion = CURRENT_RULE_SET_VERSION, limit = 100 } = {}) {
+    const changes = [];
+    let scanned = 0;
+    let changed = 0;
+    let afterId = 0;
+
+    for (;;) {
+        const rows = await storage.reclassification.fetchBatch({ userId, afterId, limit: BATCH_SIZE });
+        if (rows.length === 0) break;
+
+        for (const row of rows) {
+            const diff = reclassifyRow(row, ruleSetVersion);
+            if (diff) {
+                changed++;
+                if (changes.length < limit) changes.push(diff);
+            }
+        }
+
+        scanned += rows.length;
+        afterId = rows[rows.length - 1].id;
+    }
+
+    return { ruleSetVersion, userId, scanned, changed, changes, truncated: changed > changes.length };
+}
+
+async function applyBatch(storage, job, rows) {
+    const diffs = rows.map((row) => reclassifyRow(row, job.rule_set_version)).filter(Boolean);
+    const progress = { ...job };
+
+    await storage.transaction(async ({ reclassification }) => {
+        for (const diff of diffs) {
+            if (await reclassification.applyChange(diff, job)) progress.changed_count++;
+        }
+
+        progress.processed_count += rows.length;
+        progress.last_processed_id = rows[rows.length - 1].id;
+
+        await reclassification.updateJobProgress(progress);
+    });
+
+    // Only move the in-memory cursor once the batch is committed
+    Object.assign(job, progress);
+}
+
+// Process a job from its cursor to the end. Safe to call again after a failure or restart.
+async function runJob(storage, jobId) {
+    if (runningJobs.has(jobId)) return;
+    runningJobs.add(jobId);
+
+    try {
+        const job = await storage.reclassification.claimJob(jobId);
+        if (!job) return;
+
+        console.log('🔁 Reclassification job', job.id, 'started from id', job.last_processed_id);
+
+        for (;;) {
+            const rows = await storage.reclassification.fetchBatch({
+                userId: job.user_id,
+                afterId: job.last_processed_id,
+                limit: BATCH_SIZE
+            });
+            if (rows.length === 0) break;
+
+            await applyBatch(storage, job, rows);
+
+            // Let other requests run between batches
+            await new Promise((resolve) => setImmediate(resolve));
+        }
+
+        await storage.reclassification.completeJob(job.id);
+
+        console.log('✅ Reclassification job', job.id, 'completed:', job.processed_count, 'scanned,', job.changed_count, 'changed');
+
+    } catch (error) {
+        console.error('❌ Reclassification job', jobId, 'failed:', error);
+        await storage.reclassification.failJob(jobId, error.message).catch(() => {});
+    } finally {
+        runningJobs.delete(jobId);
+    }
+}
+
+// Pick up jobs that were still running when the process stopped
+async function resumeInterruptedJobs(storage) {
+    for (const id of await storage.reclassification.listRunningJobIds()) {
+        console.log('🔁 Resuming interrupted reclassification job', id);
+        await runJob(storage, id);
+    }
+}
+
+module.exports = {
+    BATCH_SIZE,
+    previewReclassification,
+    runJob,
+    resumeInterruptedJobs
+};
@@ -0,0 +1,55 @@
+// ECG trash: deleted results stay restorable for ECG_TRASH_RETENTION_DAYS, then the purge worker
+// deletes them for good, logging each one as ecg.purge by the system.
+
+const { SYSTEM_ACTOR, ecgAuditEntries } = require('../utils/audit');
+
+const ECG_TRASH_RETENTION_DAYS = parseFloat(process.env.ECG_TRASH_RETENTION_DAYS) || 30;
+const ECG_TRASH_PURGE_INTERVAL_MS = parseInt(process.env.ECG_TRASH_PURGE_INTERVAL_MS, 10) || 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PURGE_BATCH_SIZE = 500;
+
+// When a result moved to the trash at deletedAt is deleted for good
+function trashPurgeDate(deletedAt) {
+    return new Date(new Date(deletedAt).getTime() + ECG_TRASH_RETENTION_DAYS * DAY_MS);
+}
+
+let purging = false;
+
+// Delete every result that has been in the trash longer than the retention period
+async function purgeExpiredTrash(storage) {
+    if (purging) return;
+    purging = true;
+
+    try {
+        const deletedBefore = new Date(Date.now() - ECG_TRASH_RETENTION_DAYS * DAY_MS);
+        for (;;) {
+            const purged = await storage.transaction(async (repos) => {
+                const rows = await repos.ecgResults.purgeExpiredTrash(deletedBefore, PURGE_BATCH_SIZE);
+                await repos.audit.record(ecgAuditEntries(SYSTEM_ACTOR, 'ecg.purge', rows));
+                return rows;
+            });
+
+            if (purged.length > 0) console.log('🗑️ Purged', purged.length, 'ECG results from the trash');
+            if (purged.length < PURGE_BATCH_SIZE) break;
+        }
+    } catch (error) {
+        console.error('❌ ECG trash purge failed:', error);
+    } finally {
+        purging = false;
+    }
+}
+
+function startTrashPurgeWorker(storage) {
+    purgeExpiredTrash(storage);
+    const timer = setInterval(() => purgeExpiredTrash(storage), ECG_TRASH_PURGE_INTERVAL_MS);
+    timer.unref();
+    return () => clearInterval(timer);
+}
+
+module.exports = {
+    ECG_TRASH_RETENTION_DAYS,
+    trashPurgeDate,
+    purgeExpiredTrash,
+    startTrashPurgeWorker
+};
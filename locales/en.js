@@ -0,0 +1,192 @@
+// English messages, keyed by the stable codes returned in API responses
+
+module.exports = {
+    types: {
+        string: 'text',
+        integer: 'a whole number',
+        number: 'a number',
+        boolean: 'true or false',
+        array: 'a list',
+        object: 'an object'
+    },
+
+    messages: {
+        // Field errors (errors[].code)
+        REQUIRED: '{field} is required',
+        INVALID_TYPE: '{field} must be {expected}',
+        TOO_SHORT: '{field} must be at least {min} characters long',
+        TOO_LONG: '{field} must be at most {max} characters long',
+        TOO_SMALL: '{field} must be at least {min}',
+        TOO_LARGE: '{field} must be at most {max}',
+        TOO_FEW_ITEMS: '{field} must contain at least {min} item(s)',
+        TOO_MANY_ITEMS: '{field} must contain at most {max} items',
+        INVALID_FORMAT: '{field} has an invalid format',
+        INVALID_CHOICE: '{field} must be one of: {values}',
+        INVALID_DATE: '{field} must be a date in YYYY-MM-DD format',
+        INVALID_TIME_ZONE: '{field} must be an IANA time zone such as Asia/Jakarta',
+        INVALID_UUID: '{field} must be a UUID',
+        INVALID_TIMESTAMP: '{field} must be epoch milliseconds or an ISO 8601 time with offset (e.g. 2024-05-01T19:30:00+07:00), not in the future',
+        INVALID_WAVEFORM: 'Invalid waveform: {reason}',
+        INVALID_CURSOR: '{field} is not valid for this sort order',
+        INVALID_RULE_SET: '{field} is not a known rule set version',
+        INVALID_RANGE: '{field} must not be greater than {other}',
+        MUST_BE_LOWER: '{field} must be lower than {other}',
+        AT_LEAST_ONE_REQUIRED: 'At least one of {fields} is required',
+        BPM_OR_WAVEFORM_REQUIRED: 'BPM (or a waveform) is required',
+        ONLY_WHEN_OVERRIDDEN: '{field} is only accepted with verdict overridden',
+        INVALID_URL: '{field} must be an http(s) URL',
+        WEBHOOK_TARGET_NOT_ALLOWED: '{field} must not point to localhost or a private, loopback or link-local address',
+        NOT_USED_BY_RULE_TYPE: '{field} is not used by {type} rules',
+        NOT_USED_WITH_FORMAT: '{field} is not used with format {format}',
+        COLUMN_NOT_FOUND: 'Column "{column}" for {field} is not in the CSV header',
+
+        // Response codes
+        VALIDATION_FAILED: 'The request contains invalid data',
+        INVALID_JSON: 'The request body is not valid JSON',
+        PAYLOAD_TOO_LARGE: 'The request body is too large',
+        AUTH_REQUIRED: 'Authentication required',
+        TOKEN_INVALID: 'Invalid or expired token',
+        SESSION_REVOKED: 'Session expired or revoked',
+        INSUFFICIENT_PERMISSIONS: 'Insufficient permissions',
+        USER_ACCESS_DENIED: 'Access to this user is not allowed',
+        INVALID_CREDENTIALS: 'Wrong username or password',
+        RATE_LIMITED: 'Too many requests, try again in {seconds} seconds',
+        ACCOUNT_LOCKED: 'Too many failed login attempts, try again in {seconds} seconds',
+        REFRESH_TOKEN_INVALID: 'Invalid or expired refresh token',
+        USERNAME_TAKEN: 'Username is already taken',
+        USER_NOT_FOUND: 'User not found',
+        OLD_PASSWORD_INCORRECT: 'Old password is incorrect',
+        PROFILE_UPDATE_FAILED: 'Failed to update user profile',
+        ECG_RECORD_NOT_FOUND: 'ECG record not found or does not belong to user',
+        ECG_RESULT_DELETED: 'ECG result with this clientId was deleted',
+        TRASH_RECORD_NOT_FOUND: 'ECG record not found in the trash',
+        BPM_UNDETERMINED: 'Could not determine BPM from the waveform, please send the measured BPM',
+        WAVEFORM_NOT_FOUND: 'Waveform not found for this ECG record',
+        LEAD_NOT_FOUND: 'Lead {lead} not found in this waveform',
+        JOB_NOT_FOUND: 'Reclassification job not found',
+        JOB_ALREADY_COMPLETED: 'Reclassification job already completed',
+        GRANT_SELF: 'You cannot share your data with yourself',
+        GRANTEE_NOT_FOUND: 'There is no clinician or caregiver account with this username',
+        GRANT_EXISTS: 'This user already has access or a pending invitation',
+        GRANT_NOT_FOUND: 'Care grant not found',
+        GRANT_NOT_PENDING: 'This invitation has already been answered or revoked',
+        GRANT_NOT_ACTIVE: 'This care grant has already ended',
+        REVIEW_NOT_FOUND: 'Review not found for this ECG record',
+        REVIEW_EDIT_DENIED: 'Only the author can edit a review',
+        ALERT_RULE_NOT_FOUND: 'Alert rule not found',
+        WEBHOOK_NOT_FOUND: 'Webhook not found',
+        LIVE_SESSION_NOT_FOUND: 'Live session not found or already ended',
+        LIVE_SESSION_ACTIVE: 'This user already has a live session in progress',
+        LIVE_SESSIONS_FULL: 'Too many live sessions are running, try again later',
+        LIVE_DATA_INVALID: 'Invalid live data: {reason}',
+        LIVE_SESSION_EMPTY: 'The live session has no samples or beats to save',
+        IMPORT_FILE_INVALID: 'The import file could not be read: {reason}',
+        IMPORT_TOO_LARGE: 'An import holds at most {max} readings',
+        IMPORT_NOT_HEART_RATE: 'Not a heart-rate Observation (LOINC 8867-4)',
+        IMPORT_STATUS_NOT_ACCEPTED: 'Observations with status {status} are not imported',
+        IMPORT_UNIT_INVALID: '{unit} is not a heart-rate unit (beats per minute)',
+        PASSWORD_INCORRECT: 'Password is incorrect',
+        ACCOUNT_DELETION_PENDING: 'Deletion of this account is already scheduled for {scheduledFor}',
+        ACCOUNT_DELETION_NOT_FOUND: 'No deletion is pending for this account',
+        ENDPOINT_NOT_FOUND: 'Endpoint not found',
+        ENDPOINT_REMOVED: 'This endpoint was removed, use {successor}',
+        INTERNAL_ERROR: 'Internal server error',
+
+        // Success messages
+        USER_REGISTERED: 'User registered successfully',
+        LOGIN_SUCCESS: 'Login successful',
+        LOGOUT_SUCCESS: 'Logout successful',
+        USERNAME_AVAILABLE: 'Username is available',
+        API_WORKING: 'ECG Heartbeat API is working!',
+        TOKEN_REFRESHED: 'Token refreshed successfully',
+        USERS_RETRIEVED: 'Users retrieved successfully',
+        ROLE_UPDATED: 'Role updated successfully',
+        RECLASSIFY_PREVIEW_READY: 'Reclassification preview generated',
+        RECLASSIFY_JOB_STARTED: 'Reclassification job started',
+        RECLASSIFY_JOBS_RETRIEVED: 'Reclassification jobs retrieved successfully',
+        RECLASSIFY_JOB_RETRIEVED: 'Reclassification job retrieved successfully',
+        RECLASSIFY_JOB_RESUMED: 'Reclassification job resumed',
+        AUDIT_LOG_RETRIEVED: 'Audit log retrieved successfully',
+        ACCOUNT_DELETIONS_RETRIEVED: 'Account deletions retrieved successfully',
+        PROFILE_RETRIEVED: 'Profile retrieved successfully',
+        PROFILE_UPDATED: 'Profile updated successfully',
+        ACCOUNT_DELETION_RETRIEVED: 'Account deletion status retrieved successfully',
+        ACCOUNT_DELETION_SCHEDULED: 'Account deletion scheduled',
+        ACCOUNT_DELETION_CANCELLED: 'Account deletion cancelled',
+        ECG_RESULT_ALREADY_SAVED: 'ECG result already saved',
+        ECG_RESULT_SAVED: 'ECG result saved successfully',
+        READINGS_SYNCED: 'Readings synced',
+        ECG_CHANGES_RETRIEVED: 'ECG changes retrieved successfully',
+        READINGS_IMPORTED: 'Readings imported',
+        ECG_HISTORY_RETRIEVED: 'ECG history retrieved successfully',
+        ECG_STATS_RETRIEVED: 'ECG statistics retrieved successfully',
+        WAVEFORM_SAVED: 'Waveform saved successfully',
+        WAVEFORM_RETRIEVED: 'Waveform retrieved successfully',
+        RULE_SETS_RETRIEVED: 'Rule sets retrieved successfully',
+        THRESHOLDS_SAVED: 'Thresholds saved successfully',
+        THRESHOLDS_RETRIEVED: 'Thresholds retrieved successfully',
+        THRESHOLDS_REMOVED: 'Thresholds removed successfully',
+        THRESHOLDS_NOT_SET: 'No custom thresholds set',
+        HRV_TREND_RETRIEVED: 'HRV trend retrieved successfully',
+        ECG_RECORDS_DELETED: 'Successfully deleted {count} ECG records',
+        ECG_RECORD_DELETED: 'Successfully deleted ECG record',
+        ECG_TRASH_RETRIEVED: 'ECG trash retrieved successfully',
+        ECG_RECORDS_RESTORED: 'Successfully restored {count} ECG records',
+        ECG_RECORDS_PURGED: 'Permanently deleted {count} ECG records',
+        ECG_RECORD_PURGED: 'Permanently deleted ECG record',
+        LIVE_SESSION_STARTED: 'Live session started',
+        LIVE_SESSIONS_RETRIEVED: 'Live sessions retrieved successfully',
+        LIVE_DATA_RECEIVED: 'Live data received',
+        LIVE_SESSION_SAVED: 'Live session saved successfully',
+        LIVE_SESSION_CANCELLED: 'Live session cancelled',
+        REVIEWS_RETRIEVED: 'Reviews retrieved successfully',
+        REVIEW_SAVED: 'Review saved successfully',
+        REVIEW_UPDATED: 'Review updated successfully',
+        ALERT_RULES_RETRIEVED: 'Alert rules retrieved successfully',
+        ALERT_RULE_CREATED: 'Alert rule created successfully',
+        ALERT_RULE_UPDATED: 'Alert rule updated successfully',
+        ALERT_RULE_DELETED: 'Alert rule deleted successfully',
+        WEBHOOKS_RETRIEVED: 'Webhooks retrieved successfully',
+        WEBHOOK_REGISTERED: 'Webhook registered successfully',
+        WEBHOOK_DELETED: 'Webhook deleted successfully',
+        WEBHOOK_DELIVERIES_RETRIEVED: 'Webhook deliveries retrieved successfully',
+        ALERTS_RETRIEVED: 'Alerts retrieved successfully',
+        INVITATION_SENT: 'Invitation sent successfully',
+        CARE_GRANTS_RETRIEVED: 'Care grants retrieved successfully',
+        CARE_GRANT_REVOKED: 'Care grant revoked successfully',
+        INVITATIONS_RETRIEVED: 'Invitations retrieved successfully',
+        INVITATION_ACCEPTED: 'Invitation accepted',
+        INVITATION_DECLINED: 'Invitation declined',
+        PATIENTS_RETRIEVED: 'Patients retrieved successfully',
+
+        // Report labels (PDF export)
+        REPORT_TITLE: 'ECG History Report',
+        REPORT_GENERATED: 'Generated {date}',
+        REPORT_PATIENT: 'Patient',
+        REPORT_USERNAME: 'Username',
+        REPORT_AGE: 'Age',
+        REPORT_GENDER: 'Gender',
+        REPORT_TIME_ZONE: 'Time zone',
+        REPORT_PERIOD: 'Period',
+        REPORT_ALL_READINGS: 'All readings',
+        REPORT_FILTERS: 'Filters',
+        REPORT_SUMMARY: 'Summary',
+        REPORT_READINGS: 'Readings',
+        REPORT_AVERAGE_BPM: 'Average BPM',
+        REPORT_MIN_MAX_BPM: 'Lowest / highest BPM',
+        REPORT_NORMAL: 'Normal',
+        REPORT_ABNORMAL: 'Abnormal',
+        REPORT_CONDITIONS: 'Conditions',
+        REPORT_TREND: 'BPM trend',
+        REPORT_NORMAL_RANGE: 'Shaded: normal range {low}-{high} bpm',
+        REPORT_NO_READINGS: 'No readings match this period and filters.',
+        REPORT_DATE: 'Date',
+        REPORT_TIME: 'Time',
+        REPORT_BPM: 'BPM',
+        REPORT_STATUS: 'Status',
+        REPORT_CONDITION: 'Condition',
+        REPORT_ACTIVITY: 'Activity',
+        REPORT_REVIEW: 'Clinician review',
+        REPORT_PAGE: 'Page {page} of {pages}'
+    }
+};
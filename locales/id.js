@@ -0,0 +1,192 @@
+// Pesan bahasa Indonesia, dengan kode yang sama seperti locales/en.js
+
+module.exports = {
+    types: {
+        string: 'teks',
+        integer: 'bilangan bulat',
+        number: 'angka',
+        boolean: 'true atau false',
+        array: 'daftar',
+        object: 'objek'
+    },
+
+    messages: {
+        // Kesalahan per field (errors[].code)
+        REQUIRED: '{field} wajib diisi',
+        INVALID_TYPE: '{field} harus berupa {expected}',
+        TOO_SHORT: '{field} minimal {min} karakter',
+        TOO_LONG: '{field} maksimal {max} karakter',
+        TOO_SMALL: '{field} minimal {min}',
+        TOO_LARGE: '{field} maksimal {max}',
+        TOO_FEW_ITEMS: '{field} harus berisi minimal {min} item',
+        TOO_MANY_ITEMS: '{field} berisi maksimal {max} item',
+        INVALID_FORMAT: 'Format {field} tidak valid',
+        INVALID_CHOICE: '{field} harus salah satu dari: {values}',
+        INVALID_DATE: '{field} harus berupa tanggal dengan format YYYY-MM-DD',
+        INVALID_TIME_ZONE: '{field} harus berupa zona waktu IANA, misalnya Asia/Jakarta',
+        INVALID_UUID: '{field} harus berupa UUID',
+        INVALID_TIMESTAMP: '{field} harus berupa epoch milidetik atau waktu ISO 8601 dengan offset (mis. 2024-05-01T19:30:00+07:00), dan tidak di masa depan',
+        INVALID_WAVEFORM: 'Waveform tidak valid: {reason}',
+        INVALID_CURSOR: '{field} tidak valid untuk urutan ini',
+        INVALID_RULE_SET: '{field} bukan versi aturan yang dikenal',
+        INVALID_RANGE: '{field} tidak boleh lebih besar dari {other}',
+        MUST_BE_LOWER: '{field} harus lebih kecil dari {other}',
+        AT_LEAST_ONE_REQUIRED: 'Minimal salah satu dari {fields} wajib diisi',
+        BPM_OR_WAVEFORM_REQUIRED: 'BPM (atau waveform) wajib diisi',
+        ONLY_WHEN_OVERRIDDEN: '{field} hanya diterima dengan verdict overridden',
+        INVALID_URL: '{field} harus berupa URL http(s)',
+        WEBHOOK_TARGET_NOT_ALLOWED: '{field} tidak boleh mengarah ke localhost atau alamat privat, loopback, maupun link-local',
+        NOT_USED_BY_RULE_TYPE: '{field} tidak dipakai oleh aturan {type}',
+        NOT_USED_WITH_FORMAT: '{field} tidak dipakai untuk format {format}',
+        COLUMN_NOT_FOUND: 'Kolom "{column}" untuk {field} tidak ada di header CSV',
+
+        // Kode respons
+        VALIDATION_FAILED: 'Data yang dikirim tidak valid',
+        INVALID_JSON: 'Isi permintaan bukan JSON yang valid',
+        PAYLOAD_TOO_LARGE: 'Isi permintaan terlalu besar',
+        AUTH_REQUIRED: 'Autentikasi diperlukan',
+        TOKEN_INVALID: 'Token tidak valid atau sudah kedaluwarsa',
+        SESSION_REVOKED: 'Sesi sudah berakhir atau dicabut',
+        INSUFFICIENT_PERMISSIONS: 'Hak akses tidak mencukupi',
+        USER_ACCESS_DENIED: 'Tidak diizinkan mengakses data pengguna ini',
+        INVALID_CREDENTIALS: 'Username atau password salah',
+        RATE_LIMITED: 'Terlalu banyak permintaan, coba lagi dalam {seconds} detik',
+        ACCOUNT_LOCKED: 'Terlalu banyak percobaan login yang gagal, coba lagi dalam {seconds} detik',
+        REFRESH_TOKEN_INVALID: 'Refresh token tidak valid atau sudah kedaluwarsa',
+        USERNAME_TAKEN: 'Username sudah digunakan',
+        USER_NOT_FOUND: 'Pengguna tidak ditemukan',
+        OLD_PASSWORD_INCORRECT: 'Password lama salah',
+        PROFILE_UPDATE_FAILED: 'Gagal memperbarui profil pengguna',
+        ECG_RECORD_NOT_FOUND: 'Data EKG tidak ditemukan atau bukan milik pengguna',
+        ECG_RESULT_DELETED: 'Hasil EKG dengan clientId ini sudah dihapus',
+        TRASH_RECORD_NOT_FOUND: 'Data EKG tidak ditemukan di tempat sampah',
+        BPM_UNDETERMINED: 'BPM tidak dapat ditentukan dari waveform, silakan kirim BPM hasil pengukuran',
+        WAVEFORM_NOT_FOUND: 'Waveform untuk data EKG ini tidak ditemukan',
+        LEAD_NOT_FOUND: 'Lead {lead} tidak ada di waveform ini',
+        JOB_NOT_FOUND: 'Job reklasifikasi tidak ditemukan',
+        JOB_ALREADY_COMPLETED: 'Job reklasifikasi sudah selesai',
+        GRANT_SELF: 'Anda tidak dapat berbagi data dengan diri sendiri',
+        GRANTEE_NOT_FOUND: 'Tidak ada akun dokter atau pendamping dengan username ini',
+        GRANT_EXISTS: 'Pengguna ini sudah memiliki akses atau undangan yang menunggu',
+        GRANT_NOT_FOUND: 'Izin akses tidak ditemukan',
+        GRANT_NOT_PENDING: 'Undangan ini sudah dijawab atau dicabut',
+        GRANT_NOT_ACTIVE: 'Izin akses ini sudah berakhir',
+        REVIEW_NOT_FOUND: 'Tinjauan tidak ditemukan untuk rekaman EKG ini',
+        REVIEW_EDIT_DENIED: 'Hanya penulis yang dapat mengubah tinjauan',
+        ALERT_RULE_NOT_FOUND: 'Aturan peringatan tidak ditemukan',
+        WEBHOOK_NOT_FOUND: 'Webhook tidak ditemukan',
+        LIVE_SESSION_NOT_FOUND: 'Sesi live tidak ditemukan atau sudah berakhir',
+        LIVE_SESSION_ACTIVE: 'Pengguna ini masih memiliki sesi live yang berjalan',
+        LIVE_SESSIONS_FULL: 'Terlalu banyak sesi live yang berjalan, coba lagi nanti',
+        LIVE_DATA_INVALID: 'Data live tidak valid: {reason}',
+        LIVE_SESSION_EMPTY: 'Sesi live belum memiliki sampel atau detak untuk disimpan',
+        IMPORT_FILE_INVALID: 'File impor tidak dapat dibaca: {reason}',
+        IMPORT_TOO_LARGE: 'Satu impor berisi paling banyak {max} bacaan',
+        IMPORT_NOT_HEART_RATE: 'Bukan Observation detak jantung (LOINC 8867-4)',
+        IMPORT_STATUS_NOT_ACCEPTED: 'Observation dengan status {status} tidak diimpor',
+        IMPORT_UNIT_INVALID: '{unit} bukan satuan detak jantung (denyut per menit)',
+        PASSWORD_INCORRECT: 'Password salah',
+        ACCOUNT_DELETION_PENDING: 'Penghapusan akun ini sudah dijadwalkan pada {scheduledFor}',
+        ACCOUNT_DELETION_NOT_FOUND: 'Tidak ada penghapusan yang tertunda untuk akun ini',
+        ENDPOINT_NOT_FOUND: 'Endpoint tidak ditemukan',
+        ENDPOINT_REMOVED: 'Endpoint ini sudah dihapus, gunakan {successor}',
+        INTERNAL_ERROR: 'Terjadi kesalahan pada server',
+
+        // Pesan sukses
+        USER_REGISTERED: 'User berhasil didaftarkan',
+        LOGIN_SUCCESS: 'Login berhasil',
+        LOGOUT_SUCCESS: 'Logout berhasil',
+        USERNAME_AVAILABLE: 'Username tersedia',
+        API_WORKING: 'ECG Heartbeat API berjalan!',
+        TOKEN_REFRESHED: 'Token berhasil diperbarui',
+        USERS_RETRIEVED: 'Daftar user berhasil diambil',
+        ROLE_UPDATED: 'Peran berhasil diubah',
+        RECLASSIFY_PREVIEW_READY: 'Pratinjau reklasifikasi berhasil dibuat',
+        RECLASSIFY_JOB_STARTED: 'Job reklasifikasi dimulai',
+        RECLASSIFY_JOBS_RETRIEVED: 'Daftar job reklasifikasi berhasil diambil',
+        RECLASSIFY_JOB_RETRIEVED: 'Job reklasifikasi berhasil diambil',
+        RECLASSIFY_JOB_RESUMED: 'Job reklasifikasi dilanjutkan',
+        AUDIT_LOG_RETRIEVED: 'Log audit berhasil diambil',
+        ACCOUNT_DELETIONS_RETRIEVED: 'Daftar penghapusan akun berhasil diambil',
+        PROFILE_RETRIEVED: 'Profil berhasil diambil',
+        PROFILE_UPDATED: 'Profil berhasil diperbarui',
+        ACCOUNT_DELETION_RETRIEVED: 'Status penghapusan akun berhasil diambil',
+        ACCOUNT_DELETION_SCHEDULED: 'Penghapusan akun dijadwalkan',
+        ACCOUNT_DELETION_CANCELLED: 'Penghapusan akun dibatalkan',
+        ECG_RESULT_ALREADY_SAVED: 'Hasil EKG sudah tersimpan',
+        ECG_RESULT_SAVED: 'Hasil EKG berhasil disimpan',
+        READINGS_SYNCED: 'Pengukuran berhasil disinkronkan',
+        ECG_CHANGES_RETRIEVED: 'Perubahan EKG berhasil diambil',
+        READINGS_IMPORTED: 'Pengukuran berhasil diimpor',
+        ECG_HISTORY_RETRIEVED: 'Riwayat EKG berhasil diambil',
+        ECG_STATS_RETRIEVED: 'Statistik EKG berhasil diambil',
+        WAVEFORM_SAVED: 'Waveform berhasil disimpan',
+        WAVEFORM_RETRIEVED: 'Waveform berhasil diambil',
+        RULE_SETS_RETRIEVED: 'Daftar aturan klasifikasi berhasil diambil',
+        THRESHOLDS_SAVED: 'Ambang batas berhasil disimpan',
+        THRESHOLDS_RETRIEVED: 'Ambang batas berhasil diambil',
+        THRESHOLDS_REMOVED: 'Ambang batas berhasil dihapus',
+        THRESHOLDS_NOT_SET: 'Belum ada ambang batas khusus',
+        HRV_TREND_RETRIEVED: 'Tren HRV berhasil diambil',
+        ECG_RECORDS_DELETED: 'Berhasil menghapus {count} data EKG',
+        ECG_RECORD_DELETED: 'Data EKG berhasil dihapus',
+        ECG_TRASH_RETRIEVED: 'Isi tempat sampah EKG berhasil diambil',
+        ECG_RECORDS_RESTORED: 'Berhasil memulihkan {count} data EKG',
+        ECG_RECORDS_PURGED: '{count} data EKG dihapus permanen',
+        ECG_RECORD_PURGED: 'Data EKG dihapus permanen',
+        LIVE_SESSION_STARTED: 'Sesi live dimulai',
+        LIVE_SESSIONS_RETRIEVED: 'Daftar sesi live berhasil diambil',
+        LIVE_DATA_RECEIVED: 'Data live diterima',
+        LIVE_SESSION_SAVED: 'Sesi live berhasil disimpan',
+        LIVE_SESSION_CANCELLED: 'Sesi live dibatalkan',
+        REVIEWS_RETRIEVED: 'Daftar tinjauan berhasil diambil',
+        REVIEW_SAVED: 'Tinjauan berhasil disimpan',
+        REVIEW_UPDATED: 'Tinjauan berhasil diperbarui',
+        ALERT_RULES_RETRIEVED: 'Daftar aturan peringatan berhasil diambil',
+        ALERT_RULE_CREATED: 'Aturan peringatan berhasil dibuat',
+        ALERT_RULE_UPDATED: 'Aturan peringatan berhasil diperbarui',
+        ALERT_RULE_DELETED: 'Aturan peringatan berhasil dihapus',
+        WEBHOOKS_RETRIEVED: 'Daftar webhook berhasil diambil',
+        WEBHOOK_REGISTERED: 'Webhook berhasil didaftarkan',
+        WEBHOOK_DELETED: 'Webhook berhasil dihapus',
+        WEBHOOK_DELIVERIES_RETRIEVED: 'Riwayat pengiriman webhook berhasil diambil',
+        ALERTS_RETRIEVED: 'Daftar peringatan berhasil diambil',
+        INVITATION_SENT: 'Undangan berhasil dikirim',
+        CARE_GRANTS_RETRIEVED: 'Daftar izin akses berhasil diambil',
+        CARE_GRANT_REVOKED: 'Izin akses berhasil dicabut',
+        INVITATIONS_RETRIEVED: 'Daftar undangan berhasil diambil',
+        INVITATION_ACCEPTED: 'Undangan diterima',
+        INVITATION_DECLINED: 'Undangan ditolak',
+        PATIENTS_RETRIEVED: 'Daftar pasien berhasil diambil',
+
+        // Label laporan (ekspor PDF)
+        REPORT_TITLE: 'Laporan Riwayat EKG',
+        REPORT_GENERATED: 'Dibuat {date}',
+        REPORT_PATIENT: 'Pasien',
+        REPORT_USERNAME: 'Nama pengguna',
+        REPORT_AGE: 'Usia',
+        REPORT_GENDER: 'Jenis kelamin',
+        REPORT_TIME_ZONE: 'Zona waktu',
+        REPORT_PERIOD: 'Periode',
+        REPORT_ALL_READINGS: 'Semua pengukuran',
+        REPORT_FILTERS: 'Filter',
+        REPORT_SUMMARY: 'Ringkasan',
+        REPORT_READINGS: 'Pengukuran',
+        REPORT_AVERAGE_BPM: 'BPM rata-rata',
+        REPORT_MIN_MAX_BPM: 'BPM terendah / tertinggi',
+        REPORT_NORMAL: 'Normal',
+        REPORT_ABNORMAL: 'Abnormal',
+        REPORT_CONDITIONS: 'Kondisi',
+        REPORT_TREND: 'Tren BPM',
+        REPORT_NORMAL_RANGE: 'Area arsir: rentang normal {low}-{high} bpm',
+        REPORT_NO_READINGS: 'Tidak ada pengukuran untuk periode dan filter ini.',
+        REPORT_DATE: 'Tanggal',
+        REPORT_TIME: 'Waktu',
+        REPORT_BPM: 'BPM',
+        REPORT_STATUS: 'Status',
+        REPORT_CONDITION: 'Kondisi',
+        REPORT_ACTIVITY: 'Aktivitas',
+        REPORT_REVIEW: 'Tinjauan klinisi',
+        REPORT_PAGE: 'Halaman {page} dari {pages}'
+    }
+};
@@ -0,0 +1,94 @@
+const { storage } = require('../storage');
+const { verifyAccessToken } = require('../utils/tokens');
+const { sendError } = require('../utils/errors');
+
+// Verify the Bearer access token and load the caller into req.user
+async function requireAuth(req, res, next) {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+        return sendError(req, res, 401, 'AUTH_REQUIRED');
+    }
+
+    const claims = verifyAccessToken(token);
+    if (!claims) {
+        return sendError(req, res, 401, 'TOKEN_INVALID');
+    }
+
+    try {
+        // The session must still be active, so logout takes effect immediately
+        const user = await storage.sessions.findActiveUser(claims.sid, claims.sub);
+
+        if (!user) {
+            return sendError(req, res, 401, 'SESSION_REVOKED');
+        }
+
+        req.user = {
+            id: user.id,
+            username: user.username,
+            role: user.role,
+            sessionId: claims.sid
+        };
+
+        next();
+
+    } catch (error) {
+        console.error('❌ Auth check error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
+    }
+}
+
+// Restrict a route to callers with one of the given roles
+function requireRole(...roles) {
+    return (req, res, next) => {
+        if (!req.user || !roles.includes(req.user.role)) {
+            return sendError(req, res, 403, 'INSUFFICIENT_PERMISSIONS');
+        }
+
+        next();
+    };
+}
+
+// Read access to a patient's data: the patient themselves, or a clinician / caregiver
+// the patient has granted access (an active care grant)
+async function canReadUser(user, patientId) {
+    if (String(patientId) === String(user.id)) return true;
+    return storage.careGrants.hasActiveGrant(patientId, user.id);
+}
+
+// Only let the caller act on their own userId (from req.params or req.body).
+// options.allowRoles lets staff roles (e.g. admin) through for any user;
+// options.allowGrantees lets through callers with an active care grant from that user.
+function authorizeUser(source = 'params', options = {}) {
+    const allowRoles = options.allowRoles || [];
+    const allowGrantees = options.allowGrantees === true;
+
+    return async (req, res, next) => {
+        const userId = (source === 'body' ? req.body : req.params).userId;
+
+        if (userId === undefined || userId === null || userId === '' ||
+            String(userId) === String(req.user.id) || allowRoles.includes(req.user.role)) {
+            return next();
+        }
+
+        try {
+            if (allowGrantees && await storage.careGrants.hasActiveGrant(userId, req.user.id)) {
+                console.log('🤝 User', req.user.id, 'reading data of user', userId, 'under a care grant');
+                return next();
+            }
+        } catch (error) {
+            console.error('❌ Care grant check error:', error);
+            return sendError(req, res, 500, 'INTERNAL_ERROR');
+        }
+
+        console.log('⛔ User', req.user.id, 'tried to access data of user', userId);
+        return sendError(req, res, 403, 'USER_ACCESS_DENIED');
+    };
+}
+
+module.exports = {
+    requireAuth,
+    requireRole,
+    canReadUser,
+    authorizeUser
+};
@@ -0,0 +1,149 @@
+const { createMemoryRateLimitStore } = require('../utils/rateLimitStore');
+const { sendError } = require('../utils/errors');
+
+// Requests per client IP and RATE_LIMIT_WINDOW_MS on the auth endpoints
+const RATE_LIMIT_WINDOW_MS = parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 15 * 60 * 1000;
+const LOGIN_RATE_LIMIT = parseInt(process.env.LOGIN_RATE_LIMIT, 10) || 20;
+const REGISTER_RATE_LIMIT = parseInt(process.env.REGISTER_RATE_LIMIT, 10) || 10;
+const USERNAME_CHECK_RATE_LIMIT = parseInt(process.env.USERNAME_CHECK_RATE_LIMIT, 10) || 60;
+
+// Distinct usernames per client IP and window whose availability check-username or registration
+// (USERNAME_TAKEN) may reveal, together
+const USERNAME_LOOKUP_LIMIT = parseInt(process.env.USERNAME_LOOKUP_LIMIT, 10) || 20;
+
+// LOGIN_MAX_FAILURES wrong passwords for one username within RATE_LIMIT_WINDOW_MS lock it for
+// LOGIN_LOCKOUT_MS, doubled on every further lockout up to LOGIN_LOCKOUT_MAX_MS. The doubling
+// starts over after a successful login or a day after the first lockout.
+const LOGIN_MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES, 10) || 5;
+const LOGIN_LOCKOUT_MS = parseInt(process.env.LOGIN_LOCKOUT_MS, 10) || 60 * 1000;
+const LOGIN_LOCKOUT_MAX_MS = parseInt(process.env.LOGIN_LOCKOUT_MAX_MS, 10) || 60 * 60 * 1000;
+const LOCKOUT_LEVEL_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+let store = createMemoryRateLimitStore();
+
+// Swap the counter store (see utils/rateLimitStore.js), e.g. for one shared by several instances
+function setRateLimitStore(nextStore) {
+    if (store.close) store.close();
+    store = nextStore;
+}
+
+function secondsUntil(time) {
+    return Math.max(1, Math.ceil((time - Date.now()) / 1000));
+}
+
+// 429 with Retry-After and the number of seconds in the body
+function sendTooManyRequests(req, res, code, resetAt) {
+    const seconds = secondsUntil(resetAt);
+    res.set('Retry-After', String(seconds));
+    return sendError(req, res, 429, code, { seconds }, { retryAfter: seconds });
+}
+
+// Limit a route to max requests per client IP and window, with RateLimit-Limit / -Remaining / -Reset
+// headers on every response. name keeps the counters of different routes apart.
+function rateLimit({ name, max, windowMs = RATE_LIMIT_WINDOW_MS }) {
+    return async (req, res, next) => {
+        try {
+            const { count, resetAt } = await store.increment(`${name}:ip:${req.ip}`, windowMs);
+
+            res.set({
+                'RateLimit-Limit': String(max),
+                'RateLimit-Remaining': String(Math.max(0, max - count)),
+                'RateLimit-Reset': String(secondsUntil(resetAt))
+            });
+
+            if (count > max) {
+                console.log('⏳ Rate limit hit on', name, 'by', req.ip);
+                return sendTooManyRequests(req, res, 'RATE_LIMITED', resetAt);
+            }
+        } catch (error) {
+            // A broken counter store must not take the login down with it
+            console.error('❌ Rate limit check failed:', error);
+        }
+
+        next();
+    };
+}
+
+// Limit how many different usernames one client IP can find out about (see USERNAME_LOOKUP_LIMIT).
+// Asking about the same username again does not count, so an app that re-checks while the user
+// types is not limited by it. source is where the username is: 'body' or 'query'.
+function limitUsernameLookups(source) {
+    return async (req, res, next) => {
+        try {
+            const seenKey = `usernames:seen:${req.ip}:${req[source].username}`;
+            if (!await store.get(seenKey)) {
+                const lookups = await store.get(`usernames:ip:${req.ip}`);
+                if (lookups && lookups.count >= USERNAME_LOOKUP_LIMIT) {
+                    console.log('⏳ Username lookup limit hit by', req.ip);
+                    return sendTooManyRequests(req, res, 'RATE_LIMITED', lookups.resetAt);
+                }
+
+                await store.increment(seenKey, RATE_LIMIT_WINDOW_MS);
+                await store.increment(`usernames:ip:${req.ip}`, RATE_LIMIT_WINDOW_MS);
+            }
+        } catch (error) {
+            console.error('❌ Username lookup limit check failed:', error);
+        }
+
+        next();
+    };
+}
+
+// Reject logins to a locked username before the password is checked. The lockout does not depend on
+// whether the username exists, so it reveals nothing about registered accounts.
+async function checkLoginLockout(req, res, next) {
+    try {
+        const lock = await store.get(`login:locked:${req.body.username}`);
+        if (lock) {
+            return sendTooManyRequests(req, res, 'ACCOUNT_LOCKED', lock.resetAt);
+        }
+    } catch (error) {
+        console.error('❌ Login lockout check failed:', error);
+    }
+
+    next();
+}
+
+// Count a wrong password for username; returns when the lockout it triggers ends (epoch ms), or null
+async function recordLoginFailure(username) {
+    try {
+        const failures = await store.increment(`login:failures:${username}`, RATE_LIMIT_WINDOW_MS);
+        if (failures.count < LOGIN_MAX_FAILURES) return null;
+
+        await store.reset(`login:failures:${username}`);
+        const level = await store.increment(`login:lockouts:${username}`, LOCKOUT_LEVEL_WINDOW_MS);
+        const duration = Math.min(LOGIN_LOCKOUT_MS * 2 ** (level.count - 1), LOGIN_LOCKOUT_MAX_MS);
+
+        await store.reset(`login:locked:${username}`);
+        const lock = await store.increment(`login:locked:${username}`, duration);
+
+        console.log('🚫 Login locked for', username, 'for', Math.round(duration / 1000), 's after', failures.count, 'failed attempts');
+        return lock.resetAt;
+    } catch (error) {
+        console.error('❌ Recording login failure failed:', error);
+        return null;
+    }
+}
+
+// Forget the failures and lockouts of username after a successful login
+async function clearLoginFailures(username) {
+    try {
+        await store.reset(`login:failures:${username}`);
+        await store.reset(`login:lockouts:${username}`);
+    } catch (error) {
+        console.error('❌ Clearing login failures failed:', error);
+    }
+}
+
+module.exports = {
+    LOGIN_RATE_LIMIT,
+    REGISTER_RATE_LIMIT,
+    USERNAME_CHECK_RATE_LIMIT,
+    setRateLimitStore,
+    sendTooManyRequests,
+    rateLimit,
+    limitUsernameLookups,
+    checkLoginLockout,
+    recordLoginFailure,
+    clearLoginFailures
+};
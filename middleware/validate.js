@@ -0,0 +1,38 @@
+const { resolveLocale } = require('../utils/i18n');
+const { sendValidationError } = require('../utils/errors');
+const { validateRequest } = require('../validation/rules');
+
+// Pick the response language from Accept-Language
+function detectLocale(req, res, next) {
+    req.locale = resolveLocale(req.get('accept-language'));
+    res.set('Content-Language', req.locale);
+    next();
+}
+
+// Validate params / query / body against a schema (validation/schemas.js). On success the
+// declared fields are replaced by their normalised values; otherwise a 400 lists every field error.
+function validate(schema) {
+    return (req, res, next) => {
+        const { values, errors } = validateRequest(schema, req);
+
+        if (errors.length > 0) {
+            console.log('⚠️ Validation failed for', req.method, req.path, errors.map((error) => `${error.field}:${error.code}`).join(' '));
+            return sendValidationError(req, res, errors);
+        }
+
+        for (const [part, fields] of Object.entries(values)) {
+            if (!req[part] || typeof req[part] !== 'object' || Buffer.isBuffer(req[part])) continue;
+            for (const field of Object.keys(schema[part])) {
+                if (field in fields) req[part][field] = fields[field];
+                else delete req[part][field];
+            }
+        }
+
+        next();
+    };
+}
+
+module.exports = {
+    detectLocale,
+    validate
+};
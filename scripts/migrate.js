@@ -0,0 +1,54 @@
+// Migration command line.
+//   npm run migrate                 apply all pending migrations
+//   npm run migrate -- up 3         apply pending migrations up to version 3
+//   npm run migrate -- down [n]     revert the last n migrations (default 1)
+//   npm run migrate -- status       list applied and pending migrations
+require('dotenv').config();
+
+const { pool } = require('../db/pool');
+const { formatMigration, migrate, rollback, getMigrationStatus } = require('../db/migrate');
+
+const USAGE = 'Usage: node scripts/migrate.js [up [version] | down [steps] | status]';
+
+function parseCount(value, label) {
+    if (value === undefined) return undefined;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) {
+        throw new Error(`${label} must be a non-negative integer`);
+    }
+    return number;
+}
+
+async function main() {
+    const [command = 'up', argument] = process.argv.slice(2);
+
+    if (!pool) {
+        throw new Error('DATABASE_URL is not set');
+    }
+
+    if (command === 'up') {
+        const applied = await migrate(pool, { to: parseCount(argument, 'version') });
+        console.log(applied.length > 0
+            ? `✅ Applied ${applied.length} migration(s)`
+            : '✅ Database schema is up to date');
+    } else if (command === 'down') {
+        const reverted = await rollback(pool, { steps: parseCount(argument, 'steps') });
+        console.log(`✅ Reverted ${reverted.length} migration(s)`);
+    } else if (command === 'status') {
+        const status = await getMigrationStatus(pool);
+        status.applied.forEach((row) => console.log(`  [x] ${formatMigration(row)} (${row.applied_at.toISOString()})`));
+        status.pending.forEach((row) => console.log(`  [ ] ${formatMigration(row)}`));
+        status.unknown.forEach((row) => console.log(`  [?] ${formatMigration(row)} (no migration file)`));
+        console.log(`📋 Schema version ${status.current}, latest ${status.latest}, ${status.pending.length} pending`);
+    } else {
+        throw new Error(USAGE);
+    }
+}
+
+main()
+    .then(() => pool.end())
+    .catch(async (error) => {
+        console.error('❌', error.message);
+        if (pool) await pool.end().catch(() => {});
+        process.exitCode = 1;
+    });
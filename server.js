@@ -1,66 +1,117 @@
 const express = require('express');
 const cors = require('cors');
-const { Pool } = require('pg');
 require('dotenv').config();
 
+const { storage } = require('./storage');
+const { requireAuth, requireRole, canReadUser, authorizeUser } = require('./middleware/auth');
+const { detectLocale, validate } = require('./middleware/validate');
+const {
+    LOGIN_RATE_LIMIT,
+    REGISTER_RATE_LIMIT,
+    USERNAME_CHECK_RATE_LIMIT,
+    sendTooManyRequests,
+    rateLimit,
+    limitUsernameLookups,
+    checkLoginLockout,
+    recordLoginFailure,
+    clearLoginFailures
+} = require('./middleware/rateLimit');
+const schemas = require('./validation/schemas');
+const { validateFields } = require('./validation/rules');
+const { sendError, sendValidationError, localizeErrors } = require('./utils/errors');
+const { translate } = require('./utils/i18n');
+const { hashPassword, verifyPassword, verifyDummyPassword } = require('./utils/password');
+const {
+    parseWaveformJson,
+    parseWaveformBinary,
+    decodeLead,
+    downsample,
+    toMillivolts
+} = require('./ecg/waveform');
+const { analyzeWaveform } = require('./ecg/qrs');
+const { computeHrv } = require('./ecg/hrv');
+const { analyzeRhythm } = require('./ecg/rhythm');
+const { prepareReading } = require('./ecg/reading');
+const {
+    startLiveSession,
+    findLiveSession,
+    listLiveSessions,
+    describeLiveSession,
+    watchLiveSession,
+    addLiveData,
+    liveSessionReading,
+    closeLiveSession,
+    closeAllLiveSessions
+} = require('./ecg/live');
+const {
+    ACTIVITY_CONTEXTS,
+    CURRENT_RULE_SET_VERSION,
+    classifyBpm,
+    listRuleSets
+} = require('./ecg/classification');
+const { previewReclassification, runJob, resumeInterruptedJobs } = require('./jobs/reclassify');
+const { generateWebhookSecret, raiseAlerts, startWebhookWorker } = require('./jobs/alerts');
+const { ACCOUNT_DELETION_GRACE_DAYS, deletionDate, startAccountPurgeWorker } = require('./jobs/accounts');
+const { ECG_TRASH_RETENTION_DAYS, trashPurgeDate, startTrashPurgeWorker } = require('./jobs/trash');
+const { historyToCsv } = require('./export/csv');
+const { historyToFhirBundle } = require('./export/fhir');
+const { buildHistoryReport } = require('./export/report');
+const { buildAccountArchive } = require('./export/account');
+const { csvToReadings } = require('./import/csv');
+const { fhirToReadings } = require('./import/fhir');
+const { parseHistoryQuery, buildPage } = require('./utils/historyFilters');
+const { resolveTimeZone, toLocalDateTime } = require('./utils/timezone');
+const { ecgAuditEntries, userAuditEntry } = require('./utils/audit');
+const {
+    ACCESS_TOKEN_TTL,
+    REFRESH_TOKEN_TTL,
+    signAccessToken,
+    generateRefreshToken,
+    hashToken
+} = require('./utils/tokens');
+
 const app = express();
 
+// Roles allowed to look after other users' data
+const STAFF_ROLES = ['admin', 'clinician'];
+
+// Roles a patient can share their data with (see CARE TEAM ROUTES)
+const CARE_ROLES = ['clinician', 'caregiver'];
+
+// Window of the Abnormal reading count on the care team dashboard
+const CARE_ABNORMAL_WINDOW_DAYS = 7;
+
+// Raw waveforms make ECG uploads much larger than the other requests
+const JSON_BODY_LIMIT = process.env.JSON_BODY_LIMIT || '10mb';
+const WAVEFORM_BODY_LIMIT = process.env.WAVEFORM_BODY_LIMIT || '20mb';
+
+// Behind a reverse proxy, TRUST_PROXY (number of proxies, or an Express trust proxy value) makes
+// req.ip the client's address instead of the proxy's, so rate limits apply per client
+if (process.env.TRUST_PROXY) {
+    const hops = Number(process.env.TRUST_PROXY);
+    app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
+// Per-IP limits of the auth endpoints (see middleware/rateLimit.js)
+const loginRateLimit = rateLimit({ name: 'login', max: LOGIN_RATE_LIMIT });
+const registerRateLimit = rateLimit({ name: 'register', max: REGISTER_RATE_LIMIT });
+// Shared by /api/users/check-username and the deprecated /api/users/all, which reveal the same
+const usernameCheckRateLimit = rateLimit({ name: 'check-username', max: USERNAME_CHECK_RATE_LIMIT });
+
+// Removal date of the deprecated /api/users/all
+const USERS_ALL_SUNSET = new Date(process.env.USERS_ALL_SUNSET || '2027-01-01T00:00:00Z');
+
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(detectLocale);
+app.use(express.json({ limit: JSON_BODY_LIMIT }));
 
 // Debug port info
 console.log('🔍 STARTUP DEBUG:');
 console.log('PORT:', process.env.PORT);
 console.log('NODE_ENV:', process.env.NODE_ENV);
 console.log('DATABASE_URL exists:', !!process.env.DATABASE_URL);
-
-// Database connection
-let pool;
-let databaseStatus = 'not configured';
-
-if (process.env.DATABASE_URL) {
-    try {
-        console.log('✅ Creating database pool...');
-        pool = new Pool({
-            connectionString: process.env.DATABASE_URL,
-            ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
-        });
-        
-        databaseStatus = 'configured';
-        console.log('✅ Database pool created');
-        
-        // Test connection
-        pool.on('connect', () => {
-            console.log('✅ Database connected');
-            databaseStatus = 'connected';
-        });
-        
-        pool.on('error', (err) => {
-            console.error('❌ Database error:', err);
-            databaseStatus = 'error';
-        });
-        
-    } catch (error) {
-        console.error('❌ Database pool creation failed:', error);
-        databaseStatus = 'error';
-    }
-} else {
-    console.log('❌ DATABASE_URL not found');
-}
-
-// Helper function
-async function checkDatabaseConnection() {
-    if (!pool) return false;
-    try {
-        const client = await pool.connect();
-        client.release();
-        return true;
-    } catch (error) {
-        console.error('Database check failed:', error);
-        return false;
-    }
-}
+console.log('Storage backend:', storage.name);
 
 // ============================================
 // BASIC ROUTES
@@ -72,19 +123,77 @@ app.get('/', (req, res) => {
         message: 'ECG Heartbeat API',
         status: 'running',
         version: '1.0.0',
-        database: databaseStatus,
+        database: storage.getStatus(),
+        storage: storage.name,
         endpoints: [
             'GET /api/test',
             'GET /health',
-            'GET /api/users/all',
+            'GET /api/users/check-username',
+            'GET /api/users/all (deprecated)',
+            'GET /api/admin/users',
+            'PUT /api/admin/users/:userId/role',
+            'POST /api/admin/reclassify/preview',
+            'POST /api/admin/reclassify/jobs',
+            'GET /api/admin/reclassify/jobs',
+            'GET /api/admin/reclassify/jobs/:id',
+            'POST /api/admin/reclassify/jobs/:id/resume',
+            'GET /api/admin/account-deletions',
+            'GET /api/admin/audit-log',
             'POST /api/auth/register',
             'POST /api/auth/login',
+            'POST /api/auth/refresh',
+            'POST /api/auth/logout',
             'GET /api/profile/:userId',
             'PUT /api/profile/update',
+            'GET /api/account/:userId/export',
+            'GET /api/account/:userId/deletion',
+            'POST /api/account/:userId/deletion',
+            'DELETE /api/account/:userId/deletion',
             'POST /api/ecg/save',
+            'POST /api/ecg/sync',
+            'GET /api/ecg/sync/:userId',
+            'POST /api/ecg/import/:userId',
             'GET /api/ecg/history/:userId',
+            'GET /api/ecg/export/:userId',
+            'GET /api/ecg/stats/:userId',
+            'GET /api/ecg/hrv/:userId',
+            'GET /api/ecg/rule-sets',
+            'GET /api/ecg/thresholds/:userId',
+            'PUT /api/ecg/thresholds/:userId',
+            'DELETE /api/ecg/thresholds/:userId',
+            'PUT /api/ecg/:id/waveform',
+            'GET /api/ecg/:id/waveform',
             'DELETE /api/ecg/history/:userId',
-            'DELETE /api/ecg/history/:userId/:id'
+            'DELETE /api/ecg/history/:userId/:id',
+            'GET /api/ecg/trash/:userId',
+            'POST /api/ecg/trash/:userId/restore',
+            'DELETE /api/ecg/trash/:userId',
+            'DELETE /api/ecg/trash/:userId/:id',
+            'POST /api/ecg/live',
+            'GET /api/ecg/live/user/:userId',
+            'POST /api/ecg/live/:sessionId/data',
+            'GET /api/ecg/live/:sessionId/stream',
+            'POST /api/ecg/live/:sessionId/end',
+            'DELETE /api/ecg/live/:sessionId',
+            'GET /api/ecg/:id/reviews',
+            'POST /api/ecg/:id/reviews',
+            'PUT /api/ecg/:id/reviews/:reviewId',
+            'GET /api/alerts/:userId',
+            'GET /api/alerts/rules/:userId',
+            'POST /api/alerts/rules/:userId',
+            'PUT /api/alerts/rules/:userId/:id',
+            'DELETE /api/alerts/rules/:userId/:id',
+            'GET /api/alerts/webhooks/:userId',
+            'POST /api/alerts/webhooks/:userId',
+            'DELETE /api/alerts/webhooks/:userId/:id',
+            'GET /api/alerts/webhooks/:userId/:id/deliveries',
+            'POST /api/care/grants',
+            'GET /api/care/grants',
+            'DELETE /api/care/grants/:id',
+            'GET /api/care/invitations',
+            'POST /api/care/invitations/:id/accept',
+            'POST /api/care/invitations/:id/decline',
+            'GET /api/care/patients'
         ]
     });
 });
@@ -92,11 +201,12 @@ app.get('/', (req, res) => {
 // Test endpoint
 app.get('/api/test', (req, res) => {
     res.json({
-        message: 'ECG Heartbeat API is working!',
+        message: translate(req.locale, 'API_WORKING'),
         timestamp: new Date().toISOString(),
         status: 'success',
         version: '1.0.0',
-        database: databaseStatus,
+        database: storage.getStatus(),
+        storage: storage.name,
         port: {
             env_port: process.env.PORT,
             listening_port: PORT
@@ -106,14 +216,14 @@ app.get('/api/test', (req, res) => {
 
 // Health check
 app.get('/health', async (req, res) => {
-    const dbConnected = await checkDatabaseConnection();
-    const actualDbStatus = dbConnected ? 'connected' : (pool ? 'configured but not connected' : 'not configured');
+    const actualDbStatus = await storage.checkStatus();
     
     res.json({
         status: 'OK',
         uptime: process.uptime(),
         timestamp: new Date().toISOString(),
         database: actualDbStatus,
+        storage: storage.name,
         port: PORT
     });
 });
@@ -122,133 +232,165 @@ app.get('/health', async (req, res) => {
 // AUTH ROUTES
 // ============================================
 
-// Register endpoint
-app.post('/api/auth/register', async (req, res) => {
-    if (!pool) {
-        return res.status(500).json({
-            success: false,
-            message: 'Database not configured'
-        });
-    }
+// Create a session and issue an access/refresh token pair for it
+async function createSession(userId, userAgent) {
+    const refreshToken = generateRefreshToken();
 
-    let client;
-    try {
-        const { username, password, age, gender } = req.body;
+    const sessionId = await storage.sessions.create({
+        userId,
+        refreshTokenHash: hashToken(refreshToken),
+        userAgent,
+        ttlSeconds: REFRESH_TOKEN_TTL
+    });
 
-        console.log('📝 Register request received:', { username, age, gender });
+    return {
+        tokenType: 'Bearer',
+        accessToken: signAccessToken({ userId, sessionId }),
+        expiresIn: ACCESS_TOKEN_TTL,
+        refreshToken,
+        refreshExpiresIn: REFRESH_TOKEN_TTL
+    };
+}
 
-        // Validation
-        if (!username || !password || !age || !gender) {
-            return res.status(400).json({
-                success: false,
-                message: 'All fields are required'
-            });
-        }
+// Register endpoint
+app.post('/api/auth/register', registerRateLimit, validate(schemas.register), limitUsernameLookups('body'), async (req, res) => {
+    try {
+        const { username, password, age, gender, role = 'user' } = req.body;
 
-        client = await pool.connect();
+        console.log('📝 Register request received:', { username, age, gender, role });
 
         // Check username exists
-        const existingUser = await client.query(
-            'SELECT id FROM users WHERE username = $1',
-            [username]
-        );
-
-        if (existingUser.rows.length > 0) {
-            return res.status(400).json({
-                success: false,
-                message: 'Username sudah digunakan'
-            });
+        if (await storage.users.isUsernameTaken(username)) {
+            return sendError(req, res, 400, 'USERNAME_TAKEN');
         }
 
         // Insert new user
-        const result = await client.query(
-            'INSERT INTO users (username, password, age, gender) VALUES ($1, $2, $3, $4) RETURNING id, username, age, gender',
-            [username, password, age, gender]
-        );
+        const passwordHash = await hashPassword(password);
+        const user = await storage.users.create({ username, passwordHash, age, gender, role });
 
-        console.log('✅ User registered successfully:', result.rows[0]);
+        console.log('✅ User registered successfully:', user);
 
         res.status(201).json({
             success: true,
-            message: 'User berhasil didaftarkan',
-            user: result.rows[0]
+            message: translate(req.locale, 'USER_REGISTERED'),
+            user
         });
 
     } catch (error) {
         console.error('❌ Register error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Server error during registration',
-            debug: error.message
-        });
-    } finally {
-        if (client) client.release();
+        sendError(req, res, 500, 'INTERNAL_ERROR');
     }
 });
 
 // Login endpoint
-app.post('/api/auth/login', async (req, res) => {
-    if (!pool) {
-        return res.status(500).json({
-            success: false,
-            message: 'Database not configured'
-        });
-    }
-
-    let client;
+app.post('/api/auth/login', loginRateLimit, validate(schemas.login), checkLoginLockout, async (req, res) => {
     try {
         const { username, password } = req.body;
 
         console.log('🔐 Login request received for username:', username);
 
-        if (!username || !password) {
-            return res.status(400).json({
-                success: false,
-                message: 'Username and password are required'
-            });
+        // Find user
+        const user = await storage.users.findByUsername(username);
+        const check = user
+            ? await verifyPassword(password, user.password)
+            : await verifyDummyPassword(password);
+
+        if (!check.valid) {
+            const lockedUntil = await recordLoginFailure(username);
+            if (lockedUntil) {
+                return sendTooManyRequests(req, res, 'ACCOUNT_LOCKED', lockedUntil);
+            }
+            return sendError(req, res, 401, 'INVALID_CREDENTIALS');
         }
 
-        client = await pool.connect();
+        await clearLoginFailures(username);
 
-        // Find user
-        const result = await client.query(
-            'SELECT * FROM users WHERE username = $1 AND password = $2',
-            [username, password]
-        );
-
-        if (result.rows.length === 0) {
-            return res.status(401).json({
-                success: false,
-                message: 'Username atau password salah'
-            });
+        // Upgrade legacy plaintext (or outdated) hashes on successful login
+        if (check.needsRehash) {
+            await storage.users.updatePassword(user.id, await hashPassword(password));
+            console.log('🔒 Password hash upgraded for user:', user.username);
         }
 
-        const user = result.rows[0];
-        const token = `token_${user.id}_${Date.now()}`;
+        const tokens = await createSession(user.id, req.get('user-agent'));
 
         console.log('✅ Login successful for user:', user.username);
 
         res.json({
             success: true,
-            message: 'Login berhasil',
-            token: token,
+            message: translate(req.locale, 'LOGIN_SUCCESS'),
+            token: tokens.accessToken,
+            ...tokens,
             user: {
                 id: user.id,
                 username: user.username,
                 age: user.age,
-                gender: user.gender
+                gender: user.gender,
+                role: user.role,
+                deletionScheduledFor: user.deletion_scheduled_for || null
             }
         });
 
     } catch (error) {
         console.error('❌ Login error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Server error during login',
-            debug: error.message
+        sendError(req, res, 500, 'INTERNAL_ERROR');
+    }
+});
+
+// Refresh endpoint - rotates the refresh token of an active session
+app.post('/api/auth/refresh', validate(schemas.refresh), async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        const newRefreshToken = generateRefreshToken();
+
+        // Rotate in place: the old refresh token stops working right away
+        const session = await storage.sessions.rotate(hashToken(refreshToken), hashToken(newRefreshToken), REFRESH_TOKEN_TTL);
+
+        if (!session) {
+            return sendError(req, res, 401, 'REFRESH_TOKEN_INVALID');
+        }
+
+        const accessToken = signAccessToken({ userId: session.user_id, sessionId: session.id });
+
+        console.log('🔄 Token refreshed for user:', session.user_id);
+
+        res.json({
+            success: true,
+            message: translate(req.locale, 'TOKEN_REFRESHED'),
+            token: accessToken,
+            tokenType: 'Bearer',
+            accessToken,
+            expiresIn: ACCESS_TOKEN_TTL,
+            refreshToken: newRefreshToken,
+            refreshExpiresIn: REFRESH_TOKEN_TTL
+        });
+
+    } catch (error) {
+        console.error('❌ Refresh token error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
+    }
+});
+
+// Logout endpoint - revokes the current session, or all of them with { allSessions: true }
+app.post('/api/auth/logout', requireAuth, validate(schemas.logout), async (req, res) => {
+    try {
+        const allSessions = req.body.allSessions === true;
+
+        const revokedSessions = allSessions
+            ? await storage.sessions.revokeAllForUser(req.user.id)
+            : await storage.sessions.revoke(req.user.sessionId);
+
+        console.log('👋 Logout for user:', req.user.username, 'sessions revoked:', revokedSessions);
+
+        res.json({
+            success: true,
+            message: translate(req.locale, 'LOGOUT_SUCCESS'),
+            revokedSessions
         });
-    } finally {
-        if (client) client.release();
+
+    } catch (error) {
+        console.error('❌ Logout error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
     }
 });
 
@@ -256,113 +398,324 @@ app.post('/api/auth/login', async (req, res) => {
 // USERS ROUTES
 // ============================================
 
-// Get all users (for Android dynamic validation)
-app.get('/api/users/all', async (req, res) => {
-    if (!pool) {
-        return res.status(500).json({
-            success: false,
-            message: 'Database not configured',
-            users: [],
-            count: 0
+// Check whether a username is taken (replaces client-side validation against /api/users/all)
+app.get('/api/users/check-username', usernameCheckRateLimit, validate(schemas.checkUsername), limitUsernameLookups('query'), async (req, res) => {
+    try {
+        const { username } = req.query;
+
+        const exists = await storage.users.isUsernameTaken(username);
+
+        res.json({
+            success: true,
+            message: translate(req.locale, exists ? 'USERNAME_TAKEN' : 'USERNAME_AVAILABLE'),
+            username,
+            exists,
+            available: !exists
         });
+
+    } catch (error) {
+        console.error('❌ Check username error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
+    }
+});
+
+// Get all users - DEPRECATED, kept for older app builds until USERS_ALL_SUNSET, then 410.
+// Only returns usernames, which is all those builds compare against; use /api/users/check-username instead.
+app.get('/api/users/all', usernameCheckRateLimit, async (req, res) => {
+    res.set({
+        'Deprecation': 'true',
+        'Sunset': USERS_ALL_SUNSET.toUTCString(),
+        'Link': '</api/users/check-username>; rel="successor-version"',
+        'Warning': `299 - "Deprecated endpoint, removed on ${USERS_ALL_SUNSET.toISOString().slice(0, 10)}; use GET /api/users/check-username"`
+    });
+
+    if (Date.now() >= USERS_ALL_SUNSET.getTime()) {
+        return sendError(req, res, 410, 'ENDPOINT_REMOVED', { successor: 'GET /api/users/check-username' });
     }
 
-    let client;
     try {
-        client = await pool.connect();
-        
-        const result = await client.query(
-            'SELECT id, username, password, age, gender, created_at, updated_at FROM users ORDER BY created_at DESC'
-        );
+        const users = await storage.users.listPublic();
 
-        console.log('📊 Retrieved all users, count:', result.rows.length);
+        console.log('⚠️ Deprecated /api/users/all called, count:', users.length, 'user-agent:', req.get('user-agent'));
 
         res.json({
             success: true,
-            message: 'Users retrieved successfully',
-            users: result.rows,
-            count: result.rows.length
+            message: translate(req.locale, 'USERS_RETRIEVED'),
+            deprecated: true,
+            users,
+            count: users.length
         });
 
     } catch (error) {
         console.error('❌ Get all users error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Server error while fetching users',
-            users: [],
-            count: 0,
-            debug: error.message
-        });
-    } finally {
-        if (client) client.release();
+        sendError(req, res, 500, 'INTERNAL_ERROR', {}, { users: [], count: 0 });
     }
 });
 
 // ============================================
-// PROFILE ROUTES
+// ADMIN ROUTES
 // ============================================
 
-// Get user profile
-app.get('/api/profile/:userId', async (req, res) => {
-    if (!pool) {
-        return res.status(500).json({
-            success: false,
-            message: 'Database not configured'
+// Paginated user listing (admin only)
+app.get('/api/admin/users', requireAuth, requireRole('admin'), validate(schemas.adminUsers), async (req, res) => {
+    try {
+        const { page = 1, limit = 20, search = '' } = req.query;
+
+        const { users, total } = await storage.users.list({ search, limit, offset: (page - 1) * limit });
+
+        console.log('📊 Admin', req.user.username, 'listed users, page:', page, 'count:', users.length);
+
+        res.json({
+            success: true,
+            message: translate(req.locale, 'USERS_RETRIEVED'),
+            users,
+            count: users.length,
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
         });
+
+    } catch (error) {
+        console.error('❌ Admin list users error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
     }
+});
 
-    let client;
+// Change a user's role (admin only); the only way to create clinician and admin accounts
+app.put('/api/admin/users/:userId/role', requireAuth, requireRole('admin'), validate(schemas.adminUserRole), async (req, res) => {
     try {
         const { userId } = req.params;
-        
-        console.log('👤 Profile request received for userId:', userId);
+        const { role } = req.body;
 
-        client = await pool.connect();
+        // Null when the user does not exist
+        const user = await storage.transaction(async (repos) => {
+            const previous = await repos.users.findById(userId);
+            if (!previous) return null;
 
-        const result = await client.query(
-            'SELECT id, username, age, gender, created_at, updated_at FROM users WHERE id = $1',
-            [userId]
-        );
+            const updated = await repos.users.setRole(userId, role);
+            const entry = userAuditEntry(req.user, 'profile.role', updated.id, { role: previous.role }, { role: updated.role });
+            if (entry) await repos.audit.record([entry]);
+            return updated;
+        });
 
-        if (result.rows.length === 0) {
-            return res.status(404).json({
-                success: false,
-                message: 'User not found'
-            });
+        if (!user) {
+            return sendError(req, res, 404, 'USER_NOT_FOUND');
         }
 
-        console.log('✅ Profile retrieved for user:', result.rows[0].username);
+        console.log('🛡️ Admin', req.user.username, 'set role of', user.username, 'to', role);
 
         res.json({
             success: true,
-            message: 'Profile retrieved successfully',
-            user: result.rows[0]
+            message: translate(req.locale, 'ROLE_UPDATED'),
+            user
         });
 
     } catch (error) {
-        console.error('❌ Get profile error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Server error while fetching profile',
-            debug: error.message
+        console.error('❌ Admin set role error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
+    }
+});
+
+// Dry run: show which stored results would change under a rule set, without writing anything
+app.post('/api/admin/reclassify/preview', requireAuth, requireRole('admin'), validate(schemas.reclassifyPreview), async (req, res) => {
+    try {
+        const { userId, ruleSetVersion, limit = 100 } = req.body;
+
+        console.log('🔎 Reclassification preview by', req.user.username, { userId, ruleSetVersion });
+
+        const preview = await previewReclassification(storage, {
+            userId: userId || null,
+            ruleSetVersion: ruleSetVersion || CURRENT_RULE_SET_VERSION,
+            limit
         });
-    } finally {
-        if (client) client.release();
+
+        res.json({
+            success: true,
+            message: translate(req.locale, 'RECLASSIFY_PREVIEW_READY'),
+            dryRun: true,
+            ...preview
+        });
+
+    } catch (error) {
+        console.error('❌ Reclassification preview error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
     }
 });
 
-// Update profile - ENHANCED VERSION
-app.put('/api/profile/update', async (req, res) => {
-    if (!pool) {
-        return res.status(500).json({
-            success: false,
-            message: 'Database not configured'
+// Start a reclassification job; it runs in the background in batches
+app.post('/api/admin/reclassify/jobs', requireAuth, requireRole('admin'), validate(schemas.reclassifyJob), async (req, res) => {
+    try {
+        const { userId, ruleSetVersion } = req.body;
+
+        const job = await storage.reclassification.createJob({
+            userId: userId || null,
+            ruleSetVersion: ruleSetVersion || CURRENT_RULE_SET_VERSION,
+            createdBy: req.user.id
+        });
+        console.log('🔁 Reclassification job', job.id, 'created by', req.user.username);
+
+        runJob(storage, job.id);
+
+        res.status(202).json({
+            success: true,
+            message: translate(req.locale, 'RECLASSIFY_JOB_STARTED'),
+            job
+        });
+
+    } catch (error) {
+        console.error('❌ Create reclassification job error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
+    }
+});
+
+// List recent reclassification jobs
+app.get('/api/admin/reclassify/jobs', requireAuth, requireRole('admin'), async (req, res) => {
+    try {
+        const jobs = await storage.reclassification.listJobs(50);
+
+        res.json({
+            success: true,
+            message: translate(req.locale, 'RECLASSIFY_JOBS_RETRIEVED'),
+            jobs,
+            count: jobs.length
+        });
+
+    } catch (error) {
+        console.error('❌ List reclassification jobs error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
+    }
+});
+
+// Job status with its most recent audit entries
+app.get('/api/admin/reclassify/jobs/:id', requireAuth, requireRole('admin'), validate(schemas.jobParams), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const job = await storage.reclassification.findJob(id);
+        if (!job) {
+            return sendError(req, res, 404, 'JOB_NOT_FOUND');
+        }
+
+        const changes = await storage.reclassification.listJobChanges(id, 100);
+
+        res.json({
+            success: true,
+            message: translate(req.locale, 'RECLASSIFY_JOB_RETRIEVED'),
+            job,
+            changes
+        });
+
+    } catch (error) {
+        console.error('❌ Get reclassification job error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
+    }
+});
+
+// Resume a failed or interrupted job from its last committed batch
+app.post('/api/admin/reclassify/jobs/:id/resume', requireAuth, requireRole('admin'), validate(schemas.jobParams), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const job = await storage.reclassification.findJob(id);
+        if (!job) {
+            return sendError(req, res, 404, 'JOB_NOT_FOUND');
+        }
+
+        if (job.status === 'completed') {
+            return sendError(req, res, 409, 'JOB_ALREADY_COMPLETED', {}, { job });
+        }
+
+        runJob(storage, job.id);
+
+        res.status(202).json({
+            success: true,
+            message: translate(req.locale, 'RECLASSIFY_JOB_RESUMED'),
+            job
+        });
+
+    } catch (error) {
+        console.error('❌ Resume reclassification job error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
+    }
+});
+
+// Audit log of deletions, restores and profile changes, newest first. Pages continue with
+// beforeId=nextBeforeId.
+app.get('/api/admin/audit-log', requireAuth, requireRole('admin'), validate(schemas.auditLog), async (req, res) => {
+    try {
+        const limit = req.query.limit || 50;
+        const entries = await storage.audit.list({ ...req.query, limit });
+
+        res.json({
+            success: true,
+            message: translate(req.locale, 'AUDIT_LOG_RETRIEVED'),
+            entries,
+            count: entries.length,
+            nextBeforeId: entries.length === limit ? entries[entries.length - 1].id : null
+        });
+
+    } catch (error) {
+        console.error('❌ Get audit log error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
+    }
+});
+
+// Audit of deleted accounts: no personal data, only who requested it and when
+app.get('/api/admin/account-deletions', requireAuth, requireRole('admin'), validate(schemas.accountDeletions), async (req, res) => {
+    try {
+        const deletions = await storage.accounts.listDeletions({ limit: req.query.limit || 50 });
+
+        res.json({
+            success: true,
+            message: translate(req.locale, 'ACCOUNT_DELETIONS_RETRIEVED'),
+            deletions,
+            count: deletions.length
+        });
+
+    } catch (error) {
+        console.error('❌ List account deletions error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
+    }
+});
+
+// ============================================
+// PROFILE ROUTES
+// ============================================
+
+// Get user profile
+app.get('/api/profile/:userId', requireAuth, validate(schemas.userParams), authorizeUser('params', { allowGrantees: true }), async (req, res) => {
+    try {
+        const { userId } = req.params;
+        
+        console.log('👤 Profile request received for userId:', userId);
+
+        const user = await storage.users.getProfile(userId);
+
+        if (!user) {
+            return sendError(req, res, 404, 'USER_NOT_FOUND');
+        }
+
+        console.log('✅ Profile retrieved for user:', user.username);
+
+        res.json({
+            success: true,
+            message: translate(req.locale, 'PROFILE_RETRIEVED'),
+            user
         });
+
+    } catch (error) {
+        console.error('❌ Get profile error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
     }
+});
 
-    let client;
+// Update profile - ENHANCED VERSION
+app.put('/api/profile/update', requireAuth, validate(schemas.profileUpdate), authorizeUser('body'), async (req, res) => {
     try {
-        const { userId, username, age, gender, oldPassword, newPassword } = req.body;
+        const { userId, username, age, gender, oldPassword, newPassword, timezone } = req.body;
 
         console.log('📝 Profile update request received:', {
             userId,
@@ -373,363 +726,1929 @@ app.put('/api/profile/update', async (req, res) => {
             hasNewPassword: !!newPassword
         });
 
-        // Validation
-        if (!userId || !username || !age || !gender) {
-            return res.status(400).json({
-                success: false,
-                message: 'User ID, username, age, and gender are required'
-            });
-        }
-
-        client = await pool.connect();
-
         // Check if user exists
-        const userCheck = await client.query(
-            'SELECT * FROM users WHERE id = $1',
-            [userId]
-        );
-
-        if (userCheck.rows.length === 0) {
-            return res.status(404).json({
-                success: false,
-                message: 'User not found'
-            });
-        }
+        const currentUser = await storage.users.findById(userId);
 
-        const currentUser = userCheck.rows[0];
+        if (!currentUser) {
+            return sendError(req, res, 404, 'USER_NOT_FOUND');
+        }
 
         // If password change is requested, validate old password
         if (oldPassword && newPassword) {
-            if (currentUser.password !== oldPassword) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Old password is incorrect'
-                });
+            const check = await verifyPassword(oldPassword, currentUser.password);
+            if (!check.valid) {
+                return sendError(req, res, 400, 'OLD_PASSWORD_INCORRECT');
             }
         }
 
         // Check if username already exists (excluding current user)
-        const usernameCheck = await client.query(
-            'SELECT id FROM users WHERE username = $1 AND id != $2',
-            [username, userId]
-        );
-
-        if (usernameCheck.rows.length > 0) {
-            return res.status(400).json({
-                success: false,
-                message: 'Username already exists'
-            });
+        if (await storage.users.isUsernameTaken(username, userId)) {
+            return sendError(req, res, 400, 'USERNAME_TAKEN');
         }
 
-        // Update user profile
-        let updateQuery;
-        let updateParams;
-
-        if (oldPassword && newPassword) {
-            // Update with password change
-            updateQuery = `
-                UPDATE users 
-                SET username = $1, age = $2, gender = $3, password = $4, updated_at = CURRENT_TIMESTAMP 
-                WHERE id = $5 
-                RETURNING id, username, age, gender, updated_at
-            `;
-            updateParams = [username, age, gender, newPassword, userId];
-        } else {
-            // Update without password change
-            updateQuery = `
-                UPDATE users 
-                SET username = $1, age = $2, gender = $3, updated_at = CURRENT_TIMESTAMP 
-                WHERE id = $4 
-                RETURNING id, username, age, gender, updated_at
-            `;
-            updateParams = [username, age, gender, userId];
-        }
-
-        const updateResult = await client.query(updateQuery, updateParams);
-
-        if (updateResult.rows.length === 0) {
-            return res.status(404).json({
-                success: false,
-                message: 'Failed to update user profile'
+        // Update user profile; the password only changes when a new one was requested
+        const passwordHash = oldPassword && newPassword ? await hashPassword(newPassword) : null;
+        const updatedUser = await storage.transaction(async (repos) => {
+            const updated = await repos.users.updateProfile(userId, {
+                username,
+                age,
+                gender,
+                passwordHash,
+                timezone: timezone || null
             });
-        }
+            if (!updated) return null;
+
+            const fields = ['username', 'age', 'gender', 'timezone'];
+            const entry = userAuditEntry(
+                req.user,
+                'profile.update',
+                updated.id,
+                Object.fromEntries(fields.map((field) => [field, currentUser[field]])),
+                Object.fromEntries(fields.map((field) => [field, updated[field]])),
+                { passwordChanged: passwordHash !== null }
+            );
+            if (entry) await repos.audit.record([entry]);
+            return updated;
+        });
 
-        const updatedUser = updateResult.rows[0];
+        if (!updatedUser) {
+            return sendError(req, res, 404, 'PROFILE_UPDATE_FAILED');
+        }
 
         console.log('✅ Profile updated successfully for user:', updatedUser.username);
 
         // Return success response
         res.json({
             success: true,
-            message: 'Profile updated successfully',
+            message: translate(req.locale, 'PROFILE_UPDATED'),
             user: {
                 id: updatedUser.id,
                 username: updatedUser.username,
                 age: updatedUser.age,
                 gender: updatedUser.gender,
+                timezone: updatedUser.timezone,
                 updatedAt: updatedUser.updated_at
             }
         });
 
     } catch (error) {
         console.error('❌ Error updating profile:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Server error while updating profile',
-            debug: error.message
-        });
-    } finally {
-        if (client) client.release();
+        sendError(req, res, 500, 'INTERNAL_ERROR');
     }
 });
 
 // ============================================
-// ECG ROUTES
+// ACCOUNT ROUTES
 // ============================================
 
-// Save ECG result
-app.post('/api/ecg/save', async (req, res) => {
-    if (!pool) {
-        return res.status(500).json({
-            success: false,
-            message: 'Database not configured'
-        });
-    }
+// Pending deletion as returned to clients
+function describeDeletion(deletion) {
+    return {
+        pending: deletion.deletion_scheduled_for !== null,
+        requestedAt: deletion.deletion_requested_at,
+        scheduledFor: deletion.deletion_scheduled_for,
+        requestedBy: deletion.deletion_requested_by,
+        graceDays: ACCOUNT_DELETION_GRACE_DAYS
+    };
+}
 
-    let client;
+// Download everything the server holds about the caller as a ZIP archive (JSON files, the
+// readings as CSV and the raw waveforms). Only the account owner can download it.
+app.get('/api/account/:userId/export', requireAuth, validate(schemas.userParams), authorizeUser('params'), async (req, res) => {
     try {
-        const { userId, username, bpm } = req.body;
+        const { userId } = req.params;
 
-        console.log('💓 ECG save request received:', { userId, username, bpm });
+        console.log('📦 Personal data export request received for userId:', userId);
 
-        if (!userId || !username || !bpm) {
-            return res.status(400).json({
-                success: false,
-                message: 'User ID, username, and BPM are required'
-            });
+        const data = await storage.accounts.exportData(userId);
+        if (!data) {
+            return sendError(req, res, 404, 'USER_NOT_FOUND');
         }
 
-        // Determine status and condition
-        let status, kondisi;
-        if (bpm < 60) {
-            status = 'Abnormal';
-            kondisi = 'Bradikardia';
-        } else if (bpm > 100) {
-            status = 'Abnormal';
-            kondisi = 'Takikardia';
-        } else {
-            status = 'Normal';
-            kondisi = 'Normal';
-        }
+        const generatedAt = new Date();
+        const archive = buildAccountArchive(data, { generatedAt });
+        const today = toLocalDateTime(generatedAt, resolveTimeZone(data.profile.timezone)).date;
+        const filename = `ecg-account-${data.profile.username.replace(/[^A-Za-z0-9_-]/g, '_')}-${today}.zip`;
 
-        const now = new Date();
-        const waktu = now.toTimeString().split(' ')[0];
+        console.log('✅ Personal data export ready:', data.ecgResults.length, 'ECG results,', archive.length, 'bytes');
 
-        client = await pool.connect();
+        res.type('application/zip').attachment(filename).send(archive);
 
-        const result = await client.query(
-            `INSERT INTO ecg_results (user_id, username, tanggal, waktu, bpm, status, kondisi) 
-             VALUES ($1, $2, CURRENT_DATE, $3, $4, $5, $6) 
-             RETURNING *`,
-            [userId, username, waktu, bpm, status, kondisi]
-        );
+    } catch (error) {
+        console.error('❌ Personal data export error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
+    }
+});
 
-        console.log('✅ ECG result saved successfully:', result.rows[0]);
+// Pending deletion of the account, if any
+app.get('/api/account/:userId/deletion', requireAuth, validate(schemas.userParams), authorizeUser('params', { allowRoles: ['admin'] }), async (req, res) => {
+    try {
+        const deletion = await storage.accounts.findDeletion(req.params.userId);
+        if (!deletion) {
+            return sendError(req, res, 404, 'USER_NOT_FOUND');
+        }
 
-        res.status(201).json({
+        res.json({
             success: true,
-            message: 'ECG result saved successfully',
-            result: result.rows[0]
+            message: translate(req.locale, 'ACCOUNT_DELETION_RETRIEVED'),
+            deletion: describeDeletion(deletion)
         });
 
     } catch (error) {
-        console.error('❌ Save ECG error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Server error while saving ECG result',
-            debug: error.message
-        });
-    } finally {
-        if (client) client.release();
+        console.error('❌ Get account deletion error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
     }
 });
 
-// Get ECG history
-app.get('/api/ecg/history/:userId', async (req, res) => {
-    if (!pool) {
-        return res.status(500).json({
-            success: false,
-            message: 'Database not configured',
-            history: [],
-            count: 0
-        });
-    }
-
-    let client;
+// Schedule the deletion of the account and all its data after the grace period. The owner
+// confirms with their password; an admin can schedule it for any account.
+app.post('/api/account/:userId/deletion', requireAuth, validate(schemas.accountDeletionRequest), authorizeUser('params', { allowRoles: ['admin'] }), async (req, res) => {
     try {
         const { userId } = req.params;
-        
-        console.log('📊 ECG history request received for userId:', userId);
+        const isOwner = String(userId) === String(req.user.id);
+
+        console.log('🗑️ Account deletion request for userId:', userId, 'by user', req.user.id);
+
+        const user = await storage.users.findById(userId);
+        if (!user) {
+            return sendError(req, res, 404, 'USER_NOT_FOUND');
+        }
 
-        client = await pool.connect();
+        if (isOwner) {
+            if (req.body.password === undefined) {
+                return sendValidationError(req, res, [{ in: 'body', field: 'password', code: 'REQUIRED', params: {} }]);
+            }
+            const check = await verifyPassword(req.body.password, user.password);
+            if (!check.valid) {
+                return sendError(req, res, 400, 'PASSWORD_INCORRECT');
+            }
+        }
 
-        const result = await client.query(
-            'SELECT * FROM ecg_results WHERE user_id = $1 ORDER BY tanggal DESC, waktu DESC',
-            [userId]
-        );
+        const deletion = await storage.accounts.requestDeletion(userId, {
+            scheduledFor: deletionDate(),
+            requestedBy: req.user.id
+        });
+        // Null when a deletion is already pending
+        if (!deletion) {
+            const current = await storage.accounts.findDeletion(userId);
+            return sendError(req, res, 409, 'ACCOUNT_DELETION_PENDING', {
+                scheduledFor: new Date(current.deletion_scheduled_for).toISOString()
+            }, { deletion: describeDeletion(current) });
+        }
 
-        console.log('✅ ECG history retrieved:', result.rows.length, 'records');
+        console.log('✅ Account', userId, 'scheduled for deletion at', deletion.deletion_scheduled_for.toISOString());
 
-        res.json({
+        res.status(202).json({
             success: true,
-            message: 'ECG history retrieved successfully',
-            history: result.rows,
-            count: result.rows.length
+            message: translate(req.locale, 'ACCOUNT_DELETION_SCHEDULED'),
+            deletion: describeDeletion(deletion)
         });
 
     } catch (error) {
-        console.error('❌ Get ECG history error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Server error while fetching ECG history',
-            history: [],
-            count: 0,
-            debug: error.message
-        });
-    } finally {
-        if (client) client.release();
+        console.error('❌ Account deletion request error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
     }
 });
 
-// Delete all ECG history for a user
-app.delete('/api/ecg/history/:userId', async (req, res) => {
-    if (!pool) {
-        return res.status(500).json({
-            success: false,
-            message: 'Database not configured'
+// Cancel a pending deletion during the grace period
+app.delete('/api/account/:userId/deletion', requireAuth, validate(schemas.userParams), authorizeUser('params', { allowRoles: ['admin'] }), async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        if (!await storage.accounts.cancelDeletion(userId)) {
+            return sendError(req, res, 404, 'ACCOUNT_DELETION_NOT_FOUND');
+        }
+
+        console.log('↩️ Account deletion of user', userId, 'cancelled by user', req.user.id);
+
+        res.json({
+            success: true,
+            message: translate(req.locale, 'ACCOUNT_DELETION_CANCELLED'),
+            deletion: describeDeletion(await storage.accounts.findDeletion(userId))
+        });
+
+    } catch (error) {
+        console.error('❌ Cancel account deletion error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
+    }
+});
+
+// ============================================
+// ECG ROUTES
+// ============================================
+
+// Resting BPM trend: minimum readings, and the change per 30 days still called "stable"
+const TREND_MIN_READINGS = 5;
+const TREND_STABLE_BPM = 2;
+
+// Classify and store a prepared reading with its waveform and HRV. Pass the repositories of a
+// transaction. Returns null when the user already has a reading with the same clientId.
+async function insertReading(repos, { userId, username }, reading) {
+    // Capture time and zone from the phone; tanggal / waktu are kept as the local date and time there
+    const timeZone = resolveTimeZone(reading.timeZone, await repos.users.getTimeZone(userId));
+
+    // Determine status and condition from the user's age, activity and clinician thresholds
+    const classification = classifyBpm(reading.classifiedBpm, {
+        ...(await repos.users.getClassificationContext(userId)),
+        activity: reading.activity
+    });
+    const { analysis } = reading;
+
+    const result = await repos.ecgResults.insert({
+        userId,
+        username,
+        recordedAt: reading.recordedAt,
+        timeZone,
+        bpm: reading.classifiedBpm,
+        status: classification.status,
+        kondisi: classification.kondisi,
+        clientBpm: reading.bpm,
+        serverBpm: analysis ? analysis.heartRate : null,
+        signalQuality: analysis ? analysis.signalQuality : null,
+        rrIntervals: reading.rrIntervals,
+        bpmSource: reading.bpmSource,
+        rhythmAnalysis: reading.rhythm,
+        activityContext: reading.activity,
+        ruleSetVersion: classification.ruleSetVersion,
+        classificationDetails: classification.details,
+        clientId: reading.clientId
+    });
+
+    if (!result) return null;
+
+    const savedWaveform = reading.waveform
+        ? await repos.waveforms.save(result.id, reading.waveform)
+        : null;
+
+    if (reading.hrv) await repos.hrv.save(result.id, reading.hrv);
+
+    return { result, waveform: savedWaveform };
+}
+
+// Run the user's alert rules on a new result; alerting problems never fail the save
+async function checkAlerts(result) {
+    try {
+        const alerts = await raiseAlerts(storage, result);
+        return alerts.map((alert) => ({ id: alert.id, type: alert.rule_type }));
+    } catch (error) {
+        console.error('❌ Alert check error:', error);
+        return [];
+    }
+}
+
+// Earlier upload of a client-generated reading id: the stored result, or its deletion
+async function findByClientId(userId, clientId) {
+    const result = await storage.ecgResults.findByClientId(userId, clientId);
+    if (result) return { result };
+
+    const deleted = await storage.ecgResults.findDeletionByClientId(userId, clientId);
+    if (deleted) return { deleted };
+
+    return null;
+}
+
+// Save ECG result
+app.post('/api/ecg/save', requireAuth, validate(schemas.ecgSave), authorizeUser('body'), async (req, res) => {
+    try {
+        const { userId, bpm } = req.body;
+        // Readings are saved under the account's own username, whatever the body says
+        const { username } = req.user;
+
+        console.log('💓 ECG save request received:', { userId, username, bpm, activity: req.body.activity, clientId: req.body.clientId, hasWaveform: !!req.body.waveform });
+
+        const prepared = prepareReading(req.body);
+        if (prepared.code) {
+            return sendError(req, res, prepared.statusCode, prepared.code, {}, { analysis: prepared.analysis });
+        }
+        const { reading } = prepared;
+
+        // A retry of a reading that was already stored (its response got lost) is not saved twice
+        const previous = reading.clientId ? await findByClientId(userId, reading.clientId) : null;
+        if (previous) {
+            console.log('↩️ Duplicate ECG upload for clientId:', reading.clientId);
+            if (!previous.result) {
+                return sendError(req, res, 409, 'ECG_RESULT_DELETED', {}, { duplicate: true, result: null });
+            }
+            return res.status(200).json({
+                success: true,
+                message: translate(req.locale, 'ECG_RESULT_ALREADY_SAVED'),
+                duplicate: true,
+                result: previous.result
+            });
+        }
+
+        const saved = await storage.transaction((repos) => insertReading(repos, { userId, username }, reading));
+
+        // Lost a race with a concurrent retry of the same reading
+        if (!saved) {
+            const existing = await findByClientId(userId, reading.clientId);
+            return res.status(200).json({
+                success: true,
+                message: translate(req.locale, 'ECG_RESULT_ALREADY_SAVED'),
+                duplicate: true,
+                result: existing && existing.result ? existing.result : null
+            });
+        }
+
+        console.log('✅ ECG result saved successfully:', saved.result);
+
+        const alerts = await checkAlerts(saved.result);
+
+        res.status(201).json({
+            success: true,
+            message: translate(req.locale, 'ECG_RESULT_SAVED'),
+            result: saved.result,
+            waveform: saved.waveform,
+            analysis: reading.analysis,
+            hrv: reading.hrv,
+            rhythm: reading.rhythm,
+            alerts
+        });
+
+    } catch (error) {
+        console.error('❌ Save ECG error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
+    }
+});
+
+// Upload readings recorded offline. Each reading carries a client-generated UUID (clientId);
+// readings already stored (or deleted) are reported and not saved again.
+app.post('/api/ecg/sync', requireAuth, validate(schemas.ecgSyncPush), authorizeUser('body'), async (req, res) => {
+    try {
+        const { userId, readings } = req.body;
+
+        console.log('🔄 ECG sync push received:', { userId, readings: readings.length });
+
+        const user = await storage.users.findById(userId);
+        if (!user) {
+            return sendError(req, res, 404, 'USER_NOT_FOUND');
+        }
+        const { username } = user;
+
+        // Readings are stored one by one, each in its own transaction, so a retry after a
+        // failure only re-sends what is missing
+        const results = [];
+        const reject = (index, clientId, errors) => {
+            const details = localizeErrors(req.locale, errors);
+            results.push({ index, clientId, status: 'rejected', code: 'VALIDATION_FAILED', message: details[0].message, errors: details });
+        };
+
+        for (const [index, item] of readings.entries()) {
+            const clientId = (item && item.clientId) || null;
+            const { values, errors } = validateFields(schemas.syncReadingFields, item, `readings[${index}]`);
+
+            // Without a usable clientId the reading cannot be deduplicated
+            if (errors.some((error) => error.field === 'clientId')) {
+                reject(index, clientId, errors);
+                continue;
+            }
+
+            const previous = await findByClientId(userId, values.clientId.toLowerCase());
+            if (previous) {
+                results.push(previous.result
+                    ? { index, clientId, status: 'duplicate', id: previous.result.id }
+                    : { index, clientId, status: 'deleted', id: previous.deleted.ecg_result_id });
+                continue;
+            }
+
+            const readingErrors = errors.length > 0 ? errors : schemas.checkReading(values, `readings[${index}]`);
+            if (readingErrors.length > 0) {
+                reject(index, clientId, readingErrors);
+                continue;
+            }
+
+            const prepared = prepareReading({ ...values, userId });
+            if (prepared.code) {
+                results.push({ index, clientId, status: 'rejected', code: prepared.code, message: translate(req.locale, prepared.code) });
+                continue;
+            }
+
+            const saved = await storage.transaction((repos) => insertReading(repos, { userId, username }, prepared.reading));
+
+            if (saved) {
+                const { id, status, kondisi } = saved.result;
+                const alerts = await checkAlerts(saved.result);
+                results.push({ index, clientId, status: 'created', id, result: { status, kondisi }, alerts });
+            } else {
+                const existing = await findByClientId(userId, prepared.reading.clientId);
+                results.push({ index, clientId, status: 'duplicate', id: existing && existing.result ? existing.result.id : null });
+            }
+        }
+
+        const summary = { created: 0, duplicate: 0, deleted: 0, rejected: 0 };
+        results.forEach((item) => { summary[item.status]++; });
+
+        console.log('✅ ECG sync push processed for user', userId, summary);
+
+        res.json({
+            success: true,
+            message: translate(req.locale, 'READINGS_SYNCED'),
+            summary,
+            results
+        });
+
+    } catch (error) {
+        console.error('❌ ECG sync push error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
+    }
+});
+
+// Changes since the last pull: results created or updated and results deleted, in change order.
+// Query: since (nextSince of the previous pull, 0 for everything), limit
+app.get('/api/ecg/sync/:userId', requireAuth, validate(schemas.ecgSyncPull), authorizeUser('params'), async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { since = 0, limit = schemas.SYNC_DEFAULT_LIMIT } = req.query;
+
+        console.log('🔄 ECG sync pull received for userId:', userId, { since, limit });
+
+        const { changed, deleted } = await storage.ecgResults.listChanges(userId, { since: String(since), limit: limit + 1 });
+
+        // Merge both streams by sequence number and cut one page from the front
+        const entries = [
+            ...changed.map((row) => ({ seq: Number(row.change_seq), row })),
+            ...deleted.map((row) => ({ seq: Number(row.change_seq), row, deleted: true }))
+        ].sort((a, b) => a.seq - b.seq);
+        const page = entries.slice(0, limit);
+
+        console.log('✅ ECG sync pull for user', userId, 'returned', page.length, 'changes');
+
+        res.json({
+            success: true,
+            message: translate(req.locale, 'ECG_CHANGES_RETRIEVED'),
+            since,
+            nextSince: page.length > 0 ? page[page.length - 1].seq : since,
+            hasMore: entries.length > limit,
+            changes: page.filter((entry) => !entry.deleted).map((entry) => entry.row),
+            deletions: page.filter((entry) => entry.deleted).map((entry) => entry.row)
+        });
+
+    } catch (error) {
+        console.error('❌ ECG sync pull error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
+    }
+});
+
+// Import readings from other apps or devices: a CSV file (columns named in mapping, or the headers
+// of the CSV export) or a FHIR Bundle of heart-rate Observations. Each row is validated, classified
+// and stored like POST /api/ecg/save; rows already stored (same clientId, or same capture time and
+// BPM) are reported as duplicates. Imported readings are history and do not raise alerts.
+app.post('/api/ecg/import/:userId', requireAuth, validate(schemas.ecgImport), authorizeUser('params'), async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { format, activity, timeZone } = req.body;
+
+        console.log('📥 ECG import received:', { userId, format });
+
+        const user = await storage.users.findById(userId);
+        if (!user) {
+            return sendError(req, res, 404, 'USER_NOT_FOUND');
+        }
+        const { username } = user;
+
+        // Local times without a zone column are read in the given zone, else the profile zone
+        const parsed = format === 'csv'
+            ? csvToReadings(req.body.csv, {
+                mapping: req.body.mapping,
+                timeZone: resolveTimeZone(timeZone, await storage.users.getTimeZone(userId))
+            })
+            : fhirToReadings(req.body.bundle);
+
+        if (parsed.error) {
+            return sendError(req, res, 400, 'IMPORT_FILE_INVALID', { reason: parsed.error });
+        }
+        if (parsed.missing) {
+            return sendValidationError(req, res, parsed.missing.map(({ field, column }) => (
+                { in: 'body', field: `mapping.${field}`, code: 'COLUMN_NOT_FOUND', params: { column } }
+            )));
+        }
+        if (parsed.entries.length > schemas.IMPORT_MAX_READINGS) {
+            return sendError(req, res, 400, 'IMPORT_TOO_LARGE', { max: schemas.IMPORT_MAX_READINGS });
+        }
+
+        // Rows are stored one by one, each in its own transaction, like a sync push; the row is
+        // { line } (line in the CSV file) or { entry } (index in Bundle.entry)
+        const results = [];
+        for (const { fields, code, params, ...row } of parsed.entries) {
+            const location = row.line !== undefined ? `line ${row.line}` : `entry[${row.entry}]`;
+
+            if (code) {
+                results.push({ ...row, status: 'rejected', code, message: translate(req.locale, code, params) });
+                continue;
+            }
+
+            const { values, errors } = validateFields(schemas.importReadingFields, { activity, timeZone, ...fields }, location);
+            const clientId = values.clientId ? values.clientId.toLowerCase() : null;
+            if (errors.length > 0) {
+                const details = localizeErrors(req.locale, errors);
+                results.push({ ...row, clientId, status: 'rejected', code: 'VALIDATION_FAILED', message: details[0].message, errors: details });
+                continue;
+            }
+
+            const previous = clientId ? await findByClientId(userId, clientId) : null;
+            if (previous) {
+                results.push(previous.result
+                    ? { ...row, clientId, status: 'duplicate', id: previous.result.id }
+                    : { ...row, clientId, status: 'deleted', id: previous.deleted.ecg_result_id });
+                continue;
+            }
+
+            // Stored BPM are whole numbers; other apps often export decimals
+            const bpm = Math.round(values.bpm);
+            const same = await storage.ecgResults.findByRecordedAt(userId, values.recordedAt, bpm);
+            if (same) {
+                results.push({ ...row, clientId, status: 'duplicate', id: same.id });
+                continue;
+            }
+
+            const prepared = prepareReading({ ...values, bpm, clientId, userId });
+            if (prepared.code) {
+                results.push({ ...row, clientId, status: 'rejected', code: prepared.code, message: translate(req.locale, prepared.code) });
+                continue;
+            }
+
+            const saved = await storage.transaction((repos) => insertReading(repos, { userId, username }, prepared.reading));
+
+            if (saved) {
+                const { id, status, kondisi } = saved.result;
+                results.push({ ...row, clientId, status: 'created', id, result: { status, kondisi } });
+            } else {
+                const existing = await findByClientId(userId, clientId);
+                results.push({ ...row, clientId, status: 'duplicate', id: existing && existing.result ? existing.result.id : null });
+            }
+        }
+
+        const summary = { created: 0, duplicate: 0, deleted: 0, rejected: 0 };
+        results.forEach((item) => { summary[item.status]++; });
+
+        console.log('✅ ECG import processed for user', userId, { format, ...summary });
+
+        res.json({
+            success: true,
+            message: translate(req.locale, 'READINGS_IMPORTED'),
+            format,
+            summary,
+            results
+        });
+
+    } catch (error) {
+        console.error('❌ ECG import error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
+    }
+});
+
+// Latest human verdict of each record as row.review, next to the automatic status / kondisi
+async function attachLatestReviews(rows) {
+    const verdicts = await storage.reviews.latestVerdicts(rows.map((row) => row.id));
+    const reviewByResult = new Map(verdicts.map((review) => [review.ecg_result_id, review]));
+    rows.forEach((row) => { row.review = reviewByResult.get(row.id) || null; });
+}
+
+// Get ECG history
+app.get('/api/ecg/history/:userId', requireAuth, validate(schemas.historyQuery), authorizeUser('params', { allowGrantees: true }), async (req, res) => {
+    try {
+        const { userId } = req.params;
+        
+        console.log('📊 ECG history request received for userId:', userId, req.query);
+
+        // Without limit / cursor the full (filtered) history is returned, as older app versions expect
+        const options = parseHistoryQuery(req.query);
+        if (options.error) {
+            return sendValidationError(req, res, [options.error], { history: [], count: 0 });
+        }
+
+        // Local dates are shown in ?tz=, else in the user's own zone
+        options.filters.timeZone = resolveTimeZone(req.query.tz, await storage.users.getTimeZone(userId));
+
+        const { rows, total } = await storage.ecgResults.listHistory(userId, options);
+        const page = buildPage(rows, options);
+
+        await attachLatestReviews(page.history);
+
+        console.log('✅ ECG history retrieved:', page.history.length, 'records');
+
+        const response = {
+            success: true,
+            message: translate(req.locale, 'ECG_HISTORY_RETRIEVED'),
+            history: page.history,
+            count: page.history.length,
+            timezone: options.filters.timeZone
+        };
+
+        if (options.paginated) {
+            response.total = total;
+            response.pagination = {
+                limit: options.limit,
+                sort: options.sort,
+                hasMore: page.hasMore,
+                nextCursor: page.nextCursor
+            };
+        }
+
+        res.json(response);
+
+    } catch (error) {
+        console.error('❌ Get ECG history error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR', {}, { history: [], count: 0 });
+    }
+});
+
+// Download the history as csv, pdf (printable report) or fhir (FHIR R4 Bundle of heart-rate
+// Observations). Takes the history filters; all matching readings, oldest first unless sort is given.
+app.get('/api/ecg/export/:userId', requireAuth, validate(schemas.historyExport), authorizeUser('params', { allowGrantees: true }), async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { format } = req.query;
+
+        console.log('📤 ECG export request received for userId:', userId, req.query);
+
+        const user = await storage.users.findById(userId);
+        if (!user) {
+            return sendError(req, res, 404, 'USER_NOT_FOUND');
+        }
+
+        const options = parseHistoryQuery({ ...req.query, sort: req.query.sort || 'date_asc' });
+        options.filters.timeZone = resolveTimeZone(req.query.tz, await storage.users.getTimeZone(userId));
+
+        const { rows } = await storage.ecgResults.listHistory(userId, options);
+        const { history } = buildPage(rows, options);
+        await attachLatestReviews(history);
+
+        const { timeZone } = options.filters;
+        const today = toLocalDateTime(new Date(), timeZone).date;
+        const filename = `ecg-history-${user.username.replace(/[^A-Za-z0-9_-]/g, '_')}-${today}`;
+
+        console.log('✅ ECG export ready:', history.length, 'records as', format);
+
+        if (format === 'csv') {
+            return res.type('text/csv; charset=utf-8').attachment(`${filename}.csv`).send(historyToCsv(history));
+        }
+
+        // attachment() sets the type from the .json extension, so the FHIR media type goes after it
+        if (format === 'fhir') {
+            const bundle = historyToFhirBundle(user, history);
+            return res.attachment(`${filename}.json`).type('application/fhir+json; charset=utf-8').send(JSON.stringify(bundle, null, 2));
+        }
+
+        const { from, to } = req.query;
+        const filters = ['status', 'kondisi', 'minBpm', 'maxBpm', 'reviewStatus']
+            .filter((name) => req.query[name] !== undefined && !(Array.isArray(req.query[name]) && req.query[name].length === 0))
+            .map((name) => `${name}=${[].concat(req.query[name]).join(',')}`)
+            .join(', ');
+        const t = (code, params) => translate(req.locale, code, params);
+
+        const pdf = buildHistoryReport({
+            user,
+            rows: history,
+            timeZone,
+            period: from || to ? `${from || '...'} - ${to || '...'}` : t('REPORT_ALL_READINGS'),
+            filters,
+            t
+        });
+
+        res.type('application/pdf').attachment(`${filename}.pdf`).send(pdf);
+
+    } catch (error) {
+        console.error('❌ ECG export error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
+    }
+});
+
+// BPM statistics and trends for a user, computed in SQL.
+// Query: from / to (YYYY-MM-DD), tz (IANA zone, defaults to the profile zone), granularity=day,week,month
+app.get('/api/ecg/stats/:userId', requireAuth, validate(schemas.stats), authorizeUser('params', { allowGrantees: true }), async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const granularities = req.query.granularity && req.query.granularity.length > 0
+            ? req.query.granularity
+            : ['day', 'week', 'month'];
+
+        console.log('📈 ECG stats request received for userId:', userId, req.query);
+
+        const options = parseHistoryQuery({ from: req.query.from, to: req.query.to });
+
+        const user = await storage.users.findById(userId);
+        if (!user) {
+            return sendError(req, res, 404, 'USER_NOT_FOUND');
+        }
+        const timeZone = resolveTimeZone(req.query.tz, user.timezone);
+
+        const stats = await storage.ecgResults.getStats(userId, { filters: options.filters, timeZone, granularities });
+
+        const { readings: trendReadings, slopePer30Days: slope } = stats.trend;
+        let direction = 'insufficient_data';
+        if (trendReadings >= TREND_MIN_READINGS && slope !== null) {
+            direction = Math.abs(slope) < TREND_STABLE_BPM ? 'stable' : (slope > 0 ? 'rising' : 'falling');
+        }
+
+        console.log('✅ ECG stats computed for userId:', userId, 'readings:', stats.summary.count);
+
+        res.json({
+            success: true,
+            message: translate(req.locale, 'ECG_STATS_RETRIEVED'),
+            userId,
+            timezone: timeZone,
+            from: options.filters.from || null,
+            to: options.filters.to || null,
+            summary: stats.summary,
+            perKondisi: stats.perKondisi,
+            aggregates: stats.aggregates,
+            longestNormalStreak: stats.longestNormalStreak || { length: 0, started_at: null, ended_at: null },
+            trend: {
+                direction,
+                readings: trendReadings,
+                slopeBpmPer30Days: slope === null ? null : Math.round(slope * 10) / 10
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Get ECG stats error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
+    }
+});
+
+// Upload (or replace) the raw waveform of an existing ECG result.
+// Accepts the JSON waveform object, or an application/octet-stream body with metadata in the query string.
+app.put('/api/ecg/:id/waveform', requireAuth, validate(schemas.waveformParams), express.raw({ type: 'application/octet-stream', limit: WAVEFORM_BODY_LIMIT }), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        console.log('📈 Waveform upload received for ECG record:', id, 'content-type:', req.get('content-type'));
+
+        const parsed = Buffer.isBuffer(req.body)
+            ? parseWaveformBinary(req.body, req.query)
+            : parseWaveformJson(req.body);
+
+        if (parsed.error) {
+            return sendValidationError(req, res, [
+                { in: 'body', field: 'waveform', code: 'INVALID_WAVEFORM', params: { reason: parsed.error } }
+            ]);
+        }
+
+        if (!await storage.ecgResults.findOwned(id, req.user.id)) {
+            return sendError(req, res, 404, 'ECG_RECORD_NOT_FOUND');
+        }
+
+        // Record the server-side measurement; the stored classification is left as it was
+        const analysis = analyzeWaveform(parsed.waveform);
+        const rhythm = analyzeRhythm(analysis.rrIntervals, { signalQuality: analysis.signalQuality });
+        const hrv = computeHrv(analysis.rrIntervals);
+
+        const waveform = await storage.transaction(async (repos) => {
+            const saved = await repos.waveforms.save(id, parsed.waveform);
+            await repos.ecgResults.updateAnalysis(id, {
+                serverBpm: analysis.heartRate,
+                signalQuality: analysis.signalQuality,
+                rrIntervals: analysis.rrIntervals,
+                rhythmAnalysis: rhythm
+            });
+            if (hrv) await repos.hrv.save(id, hrv);
+            return saved;
+        });
+
+        console.log('✅ Waveform saved for ECG record', id, waveform.lead_count, 'lead(s),', waveform.samples_per_lead, 'samples');
+
+        res.status(201).json({
+            success: true,
+            message: translate(req.locale, 'WAVEFORM_SAVED'),
+            waveform,
+            analysis,
+            hrv,
+            rhythm
+        });
+
+    } catch (error) {
+        console.error('❌ Save waveform error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
+    }
+});
+
+// Get the raw waveform of an ECG result.
+// Query: start / end (seconds), downsample (integer factor), lead (name), raw=true for stored ADC values
+app.get('/api/ecg/:id/waveform', requireAuth, validate(schemas.waveformQuery), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { start = 0, end, downsample: factor = 1 } = req.query;
+
+        // The owner, or someone the owner has granted access; others get the same 404 as for a missing result
+        const ownerId = await storage.ecgResults.findOwnerId(id);
+        const row = ownerId !== null && await canReadUser(req.user, ownerId)
+            ? await storage.waveforms.findForUser(id, ownerId)
+            : null;
+
+        if (!row) {
+            return sendError(req, res, 404, 'WAVEFORM_NOT_FOUND');
+        }
+
+        const from = Math.min(Math.floor(start * row.sample_rate), row.samples_per_lead);
+        const to = end === undefined
+            ? row.samples_per_lead
+            : Math.min(Math.ceil(end * row.sample_rate), row.samples_per_lead);
+        const raw = req.query.raw === true;
+
+        const leads = row.leads
+            .map((lead, index) => ({ ...lead, index }))
+            .filter((lead) => !req.query.lead || lead.name === req.query.lead)
+            .map(({ index, ...lead }) => {
+                const samples = decodeLead(row, index, from, to);
+                return {
+                    ...lead,
+                    samples: downsample(raw ? samples : toMillivolts(samples, row), factor)
+                };
+            });
+
+        if (leads.length === 0) {
+            return sendError(req, res, 404, 'LEAD_NOT_FOUND', { lead: req.query.lead });
+        }
+
+        console.log('📈 Waveform retrieved for ECG record', id, 'samples', from, '-', to, 'downsample', factor);
+
+        res.json({
+            success: true,
+            message: translate(req.locale, 'WAVEFORM_RETRIEVED'),
+            waveform: {
+                ecgResultId: row.ecg_result_id,
+                sampleRate: row.sample_rate / factor,
+                originalSampleRate: row.sample_rate,
+                gain: row.gain,
+                baseline: row.baseline,
+                units: raw || !row.gain ? row.units : 'mV',
+                start: from / row.sample_rate,
+                end: to / row.sample_rate,
+                duration: row.samples_per_lead / row.sample_rate,
+                leads
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Get waveform error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
+    }
+});
+
+// List the classification rule sets, so stored results can be explained
+app.get('/api/ecg/rule-sets', requireAuth, (req, res) => {
+    res.json({
+        success: true,
+        message: translate(req.locale, 'RULE_SETS_RETRIEVED'),
+        activities: ACTIVITY_CONTEXTS,
+        ruleSets: listRuleSets()
+    });
+});
+
+// Get the clinician-set BPM thresholds of a user
+app.get('/api/ecg/thresholds/:userId', requireAuth, validate(schemas.userParams), authorizeUser('params', { allowRoles: ['admin'], allowGrantees: true }), async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        const thresholds = await storage.thresholds.find(userId);
+
+        res.json({
+            success: true,
+            message: translate(req.locale, thresholds ? 'THRESHOLDS_RETRIEVED' : 'THRESHOLDS_NOT_SET'),
+            thresholds
+        });
+
+    } catch (error) {
+        console.error('❌ Get thresholds error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
+    }
+});
+
+// Set per-user BPM thresholds (admins, and clinicians the user has granted access); they replace the age-band limits
+app.put('/api/ecg/thresholds/:userId', requireAuth, requireRole(...STAFF_ROLES), validate(schemas.thresholdsUpdate), authorizeUser('params', { allowRoles: ['admin'], allowGrantees: true }), async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { lowBpm, highBpm, note } = req.body;
+
+        console.log('🎚️ Threshold update by', req.user.username, 'for userId:', userId, { lowBpm, highBpm });
+
+        if (!await storage.users.findById(userId)) {
+            return sendError(req, res, 404, 'USER_NOT_FOUND');
+        }
+
+        const thresholds = await storage.thresholds.upsert(userId, {
+            lowBpm: lowBpm ?? null,
+            highBpm: highBpm ?? null,
+            note: note || null,
+            setBy: req.user.id
+        });
+
+        res.json({
+            success: true,
+            message: translate(req.locale, 'THRESHOLDS_SAVED'),
+            thresholds
+        });
+
+    } catch (error) {
+        console.error('❌ Save thresholds error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
+    }
+});
+
+// Remove per-user thresholds, going back to the age-band limits
+app.delete('/api/ecg/thresholds/:userId', requireAuth, requireRole(...STAFF_ROLES), validate(schemas.userParams), authorizeUser('params', { allowRoles: ['admin'], allowGrantees: true }), async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        const deleted = await storage.thresholds.remove(userId);
+
+        res.json({
+            success: true,
+            message: translate(req.locale, deleted ? 'THRESHOLDS_REMOVED' : 'THRESHOLDS_NOT_SET'),
+            deleted
+        });
+
+    } catch (error) {
+        console.error('❌ Delete thresholds error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
+    }
+});
+
+// HRV trend for a user over a date range.
+// Query: from / to (YYYY-MM-DD, inclusive, local dates), bucket=day|week|month to average
+// per period, tz to override the user's time zone
+app.get('/api/ecg/hrv/:userId', requireAuth, validate(schemas.hrvTrend), authorizeUser('params', { allowGrantees: true }), async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { from, to, bucket } = req.query;
+
+        console.log('📉 HRV trend request received for userId:', userId, { from, to, bucket });
+
+        // Dates and buckets follow the user's own time zone
+        const timeZone = resolveTimeZone(req.query.tz, await storage.users.getTimeZone(userId));
+        const { points, summary, buckets } = await storage.hrv.getTrend(userId, { timeZone, from, to, bucket });
+
+        console.log('✅ HRV trend retrieved:', points.length, 'records');
+
+        res.json({
+            success: true,
+            message: translate(req.locale, 'HRV_TREND_RETRIEVED'),
+            userId,
+            timezone: timeZone,
+            from: from || null,
+            to: to || null,
+            summary,
+            buckets,
+            points,
+            count: points.length
+        });
+
+    } catch (error) {
+        console.error('❌ Get HRV trend error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
+    }
+});
+
+// Trashed result as returned to clients, with its local date / time and when it is deleted for good
+function describeTrashed(row, profileTimeZone) {
+    const timeZone = resolveTimeZone(row.timezone, profileTimeZone);
+    const local = toLocalDateTime(row.recorded_at, timeZone);
+
+    return {
+        ...row,
+        timezone: timeZone,
+        local_date: local.date,
+        local_time: local.time,
+        purge_after: row.deleted_at ? trashPurgeDate(row.deleted_at) : null
+    };
+}
+
+// Move all ECG history of a user to the trash
+app.delete('/api/ecg/history/:userId', requireAuth, validate(schemas.userParams), authorizeUser('params'), async (req, res) => {
+    try {
+        const { userId } = req.params;
+        
+        console.log('🗑️ DELETE request received for user history, userId:', userId);
+
+        // Check if user exists
+        if (!await storage.users.findById(userId)) {
+            return sendError(req, res, 404, 'USER_NOT_FOUND');
+        }
+
+        // Trash the records and log each one in the same transaction
+        const trashed = await storage.transaction(async (repos) => {
+            const rows = await repos.ecgResults.trashAllForUser(userId, req.user.id);
+            await repos.audit.record(ecgAuditEntries(req.user, 'ecg.delete', rows));
+            return rows;
+        });
+        const deletedCount = trashed.length;
+
+        console.log('✅ Moved', deletedCount, 'ECG records of user', userId, 'to the trash');
+
+        // Return success response
+        res.status(200).json({
+            success: true,
+            message: translate(req.locale, 'ECG_RECORDS_DELETED', { count: deletedCount }),
+            deletedCount,
+            userId: parseInt(userId),
+            previousCount: deletedCount,
+            restorableUntil: deletedCount > 0 ? trashPurgeDate(trashed[0].deleted_at) : null
+        });
+
+    } catch (error) {
+        console.error('❌ Error deleting user history:', error);
+        
+        sendError(req, res, 500, 'INTERNAL_ERROR');
+    }
+});
+
+// Move a specific ECG record to the trash
+app.delete('/api/ecg/history/:userId/:id', requireAuth, validate(schemas.historyRecordParams), authorizeUser('params'), async (req, res) => {
+    try {
+        const { userId, id } = req.params;
+        
+        console.log('🗑️ DELETE request received for specific ECG record, userId:', userId, 'recordId:', id);
+
+        // Null when the record does not exist, belongs to someone else or is already in the trash
+        const trashed = await storage.transaction(async (repos) => {
+            const row = await repos.ecgResults.trashOne(id, userId, req.user.id);
+            if (row) await repos.audit.record(ecgAuditEntries(req.user, 'ecg.delete', [row]));
+            return row;
+        });
+
+        if (!trashed) {
+            return sendError(req, res, 404, 'ECG_RECORD_NOT_FOUND');
+        }
+
+        console.log('✅ Moved ECG record', id, 'of user', userId, 'to the trash');
+
+        // Return success response
+        res.status(200).json({
+            success: true,
+            message: translate(req.locale, 'ECG_RECORD_DELETED'),
+            deletedRecordId: parseInt(id),
+            userId: parseInt(userId),
+            restorableUntil: trashPurgeDate(trashed.deleted_at)
+        });
+
+    } catch (error) {
+        console.error('❌ Error deleting specific ECG record:', error);
+        
+        sendError(req, res, 500, 'INTERNAL_ERROR');
+    }
+});
+
+// Deleted ECG records that can still be restored, most recently deleted first
+app.get('/api/ecg/trash/:userId', requireAuth, validate(schemas.userParams), authorizeUser('params', { allowRoles: ['admin'] }), async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        const rows = await storage.ecgResults.listTrash(userId);
+        const profileTimeZone = await storage.users.getTimeZone(userId);
+
+        res.json({
+            success: true,
+            message: translate(req.locale, 'ECG_TRASH_RETRIEVED'),
+            trash: rows.map((row) => describeTrashed(row, profileTimeZone)),
+            count: rows.length,
+            retentionDays: ECG_TRASH_RETENTION_DAYS
+        });
+
+    } catch (error) {
+        console.error('❌ Get ECG trash error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
+    }
+});
+
+// Restore records from the trash: the ones in `ids`, or all of them
+app.post('/api/ecg/trash/:userId/restore', requireAuth, validate(schemas.trashRestore), authorizeUser('params', { allowRoles: ['admin'] }), async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const ids = req.body.ids || null;
+
+        console.log('♻️ ECG restore request for userId:', userId, ids ? `ids ${ids.join(', ')}` : 'all');
+
+        const restored = await storage.transaction(async (repos) => {
+            const rows = await repos.ecgResults.restore(userId, ids);
+            await repos.audit.record(ecgAuditEntries(req.user, 'ecg.restore', rows));
+            return rows;
+        });
+
+        if (ids && restored.length === 0) {
+            return sendError(req, res, 404, 'TRASH_RECORD_NOT_FOUND');
+        }
+
+        const restoredIds = restored.map((row) => row.id);
+        console.log('✅ Restored', restored.length, 'ECG records of user', userId);
+
+        res.json({
+            success: true,
+            message: translate(req.locale, 'ECG_RECORDS_RESTORED', { count: restored.length }),
+            restoredIds,
+            restoredCount: restored.length,
+            notFound: ids ? ids.filter((id) => !restoredIds.includes(id)) : []
+        });
+
+    } catch (error) {
+        console.error('❌ ECG restore error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
+    }
+});
+
+// Empty the trash: its records are deleted for good
+app.delete('/api/ecg/trash/:userId', requireAuth, validate(schemas.userParams), authorizeUser('params'), async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        const purged = await storage.transaction(async (repos) => {
+            const rows = await repos.ecgResults.purgeTrash(userId);
+            await repos.audit.record(ecgAuditEntries(req.user, 'ecg.purge', rows));
+            return rows;
+        });
+
+        console.log('✅ Purged', purged.length, 'ECG records from the trash of user', userId);
+
+        res.json({
+            success: true,
+            message: translate(req.locale, 'ECG_RECORDS_PURGED', { count: purged.length }),
+            purgedCount: purged.length,
+            userId: parseInt(userId)
+        });
+
+    } catch (error) {
+        console.error('❌ Empty ECG trash error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
+    }
+});
+
+// Delete one record in the trash for good
+app.delete('/api/ecg/trash/:userId/:id', requireAuth, validate(schemas.historyRecordParams), authorizeUser('params'), async (req, res) => {
+    try {
+        const { userId, id } = req.params;
+
+        const purged = await storage.transaction(async (repos) => {
+            const rows = await repos.ecgResults.purgeTrash(userId, [id]);
+            await repos.audit.record(ecgAuditEntries(req.user, 'ecg.purge', rows));
+            return rows;
+        });
+
+        if (purged.length === 0) {
+            return sendError(req, res, 404, 'TRASH_RECORD_NOT_FOUND');
+        }
+
+        console.log('✅ Purged ECG record', id, 'from the trash of user', userId);
+
+        res.json({
+            success: true,
+            message: translate(req.locale, 'ECG_RECORD_PURGED'),
+            purgedRecordId: parseInt(id),
+            userId: parseInt(userId)
+        });
+
+    } catch (error) {
+        console.error('❌ Purge ECG record error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
+    }
+});
+
+// ============================================
+// LIVE SESSION ROUTES
+// ============================================
+
+// Comment line sent to idle viewer streams so proxies keep them open
+const LIVE_KEEPALIVE_MS = 15000;
+
+// Live session the caller may watch: their own, or a patient's (care team and admins); null otherwise
+async function findWatchableSession(user, sessionId) {
+    const session = findLiveSession(sessionId);
+    if (!session) return null;
+    if (user.role !== 'admin' && !await canReadUser(user, session.userId)) return null;
+    return session;
+}
+
+// Only the measuring user sends data to, finishes or cancels a session
+function findOwnLiveSession(user, sessionId) {
+    const session = findLiveSession(sessionId);
+    return session && String(session.userId) === String(user.id) ? session : null;
+}
+
+// Start a live measurement: { userId, activity, timeZone, clientId } plus, for a sample
+// stream, { sampleRate, gain, baseline, units, leads: ["II", ...] }. Without sampleRate only beats are accepted.
+app.post('/api/ecg/live', requireAuth, validate(schemas.liveStart), authorizeUser('body'), async (req, res) => {
+    try {
+        const { userId } = req.body;
+
+        const [running] = listLiveSessions(userId);
+        if (running) {
+            return sendError(req, res, 409, 'LIVE_SESSION_ACTIVE', {}, { session: describeLiveSession(running) });
+        }
+
+        const session = startLiveSession({ ...req.body, username: req.user.username });
+        if (!session) {
+            console.log('⏳ Live session refused for user', userId, '- the server is at its session limit');
+            return sendError(req, res, 503, 'LIVE_SESSIONS_FULL');
+        }
+
+        console.log('📡 Live session', session.id, 'started for user', userId, session.waveform ? `(${session.waveform.sampleRate} Hz, ${session.waveform.leads.join('/')})` : '(beats)');
+
+        res.status(201).json({
+            success: true,
+            message: translate(req.locale, 'LIVE_SESSION_STARTED'),
+            session: describeLiveSession(session)
+        });
+
+    } catch (error) {
+        console.error('❌ Start live session error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
+    }
+});
+
+// Live sessions in progress for a user, so viewers can find the one to watch
+app.get('/api/ecg/live/user/:userId', requireAuth, validate(schemas.userParams), authorizeUser('params', { allowRoles: ['admin'], allowGrantees: true }), async (req, res) => {
+    try {
+        const sessions = listLiveSessions(req.params.userId).map(describeLiveSession);
+
+        res.json({
+            success: true,
+            message: translate(req.locale, 'LIVE_SESSIONS_RETRIEVED'),
+            sessions,
+            count: sessions.length
+        });
+
+    } catch (error) {
+        console.error('❌ Get live sessions error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
+    }
+});
+
+// One chunk from the phone: { samples: [...] } or { leads: [[...], ...] }, and / or { beats: [{ bpm, rr }] }.
+// Answers with the running heart rate; viewers get the chunk as a "data" event.
+app.post('/api/ecg/live/:sessionId/data', requireAuth, validate(schemas.liveData), async (req, res) => {
+    try {
+        const session = findOwnLiveSession(req.user, req.params.sessionId);
+
+        if (!session) {
+            return sendError(req, res, 404, 'LIVE_SESSION_NOT_FOUND');
+        }
+
+        const added = addLiveData(session, req.body);
+        if (added.error) {
+            return sendError(req, res, 422, 'LIVE_DATA_INVALID', { reason: added.error });
+        }
+
+        res.json({
+            success: true,
+            message: translate(req.locale, 'LIVE_DATA_RECEIVED'),
+            ...added.update
+        });
+
+    } catch (error) {
+        console.error('❌ Live data error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
+    }
+});
+
+// Server-sent events for viewers: "session" on connect, then "data" for every chunk, and a last
+// "ended" (with the saved result), "cancelled", "expired" or "interrupted" (server shutdown) event
+// before the stream closes
+app.get('/api/ecg/live/:sessionId/stream', requireAuth, validate(schemas.liveParams), async (req, res) => {
+    try {
+        const session = await findWatchableSession(req.user, req.params.sessionId);
+
+        if (!session) {
+            return sendError(req, res, 404, 'LIVE_SESSION_NOT_FOUND');
+        }
+
+        res.status(200).set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+
+        const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), LIVE_KEEPALIVE_MS);
+        const stopWatching = watchLiveSession(session, (event, data) => {
+            send(event, data);
+            if (event !== 'data') res.end();
+        });
+
+        res.on('close', () => {
+            clearInterval(keepAlive);
+            stopWatching();
+            console.log('👋 User', req.user.id, 'stopped watching live session', session.id);
+        });
+
+        console.log('👀 User', req.user.id, 'watching live session', session.id, 'of user', session.userId);
+        send('session', describeLiveSession(session));
+
+    } catch (error) {
+        console.error('❌ Live stream error:', error);
+        if (res.headersSent) return res.end();
+        sendError(req, res, 500, 'INTERNAL_ERROR');
+    }
+});
+
+// Finish a session and save it as an ECG result with its waveform. { bpm } optionally sends the
+// heart rate measured by the phone, needed when the signal was too noisy for the server.
+app.post('/api/ecg/live/:sessionId/end', requireAuth, validate(schemas.liveEnd), async (req, res) => {
+    try {
+        const session = findOwnLiveSession(req.user, req.params.sessionId);
+
+        if (!session) {
+            return sendError(req, res, 404, 'LIVE_SESSION_NOT_FOUND');
+        }
+
+        const body = liveSessionReading(session, { bpm: req.body.bpm });
+        if (!body) {
+            return sendError(req, res, 422, 'LIVE_SESSION_EMPTY');
+        }
+
+        // The session stays open when the heart rate is unknown, so the phone can finish again with a bpm
+        const prepared = prepareReading(body);
+        if (prepared.code) {
+            return sendError(req, res, prepared.statusCode, prepared.code, {}, { analysis: prepared.analysis });
+        }
+        const { reading } = prepared;
+
+        const saved = await storage.transaction((repos) => insertReading(repos, { userId: session.userId, username: session.username }, reading));
+
+        // A reading with this clientId was stored before (the session's own clientId, or one the phone chose)
+        if (!saved) {
+            const existing = await findByClientId(session.userId, reading.clientId);
+            const result = existing && existing.result ? existing.result : null;
+            closeLiveSession(session, 'ended', { resultId: result ? result.id : null });
+            return res.status(200).json({
+                success: true,
+                message: translate(req.locale, 'ECG_RESULT_ALREADY_SAVED'),
+                duplicate: true,
+                result
+            });
+        }
+
+        const alerts = await checkAlerts(saved.result);
+        closeLiveSession(session, 'ended', {
+            resultId: saved.result.id,
+            bpm: saved.result.bpm,
+            status: saved.result.status,
+            kondisi: saved.result.kondisi
+        });
+
+        console.log('✅ Live session', session.id, 'saved as ECG result', saved.result.id);
+
+        res.status(201).json({
+            success: true,
+            message: translate(req.locale, 'LIVE_SESSION_SAVED'),
+            result: saved.result,
+            waveform: saved.waveform,
+            analysis: reading.analysis,
+            hrv: reading.hrv,
+            rhythm: reading.rhythm,
+            alerts
+        });
+
+    } catch (error) {
+        console.error('❌ End live session error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
+    }
+});
+
+// Drop a session without saving it
+app.delete('/api/ecg/live/:sessionId', requireAuth, validate(schemas.liveParams), async (req, res) => {
+    try {
+        const session = findOwnLiveSession(req.user, req.params.sessionId);
+
+        if (!session) {
+            return sendError(req, res, 404, 'LIVE_SESSION_NOT_FOUND');
+        }
+
+        closeLiveSession(session, 'cancelled');
+
+        console.log('🛑 Live session', session.id, 'cancelled by user', req.user.id);
+
+        res.json({
+            success: true,
+            message: translate(req.locale, 'LIVE_SESSION_CANCELLED'),
+            sessionId: session.id
+        });
+
+    } catch (error) {
+        console.error('❌ Cancel live session error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
+    }
+});
+
+// ============================================
+// REVIEW ROUTES
+// ============================================
+
+// An ECG result the caller may read (the owner, someone with a care grant, or an admin), or null
+async function findReadableResult(user, id) {
+    const ownerId = await storage.ecgResults.findOwnerId(id);
+    if (ownerId === null) return null;
+    if (user.role !== 'admin' && !await canReadUser(user, ownerId)) return null;
+    return storage.ecgResults.findOwned(id, ownerId);
+}
+
+// Reviews of one ECG result, newest first, next to the automatic classification
+app.get('/api/ecg/:id/reviews', requireAuth, validate(schemas.resultParams), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const result = await findReadableResult(req.user, id);
+
+        if (!result) {
+            return sendError(req, res, 404, 'ECG_RECORD_NOT_FOUND');
+        }
+
+        const reviews = await storage.reviews.listForResult(id);
+
+        res.json({
+            success: true,
+            message: translate(req.locale, 'REVIEWS_RETRIEVED'),
+            ecgResultId: result.id,
+            automatic: { status: result.status, kondisi: result.kondisi },
+            reviewStatus: result.review_status,
+            review: reviews.find((review) => review.verdict !== null) || null,
+            reviews,
+            count: reviews.length
+        });
+
+    } catch (error) {
+        console.error('❌ Get reviews error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
+    }
+});
+
+// Add a note and / or a verdict to an ECG result (clinicians with a care grant from the patient, and admins).
+// A verdict sets the result's review_status; the automatic status / kondisi are never changed.
+app.post('/api/ecg/:id/reviews', requireAuth, requireRole(...STAFF_ROLES), validate(schemas.reviewCreate), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { verdict, note } = req.body;
+
+        const result = await findReadableResult(req.user, id);
+
+        if (!result) {
+            return sendError(req, res, 404, 'ECG_RECORD_NOT_FOUND');
+        }
+        if (req.user.role !== 'admin' && !await storage.careGrants.hasActiveGrant(result.user_id, req.user.id)) {
+            return sendError(req, res, 403, 'USER_ACCESS_DENIED');
+        }
+
+        // A confirmation records the classification it agreed with
+        const overridden = verdict === 'overridden';
+        const review = await storage.transaction(async (repos) => {
+            const created = await repos.reviews.create({
+                resultId: id,
+                authorId: req.user.id,
+                verdict: verdict || null,
+                reviewedStatus: overridden ? req.body.status : verdict ? result.status : null,
+                diagnosis: overridden ? req.body.diagnosis : verdict ? result.kondisi : null,
+                note: note || null
+            });
+            if (verdict) {
+                await repos.ecgResults.setReviewStatus(id, verdict);
+            }
+            return created;
+        });
+
+        console.log('🩺 Review of ECG record', id, 'by', req.user.username, verdict ? `(${verdict})` : '(note)');
+
+        res.status(201).json({
+            success: true,
+            message: translate(req.locale, 'REVIEW_SAVED'),
+            review,
+            reviewStatus: verdict || result.review_status
+        });
+
+    } catch (error) {
+        console.error('❌ Save review error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
+    }
+});
+
+// Edit the note of a review (its author only); the verdict stays, add a new review to change it
+app.put('/api/ecg/:id/reviews/:reviewId', requireAuth, requireRole(...STAFF_ROLES), validate(schemas.reviewUpdate), async (req, res) => {
+    try {
+        const { id, reviewId } = req.params;
+
+        const review = await storage.reviews.findById(reviewId);
+
+        if (!review || review.ecg_result_id !== id || !await findReadableResult(req.user, id)) {
+            return sendError(req, res, 404, 'REVIEW_NOT_FOUND');
+        }
+        if (review.author_id !== req.user.id) {
+            return sendError(req, res, 403, 'REVIEW_EDIT_DENIED');
+        }
+
+        const updated = await storage.reviews.updateNote(reviewId, req.body.note);
+
+        console.log('📝 Review', reviewId, 'of ECG record', id, 'edited by', req.user.username);
+
+        res.json({
+            success: true,
+            message: translate(req.locale, 'REVIEW_UPDATED'),
+            review: updated
         });
+
+    } catch (error) {
+        console.error('❌ Update review error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
+    }
+});
+
+// ============================================
+// ALERT ROUTES
+// ============================================
+
+// Alert rules of a user (see ecg/alerts.js for the rule types)
+app.get('/api/alerts/rules/:userId', requireAuth, validate(schemas.userParams), authorizeUser('params', { allowRoles: ['admin'], allowGrantees: true }), async (req, res) => {
+    try {
+        const rules = await storage.alerts.listRules(req.params.userId);
+
+        res.json({
+            success: true,
+            message: translate(req.locale, 'ALERT_RULES_RETRIEVED'),
+            rules,
+            count: rules.length
+        });
+
+    } catch (error) {
+        console.error('❌ Get alert rules error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
     }
+});
 
-    let client;
+// Add a rule: { type, thresholdCount + windowHours (abnormal_count), bpmLimit (bpm_above / bpm_below), enabled }
+app.post('/api/alerts/rules/:userId', requireAuth, validate(schemas.alertRuleCreate), authorizeUser('params', { allowRoles: ['admin'] }), async (req, res) => {
     try {
         const { userId } = req.params;
-        
-        console.log('🗑️ DELETE request received for user history, userId:', userId);
-        
-        // Validate userId
-        if (!userId || isNaN(userId)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid user ID'
-            });
+        const { type, thresholdCount = null, windowHours = null, bpmLimit = null, enabled = true } = req.body;
+
+        if (!await storage.users.findById(userId)) {
+            return sendError(req, res, 404, 'USER_NOT_FOUND');
         }
 
-        client = await pool.connect();
+        const rule = await storage.alerts.createRule(userId, { type, thresholdCount, windowHours, bpmLimit, enabled });
 
-        // Check if user exists
-        const userCheckQuery = 'SELECT id FROM users WHERE id = $1';
-        const userCheckResult = await client.query(userCheckQuery, [userId]);
-        
-        if (userCheckResult.rows.length === 0) {
-            return res.status(404).json({
-                success: false,
-                message: 'User not found'
-            });
+        console.log('🔔 Alert rule', rule.id, `(${type})`, 'added for user', userId);
+
+        res.status(201).json({
+            success: true,
+            message: translate(req.locale, 'ALERT_RULE_CREATED'),
+            rule
+        });
+
+    } catch (error) {
+        console.error('❌ Create alert rule error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
+    }
+});
+
+// Turn a rule on or off: { enabled }
+app.put('/api/alerts/rules/:userId/:id', requireAuth, validate(schemas.alertRuleUpdate), authorizeUser('params', { allowRoles: ['admin'] }), async (req, res) => {
+    try {
+        const { userId, id } = req.params;
+
+        const rule = await storage.alerts.setRuleEnabled(id, userId, req.body.enabled);
+
+        if (!rule) {
+            return sendError(req, res, 404, 'ALERT_RULE_NOT_FOUND');
         }
 
-        // Get count of records to be deleted (for logging)
-        const countQuery = 'SELECT COUNT(*) FROM ecg_results WHERE user_id = $1';
-        const countResult = await client.query(countQuery, [userId]);
-        const recordCount = countResult.rows[0].count;
+        res.json({
+            success: true,
+            message: translate(req.locale, 'ALERT_RULE_UPDATED'),
+            rule
+        });
 
-        // Delete all ECG history for the user
-        const deleteQuery = 'DELETE FROM ecg_results WHERE user_id = $1';
-        const deleteResult = await client.query(deleteQuery, [userId]);
+    } catch (error) {
+        console.error('❌ Update alert rule error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
+    }
+});
 
-        console.log('✅ Deleted', deleteResult.rowCount, 'ECG records for user', userId);
+app.delete('/api/alerts/rules/:userId/:id', requireAuth, validate(schemas.alertRuleParams), authorizeUser('params', { allowRoles: ['admin'] }), async (req, res) => {
+    try {
+        const { userId, id } = req.params;
 
-        // Return success response
-        res.status(200).json({
+        if (!await storage.alerts.deleteRule(id, userId)) {
+            return sendError(req, res, 404, 'ALERT_RULE_NOT_FOUND');
+        }
+
+        res.json({
             success: true,
-            message: `Successfully deleted ${deleteResult.rowCount} ECG records`,
-            deletedCount: deleteResult.rowCount,
-            userId: parseInt(userId),
-            previousCount: parseInt(recordCount)
+            message: translate(req.locale, 'ALERT_RULE_DELETED'),
+            deletedRuleId: id
         });
 
     } catch (error) {
-        console.error('❌ Error deleting user history:', error);
-        
-        res.status(500).json({
-            success: false,
-            message: 'Server error while deleting ECG history',
-            debug: error.message
+        console.error('❌ Delete alert rule error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
+    }
+});
+
+// Webhooks of a user (without their secrets)
+app.get('/api/alerts/webhooks/:userId', requireAuth, validate(schemas.userParams), authorizeUser('params', { allowRoles: ['admin'] }), async (req, res) => {
+    try {
+        const webhooks = await storage.webhooks.list(req.params.userId);
+
+        res.json({
+            success: true,
+            message: translate(req.locale, 'WEBHOOKS_RETRIEVED'),
+            webhooks,
+            count: webhooks.length
         });
-    } finally {
-        if (client) client.release();
+
+    } catch (error) {
+        console.error('❌ Get webhooks error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
     }
 });
 
-// Delete specific ECG record
-app.delete('/api/ecg/history/:userId/:id', async (req, res) => {
-    if (!pool) {
-        return res.status(500).json({
-            success: false,
-            message: 'Database not configured'
+// Register a webhook URL: { url }. The signing secret is only returned here.
+app.post('/api/alerts/webhooks/:userId', requireAuth, validate(schemas.webhookCreate), authorizeUser('params', { allowRoles: ['admin'] }), async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        if (!await storage.users.findById(userId)) {
+            return sendError(req, res, 404, 'USER_NOT_FOUND');
+        }
+
+        const webhook = await storage.webhooks.create(userId, { url: req.body.url, secret: generateWebhookSecret() });
+
+        console.log('🪝 Webhook', webhook.id, 'registered for user', userId);
+
+        res.status(201).json({
+            success: true,
+            message: translate(req.locale, 'WEBHOOK_REGISTERED'),
+            webhook
         });
+
+    } catch (error) {
+        console.error('❌ Create webhook error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
     }
+});
 
-    let client;
+app.delete('/api/alerts/webhooks/:userId/:id', requireAuth, validate(schemas.webhookParams), authorizeUser('params', { allowRoles: ['admin'] }), async (req, res) => {
     try {
         const { userId, id } = req.params;
-        
-        console.log('🗑️ DELETE request received for specific ECG record, userId:', userId, 'recordId:', id);
-        
-        // Validate parameters
-        if (!userId || isNaN(userId) || !id || isNaN(id)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid user ID or record ID'
-            });
+
+        if (!await storage.webhooks.remove(id, userId)) {
+            return sendError(req, res, 404, 'WEBHOOK_NOT_FOUND');
         }
 
-        client = await pool.connect();
+        res.json({
+            success: true,
+            message: translate(req.locale, 'WEBHOOK_DELETED'),
+            deletedWebhookId: id
+        });
+
+    } catch (error) {
+        console.error('❌ Delete webhook error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
+    }
+});
 
-        // Check if record exists and belongs to user
-        const checkQuery = 'SELECT id FROM ecg_results WHERE id = $1 AND user_id = $2';
-        const checkResult = await client.query(checkQuery, [id, userId]);
-        
-        if (checkResult.rows.length === 0) {
-            return res.status(404).json({
-                success: false,
-                message: 'ECG record not found or does not belong to user'
-            });
+// Delivery log of a webhook, newest first, with every attempt
+app.get('/api/alerts/webhooks/:userId/:id/deliveries', requireAuth, validate(schemas.webhookDeliveries), authorizeUser('params', { allowRoles: ['admin'] }), async (req, res) => {
+    try {
+        const { userId, id } = req.params;
+        const { limit = 50 } = req.query;
+
+        if (!await storage.webhooks.findOwned(id, userId)) {
+            return sendError(req, res, 404, 'WEBHOOK_NOT_FOUND');
         }
 
-        // Delete the specific record
-        const deleteQuery = 'DELETE FROM ecg_results WHERE id = $1 AND user_id = $2';
-        const deleteResult = await client.query(deleteQuery, [id, userId]);
+        const deliveries = await storage.webhooks.listDeliveries(id, { limit });
 
-        console.log('✅ Deleted ECG record', id, 'for user', userId);
+        res.json({
+            success: true,
+            message: translate(req.locale, 'WEBHOOK_DELIVERIES_RETRIEVED'),
+            deliveries,
+            count: deliveries.length
+        });
 
-        // Return success response
-        res.status(200).json({
+    } catch (error) {
+        console.error('❌ Get webhook deliveries error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
+    }
+});
+
+// Alerts raised for a user, newest first, with the state of their webhook deliveries
+app.get('/api/alerts/:userId', requireAuth, validate(schemas.alertList), authorizeUser('params', { allowRoles: ['admin'], allowGrantees: true }), async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { limit = 50 } = req.query;
+
+        const alerts = await storage.alerts.list(userId, { limit });
+        const deliveries = await storage.webhooks.listDeliveriesForAlerts(alerts.map((alert) => alert.id));
+
+        res.json({
             success: true,
-            message: `Successfully deleted ECG record`,
-            deletedRecordId: parseInt(id),
-            userId: parseInt(userId)
+            message: translate(req.locale, 'ALERTS_RETRIEVED'),
+            alerts: alerts.map((alert) => ({
+                ...alert,
+                deliveries: deliveries.filter((delivery) => delivery.alert_id === alert.id)
+            })),
+            count: alerts.length
         });
 
     } catch (error) {
-        console.error('❌ Error deleting specific ECG record:', error);
-        
-        res.status(500).json({
-            success: false,
-            message: 'Server error while deleting ECG record',
-            debug: error.message
+        console.error('❌ Get alerts error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
+    }
+});
+
+// ============================================
+// CARE TEAM ROUTES
+// ============================================
+
+// A patient invites a clinician or caregiver account by username. Once the invitation is accepted
+// the grantee can read the patient's profile, history, statistics, HRV, thresholds and waveforms
+// until either side revokes the grant.
+app.post('/api/care/grants', requireAuth, validate(schemas.careGrantCreate), async (req, res) => {
+    try {
+        const { username } = req.body;
+
+        const grantee = await storage.users.findByUsername(username);
+
+        if (grantee && grantee.id === req.user.id) {
+            return sendError(req, res, 400, 'GRANT_SELF');
+        }
+        // Unknown usernames and accounts of other roles get the same answer, so invitations do not
+        // reveal which accounts exist or what role they have
+        if (!grantee || !CARE_ROLES.includes(grantee.role)) {
+            return sendError(req, res, 404, 'GRANTEE_NOT_FOUND');
+        }
+
+        const grant = await storage.careGrants.create({
+            patientId: req.user.id,
+            granteeId: grantee.id,
+            relationship: grantee.role
+        });
+
+        if (!grant) {
+            return sendError(req, res, 409, 'GRANT_EXISTS');
+        }
+
+        console.log('🤝 User', req.user.username, 'invited', grantee.username, 'as', grant.relationship);
+
+        res.status(201).json({
+            success: true,
+            message: translate(req.locale, 'INVITATION_SENT'),
+            grant: { ...grant, grantee_username: grantee.username, grantee_role: grantee.role }
+        });
+
+    } catch (error) {
+        console.error('❌ Create care grant error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
+    }
+});
+
+// Grants the caller has given, including ended ones
+app.get('/api/care/grants', requireAuth, async (req, res) => {
+    try {
+        const grants = await storage.careGrants.listForPatient(req.user.id);
+
+        res.json({
+            success: true,
+            message: translate(req.locale, 'CARE_GRANTS_RETRIEVED'),
+            grants,
+            count: grants.length
+        });
+
+    } catch (error) {
+        console.error('❌ List care grants error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
+    }
+});
+
+// Revoke a grant (or withdraw an invitation); the patient and the grantee can both end it
+app.delete('/api/care/grants/:id', requireAuth, validate(schemas.grantParams), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const grant = await storage.careGrants.findById(id);
+
+        if (!grant || (grant.patient_id !== req.user.id && grant.grantee_id !== req.user.id)) {
+            return sendError(req, res, 404, 'GRANT_NOT_FOUND');
+        }
+
+        const revoked = await storage.careGrants.revoke(id, req.user.id);
+
+        if (!revoked) {
+            return sendError(req, res, 409, 'GRANT_NOT_ACTIVE');
+        }
+
+        console.log('🚫 Care grant', id, 'revoked by', req.user.username);
+
+        res.json({
+            success: true,
+            message: translate(req.locale, 'CARE_GRANT_REVOKED'),
+            grant: revoked
+        });
+
+    } catch (error) {
+        console.error('❌ Revoke care grant error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
+    }
+});
+
+// Pending and active grants the caller has received
+app.get('/api/care/invitations', requireAuth, async (req, res) => {
+    try {
+        const invitations = await storage.careGrants.listForGrantee(req.user.id);
+
+        res.json({
+            success: true,
+            message: translate(req.locale, 'INVITATIONS_RETRIEVED'),
+            invitations,
+            count: invitations.length
+        });
+
+    } catch (error) {
+        console.error('❌ List invitations error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
+    }
+});
+
+// Accept or decline an invitation (grantee only)
+function respondToInvitation(status) {
+    return async (req, res) => {
+        try {
+            const { id } = req.params;
+
+            const grant = await storage.careGrants.findById(id);
+
+            if (!grant || grant.grantee_id !== req.user.id) {
+                return sendError(req, res, 404, 'GRANT_NOT_FOUND');
+            }
+
+            const updated = await storage.careGrants.respond(id, req.user.id, status);
+
+            if (!updated) {
+                return sendError(req, res, 409, 'GRANT_NOT_PENDING');
+            }
+
+            console.log('🤝 Care grant', id, status, 'by', req.user.username);
+
+            res.json({
+                success: true,
+                message: translate(req.locale, status === 'active' ? 'INVITATION_ACCEPTED' : 'INVITATION_DECLINED'),
+                grant: updated
+            });
+
+        } catch (error) {
+            console.error('❌ Respond to invitation error:', error);
+            sendError(req, res, 500, 'INTERNAL_ERROR');
+        }
+    };
+}
+
+app.post('/api/care/invitations/:id/accept', requireAuth, validate(schemas.grantParams), respondToInvitation('active'));
+app.post('/api/care/invitations/:id/decline', requireAuth, validate(schemas.grantParams), respondToInvitation('declined'));
+
+// Dashboard: the caller's patients with their latest reading, Abnormal ones first, and the
+// number of Abnormal readings in the last CARE_ABNORMAL_WINDOW_DAYS days
+app.get('/api/care/patients', requireAuth, requireRole(...CARE_ROLES), async (req, res) => {
+    try {
+        const abnormalSince = new Date(Date.now() - CARE_ABNORMAL_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+        const rows = await storage.careGrants.listPatients(req.user.id, { abnormalSince });
+
+        const patients = rows.map((row) => {
+            const timeZone = resolveTimeZone(row.result_timezone, row.timezone);
+            const local = row.recorded_at ? toLocalDateTime(row.recorded_at, timeZone) : null;
+
+            return {
+                userId: row.user_id,
+                username: row.username,
+                age: row.age,
+                gender: row.gender,
+                relationship: row.relationship,
+                grantId: row.grant_id,
+                grantedAt: row.granted_at,
+                abnormalCount: row.abnormal_count,
+                latestReading: row.result_id === null ? null : {
+                    id: row.result_id,
+                    bpm: row.bpm,
+                    status: row.status,
+                    kondisi: row.kondisi,
+                    recorded_at: row.recorded_at,
+                    timezone: timeZone,
+                    local_date: local.date,
+                    local_time: local.time
+                }
+            };
+        });
+
+        console.log('🩺 Care dashboard for', req.user.username, '- patients:', patients.length);
+
+        res.json({
+            success: true,
+            message: translate(req.locale, 'PATIENTS_RETRIEVED'),
+            patients,
+            count: patients.length,
+            abnormalWindowDays: CARE_ABNORMAL_WINDOW_DAYS
         });
-    } finally {
-        if (client) client.release();
+
+    } catch (error) {
+        console.error('❌ Care dashboard error:', error);
+        sendError(req, res, 500, 'INTERNAL_ERROR');
     }
 });
 
@@ -739,35 +2658,94 @@ app.delete('/api/ecg/history/:userId/:id', async (req, res) => {
 
 // 404 handler
 app.use('*', (req, res) => {
-    res.status(404).json({
-        success: false,
-        message: 'Endpoint not found',
+    sendError(req, res, 404, 'ENDPOINT_NOT_FOUND', {}, {
         path: req.originalUrl,
         available_endpoints: [
             'GET /',
             'GET /api/test',
             'GET /health',
-            'GET /api/users/all',
+            'GET /api/users/check-username',
+            'GET /api/users/all (deprecated)',
+            'GET /api/admin/users',
+            'PUT /api/admin/users/:userId/role',
+            'POST /api/admin/reclassify/preview',
+            'POST /api/admin/reclassify/jobs',
+            'GET /api/admin/reclassify/jobs',
+            'GET /api/admin/reclassify/jobs/:id',
+            'POST /api/admin/reclassify/jobs/:id/resume',
+            'GET /api/admin/account-deletions',
+            'GET /api/admin/audit-log',
             'POST /api/auth/register',
             'POST /api/auth/login',
+            'POST /api/auth/refresh',
+            'POST /api/auth/logout',
             'GET /api/profile/:userId',
             'PUT /api/profile/update',
+            'GET /api/account/:userId/export',
+            'GET /api/account/:userId/deletion',
+            'POST /api/account/:userId/deletion',
+            'DELETE /api/account/:userId/deletion',
             'POST /api/ecg/save',
+            'POST /api/ecg/sync',
+            'GET /api/ecg/sync/:userId',
+            'POST /api/ecg/import/:userId',
             'GET /api/ecg/history/:userId',
+            'GET /api/ecg/export/:userId',
+            'GET /api/ecg/stats/:userId',
+            'GET /api/ecg/hrv/:userId',
+            'GET /api/ecg/rule-sets',
+            'GET /api/ecg/thresholds/:userId',
+            'PUT /api/ecg/thresholds/:userId',
+            'DELETE /api/ecg/thresholds/:userId',
+            'PUT /api/ecg/:id/waveform',
+            'GET /api/ecg/:id/waveform',
             'DELETE /api/ecg/history/:userId',
-            'DELETE /api/ecg/history/:userId/:id'
+            'DELETE /api/ecg/history/:userId/:id',
+            'GET /api/ecg/trash/:userId',
+            'POST /api/ecg/trash/:userId/restore',
+            'DELETE /api/ecg/trash/:userId',
+            'DELETE /api/ecg/trash/:userId/:id',
+            'POST /api/ecg/live',
+            'GET /api/ecg/live/user/:userId',
+            'POST /api/ecg/live/:sessionId/data',
+            'GET /api/ecg/live/:sessionId/stream',
+            'POST /api/ecg/live/:sessionId/end',
+            'DELETE /api/ecg/live/:sessionId',
+            'GET /api/ecg/:id/reviews',
+            'POST /api/ecg/:id/reviews',
+            'PUT /api/ecg/:id/reviews/:reviewId',
+            'GET /api/alerts/:userId',
+            'GET /api/alerts/rules/:userId',
+            'POST /api/alerts/rules/:userId',
+            'PUT /api/alerts/rules/:userId/:id',
+            'DELETE /api/alerts/rules/:userId/:id',
+            'GET /api/alerts/webhooks/:userId',
+            'POST /api/alerts/webhooks/:userId',
+            'DELETE /api/alerts/webhooks/:userId/:id',
+            'GET /api/alerts/webhooks/:userId/:id/deliveries',
+            'POST /api/care/grants',
+            'GET /api/care/grants',
+            'DELETE /api/care/grants/:id',
+            'GET /api/care/invitations',
+            'POST /api/care/invitations/:id/accept',
+            'POST /api/care/invitations/:id/decline',
+            'GET /api/care/patients'
         ]
     });
 });
 
 // Error handler
 app.use((error, req, res, next) => {
+    // Body parser errors are the client's fault
+    if (error.type === 'entity.parse.failed') {
+        return sendError(req, res, 400, 'INVALID_JSON');
+    }
+    if (error.type === 'entity.too.large') {
+        return sendError(req, res, 413, 'PAYLOAD_TOO_LARGE');
+    }
+
     console.error('❌ Unhandled error:', error);
-    res.status(500).json({
-        success: false,
-        message: 'Internal server error',
-        debug: error.message
-    });
+    sendError(req, res, 500, 'INTERNAL_ERROR');
 });
 
 // ============================================
@@ -776,39 +2754,71 @@ app.use((error, req, res, next) => {
 
 const PORT = process.env.PORT || 3000;
 
-const server = app.listen(PORT, '0.0.0.0', (err) => {
-    if (err) {
-        console.error('❌ Server failed to start:', err);
-        process.exit(1);
-    }
-    
-    console.log(`🚀 ECG Heartbeat API started successfully`);
-    console.log(`📍 Port: ${PORT}`);
-    console.log(`🌐 Host: 0.0.0.0`);
-    console.log(`🗄️ Database: ${databaseStatus}`);
-    console.log(`✅ Server ready for connections`);
-    console.log(`🔗 Base URL: https://ecg-heartbeat-api-production.up.railway.app`);
-});
-
-// Handle server errors
-server.on('error', (err) => {
-    console.error('❌ Server error:', err);
-    process.exit(1);
-});
+let server;
 
-// Graceful shutdown
-process.on('SIGINT', () => {
-    console.log('🛑 Received SIGINT');
+// Graceful shutdown on SIGINT (Ctrl-C) and SIGTERM
+function shutdown(signal) {
+    console.log(`🛑 Received ${signal}`);
+    if (!server) process.exit(0);
+    closeAllLiveSessions('interrupted');
     server.close(() => {
         console.log('✅ Server closed gracefully');
         process.exit(0);
     });
-});
+}
 
-process.on('SIGTERM', () => {
-    console.log('🛑 Received SIGTERM');
-    server.close(() => {
-        console.log('✅ Server closed gracefully');
-        process.exit(0);
-    });
-});
+// Start the server and the background workers. Tests require this file for the app alone.
+function start() {
+    // PostgreSQL refuses to start on an outdated schema (see `npm run migrate`)
+    storage.prepare()
+        .then(() => {
+            server = app.listen(PORT, '0.0.0.0', (err) => {
+                if (err) {
+                    console.error('❌ Server failed to start:', err);
+                    process.exit(1);
+                }
+            
+                console.log(`🚀 ECG Heartbeat API started successfully`);
+                console.log(`📍 Port: ${PORT}`);
+                console.log(`🌐 Host: 0.0.0.0`);
+                console.log(`🗄️ Database: ${storage.getStatus()} (${storage.name} storage)`);
+                console.log(`✅ Server ready for connections`);
+                console.log(`🔗 Base URL: https://ecg-heartbeat-api-production.up.railway.app`);
+            });
+
+            // Handle server errors
+            server.on('error', (err) => {
+                console.error('❌ Server error:', err);
+                process.exit(1);
+            });
+
+            // Continue reclassification jobs that were interrupted by a restart
+            resumeInterruptedJobs(storage).catch((error) => {
+                console.error('❌ Resuming reclassification jobs failed:', error);
+            });
+
+            // Send queued and retried alert webhooks
+            startWebhookWorker(storage);
+
+            // Delete ECG results that have been in the trash longer than the retention period
+            startTrashPurgeWorker(storage);
+
+            // Delete accounts whose deletion grace period is over
+            startAccountPurgeWorker(storage, {
+                onDeleted: (record) => listLiveSessions(record.user_id).forEach((session) => closeLiveSession(session, 'cancelled'))
+            });
+        })
+        .catch((error) => {
+            console.error('❌ Storage startup failed:', error.message);
+            process.exit(1);
+        });
+
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+}
+
+if (require.main === module) {
+    start();
+}
+
+module.exports = app;
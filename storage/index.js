@@ -0,0 +1,39 @@
+// Data access for the API. Routes, middleware and jobs only talk to these repositories:
+// users, sessions, ecgResults, waveforms, hrv, thresholds, reclassification, careGrants, reviews,
+// alerts and webhooks, plus transaction(callback) to run several calls atomically.
+//
+// STORAGE_BACKEND picks the implementation: 'postgres' (DATABASE_URL) or 'memory'.
+// Without it, PostgreSQL is used when DATABASE_URL is set, else the in-memory backend.
+
+const BACKENDS = ['postgres', 'memory'];
+
+function createStorage(backend = process.env.STORAGE_BACKEND || (process.env.DATABASE_URL ? 'postgres' : 'memory')) {
+    if (!BACKENDS.includes(backend)) {
+        throw new Error(`STORAGE_BACKEND must be one of: ${BACKENDS.join(', ')}`);
+    }
+
+    if (backend === 'memory') {
+        const { createMemoryStorage } = require('./memory');
+        const storage = createMemoryStorage();
+
+        // Never lose production data silently because DATABASE_URL went missing
+        if (!process.env.STORAGE_BACKEND && process.env.NODE_ENV === 'production') {
+            storage.prepare = async () => {
+                throw new Error('DATABASE_URL is not set; use STORAGE_BACKEND=memory to run without a database');
+            };
+        }
+        return storage;
+    }
+
+    // The pool is only created when PostgreSQL is used
+    const { createPostgresStorage } = require('./postgres');
+    return createPostgresStorage(require('../db/pool'));
+}
+
+const storage = createStorage();
+
+module.exports = {
+    BACKENDS,
+    createStorage,
+    storage
+};
@@ -0,0 +1,180 @@
+// Account lifecycle for the in-memory backend: deletion requests, the deletion of a user with all
+// their data, the audit of deleted accounts, and everything held about a user for a data export
+
+const { nextId, clone, toId, pick } = require('./state');
+const { deleteResults } = require('./ecgResults');
+
+const DELETION_COLUMNS = ['deletion_requested_at', 'deletion_scheduled_for', 'deletion_requested_by'];
+const PROFILE_COLUMNS = ['id', 'username', 'age', 'gender', 'role', 'timezone', 'created_at', 'updated_at', ...DELETION_COLUMNS];
+const SESSION_COLUMNS = ['id', 'user_agent', 'created_at', 'last_used_at', 'expires_at', 'revoked_at'];
+const WEBHOOK_COLUMNS = ['id', 'user_id', 'url', 'enabled', 'created_at', 'updated_at'];
+
+const byId = (a, b) => a.id - b.id;
+
+function createAccountRepository(state) {
+    const userById = (id) => state.users.find((user) => user.id === toId(id)) || null;
+    const isDue = (user) => user.deletion_scheduled_for !== null && user.deletion_scheduled_for <= new Date();
+
+    // Like ON DELETE SET NULL
+    const clearReference = (rows, column, userId) => rows.forEach((row) => {
+        if (row[column] === userId) row[column] = null;
+    });
+
+    return {
+        // Pending deletion of a user (all null when none), or null when the user does not exist
+        async findDeletion(userId) {
+            const user = userById(userId);
+            return user ? pick(user, DELETION_COLUMNS) : null;
+        },
+
+        // Returns the pending deletion, or null when one was already requested
+        async requestDeletion(userId, { scheduledFor, requestedBy }) {
+            const user = userById(userId);
+            if (!user || user.deletion_scheduled_for !== null) return null;
+
+            Object.assign(user, {
+                deletion_requested_at: new Date(),
+                deletion_scheduled_for: new Date(scheduledFor),
+                deletion_requested_by: toId(requestedBy)
+            });
+            return pick(user, DELETION_COLUMNS);
+        },
+
+        // Returns false when no deletion was pending
+        async cancelDeletion(userId) {
+            const user = userById(userId);
+            if (!user || user.deletion_scheduled_for === null) return false;
+
+            Object.assign(user, { deletion_requested_at: null, deletion_scheduled_for: null, deletion_requested_by: null });
+            return true;
+        },
+
+        // Ids of users whose grace period is over, oldest first
+        async listDueDeletions(limit) {
+            return state.users
+                .filter(isDue)
+                .sort((a, b) => a.deletion_scheduled_for - b.deletion_scheduled_for || a.id - b.id)
+                .slice(0, limit)
+                .map((user) => user.id);
+        },
+
+        // Delete a user whose grace period is over, with every row that belongs to them (their
+        // reviews of other patients stay without author), and record the deletion.
+        // Returns the audit row, or null when the deletion is no longer due.
+        async deleteAccount(userId) {
+            const user = userById(userId);
+            if (!user || !isDue(user)) return null;
+            const id = user.id;
+
+            const ecgResultCount = deleteResults(state, (row) => row.user_id === id);
+            state.ecgDeletions = state.ecgDeletions.filter((row) => row.user_id !== id);
+            state.authSessions = state.authSessions.filter((row) => row.user_id !== id);
+            state.userThresholds = state.userThresholds.filter((row) => row.user_id !== id);
+            state.careGrants = state.careGrants.filter((row) => row.patient_id !== id && row.grantee_id !== id);
+            state.auditLog = state.auditLog.filter((row) => row.user_id !== id);
+
+            const jobIds = new Set(state.reclassificationJobs.filter((row) => row.user_id === id).map((row) => row.id));
+            state.reclassificationJobs = state.reclassificationJobs.filter((row) => !jobIds.has(row.id));
+            state.reclassificationAudit.forEach((row) => {
+                if (jobIds.has(row.job_id)) row.job_id = null;
+            });
+
+            const alertIds = new Set(state.alerts.filter((row) => row.user_id === id).map((row) => row.id));
+            const webhookIds = new Set(state.webhooks.filter((row) => row.user_id === id).map((row) => row.id));
+            const deliveryIds = new Set(state.webhookDeliveries
+                .filter((row) => alertIds.has(row.alert_id) || webhookIds.has(row.webhook_id))
+                .map((row) => row.id));
+            state.alertRules = state.alertRules.filter((row) => row.user_id !== id);
+            state.alerts = state.alerts.filter((row) => !alertIds.has(row.id));
+            state.webhooks = state.webhooks.filter((row) => !webhookIds.has(row.id));
+            state.webhookDeliveries = state.webhookDeliveries.filter((row) => !deliveryIds.has(row.id));
+            state.webhookDeliveryAttempts = state.webhookDeliveryAttempts.filter((row) => !deliveryIds.has(row.delivery_id));
+
+            clearReference(state.userThresholds, 'set_by', id);
+            clearReference(state.reclassificationJobs, 'created_by', id);
+            clearReference(state.reclassificationAudit, 'changed_by', id);
+            clearReference(state.careGrants, 'revoked_by', id);
+            clearReference(state.ecgReviews, 'author_id', id);
+            clearReference(state.ecgResults, 'deleted_by', id);
+            clearReference(state.auditLog, 'actor_id', id);
+            clearReference(state.users, 'deletion_requested_by', id);
+            state.users = state.users.filter((row) => row !== user);
+
+            const record = {
+                id: nextId(state, 'accountDeletions'),
+                user_id: id,
+                role: user.role,
+                requested_at: user.deletion_requested_at,
+                requested_by: user.deletion_requested_by,
+                scheduled_for: user.deletion_scheduled_for,
+                ecg_result_count: ecgResultCount,
+                deleted_at: new Date()
+            };
+            state.accountDeletions.push(record);
+            return clone(record);
+        },
+
+        // Audit of deleted accounts, newest first
+        async listDeletions({ limit }) {
+            return [...state.accountDeletions]
+                .sort((a, b) => b.deleted_at - a.deleted_at || b.id - a.id)
+                .slice(0, limit)
+                .map(clone);
+        },
+
+        // Every row held about a user, by table; password and token hashes and webhook secrets are left out.
+        // Waveform rows keep their packed samples. Returns null when the user does not exist.
+        async exportData(userId) {
+            const user = userById(userId);
+            if (!user) return null;
+            const id = user.id;
+
+            const results = state.ecgResults
+                .filter((row) => row.user_id === id)
+                .sort((a, b) => a.recorded_at - b.recorded_at || a.id - b.id);
+            const resultIds = new Set(results.map((row) => row.id));
+            const ofResults = (rows) => rows
+                .filter((row) => resultIds.has(row.ecg_result_id))
+                .sort((a, b) => a.ecg_result_id - b.ecg_result_id || byId(a, b))
+                .map(clone);
+            const username = (userIdOf) => {
+                const found = state.users.find((row) => row.id === userIdOf);
+                return found ? found.username : null;
+            };
+            const webhookIds = new Set(state.webhooks.filter((row) => row.user_id === id).map((row) => row.id));
+
+            return {
+                profile: pick(user, PROFILE_COLUMNS),
+                sessions: state.authSessions.filter((row) => row.user_id === id).sort(byId).map((row) => pick(row, SESSION_COLUMNS)),
+                ecgResults: results.map(clone),
+                waveforms: ofResults(state.ecgWaveforms),
+                hrv: ofResults(state.ecgHrv),
+                reviews: ofResults(state.ecgReviews).map((review) => {
+                    const author = state.users.find((row) => row.id === review.author_id) || null;
+                    const { id: reviewId, ecg_result_id, author_id, ...rest } = review;
+                    return {
+                        id: reviewId,
+                        ecg_result_id,
+                        author_id,
+                        author_username: author ? author.username : null,
+                        author_role: author ? author.role : null,
+                        ...rest
+                    };
+                }),
+                reclassifications: state.reclassificationAudit.filter((row) => resultIds.has(row.ecg_result_id)).sort(byId).map(clone),
+                thresholds: state.userThresholds.filter((row) => row.user_id === id).map(clone),
+                careGrants: state.careGrants
+                    .filter((row) => row.patient_id === id || row.grantee_id === id)
+                    .sort(byId)
+                    .map((row) => ({ ...clone(row), patient_username: username(row.patient_id), grantee_username: username(row.grantee_id) })),
+                alertRules: state.alertRules.filter((row) => row.user_id === id).sort(byId).map(clone),
+                alerts: state.alerts.filter((row) => row.user_id === id).sort(byId).map(clone),
+                webhooks: state.webhooks.filter((row) => row.user_id === id).sort(byId).map((row) => pick(row, WEBHOOK_COLUMNS)),
+                webhookDeliveries: state.webhookDeliveries.filter((row) => webhookIds.has(row.webhook_id)).sort(byId).map(clone),
+                auditLog: state.auditLog.filter((row) => row.user_id === id).sort(byId).map(clone)
+            };
+        }
+    };
+}
+
+module.exports = { createAccountRepository };
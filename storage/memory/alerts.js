@@ -0,0 +1,98 @@
+// Alert rules and the alerts they raise, for the in-memory backend
+
+const { nextId, clone, toId, integerColumn, pick } = require('./state');
+
+const RULE_COLUMNS = ['id', 'user_id', 'type', 'threshold_count', 'window_hours', 'bpm_limit', 'enabled', 'created_at', 'updated_at'];
+const ALERT_COLUMNS = ['id', 'user_id', 'rule_id', 'rule_type', 'ecg_result_id', 'bpm', 'status', 'kondisi', 'recorded_at', 'details', 'created_at'];
+
+function createAlertRepository(state) {
+    const ownedRule = (id, userId) => state.alertRules.find((rule) => rule.id === toId(id) && rule.user_id === toId(userId)) || null;
+
+    return {
+        async listRules(userId) {
+            return state.alertRules
+                .filter((rule) => rule.user_id === toId(userId))
+                .sort((a, b) => a.id - b.id)
+                .map((rule) => pick(rule, RULE_COLUMNS));
+        },
+
+        async listEnabledRules(userId) {
+            return state.alertRules
+                .filter((rule) => rule.user_id === toId(userId) && rule.enabled)
+                .sort((a, b) => a.id - b.id)
+                .map((rule) => pick(rule, RULE_COLUMNS));
+        },
+
+        async createRule(userId, { type, thresholdCount, windowHours, bpmLimit, enabled }) {
+            const now = new Date();
+            const rule = {
+                id: nextId(state, 'alertRules'),
+                user_id: toId(userId),
+                type,
+                threshold_count: integerColumn(thresholdCount),
+                window_hours: integerColumn(windowHours),
+                bpm_limit: integerColumn(bpmLimit),
+                enabled,
+                created_at: now,
+                updated_at: now
+            };
+            state.alertRules.push(rule);
+            return pick(rule, RULE_COLUMNS);
+        },
+
+        // null when the user has no such rule
+        async setRuleEnabled(id, userId, enabled) {
+            const rule = ownedRule(id, userId);
+            if (!rule) return null;
+
+            Object.assign(rule, { enabled, updated_at: new Date() });
+            return pick(rule, RULE_COLUMNS);
+        },
+
+        // Returns whether there was anything to remove; past alerts keep their copy of the rule type
+        async deleteRule(id, userId) {
+            const rule = ownedRule(id, userId);
+            if (!rule) return false;
+
+            state.alertRules = state.alertRules.filter((item) => item !== rule);
+            state.alerts.forEach((alert) => {
+                if (alert.rule_id === rule.id) alert.rule_id = null;
+            });
+            return true;
+        },
+
+        // Has the rule already alerted for a reading recorded after `since`?
+        async hasAlertSince(ruleId, since) {
+            return state.alerts.some((alert) => alert.rule_id === toId(ruleId) && alert.recorded_at > since);
+        },
+
+        async create({ userId, ruleId, ruleType, resultId, bpm, status, kondisi, recordedAt, details }) {
+            const alert = {
+                id: nextId(state, 'alerts'),
+                user_id: toId(userId),
+                rule_id: toId(ruleId),
+                rule_type: ruleType,
+                ecg_result_id: toId(resultId),
+                bpm: bpm === null ? null : Math.round(bpm),
+                status,
+                kondisi,
+                recorded_at: new Date(recordedAt),
+                details: clone(details),
+                created_at: new Date()
+            };
+            state.alerts.push(alert);
+            return pick(alert, ALERT_COLUMNS);
+        },
+
+        // Newest first
+        async list(userId, { limit }) {
+            return state.alerts
+                .filter((alert) => alert.user_id === toId(userId))
+                .sort((a, b) => b.created_at - a.created_at || b.id - a.id)
+                .slice(0, limit)
+                .map((alert) => pick(alert, ALERT_COLUMNS));
+        }
+    };
+}
+
+module.exports = { createAlertRepository };
@@ -0,0 +1,58 @@
+// Audit log for the in-memory backend: who deleted, restored or changed what, with before / after values
+
+const { nextId, clone, toId } = require('./state');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function createAuditRepository(state) {
+    const usernameOf = (id) => {
+        const user = state.users.find((row) => row.id === id);
+        return user ? user.username : null;
+    };
+
+    return {
+        // entries: [{ actorId, actorRole, action, entityType, entityId, userId, before, after }]
+        async record(entries) {
+            const now = new Date();
+            entries.forEach((entry) => {
+                state.auditLog.push({
+                    id: nextId(state, 'auditLog'),
+                    actor_id: entry.actorId === null ? null : toId(entry.actorId),
+                    actor_role: entry.actorRole,
+                    action: entry.action,
+                    entity_type: entry.entityType,
+                    entity_id: entry.entityId === null ? null : toId(entry.entityId),
+                    user_id: entry.userId === null ? null : toId(entry.userId),
+                    // Stored as JSONB: dates come back as ISO strings
+                    before: entry.before === null ? null : JSON.parse(JSON.stringify(entry.before)),
+                    after: entry.after === null ? null : JSON.parse(JSON.stringify(entry.after)),
+                    created_at: now
+                });
+            });
+        },
+
+        // Newest first, with the actor's and the user's current usernames. from / to are inclusive
+        // UTC dates; beforeId continues a previous page.
+        async list({ userId, actorId, action, entityType, entityId, from, to, beforeId, limit }) {
+            const start = from ? Date.parse(`${from}T00:00:00Z`) : null;
+            const end = to ? Date.parse(`${to}T00:00:00Z`) + DAY_MS : null;
+
+            return state.auditLog
+                .filter((row) => (
+                    (!userId || row.user_id === toId(userId)) &&
+                    (!actorId || row.actor_id === toId(actorId)) &&
+                    (!action || row.action === action) &&
+                    (!entityType || row.entity_type === entityType) &&
+                    (!entityId || row.entity_id === toId(entityId)) &&
+                    (start === null || row.created_at.getTime() >= start) &&
+                    (end === null || row.created_at.getTime() < end) &&
+                    (!beforeId || row.id < toId(beforeId))
+                ))
+                .sort((a, b) => b.id - a.id)
+                .slice(0, limit)
+                .map((row) => ({ ...clone(row), actor_username: usernameOf(row.actor_id), username: usernameOf(row.user_id) }));
+        }
+    };
+}
+
+module.exports = { createAuditRepository };
@@ -0,0 +1,129 @@
+// Care team grants (patient to clinician / caregiver) for the in-memory backend
+
+const { nextId, clone, toId, pick } = require('./state');
+
+const GRANT_COLUMNS = ['id', 'patient_id', 'grantee_id', 'relationship', 'status', 'created_at', 'responded_at', 'revoked_at', 'revoked_by'];
+const OPEN_STATUSES = ['pending', 'active'];
+
+const newestFirst = (a, b) => b.created_at - a.created_at || b.id - a.id;
+
+function createCareGrantRepository(state) {
+    const byId = (id) => state.careGrants.find((grant) => grant.id === toId(id)) || null;
+    const userById = (id) => state.users.find((user) => user.id === id) || null;
+
+    return {
+        // New pending grant; null when the patient already has an open grant for this grantee
+        async create({ patientId, granteeId, relationship }) {
+            const open = state.careGrants.some((grant) => (
+                grant.patient_id === toId(patientId)
+                && grant.grantee_id === toId(granteeId)
+                && OPEN_STATUSES.includes(grant.status)
+            ));
+            if (open) return null;
+
+            const grant = {
+                id: nextId(state, 'careGrants'),
+                patient_id: toId(patientId),
+                grantee_id: toId(granteeId),
+                relationship,
+                status: 'pending',
+                created_at: new Date(),
+                responded_at: null,
+                revoked_at: null,
+                revoked_by: null
+            };
+            state.careGrants.push(grant);
+            return pick(grant, GRANT_COLUMNS);
+        },
+
+        async findById(id) {
+            const grant = byId(id);
+            return grant ? pick(grant, GRANT_COLUMNS) : null;
+        },
+
+        // Grants a patient has given, newest first, with the grantee's username and role
+        async listForPatient(patientId) {
+            return state.careGrants
+                .filter((grant) => grant.patient_id === toId(patientId))
+                .sort(newestFirst)
+                .map((grant) => {
+                    const grantee = userById(grant.grantee_id);
+                    return { ...pick(grant, GRANT_COLUMNS), grantee_username: grantee.username, grantee_role: grantee.role };
+                });
+        },
+
+        // Open (pending or active) grants a clinician / caregiver has received
+        async listForGrantee(granteeId) {
+            return state.careGrants
+                .filter((grant) => grant.grantee_id === toId(granteeId) && OPEN_STATUSES.includes(grant.status))
+                .sort(newestFirst)
+                .map((grant) => ({ ...pick(grant, GRANT_COLUMNS), patient_username: userById(grant.patient_id).username }));
+        },
+
+        // Accept ('active') or decline ('declined') a pending invitation; null when it is not pending
+        async respond(id, granteeId, status) {
+            const grant = byId(id);
+            if (!grant || grant.grantee_id !== toId(granteeId) || grant.status !== 'pending') return null;
+
+            Object.assign(grant, { status, responded_at: new Date() });
+            return pick(grant, GRANT_COLUMNS);
+        },
+
+        // Either side can end an open grant; null when it was not open
+        async revoke(id, revokedBy) {
+            const grant = byId(id);
+            if (!grant || !OPEN_STATUSES.includes(grant.status)) return null;
+
+            Object.assign(grant, { status: 'revoked', revoked_at: new Date(), revoked_by: toId(revokedBy) });
+            return pick(grant, GRANT_COLUMNS);
+        },
+
+        async hasActiveGrant(patientId, granteeId) {
+            return state.careGrants.some((grant) => (
+                grant.patient_id === toId(patientId)
+                && grant.grantee_id === toId(granteeId)
+                && grant.status === 'active'
+            ));
+        },
+
+        // Dashboard: every patient with an active grant, their latest reading and the number of
+        // Abnormal readings since abnormalSince. Patients whose latest reading is Abnormal come first.
+        async listPatients(granteeId, { abnormalSince }) {
+            const rows = state.careGrants
+                .filter((grant) => grant.grantee_id === toId(granteeId) && grant.status === 'active')
+                .map((grant) => {
+                    const patient = userById(grant.patient_id);
+                    const results = state.ecgResults.filter((row) => row.user_id === patient.id && row.deleted_at === null);
+                    const latest = results.reduce((best, row) => (
+                        !best || row.recorded_at - best.recorded_at > 0 || (row.recorded_at - best.recorded_at === 0 && row.id > best.id)
+                            ? row
+                            : best
+                    ), null);
+
+                    return {
+                        grant_id: grant.id,
+                        relationship: grant.relationship,
+                        granted_at: clone(grant.responded_at),
+                        user_id: patient.id,
+                        username: patient.username,
+                        age: patient.age,
+                        gender: patient.gender,
+                        timezone: patient.timezone,
+                        result_id: latest ? latest.id : null,
+                        bpm: latest ? latest.bpm : null,
+                        status: latest ? latest.status : null,
+                        kondisi: latest ? latest.kondisi : null,
+                        recorded_at: latest ? clone(latest.recorded_at) : null,
+                        result_timezone: latest ? latest.timezone : null,
+                        abnormal_count: results.filter((row) => row.status === 'Abnormal' && row.recorded_at >= abnormalSince).length
+                    };
+                });
+
+            const abnormalRank = (row) => (row.status === null ? 2 : row.status === 'Abnormal' ? 0 : 1);
+            const time = (row) => (row.recorded_at ? row.recorded_at.getTime() : -Infinity);
+            return rows.sort((a, b) => abnormalRank(a) - abnormalRank(b) || time(b) - time(a) || a.user_id - b.user_id);
+        }
+    };
+}
+
+module.exports = { createCareGrantRepository };
@@ -0,0 +1,420 @@
+// ECG results for the in-memory backend, including the sync bookkeeping the PostgreSQL triggers do:
+// every insert / update takes a new change_seq and every delete (or move to the trash) leaves a tombstone.
+// Results in the trash (deleted_at set) are left out of every read except the trash itself.
+
+const { SORTS } = require('../../utils/historyFilters');
+const { resolveTimeZone, toLocalDateTime, truncateLocalDate } = require('../../utils/timezone');
+const { nextId, clone, toId, integerColumn, notNull, pick } = require('./state');
+
+// Columns of trashed, restored and purged results (trash listing and audit log)
+const TRASH_COLUMNS = ['id', 'user_id', 'client_id', 'recorded_at', 'timezone', 'bpm', 'status', 'kondisi', 'activity_context', 'deleted_at', 'deleted_by'];
+
+const isLive = (row) => row.deleted_at === null;
+
+// ecg_change_seq is a BIGINT, which node-postgres returns as a string
+function nextChangeSeq(state) {
+    return String(nextId(state, 'ecgChangeSeq'));
+}
+
+function addTombstone(state, row, deletedAt) {
+    state.ecgDeletions.push({
+        id: nextId(state, 'ecgDeletions'),
+        ecg_result_id: row.id,
+        user_id: row.user_id,
+        client_id: row.client_id,
+        change_seq: nextChangeSeq(state),
+        deleted_at: deletedAt
+    });
+}
+
+// Remove results with their waveform, HRV and audit rows, leaving tombstones for sync (results in
+// the trash got theirs when they were trashed). Returns the number of removed results.
+function deleteResults(state, predicate) {
+    const deleted = state.ecgResults.filter(predicate);
+    if (deleted.length === 0) return 0;
+
+    const ids = new Set(deleted.map((row) => row.id));
+    state.ecgResults = state.ecgResults.filter((row) => !ids.has(row.id));
+    state.ecgWaveforms = state.ecgWaveforms.filter((row) => !ids.has(row.ecg_result_id));
+    state.ecgHrv = state.ecgHrv.filter((row) => !ids.has(row.ecg_result_id));
+    state.reclassificationAudit = state.reclassificationAudit.filter((row) => !ids.has(row.ecg_result_id));
+    state.ecgReviews = state.ecgReviews.filter((row) => !ids.has(row.ecg_result_id));
+    state.alerts.forEach((row) => {
+        if (ids.has(row.ecg_result_id)) row.ecg_result_id = null;
+    });
+
+    const now = new Date();
+    deleted.filter(isLive).forEach((row) => addTombstone(state, row, now));
+    return deleted.length;
+}
+
+// Local date ('YYYY-MM-DD') and time ('HH:MM:SS') of a stored result in a zone
+function localParts(row, timeZone) {
+    return toLocalDateTime(row.recorded_at, timeZone);
+}
+
+function matchesFilters(row, filters) {
+    if (filters.from || filters.to) {
+        const { date } = localParts(row, resolveTimeZone(filters.timeZone));
+        if (filters.from && date < filters.from) return false;
+        if (filters.to && date > filters.to) return false;
+    }
+    if (filters.status && row.status !== filters.status) return false;
+    if (filters.kondisi && filters.kondisi.length > 0 && !filters.kondisi.includes(row.kondisi)) return false;
+    if (filters.minBpm !== undefined && row.bpm < filters.minBpm) return false;
+    if (filters.maxBpm !== undefined && row.bpm > filters.maxBpm) return false;
+    if (filters.reviewStatus && row.review_status !== filters.reviewStatus) return false;
+    return true;
+}
+
+// Sort key value of a column; recorded_at cursors hold ISO strings
+function sortValue(column, value) {
+    return column === 'recorded_at' ? new Date(value).getTime() : Number(value);
+}
+
+function compareKeys(a, b, columns) {
+    for (const column of columns) {
+        const difference = sortValue(column, a[column]) - sortValue(column, b[column]);
+        if (difference !== 0) return difference;
+    }
+    return 0;
+}
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// percentile_cont(0.5): the middle value, interpolated for an even count
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = (sorted.length - 1) / 2;
+    return (sorted[Math.floor(middle)] + sorted[Math.ceil(middle)]) / 2;
+}
+
+// Least-squares slope of y over x, like regr_slope (null without spread in x)
+function slope(points) {
+    if (points.length < 2) return null;
+    const meanX = points.reduce((sum, point) => sum + point.x, 0) / points.length;
+    const meanY = points.reduce((sum, point) => sum + point.y, 0) / points.length;
+    let sxx = 0;
+    let sxy = 0;
+    points.forEach(({ x, y }) => {
+        sxx += (x - meanX) ** 2;
+        sxy += (x - meanX) * (y - meanY);
+    });
+    return sxx === 0 ? null : sxy / sxx;
+}
+
+function bpmAggregate(readings) {
+    const bpms = readings.map((reading) => reading.bpm);
+    return {
+        count: readings.length,
+        min_bpm: bpms.length > 0 ? Math.min(...bpms) : null,
+        max_bpm: bpms.length > 0 ? Math.max(...bpms) : null,
+        mean_bpm: bpms.length > 0 ? round(bpms.reduce((sum, bpm) => sum + bpm, 0) / bpms.length, 1) : null
+    };
+}
+
+function createEcgResultRepository(state) {
+    const byId = (id) => state.ecgResults.find((row) => row.id === toId(id) && isLive(row)) || null;
+    const trashed = (userId, ids) => state.ecgResults.filter((row) => (
+        row.user_id === toId(userId) && !isLive(row) && (ids === null || ids.map(toId).includes(row.id))
+    ));
+
+    return {
+        // Insert a classified reading; tanggal / waktu are derived as the local date and time in timeZone.
+        // Returns null when the user already has a reading with the same clientId.
+        async insert(reading) {
+            const userId = toId(reading.userId);
+            if (reading.clientId && state.ecgResults.some((row) => row.user_id === userId && row.client_id === reading.clientId)) {
+                return null;
+            }
+
+            const recordedAt = new Date(reading.recordedAt);
+            const local = toLocalDateTime(recordedAt, reading.timeZone);
+            const [year, month, day] = local.date.split('-').map(Number);
+            const row = {
+                id: nextId(state, 'ecgResults'),
+                user_id: userId,
+                username: reading.username,
+                // DATE columns come back from node-postgres as local midnight
+                tanggal: new Date(year, month - 1, day),
+                waktu: local.time,
+                bpm: notNull(integerColumn(reading.bpm), 'ecg_results', 'bpm'),
+                status: reading.status,
+                kondisi: reading.kondisi,
+                created_at: new Date(),
+                client_bpm: reading.clientBpm,
+                server_bpm: reading.serverBpm,
+                signal_quality: reading.signalQuality,
+                rr_intervals: clone(reading.rrIntervals || null),
+                bpm_source: reading.bpmSource,
+                rhythm_analysis: clone(reading.rhythmAnalysis || null),
+                activity_context: reading.activityContext,
+                rule_set_version: reading.ruleSetVersion,
+                classification_details: clone(reading.classificationDetails),
+                recorded_at: recordedAt,
+                timezone: reading.timeZone,
+                client_id: reading.clientId,
+                change_seq: nextChangeSeq(state),
+                review_status: 'unreviewed',
+                deleted_at: null,
+                deleted_by: null
+            };
+            state.ecgResults.push(row);
+            return clone(row);
+        },
+
+        async findByClientId(userId, clientId) {
+            return clone(state.ecgResults.find((row) => row.user_id === toId(userId) && row.client_id === clientId && isLive(row)) || null);
+        },
+
+        // Tombstone of a deleted reading: { ecg_result_id, deleted_at } or null
+        async findDeletionByClientId(userId, clientId) {
+            const deletion = state.ecgDeletions.find((row) => row.user_id === toId(userId) && row.client_id === clientId);
+            return deletion ? pick(deletion, ['ecg_result_id', 'deleted_at']) : null;
+        },
+
+        // A reading of the user taken at exactly this time with this BPM (imports skip it)
+        async findByRecordedAt(userId, recordedAt, bpm) {
+            const time = new Date(recordedAt).getTime();
+            return clone(state.ecgResults.find((row) => row.user_id === toId(userId) &&
+                row.recorded_at.getTime() === time && row.bpm === bpm && isLive(row)) || null);
+        },
+
+        // A result only if it belongs to the user
+        async findOwned(id, userId) {
+            const row = byId(id);
+            return row && row.user_id === toId(userId) ? clone(row) : null;
+        },
+
+        // Owner of a result, or null when it does not exist
+        async findOwnerId(id) {
+            const row = byId(id);
+            return row ? row.user_id : null;
+        },
+
+        // Latest review verdict ('confirmed' / 'overridden'); status / kondisi stay the automatic ones
+        async setReviewStatus(id, reviewStatus) {
+            const row = byId(id);
+            if (!row) return;
+            Object.assign(row, { review_status: reviewStatus, change_seq: nextChangeSeq(state) });
+        },
+
+        // Server-side measurement from a waveform; the stored classification is left as it was
+        async updateAnalysis(id, { serverBpm, signalQuality, rrIntervals, rhythmAnalysis }) {
+            const row = byId(id);
+            if (!row) return;
+
+            Object.assign(row, {
+                server_bpm: serverBpm,
+                signal_quality: signalQuality,
+                rr_intervals: clone(rrIntervals),
+                rhythm_analysis: clone(rhythmAnalysis),
+                change_seq: nextChangeSeq(state)
+            });
+        },
+
+        // Rows of one history page (with local_date / local_time and cursor_* columns), plus the
+        // filtered total when paginated. options come from parseHistoryQuery.
+        async listHistory(userId, options) {
+            const { columns, direction } = SORTS[options.sort];
+            const sign = direction === 'DESC' ? -1 : 1;
+            const timeZone = resolveTimeZone(options.filters.timeZone);
+
+            const matches = state.ecgResults
+                .filter((row) => row.user_id === toId(userId) && isLive(row) && matchesFilters(row, options.filters))
+                .sort((a, b) => sign * compareKeys(a, b, columns));
+
+            let rows = matches;
+            if (options.after) {
+                const after = {};
+                columns.forEach((column, index) => { after[column] = options.after[index]; });
+                rows = rows.filter((row) => sign * compareKeys(row, after, columns) > 0);
+            }
+            if (options.paginated) {
+                // One extra row tells whether there is a next page
+                rows = rows.slice(0, options.limit + 1);
+            }
+
+            return {
+                rows: rows.map((row) => {
+                    const local = localParts(row, timeZone);
+                    const output = { ...clone(row), local_date: local.date, local_time: local.time };
+                    columns.forEach((column) => {
+                        output[`cursor_${column}`] = column === 'recorded_at' ? row.recorded_at.toISOString() : row[column];
+                    });
+                    return output;
+                }),
+                total: options.paginated ? matches.length : undefined
+            };
+        },
+
+        // Summary, per-kondisi counts, period aggregates, longest Normal streak and the resting BPM
+        // regression, with local times in timeZone
+        async getStats(userId, { filters, timeZone, granularities }) {
+            // The user's readings with a local timestamp ('YYYY-MM-DDTHH:MM:SS') in their zone
+            const readings = state.ecgResults
+                .filter((row) => row.user_id === toId(userId) && isLive(row) && matchesFilters(row, { ...filters, timeZone }))
+                .map((row) => {
+                    const local = localParts(row, timeZone);
+                    return { ...row, local_date: local.date, local_time: `${local.date}T${local.time}` };
+                })
+                .sort((a, b) => a.local_time.localeCompare(b.local_time) || a.id - b.id);
+
+            const summary = {
+                ...bpmAggregate(readings),
+                median_bpm: readings.length > 0 ? median(readings.map((reading) => reading.bpm)) : null,
+                normal_count: readings.filter((reading) => reading.status === 'Normal').length,
+                abnormal_count: readings.filter((reading) => reading.status === 'Abnormal').length,
+                first_reading: readings.length > 0 ? readings[0].local_time : null,
+                last_reading: readings.length > 0 ? readings[readings.length - 1].local_time : null
+            };
+
+            const kondisiCounts = new Map();
+            readings.forEach((reading) => kondisiCounts.set(reading.kondisi, (kondisiCounts.get(reading.kondisi) || 0) + 1));
+            const perKondisi = [...kondisiCounts]
+                .map(([kondisi, count]) => ({ kondisi, count }))
+                .sort((a, b) => b.count - a.count);
+
+            const aggregates = {};
+            for (const granularity of granularities) {
+                const periods = new Map();
+                readings.forEach((reading) => {
+                    const period = truncateLocalDate(reading.local_date, granularity);
+                    if (!periods.has(period)) periods.set(period, []);
+                    periods.get(period).push(reading);
+                });
+                aggregates[granularity] = [...periods.keys()].sort().map((period) => ({
+                    period,
+                    ...bpmAggregate(periods.get(period)),
+                    abnormal_count: periods.get(period).filter((reading) => reading.status === 'Abnormal').length
+                }));
+            }
+
+            // Runs of consecutive Normal readings; on equal length the most recent run wins
+            let longestNormalStreak = null;
+            let run = null;
+            readings.forEach((reading) => {
+                if (reading.status !== 'Normal') {
+                    run = null;
+                    return;
+                }
+                if (!run) run = { length: 0, started_at: reading.local_time };
+                run.length++;
+                run.ended_at = reading.local_time;
+                if (!longestNormalStreak || run.length >= longestNormalStreak.length) {
+                    longestNormalStreak = { ...run };
+                }
+            });
+
+            // Least-squares slope of resting BPM over time, in bpm per 30 days
+            const resting = readings
+                .filter((reading) => reading.activity_context === 'rest')
+                .map((reading) => ({
+                    x: Date.parse(`${reading.local_time}Z`) / 1000 + (reading.recorded_at.getTime() % 1000) / 1000,
+                    y: reading.bpm
+                }));
+            const perSecond = slope(resting);
+
+            return {
+                summary,
+                perKondisi,
+                aggregates,
+                longestNormalStreak,
+                trend: { readings: resting.length, slopePer30Days: perSecond === null ? null : perSecond * 86400 * 30 }
+            };
+        },
+
+        // Abnormal readings recorded after `from`, up to and including `to`
+        async countAbnormalBetween(userId, from, to) {
+            return state.ecgResults.filter((row) => (
+                row.user_id === toId(userId) && row.status === 'Abnormal' && row.recorded_at > from && row.recorded_at <= to && isLive(row)
+            )).length;
+        },
+
+        async countForUser(userId) {
+            return state.ecgResults.filter((row) => row.user_id === toId(userId) && isLive(row)).length;
+        },
+
+        // Move every result of the user to the trash; returns the trashed results
+        async trashAllForUser(userId, deletedBy) {
+            const now = new Date();
+            return state.ecgResults
+                .filter((row) => row.user_id === toId(userId) && isLive(row))
+                .map((row) => {
+                    Object.assign(row, { deleted_at: now, deleted_by: toId(deletedBy), change_seq: nextChangeSeq(state) });
+                    addTombstone(state, row, now);
+                    return pick(row, TRASH_COLUMNS);
+                });
+        },
+
+        // Returns the trashed result, or null when the user has no such result outside the trash
+        async trashOne(id, userId, deletedBy) {
+            const row = byId(id);
+            if (!row || row.user_id !== toId(userId)) return null;
+
+            const now = new Date();
+            Object.assign(row, { deleted_at: now, deleted_by: toId(deletedBy), change_seq: nextChangeSeq(state) });
+            addTombstone(state, row, now);
+            return pick(row, TRASH_COLUMNS);
+        },
+
+        // Results in the user's trash, most recently deleted first
+        async listTrash(userId) {
+            return trashed(userId, null)
+                .sort((a, b) => b.deleted_at - a.deleted_at || b.id - a.id)
+                .map((row) => pick(row, TRASH_COLUMNS));
+        },
+
+        // Take results out of the trash (all of them when ids is null). Returns the restored results,
+        // each with trashed_at, the deleted_at it had.
+        async restore(userId, ids = null) {
+            return trashed(userId, ids)
+                .sort((a, b) => a.id - b.id)
+                .map((row) => {
+                    const trashedAt = row.deleted_at;
+                    Object.assign(row, { deleted_at: null, deleted_by: null, change_seq: nextChangeSeq(state) });
+                    state.ecgDeletions = state.ecgDeletions.filter((deletion) => deletion.ecg_result_id !== row.id);
+                    return { ...pick(row, TRASH_COLUMNS), trashed_at: clone(trashedAt) };
+                });
+        },
+
+        // Delete results in the user's trash for good (all of them when ids is null); returns them
+        async purgeTrash(userId, ids = null) {
+            const rows = trashed(userId, ids).sort((a, b) => a.id - b.id).map((row) => pick(row, TRASH_COLUMNS));
+            const purged = new Set(rows.map((row) => row.id));
+            deleteResults(state, (row) => purged.has(row.id));
+            return rows;
+        },
+
+        // Delete at most `limit` results that went to the trash before `deletedBefore`; returns them
+        async purgeExpiredTrash(deletedBefore, limit) {
+            const rows = state.ecgResults
+                .filter((row) => !isLive(row) && row.deleted_at < deletedBefore)
+                .sort((a, b) => a.deleted_at - b.deleted_at || a.id - b.id)
+                .slice(0, limit)
+                .map((row) => pick(row, TRASH_COLUMNS));
+            const purged = new Set(rows.map((row) => row.id));
+            deleteResults(state, (row) => purged.has(row.id));
+            return rows;
+        },
+
+        // Results created / updated and deleted after change sequence `since`, oldest first,
+        // each list holding at most `limit` entries
+        async listChanges(userId, { since, limit }) {
+            const after = (row) => row.user_id === toId(userId) && Number(row.change_seq) > Number(since);
+            const bySeq = (a, b) => Number(a.change_seq) - Number(b.change_seq);
+
+            return {
+                changed: state.ecgResults.filter((row) => after(row) && isLive(row)).sort(bySeq).slice(0, limit).map(clone),
+                deleted: state.ecgDeletions.filter(after).sort(bySeq).slice(0, limit).map((row) => ({
+                    id: row.ecg_result_id,
+                    client_id: row.client_id,
+                    deleted_at: clone(row.deleted_at),
+                    change_seq: row.change_seq
+                }))
+            };
+        }
+    };
+}
+
+module.exports = { createEcgResultRepository, nextChangeSeq, deleteResults };
@@ -0,0 +1,83 @@
+// HRV metrics per ECG result for the in-memory backend, and the HRV trend over a date range
+
+const { HRV_METRICS } = require('../postgres/hrv');
+const { toLocalDateTime, truncateLocalDate } = require('../../utils/timezone');
+const { clone, toId } = require('./state');
+
+// COUNT(*) and ROUND(AVG(metric), 2) per metric; nulls are skipped like AVG does
+function averages(points) {
+    const summary = { count: points.length };
+    HRV_METRICS.forEach((metric) => {
+        const values = points.map((point) => point[metric]).filter((value) => value !== null && value !== undefined);
+        summary[metric] = values.length > 0
+            ? Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 100) / 100
+            : null;
+    });
+    return summary;
+}
+
+function createHrvRepository(state) {
+    return {
+        // Store (or replace) the HRV metrics of an ECG result
+        async save(resultId, hrv) {
+            const now = new Date();
+            const columns = {
+                nn_count: hrv.nnCount,
+                duration_seconds: hrv.durationSeconds,
+                mean_rr: hrv.meanRR,
+                sdnn: hrv.sdnn,
+                rmssd: hrv.rmssd,
+                pnn50: hrv.pnn50,
+                lf_power: hrv.lfPower,
+                hf_power: hrv.hfPower,
+                lf_hf_ratio: hrv.lfHfRatio
+            };
+
+            const row = state.ecgHrv.find((item) => item.ecg_result_id === toId(resultId));
+            if (row) {
+                Object.assign(row, columns, { updated_at: now });
+            } else {
+                state.ecgHrv.push({ ecg_result_id: toId(resultId), ...columns, created_at: now, updated_at: now });
+            }
+        },
+
+        // Per-reading HRV points, averages over the range and, with a bucket, averages per period.
+        // from / to are inclusive local dates in timeZone.
+        async getTrend(userId, { timeZone, from, to, bucket }) {
+            const points = state.ecgResults
+                .filter((result) => result.user_id === toId(userId) && result.deleted_at === null)
+                .map((result) => ({ result, hrv: state.ecgHrv.find((row) => row.ecg_result_id === result.id) }))
+                .filter(({ hrv }) => hrv)
+                .map(({ result, hrv }) => {
+                    const local = toLocalDateTime(result.recorded_at, timeZone);
+                    return {
+                        ecg_result_id: result.id,
+                        recorded_at: clone(result.recorded_at),
+                        local_date: local.date,
+                        local_time: local.time,
+                        bpm: result.bpm,
+                        nn_count: hrv.nn_count,
+                        duration_seconds: hrv.duration_seconds,
+                        ...Object.fromEntries(HRV_METRICS.map((metric) => [metric, hrv[metric]]))
+                    };
+                })
+                .filter((point) => (!from || point.local_date >= from) && (!to || point.local_date <= to))
+                .sort((a, b) => a.recorded_at - b.recorded_at || a.ecg_result_id - b.ecg_result_id);
+
+            let buckets;
+            if (bucket) {
+                const periods = new Map();
+                points.forEach((point) => {
+                    const period = truncateLocalDate(point.local_date, bucket);
+                    if (!periods.has(period)) periods.set(period, []);
+                    periods.get(period).push(point);
+                });
+                buckets = [...periods.keys()].sort().map((period) => ({ period, ...averages(periods.get(period)) }));
+            }
+
+            return { points, summary: averages(points), buckets };
+        }
+    };
+}
+
+module.exports = { createHrvRepository };
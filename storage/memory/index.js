@@ -0,0 +1,105 @@
+// In-memory storage backend for local development and tests: the whole API without PostgreSQL.
+// Data lives in this process only and is gone after a restart.
+//
+// Calls run one at a time. A transaction holds the lock for its whole callback and restores a
+// snapshot of the tables if the callback throws; inside it, use the repositories it is given.
+
+const { createState, clone } = require('./state');
+const { createUserRepository } = require('./users');
+const { createSessionRepository } = require('./sessions');
+const { createEcgResultRepository } = require('./ecgResults');
+const { createWaveformRepository } = require('./waveforms');
+const { createHrvRepository } = require('./hrv');
+const { createThresholdRepository } = require('./thresholds');
+const { createReclassificationRepository } = require('./reclassification');
+const { createCareGrantRepository } = require('./careGrants');
+const { createReviewRepository } = require('./reviews');
+const { createAlertRepository } = require('./alerts');
+const { createWebhookRepository } = require('./webhooks');
+const { createAccountRepository } = require('./accounts');
+const { createAuditRepository } = require('./audit');
+
+function createRepositories(state) {
+    return {
+        users: createUserRepository(state),
+        sessions: createSessionRepository(state),
+        ecgResults: createEcgResultRepository(state),
+        waveforms: createWaveformRepository(state),
+        hrv: createHrvRepository(state),
+        thresholds: createThresholdRepository(state),
+        reclassification: createReclassificationRepository(state),
+        careGrants: createCareGrantRepository(state),
+        reviews: createReviewRepository(state),
+        alerts: createAlertRepository(state),
+        webhooks: createWebhookRepository(state),
+        accounts: createAccountRepository(state),
+        audit: createAuditRepository(state)
+    };
+}
+
+// Runs tasks strictly one after another
+function createLock() {
+    let tail = Promise.resolve();
+    return (task) => {
+        const run = tail.then(task);
+        tail = run.catch(() => {});
+        return run;
+    };
+}
+
+// Same repositories, with every method waiting for the lock
+function withLock(repositories, lock) {
+    const locked = {};
+    for (const [name, repository] of Object.entries(repositories)) {
+        locked[name] = {};
+        for (const [method, fn] of Object.entries(repository)) {
+            locked[name][method] = (...args) => lock(() => fn(...args));
+        }
+    }
+    return locked;
+}
+
+function createMemoryStorage() {
+    const state = createState();
+    const repositories = createRepositories(state);
+    const lock = createLock();
+
+    return {
+        name: 'memory',
+        ...withLock(repositories, lock),
+
+        // Run callback(repositories) atomically; the tables are restored if the callback throws
+        transaction(callback) {
+            return lock(async () => {
+                const snapshot = clone(state);
+                try {
+                    return await callback(repositories);
+                } catch (error) {
+                    Object.assign(state, snapshot);
+                    throw error;
+                }
+            });
+        },
+
+        async prepare() {
+            console.log('⚠️ Using in-memory storage: data is lost when the server stops');
+        },
+
+        getStatus() {
+            return 'in-memory';
+        },
+
+        async checkStatus() {
+            return 'in-memory';
+        },
+
+        // Drop all data, e.g. between integration tests
+        async reset() {
+            await lock(() => Object.assign(state, createState()));
+        },
+
+        async close() {}
+    };
+}
+
+module.exports = { createMemoryStorage };
@@ -0,0 +1,146 @@
+// Reclassification jobs, the rows they walk over and their audit trail, for the in-memory backend
+
+const { nextChangeSeq } = require('./ecgResults');
+const { nextId, clone, toId, pick } = require('./state');
+
+function createReclassificationRepository(state) {
+    const jobById = (id) => state.reclassificationJobs.find((job) => job.id === toId(id)) || null;
+
+    return {
+        async createJob({ userId, ruleSetVersion, createdBy }) {
+            const now = new Date();
+            const job = {
+                id: nextId(state, 'reclassificationJobs'),
+                user_id: toId(userId),
+                rule_set_version: ruleSetVersion,
+                status: 'pending',
+                last_processed_id: 0,
+                processed_count: 0,
+                changed_count: 0,
+                error: null,
+                created_by: toId(createdBy),
+                created_at: now,
+                updated_at: now,
+                finished_at: null
+            };
+            state.reclassificationJobs.push(job);
+            return clone(job);
+        },
+
+        async listJobs(limit) {
+            return [...state.reclassificationJobs].sort((a, b) => b.id - a.id).slice(0, limit).map(clone);
+        },
+
+        async findJob(id) {
+            return clone(jobById(id));
+        },
+
+        // Most recent audit entries of a job
+        async listJobChanges(jobId, limit) {
+            return state.reclassificationAudit
+                .filter((row) => row.job_id === toId(jobId))
+                .sort((a, b) => b.id - a.id)
+                .slice(0, limit)
+                .map(clone);
+        },
+
+        // Mark a pending, running or failed job as running; returns the job, or null if it cannot run
+        async claimJob(id) {
+            const job = jobById(id);
+            if (!job || !['pending', 'running', 'failed'].includes(job.status)) return null;
+
+            Object.assign(job, { status: 'running', error: null, updated_at: new Date() });
+            return clone(job);
+        },
+
+        // Next results after afterId (in id order) with the owner's age, gender and thresholds
+        // (results in the trash too, so a restored result comes back under the current rules)
+        async fetchBatch({ userId, afterId, limit }) {
+            return state.ecgResults
+                .filter((row) => row.id > Number(afterId) && (!userId || row.user_id === toId(userId)))
+                .sort((a, b) => a.id - b.id)
+                .map((row) => ({ row, user: state.users.find((user) => user.id === row.user_id) }))
+                .filter(({ user }) => user)
+                .slice(0, limit)
+                .map(({ row, user }) => {
+                    const thresholds = state.userThresholds.find((item) => item.user_id === row.user_id);
+                    return {
+                        ...pick(row, ['id', 'user_id', 'bpm', 'status', 'kondisi', 'rule_set_version', 'activity_context', 'classification_details']),
+                        age: user.age,
+                        gender: user.gender,
+                        low_bpm: thresholds ? thresholds.low_bpm : null,
+                        high_bpm: thresholds ? thresholds.high_bpm : null
+                    };
+                });
+        },
+
+        // Write one reclassified result and its audit row. Only touches the row if nobody reclassified
+        // it since it was read; returns whether it was changed.
+        async applyChange(diff, job) {
+            const row = state.ecgResults.find((item) => item.id === diff.ecgResultId &&
+                item.status === diff.before.status && item.kondisi === diff.before.kondisi);
+            if (!row) return false;
+
+            Object.assign(row, {
+                status: diff.after.status,
+                kondisi: diff.after.kondisi,
+                rule_set_version: diff.after.ruleSetVersion,
+                classification_details: clone(diff.details),
+                change_seq: nextChangeSeq(state)
+            });
+
+            state.reclassificationAudit.push({
+                id: nextId(state, 'reclassificationAudit'),
+                job_id: job.id,
+                ecg_result_id: diff.ecgResultId,
+                user_id: diff.userId,
+                bpm: diff.bpm,
+                old_status: diff.before.status,
+                old_kondisi: diff.before.kondisi,
+                old_rule_set_version: diff.before.ruleSetVersion,
+                new_status: diff.after.status,
+                new_kondisi: diff.after.kondisi,
+                new_rule_set_version: diff.after.ruleSetVersion,
+                changed_by: job.created_by,
+                changed_at: new Date()
+            });
+            return true;
+        },
+
+        // Persist the cursor and counters of a job
+        async updateJobProgress(job) {
+            const stored = jobById(job.id);
+            if (!stored) return;
+
+            Object.assign(stored, {
+                last_processed_id: job.last_processed_id,
+                processed_count: job.processed_count,
+                changed_count: job.changed_count,
+                updated_at: new Date()
+            });
+        },
+
+        async completeJob(id) {
+            const job = jobById(id);
+            if (!job) return;
+
+            const now = new Date();
+            Object.assign(job, { status: 'completed', finished_at: now, updated_at: now });
+        },
+
+        async failJob(id, message) {
+            const job = jobById(id);
+            if (job) Object.assign(job, { status: 'failed', error: message, updated_at: new Date() });
+        },
+
+        // Jobs still marked running, e.g. after a restart
+        async listRunningJobIds() {
+            return state.reclassificationJobs
+                .filter((job) => job.status === 'running')
+                .map((job) => job.id)
+                .sort((a, b) => a - b);
+        }
+    };
+}
+
+module.exports = { createReclassificationRepository };
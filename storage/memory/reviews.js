@@ -0,0 +1,82 @@
+// Clinician reviews (notes and verdicts) of ECG results for the in-memory backend
+
+const { nextId, toId, pick } = require('./state');
+
+const REVIEW_COLUMNS = ['id', 'ecg_result_id', 'author_id', 'verdict', 'reviewed_status', 'diagnosis', 'note', 'created_at', 'updated_at'];
+
+const newestFirst = (a, b) => b.created_at - a.created_at || b.id - a.id;
+
+function createReviewRepository(state) {
+    const byId = (id) => state.ecgReviews.find((review) => review.id === toId(id)) || null;
+
+    // Review columns plus the author's username and role, in the order PostgreSQL selects them
+    const withAuthor = (review) => {
+        const author = state.users.find((user) => user.id === review.author_id) || null;
+        const { id, ecg_result_id, author_id, ...rest } = pick(review, REVIEW_COLUMNS);
+        return {
+            id,
+            ecg_result_id,
+            author_id,
+            author_username: author ? author.username : null,
+            author_role: author ? author.role : null,
+            ...rest
+        };
+    };
+
+    return {
+        async findById(id) {
+            const review = byId(id);
+            return review ? withAuthor(review) : null;
+        },
+
+        async create({ resultId, authorId, verdict, reviewedStatus, diagnosis, note }) {
+            const now = new Date();
+            const review = {
+                id: nextId(state, 'ecgReviews'),
+                ecg_result_id: toId(resultId),
+                author_id: toId(authorId),
+                verdict,
+                reviewed_status: reviewedStatus,
+                diagnosis,
+                note,
+                created_at: now,
+                updated_at: now
+            };
+            state.ecgReviews.push(review);
+            return withAuthor(review);
+        },
+
+        // Every review of a result, newest first
+        async listForResult(resultId) {
+            return state.ecgReviews
+                .filter((review) => review.ecg_result_id === toId(resultId))
+                .sort(newestFirst)
+                .map(withAuthor);
+        },
+
+        async updateNote(id, note) {
+            const review = byId(id);
+            if (!review) return null;
+
+            Object.assign(review, { note, updated_at: new Date() });
+            return withAuthor(review);
+        },
+
+        // The latest review with a verdict of each given result (results without one are left out)
+        async latestVerdicts(resultIds) {
+            const ids = new Set(resultIds.map(toId));
+            const latest = new Map();
+            state.ecgReviews
+                .filter((review) => ids.has(review.ecg_result_id) && review.verdict !== null)
+                .sort(newestFirst)
+                .forEach((review) => {
+                    if (!latest.has(review.ecg_result_id)) latest.set(review.ecg_result_id, review);
+                });
+            return [...latest.values()]
+                .sort((a, b) => a.ecg_result_id - b.ecg_result_id)
+                .map(withAuthor);
+        }
+    };
+}
+
+module.exports = { createReviewRepository };
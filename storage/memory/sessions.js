@@ -0,0 +1,71 @@
+// Auth sessions (one row per refresh token) for the in-memory backend
+
+const { nextId, toId, uniqueViolation, pick } = require('./state');
+
+function isActive(session, now = new Date()) {
+    return session.revoked_at === null && session.expires_at > now;
+}
+
+function createSessionRepository(state) {
+    return {
+        async create({ userId, refreshTokenHash, userAgent, ttlSeconds }) {
+            if (state.authSessions.some((session) => session.refresh_token_hash === refreshTokenHash)) {
+                throw uniqueViolation('auth_sessions_refresh_token_hash_key');
+            }
+
+            const now = new Date();
+            const session = {
+                id: nextId(state, 'authSessions'),
+                user_id: toId(userId),
+                refresh_token_hash: refreshTokenHash,
+                user_agent: userAgent || null,
+                expires_at: new Date(now.getTime() + ttlSeconds * 1000),
+                revoked_at: null,
+                last_used_at: null,
+                created_at: now
+            };
+            state.authSessions.push(session);
+            return session.id;
+        },
+
+        // Swap the refresh token of an active session; returns { id, user_id } or null
+        async rotate(refreshTokenHash, newRefreshTokenHash, ttlSeconds) {
+            const now = new Date();
+            const session = state.authSessions.find((row) => row.refresh_token_hash === refreshTokenHash && isActive(row, now));
+            if (!session) return null;
+
+            Object.assign(session, {
+                refresh_token_hash: newRefreshTokenHash,
+                expires_at: new Date(now.getTime() + ttlSeconds * 1000),
+                last_used_at: now
+            });
+            return pick(session, ['id', 'user_id']);
+        },
+
+        // Returns the number of sessions revoked
+        async revoke(sessionId) {
+            const session = state.authSessions.find((row) => row.id === toId(sessionId) && row.revoked_at === null);
+            if (!session) return 0;
+
+            session.revoked_at = new Date();
+            return 1;
+        },
+
+        async revokeAllForUser(userId) {
+            const now = new Date();
+            const sessions = state.authSessions.filter((row) => row.user_id === toId(userId) && row.revoked_at === null);
+            sessions.forEach((session) => { session.revoked_at = now; });
+            return sessions.length;
+        },
+
+        // The user behind an active (not revoked, not expired) session: { id, username, role } or null
+        async findActiveUser(sessionId, userId) {
+            const session = state.authSessions.find((row) =>
+                row.id === toId(sessionId) && row.user_id === toId(userId) && isActive(row));
+            const user = session && state.users.find((row) => row.id === session.user_id);
+            return user ? pick(user, ['id', 'username', 'role']) : null;
+        }
+    };
+}
+
+module.exports = { createSessionRepository };
@@ -0,0 +1,108 @@
+// Tables and id sequences of the in-memory backend, plus the helpers its repositories share.
+// Rows are kept in the shape node-postgres returns them (snake_case columns, Date timestamps),
+// so routes cannot tell the backends apart.
+
+function createState() {
+    return {
+        users: [],
+        authSessions: [],
+        ecgResults: [],
+        ecgWaveforms: [],
+        ecgHrv: [],
+        ecgDeletions: [],
+        userThresholds: [],
+        reclassificationJobs: [],
+        reclassificationAudit: [],
+        careGrants: [],
+        ecgReviews: [],
+        alertRules: [],
+        alerts: [],
+        webhooks: [],
+        webhookDeliveries: [],
+        webhookDeliveryAttempts: [],
+        accountDeletions: [],
+        auditLog: [],
+        // Last id handed out per table, and the sync change sequence (ecg_change_seq)
+        sequences: {}
+    };
+}
+
+function nextId(state, name) {
+    state.sequences[name] = (state.sequences[name] || 0) + 1;
+    return state.sequences[name];
+}
+
+// Deep copy of rows and snapshots; Dates and Buffers are copied, not shared
+function clone(value) {
+    if (value === null || typeof value !== 'object') return value;
+    if (value instanceof Date) return new Date(value.getTime());
+    if (Buffer.isBuffer(value)) return Buffer.from(value);
+    if (Array.isArray(value)) return value.map(clone);
+
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+        copy[key] = clone(item);
+    }
+    return copy;
+}
+
+// Ids arrive as numbers or as strings from req.params, like PostgreSQL parameters
+function toId(value) {
+    return value === null || value === undefined ? null : Number(value);
+}
+
+// Same shape as a unique_violation raised by PostgreSQL
+function uniqueViolation(constraint) {
+    const error = new Error(`duplicate key value violates unique constraint "${constraint}"`);
+    error.code = '23505';
+    error.constraint = constraint;
+    return error;
+}
+
+// Value for an INTEGER column, rejected the way PostgreSQL rejects it: node-postgres sends numbers as
+// text, so 72.5 fails as invalid input rather than being rounded
+function integerColumn(value) {
+    if (value === null || value === undefined) return null;
+
+    const text = String(value).trim();
+    if (!/^[+-]?\d+$/.test(text)) {
+        const error = new Error(`invalid input syntax for type integer: "${value}"`);
+        error.code = '22P02';
+        throw error;
+    }
+    if (Math.abs(Number(text)) > 2147483647) {
+        const error = new Error(`value "${value}" is out of range for type integer`);
+        error.code = '22003';
+        throw error;
+    }
+    return Number(text);
+}
+
+// Same shape as a not_null_violation raised by PostgreSQL; returns value when it is set
+function notNull(value, table, column) {
+    if (value === null || value === undefined) {
+        const error = new Error(`null value in column "${column}" of relation "${table}" violates not-null constraint`);
+        error.code = '23502';
+        error.column = column;
+        throw error;
+    }
+    return value;
+}
+
+// Only the listed columns of a row, in that order
+function pick(row, columns) {
+    const picked = {};
+    columns.forEach((column) => { picked[column] = clone(row[column]); });
+    return picked;
+}
+
+module.exports = {
+    createState,
+    nextId,
+    clone,
+    toId,
+    uniqueViolation,
+    integerColumn,
+    notNull,
+    pick
+};
@@ -0,0 +1,37 @@
+// Clinician-set BPM thresholds per user for the in-memory backend
+
+const { toId, integerColumn, pick } = require('./state');
+
+const THRESHOLD_COLUMNS = ['user_id', 'low_bpm', 'high_bpm', 'note', 'set_by', 'created_at', 'updated_at'];
+
+function createThresholdRepository(state) {
+    return {
+        async find(userId) {
+            const row = state.userThresholds.find((item) => item.user_id === toId(userId));
+            return row ? pick(row, THRESHOLD_COLUMNS) : null;
+        },
+
+        async upsert(userId, { lowBpm, highBpm, note, setBy }) {
+            const now = new Date();
+            const columns = { low_bpm: integerColumn(lowBpm), high_bpm: integerColumn(highBpm), note, set_by: toId(setBy), updated_at: now };
+
+            let row = state.userThresholds.find((item) => item.user_id === toId(userId));
+            if (row) {
+                Object.assign(row, columns);
+            } else {
+                row = { user_id: toId(userId), ...columns, created_at: now };
+                state.userThresholds.push(row);
+            }
+            return pick(row, THRESHOLD_COLUMNS);
+        },
+
+        // Returns whether there was anything to remove
+        async remove(userId) {
+            const before = state.userThresholds.length;
+            state.userThresholds = state.userThresholds.filter((item) => item.user_id !== toId(userId));
+            return state.userThresholds.length < before;
+        }
+    };
+}
+
+module.exports = { createThresholdRepository };
@@ -0,0 +1,131 @@
+// Users for the in-memory backend
+
+const { nextId, clone, toId, uniqueViolation, integerColumn, pick } = require('./state');
+
+const PROFILE_COLUMNS = ['id', 'username', 'age', 'gender', 'timezone', 'created_at', 'updated_at', 'deletion_scheduled_for'];
+
+function createUserRepository(state) {
+    const byId = (id) => state.users.find((user) => user.id === toId(id)) || null;
+    const byUsername = (username) => state.users.find((user) => user.username === username) || null;
+    const newestFirst = (a, b) => b.created_at - a.created_at || b.id - a.id;
+
+    return {
+        async findById(id) {
+            return clone(byId(id));
+        },
+
+        async findByUsername(username) {
+            return clone(byUsername(username));
+        },
+
+        // Is the username used by anyone other than exceptUserId?
+        async isUsernameTaken(username, exceptUserId = null) {
+            const user = byUsername(username);
+            return !!user && (exceptUserId === null || user.id !== toId(exceptUserId));
+        },
+
+        async create({ username, passwordHash, age, gender, role = 'user' }) {
+            if (byUsername(username)) throw uniqueViolation('users_username_key');
+
+            const now = new Date();
+            const user = {
+                id: nextId(state, 'users'),
+                username,
+                password: passwordHash,
+                age: integerColumn(age),
+                gender,
+                created_at: now,
+                updated_at: now,
+                role,
+                timezone: null,
+                deletion_requested_at: null,
+                deletion_scheduled_for: null,
+                deletion_requested_by: null
+            };
+            state.users.push(user);
+            return pick(user, ['id', 'username', 'age', 'gender', 'role']);
+        },
+
+        async setRole(id, role) {
+            const user = byId(id);
+            if (!user) return null;
+
+            Object.assign(user, { role, updated_at: new Date() });
+            return pick(user, ['id', 'username', 'role', 'updated_at']);
+        },
+
+        async updatePassword(id, passwordHash) {
+            const user = byId(id);
+            if (user) user.password = passwordHash;
+        },
+
+        async getProfile(id) {
+            const user = byId(id);
+            return user ? pick(user, PROFILE_COLUMNS) : null;
+        },
+
+        // passwordHash and timezone are only changed when given
+        async updateProfile(id, { username, age, gender, passwordHash = null, timezone = null }) {
+            const user = byId(id);
+            if (!user) return null;
+
+            const owner = byUsername(username);
+            if (owner && owner.id !== user.id) throw uniqueViolation('users_username_key');
+
+            Object.assign(user, {
+                username,
+                age: integerColumn(age),
+                gender,
+                password: passwordHash !== null ? passwordHash : user.password,
+                timezone: timezone !== null ? timezone : user.timezone,
+                updated_at: new Date()
+            });
+            return pick(user, ['id', 'username', 'age', 'gender', 'timezone', 'updated_at']);
+        },
+
+        // Profile time zone (may be null)
+        async getTimeZone(id) {
+            const user = byId(id);
+            return user ? user.timezone : null;
+        },
+
+        // Age, gender and clinician-set thresholds used by the classification rules
+        async getClassificationContext(id) {
+            const user = byId(id);
+            if (!user) return {};
+
+            const thresholds = state.userThresholds.find((row) => row.user_id === user.id);
+            return {
+                age: user.age,
+                gender: user.gender,
+                thresholds: thresholds && (thresholds.low_bpm !== null || thresholds.high_bpm !== null)
+                    ? { low_bpm: thresholds.low_bpm, high_bpm: thresholds.high_bpm }
+                    : null
+            };
+        },
+
+        // Usernames only, for the deprecated /api/users/all
+        async listPublic() {
+            return [...state.users]
+                .sort(newestFirst)
+                .map((user) => pick(user, ['username']));
+        },
+
+        // Admin listing: { users, total }
+        async list({ search = '', limit, offset }) {
+            const needle = search.toLowerCase();
+            const matches = state.users
+                .filter((user) => !needle || user.username.toLowerCase().includes(needle))
+                .sort(newestFirst);
+
+            return {
+                users: matches
+                    .slice(offset, offset + limit)
+                    .map((user) => pick(user, ['id', 'username', 'age', 'gender', 'role', 'created_at', 'updated_at'])),
+                total: matches.length
+            };
+        }
+    };
+}
+
+module.exports = { createUserRepository };
@@ -0,0 +1,53 @@
+// Raw ECG waveforms for the in-memory backend. Samples are kept packed, as in PostgreSQL.
+
+const { encodeSamples } = require('../../ecg/waveform');
+const { nextId, clone, toId } = require('./state');
+
+// Metadata without samples, as returned after saving
+function summarize(row) {
+    const { samples, ...columns } = row;
+    const summary = {};
+    Object.entries(clone(columns)).forEach(([column, value]) => {
+        summary[column] = value;
+        if (column === 'samples_per_lead') summary.duration_seconds = row.samples_per_lead / row.sample_rate;
+    });
+    return summary;
+}
+
+function createWaveformRepository(state) {
+    return {
+        // Store (or replace) the raw waveform of an ECG result; returns its metadata without samples
+        async save(resultId, waveform) {
+            const now = new Date();
+            const columns = {
+                sample_rate: waveform.sampleRate,
+                gain: waveform.gain,
+                baseline: waveform.baseline,
+                units: waveform.units,
+                encoding: waveform.encoding,
+                lead_count: waveform.leads.length,
+                samples_per_lead: waveform.samplesPerLead,
+                leads: clone(waveform.leads),
+                samples: encodeSamples(waveform)
+            };
+
+            let row = state.ecgWaveforms.find((item) => item.ecg_result_id === toId(resultId));
+            if (row) {
+                Object.assign(row, columns, { updated_at: now });
+            } else {
+                row = { id: nextId(state, 'ecgWaveforms'), ecg_result_id: toId(resultId), ...columns, created_at: now, updated_at: now };
+                state.ecgWaveforms.push(row);
+            }
+            return summarize(row);
+        },
+
+        // Full waveform row (with samples) of a result owned by the user, or null
+        async findForUser(resultId, userId) {
+            const result = state.ecgResults.find((row) => row.id === toId(resultId) && row.user_id === toId(userId) && row.deleted_at === null);
+            const waveform = result && state.ecgWaveforms.find((row) => row.ecg_result_id === result.id);
+            return clone(waveform || null);
+        }
+    };
+}
+
+module.exports = { createWaveformRepository };
@@ -0,0 +1,165 @@
+// Webhooks, their queued deliveries and the log of delivery attempts, for the in-memory backend
+
+const { nextId, clone, toId, pick } = require('./state');
+
+// The secret is only returned when the webhook is created
+const WEBHOOK_COLUMNS = ['id', 'user_id', 'url', 'enabled', 'created_at', 'updated_at'];
+const DELIVERY_COLUMNS = ['id', 'alert_id', 'webhook_id', 'status', 'attempts', 'next_attempt_at', 'last_status_code', 'last_error', 'created_at', 'updated_at', 'delivered_at'];
+const ATTEMPT_COLUMNS = ['id', 'delivery_id', 'attempt', 'status_code', 'error', 'duration_ms', 'attempted_at'];
+
+function createWebhookRepository(state) {
+    const owned = (id, userId) => state.webhooks.find((webhook) => webhook.id === toId(id) && webhook.user_id === toId(userId)) || null;
+
+    return {
+        async list(userId) {
+            return state.webhooks
+                .filter((webhook) => webhook.user_id === toId(userId))
+                .sort((a, b) => a.id - b.id)
+                .map((webhook) => pick(webhook, WEBHOOK_COLUMNS));
+        },
+
+        async findOwned(id, userId) {
+            const webhook = owned(id, userId);
+            return webhook ? pick(webhook, WEBHOOK_COLUMNS) : null;
+        },
+
+        async create(userId, { url, secret }) {
+            const now = new Date();
+            const webhook = {
+                id: nextId(state, 'webhooks'),
+                user_id: toId(userId),
+                url,
+                secret,
+                enabled: true,
+                created_at: now,
+                updated_at: now
+            };
+            state.webhooks.push(webhook);
+            return pick(webhook, [...WEBHOOK_COLUMNS, 'secret']);
+        },
+
+        // Pending deliveries are dropped with the webhook
+        async remove(id, userId) {
+            const webhook = owned(id, userId);
+            if (!webhook) return false;
+
+            const deliveryIds = new Set(state.webhookDeliveries.filter((row) => row.webhook_id === webhook.id).map((row) => row.id));
+            state.webhooks = state.webhooks.filter((item) => item !== webhook);
+            state.webhookDeliveries = state.webhookDeliveries.filter((row) => !deliveryIds.has(row.id));
+            state.webhookDeliveryAttempts = state.webhookDeliveryAttempts.filter((row) => !deliveryIds.has(row.delivery_id));
+            return true;
+        },
+
+        // Queue an alert for every enabled webhook of the user; returns the number queued
+        async enqueueDeliveries(alertId, userId) {
+            const webhooks = state.webhooks.filter((webhook) => webhook.user_id === toId(userId) && webhook.enabled);
+            const now = new Date();
+            webhooks.forEach((webhook) => {
+                state.webhookDeliveries.push({
+                    id: nextId(state, 'webhookDeliveries'),
+                    alert_id: toId(alertId),
+                    webhook_id: webhook.id,
+                    status: 'pending',
+                    attempts: 0,
+                    next_attempt_at: now,
+                    last_status_code: null,
+                    last_error: null,
+                    created_at: now,
+                    updated_at: now,
+                    delivered_at: null
+                });
+            });
+            return webhooks.length;
+        },
+
+        // Take up to `limit` due deliveries, pushing their next attempt `leaseMs` ahead so no other
+        // worker sends them meanwhile. Rows hold the webhook url / secret and the alert.
+        async claimDue({ limit, leaseMs }) {
+            const now = new Date();
+            const due = state.webhookDeliveries
+                .filter((row) => row.status === 'pending' && row.next_attempt_at <= now)
+                .sort((a, b) => a.next_attempt_at - b.next_attempt_at || a.id - b.id)
+                .slice(0, limit);
+
+            return due
+                .sort((a, b) => a.id - b.id)
+                .map((delivery) => {
+                    delivery.next_attempt_at = new Date(now.getTime() + leaseMs);
+                    const webhook = state.webhooks.find((row) => row.id === delivery.webhook_id);
+                    const alert = state.alerts.find((row) => row.id === delivery.alert_id);
+                    const user = state.users.find((row) => row.id === alert.user_id);
+                    return {
+                        delivery_id: delivery.id,
+                        attempts: delivery.attempts,
+                        webhook_id: webhook.id,
+                        url: webhook.url,
+                        secret: webhook.secret,
+                        alert_id: alert.id,
+                        user_id: alert.user_id,
+                        username: user.username,
+                        rule_id: alert.rule_id,
+                        rule_type: alert.rule_type,
+                        ecg_result_id: alert.ecg_result_id,
+                        bpm: alert.bpm,
+                        status: alert.status,
+                        kondisi: alert.kondisi,
+                        recorded_at: clone(alert.recorded_at),
+                        details: clone(alert.details),
+                        alert_created_at: clone(alert.created_at)
+                    };
+                });
+        },
+
+        // Log one attempt and update the delivery: delivered, pending again at nextAttemptAt, or failed
+        async recordAttempt(deliveryId, { attempt, statusCode, error, durationMs, delivered, nextAttemptAt }) {
+            const delivery = state.webhookDeliveries.find((row) => row.id === toId(deliveryId));
+            if (!delivery) return;
+
+            const now = new Date();
+            state.webhookDeliveryAttempts.push({
+                id: nextId(state, 'webhookDeliveryAttempts'),
+                delivery_id: delivery.id,
+                attempt,
+                status_code: statusCode,
+                error,
+                duration_ms: durationMs,
+                attempted_at: now
+            });
+            Object.assign(delivery, {
+                attempts: attempt,
+                status: delivered ? 'delivered' : nextAttemptAt ? 'pending' : 'failed',
+                next_attempt_at: nextAttemptAt ? new Date(nextAttemptAt) : null,
+                last_status_code: statusCode,
+                last_error: error,
+                delivered_at: delivered ? now : null,
+                updated_at: now
+            });
+        },
+
+        // Delivery log of a webhook, newest first, each with its attempts (`attempt_log`, oldest first)
+        async listDeliveries(webhookId, { limit }) {
+            return state.webhookDeliveries
+                .filter((row) => row.webhook_id === toId(webhookId))
+                .sort((a, b) => b.created_at - a.created_at || b.id - a.id)
+                .slice(0, limit)
+                .map((delivery) => ({
+                    ...pick(delivery, DELIVERY_COLUMNS),
+                    attempt_log: state.webhookDeliveryAttempts
+                        .filter((row) => row.delivery_id === delivery.id)
+                        .sort((a, b) => a.id - b.id)
+                        .map((row) => pick(row, ATTEMPT_COLUMNS))
+                }));
+        },
+
+        // Deliveries of the given alerts, oldest first
+        async listDeliveriesForAlerts(alertIds) {
+            const ids = new Set(alertIds.map(toId));
+            return state.webhookDeliveries
+                .filter((row) => ids.has(row.alert_id))
+                .sort((a, b) => a.id - b.id)
+                .map((row) => pick(row, DELIVERY_COLUMNS));
+        }
+    };
+}
+
+module.exports = { createWebhookRepository };
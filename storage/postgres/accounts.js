@@ -0,0 +1,139 @@
+// Account lifecycle for PostgreSQL: deletion requests, the deletion of a user with all their data,
+// the audit of deleted accounts, and everything held about a user for a personal data export
+
+const DELETION_COLUMNS = 'deletion_requested_at, deletion_scheduled_for, deletion_requested_by';
+
+function createAccountRepository(db) {
+    return {
+        // Pending deletion of a user ({ deletion_requested_at, deletion_scheduled_for, deletion_requested_by },
+        // all null when none), or null when the user does not exist
+        async findDeletion(userId) {
+            const result = await db.query(`SELECT ${DELETION_COLUMNS} FROM users WHERE id = $1`, [userId]);
+            return result.rows[0] || null;
+        },
+
+        // Returns the pending deletion, or null when one was already requested
+        async requestDeletion(userId, { scheduledFor, requestedBy }) {
+            const result = await db.query(
+                `UPDATE users
+                 SET deletion_requested_at = CURRENT_TIMESTAMP, deletion_scheduled_for = $2, deletion_requested_by = $3
+                 WHERE id = $1 AND deletion_scheduled_for IS NULL
+                 RETURNING ${DELETION_COLUMNS}`,
+                [userId, scheduledFor, requestedBy]
+            );
+            return result.rows[0] || null;
+        },
+
+        // Returns false when no deletion was pending
+        async cancelDeletion(userId) {
+            const result = await db.query(
+                `UPDATE users
+                 SET deletion_requested_at = NULL, deletion_scheduled_for = NULL, deletion_requested_by = NULL
+                 WHERE id = $1 AND deletion_scheduled_for IS NOT NULL`,
+                [userId]
+            );
+            return result.rowCount > 0;
+        },
+
+        // Ids of users whose grace period is over, oldest first
+        async listDueDeletions(limit) {
+            const result = await db.query(
+                `SELECT id FROM users
+                 WHERE deletion_scheduled_for <= CURRENT_TIMESTAMP
+                 ORDER BY deletion_scheduled_for, id
+                 LIMIT $1`,
+                [limit]
+            );
+            return result.rows.map((row) => row.id);
+        },
+
+        // Delete a user whose grace period is over, with every row that belongs to them (foreign keys
+        // cascade; their reviews of other patients stay without author), and record the deletion.
+        // Run inside a transaction. Returns the audit row, or null when the deletion is no longer due.
+        async deleteAccount(userId) {
+            const found = await db.query(
+                `SELECT id, role, ${DELETION_COLUMNS},
+                        (SELECT COUNT(*)::int FROM ecg_results WHERE user_id = $1) AS ecg_result_count
+                 FROM users
+                 WHERE id = $1 AND deletion_scheduled_for <= CURRENT_TIMESTAMP
+                 FOR UPDATE`,
+                [userId]
+            );
+            const user = found.rows[0];
+            if (!user) return null;
+
+            await db.query('DELETE FROM users WHERE id = $1', [userId]);
+            // Tombstones written by the cascade (and earlier ones) only served the user's devices
+            await db.query('DELETE FROM ecg_deletions WHERE user_id = $1', [userId]);
+
+            const result = await db.query(
+                `INSERT INTO account_deletions (user_id, role, requested_at, requested_by, scheduled_for, ecg_result_count)
+                 VALUES ($1, $2, $3, $4, $5, $6)
+                 RETURNING *`,
+                [user.id, user.role, user.deletion_requested_at, user.deletion_requested_by, user.deletion_scheduled_for, user.ecg_result_count]
+            );
+            return result.rows[0];
+        },
+
+        // Audit of deleted accounts, newest first
+        async listDeletions({ limit }) {
+            const result = await db.query('SELECT * FROM account_deletions ORDER BY deleted_at DESC, id DESC LIMIT $1', [limit]);
+            return result.rows;
+        },
+
+        // Every row held about a user, by table; password and token hashes and webhook secrets are left out.
+        // Waveform rows keep their packed samples. Returns null when the user does not exist.
+        async exportData(userId) {
+            const profile = await db.query(
+                `SELECT id, username, age, gender, role, timezone, created_at, updated_at, ${DELETION_COLUMNS}
+                 FROM users WHERE id = $1`,
+                [userId]
+            );
+            if (!profile.rows[0]) return null;
+
+            const rows = async (sql) => (await db.query(sql, [userId])).rows;
+            const ofResults = 'ecg_result_id IN (SELECT id FROM ecg_results WHERE user_id = $1)';
+
+            return {
+                profile: profile.rows[0],
+                sessions: await rows(
+                    `SELECT id, user_agent, created_at, last_used_at, expires_at, revoked_at
+                     FROM auth_sessions WHERE user_id = $1 ORDER BY id`
+                ),
+                ecgResults: await rows('SELECT * FROM ecg_results WHERE user_id = $1 ORDER BY recorded_at, id'),
+                waveforms: await rows(`SELECT * FROM ecg_waveforms WHERE ${ofResults} ORDER BY ecg_result_id`),
+                hrv: await rows(`SELECT * FROM ecg_hrv WHERE ${ofResults} ORDER BY ecg_result_id`),
+                reviews: await rows(
+                    `SELECT r.id, r.ecg_result_id, r.author_id, u.username AS author_username, u.role AS author_role,
+                            r.verdict, r.reviewed_status, r.diagnosis, r.note, r.created_at, r.updated_at
+                     FROM ecg_reviews r
+                     LEFT JOIN users u ON u.id = r.author_id
+                     WHERE r.${ofResults}
+                     ORDER BY r.ecg_result_id, r.created_at, r.id`
+                ),
+                reclassifications: await rows(`SELECT * FROM ecg_reclassification_audit WHERE ${ofResults} ORDER BY id`),
+                thresholds: await rows('SELECT * FROM user_thresholds WHERE user_id = $1'),
+                careGrants: await rows(
+                    `SELECT g.*, p.username AS patient_username, e.username AS grantee_username
+                     FROM care_grants g
+                     JOIN users p ON p.id = g.patient_id
+                     JOIN users e ON e.id = g.grantee_id
+                     WHERE g.patient_id = $1 OR g.grantee_id = $1
+                     ORDER BY g.id`
+                ),
+                alertRules: await rows('SELECT * FROM alert_rules WHERE user_id = $1 ORDER BY id'),
+                alerts: await rows('SELECT * FROM alerts WHERE user_id = $1 ORDER BY id'),
+                webhooks: await rows('SELECT id, user_id, url, enabled, created_at, updated_at FROM webhooks WHERE user_id = $1 ORDER BY id'),
+                webhookDeliveries: await rows(
+                    `SELECT d.* FROM webhook_deliveries d
+                     JOIN webhooks w ON w.id = d.webhook_id
+                     WHERE w.user_id = $1
+                     ORDER BY d.id`
+                ),
+                auditLog: await rows('SELECT * FROM audit_log WHERE user_id = $1 ORDER BY id')
+            };
+        }
+    };
+}
+
+module.exports = { createAccountRepository };
@@ -0,0 +1,78 @@
+// Alert rules and the alerts they raise, for PostgreSQL
+
+const RULE_COLUMNS = 'id, user_id, type, threshold_count, window_hours, bpm_limit, enabled, created_at, updated_at';
+const ALERT_COLUMNS = 'id, user_id, rule_id, rule_type, ecg_result_id, bpm, status, kondisi, recorded_at, details, created_at';
+
+function createAlertRepository(db) {
+    return {
+        async listRules(userId) {
+            const result = await db.query(`SELECT ${RULE_COLUMNS} FROM alert_rules WHERE user_id = $1 ORDER BY id`, [userId]);
+            return result.rows;
+        },
+
+        async listEnabledRules(userId) {
+            const result = await db.query(
+                `SELECT ${RULE_COLUMNS} FROM alert_rules WHERE user_id = $1 AND enabled ORDER BY id`,
+                [userId]
+            );
+            return result.rows;
+        },
+
+        async createRule(userId, { type, thresholdCount, windowHours, bpmLimit, enabled }) {
+            const result = await db.query(
+                `INSERT INTO alert_rules (user_id, type, threshold_count, window_hours, bpm_limit, enabled)
+                 VALUES ($1, $2, $3, $4, $5, $6)
+                 RETURNING ${RULE_COLUMNS}`,
+                [userId, type, thresholdCount, windowHours, bpmLimit, enabled]
+            );
+            return result.rows[0];
+        },
+
+        // null when the user has no such rule
+        async setRuleEnabled(id, userId, enabled) {
+            const result = await db.query(
+                `UPDATE alert_rules SET enabled = $3, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $1 AND user_id = $2
+                 RETURNING ${RULE_COLUMNS}`,
+                [id, userId, enabled]
+            );
+            return result.rows[0] || null;
+        },
+
+        // Returns whether there was anything to remove; past alerts keep their copy of the rule type
+        async deleteRule(id, userId) {
+            const result = await db.query('DELETE FROM alert_rules WHERE id = $1 AND user_id = $2', [id, userId]);
+            return result.rowCount > 0;
+        },
+
+        // Has the rule already alerted for a reading recorded after `since`?
+        async hasAlertSince(ruleId, since) {
+            const result = await db.query(
+                'SELECT 1 FROM alerts WHERE rule_id = $1 AND recorded_at > $2 LIMIT 1',
+                [ruleId, since]
+            );
+            return result.rows.length > 0;
+        },
+
+        async create({ userId, ruleId, ruleType, resultId, bpm, status, kondisi, recordedAt, details }) {
+            const result = await db.query(
+                `INSERT INTO alerts (user_id, rule_id, rule_type, ecg_result_id, bpm, status, kondisi, recorded_at, details)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                 RETURNING ${ALERT_COLUMNS}`,
+                [userId, ruleId, ruleType, resultId, bpm, status, kondisi, recordedAt, JSON.stringify(details)]
+            );
+            return result.rows[0];
+        },
+
+        // Newest first
+        async list(userId, { limit }) {
+            const result = await db.query(
+                `SELECT ${ALERT_COLUMNS} FROM alerts WHERE user_id = $1 ORDER BY created_at DESC, id DESC LIMIT $2`,
+                [userId, limit]
+            );
+            return result.rows;
+        }
+    };
+}
+
+module.exports = { createAlertRepository };
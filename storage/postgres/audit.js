@@ -0,0 +1,65 @@
+// Audit log for PostgreSQL: who deleted, restored or changed what, with before / after values
+
+// Rows per INSERT, well below the limit of 65535 query parameters
+const INSERT_BATCH_SIZE = 1000;
+
+function createAuditRepository(db) {
+    return {
+        // entries: [{ actorId, actorRole, action, entityType, entityId, userId, before, after }]
+        async record(entries) {
+            for (let start = 0; start < entries.length; start += INSERT_BATCH_SIZE) {
+                const params = [];
+                const values = entries.slice(start, start + INSERT_BATCH_SIZE).map((entry) => {
+                    params.push(
+                        entry.actorId, entry.actorRole, entry.action, entry.entityType, entry.entityId, entry.userId,
+                        entry.before === null ? null : JSON.stringify(entry.before),
+                        entry.after === null ? null : JSON.stringify(entry.after)
+                    );
+                    const first = params.length - 7;
+                    return `(${Array.from({ length: 8 }, (_, index) => `$${first + index}`).join(', ')})`;
+                });
+
+                await db.query(
+                    `INSERT INTO audit_log (actor_id, actor_role, action, entity_type, entity_id, user_id, before, after)
+                     VALUES ${values.join(', ')}`,
+                    params
+                );
+            }
+        },
+
+        // Newest first, with the actor's and the user's current usernames. from / to are inclusive
+        // UTC dates; beforeId continues a previous page.
+        async list({ userId, actorId, action, entityType, entityId, from, to, beforeId, limit }) {
+            const conditions = [];
+            const params = [];
+            const add = (sql, value) => {
+                params.push(value);
+                conditions.push(sql.replace('?', `$${params.length}`));
+            };
+
+            if (userId) add('a.user_id = ?', userId);
+            if (actorId) add('a.actor_id = ?', actorId);
+            if (action) add('a.action = ?', action);
+            if (entityType) add('a.entity_type = ?', entityType);
+            if (entityId) add('a.entity_id = ?', entityId);
+            if (from) add("a.created_at >= (?::date AT TIME ZONE 'UTC')", from);
+            if (to) add("a.created_at < ((?::date + 1) AT TIME ZONE 'UTC')", to);
+            if (beforeId) add('a.id < ?', beforeId);
+            params.push(limit);
+
+            const result = await db.query(
+                `SELECT a.*, actor.username AS actor_username, subject.username AS username
+                 FROM audit_log a
+                 LEFT JOIN users actor ON actor.id = a.actor_id
+                 LEFT JOIN users subject ON subject.id = a.user_id
+                 ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+                 ORDER BY a.id DESC
+                 LIMIT $${params.length}`,
+                params
+            );
+            return result.rows;
+        }
+    };
+}
+
+module.exports = { createAuditRepository };
@@ -0,0 +1,108 @@
+// Care team grants (patient to clinician / caregiver) for PostgreSQL
+
+const GRANT_COLUMNS = 'id, patient_id, grantee_id, relationship, status, created_at, responded_at, revoked_at, revoked_by';
+const JOINED_GRANT_COLUMNS = GRANT_COLUMNS.split(', ').map((column) => `g.${column}`).join(', ');
+
+function createCareGrantRepository(db) {
+    return {
+        // New pending grant; null when the patient already has an open grant for this grantee
+        async create({ patientId, granteeId, relationship }) {
+            const result = await db.query(
+                `INSERT INTO care_grants (patient_id, grantee_id, relationship)
+                 VALUES ($1, $2, $3)
+                 ON CONFLICT (patient_id, grantee_id) WHERE status IN ('pending', 'active') DO NOTHING
+                 RETURNING ${GRANT_COLUMNS}`,
+                [patientId, granteeId, relationship]
+            );
+            return result.rows[0] || null;
+        },
+
+        async findById(id) {
+            const result = await db.query(`SELECT ${GRANT_COLUMNS} FROM care_grants WHERE id = $1`, [id]);
+            return result.rows[0] || null;
+        },
+
+        // Grants a patient has given, newest first, with the grantee's username and role
+        async listForPatient(patientId) {
+            const result = await db.query(
+                `SELECT ${JOINED_GRANT_COLUMNS}, u.username AS grantee_username, u.role AS grantee_role
+                 FROM care_grants g
+                 JOIN users u ON u.id = g.grantee_id
+                 WHERE g.patient_id = $1
+                 ORDER BY g.created_at DESC, g.id DESC`,
+                [patientId]
+            );
+            return result.rows;
+        },
+
+        // Open (pending or active) grants a clinician / caregiver has received
+        async listForGrantee(granteeId) {
+            const result = await db.query(
+                `SELECT ${JOINED_GRANT_COLUMNS}, u.username AS patient_username
+                 FROM care_grants g
+                 JOIN users u ON u.id = g.patient_id
+                 WHERE g.grantee_id = $1 AND g.status IN ('pending', 'active')
+                 ORDER BY g.created_at DESC, g.id DESC`,
+                [granteeId]
+            );
+            return result.rows;
+        },
+
+        // Accept ('active') or decline ('declined') a pending invitation; null when it is not pending
+        async respond(id, granteeId, status) {
+            const result = await db.query(
+                `UPDATE care_grants SET status = $3, responded_at = CURRENT_TIMESTAMP
+                 WHERE id = $1 AND grantee_id = $2 AND status = 'pending'
+                 RETURNING ${GRANT_COLUMNS}`,
+                [id, granteeId, status]
+            );
+            return result.rows[0] || null;
+        },
+
+        // Either side can end an open grant; null when it was not open
+        async revoke(id, revokedBy) {
+            const result = await db.query(
+                `UPDATE care_grants SET status = 'revoked', revoked_at = CURRENT_TIMESTAMP, revoked_by = $2
+                 WHERE id = $1 AND status IN ('pending', 'active')
+                 RETURNING ${GRANT_COLUMNS}`,
+                [id, revokedBy]
+            );
+            return result.rows[0] || null;
+        },
+
+        async hasActiveGrant(patientId, granteeId) {
+            const result = await db.query(
+                "SELECT 1 FROM care_grants WHERE patient_id = $1 AND grantee_id = $2 AND status = 'active'",
+                [patientId, granteeId]
+            );
+            return result.rows.length > 0;
+        },
+
+        // Dashboard: every patient with an active grant, their latest reading and the number of
+        // Abnormal readings since abnormalSince. Patients whose latest reading is Abnormal come first.
+        async listPatients(granteeId, { abnormalSince }) {
+            const result = await db.query(
+                `SELECT g.id AS grant_id, g.relationship, g.responded_at AS granted_at,
+                        u.id AS user_id, u.username, u.age, u.gender, u.timezone,
+                        r.id AS result_id, r.bpm, r.status, r.kondisi, r.recorded_at, r.timezone AS result_timezone,
+                        (SELECT COUNT(*) FROM ecg_results a
+                         WHERE a.user_id = u.id AND a.status = 'Abnormal' AND a.recorded_at >= $2 AND a.deleted_at IS NULL)::int AS abnormal_count
+                 FROM care_grants g
+                 JOIN users u ON u.id = g.patient_id
+                 LEFT JOIN LATERAL (
+                     SELECT id, bpm, status, kondisi, recorded_at, timezone
+                     FROM ecg_results
+                     WHERE user_id = u.id AND deleted_at IS NULL
+                     ORDER BY recorded_at DESC, id DESC
+                     LIMIT 1
+                 ) r ON true
+                 WHERE g.grantee_id = $1 AND g.status = 'active'
+                 ORDER BY (r.status = 'Abnormal') DESC NULLS LAST, r.recorded_at DESC NULLS LAST, u.id`,
+                [granteeId, abnormalSince]
+            );
+            return result.rows;
+        }
+    };
+}
+
+module.exports = { createCareGrantRepository };
@@ -0,0 +1,393 @@
+// ECG results for PostgreSQL: saving, history pages, statistics, sync changes, the trash and deletion.
+// Results in the trash (deleted_at set) are left out of every read except the trash itself.
+
+const { SORTS } = require('../../utils/historyFilters');
+const { resolveTimeZone } = require('../../utils/timezone');
+
+// Text forms of the sort columns, selected next to the row so cursors round-trip exactly
+const CURSOR_COLUMNS = {
+    recorded_at: 'recorded_at::text',
+    bpm: 'bpm',
+    id: 'id'
+};
+
+// Local date-times in the user's zone are returned as text, without an offset
+const LOCAL_TIME_FORMAT = 'YYYY-MM-DD"T"HH24:MI:SS';
+
+// Columns of trashed, restored and purged results (trash listing and audit log)
+const TRASH_COLUMNS = 'id, user_id, client_id, recorded_at, timezone, bpm, status, kondisi, activity_context, deleted_at, deleted_by';
+
+// WHERE conditions for a user's results; params continue from `params`.
+// filters.timeZone decides which local day from / to refer to.
+function buildFilterConditions(userId, filters, params = []) {
+    const conditions = [];
+    const add = (sql, value) => {
+        params.push(value);
+        conditions.push(sql.replace('?', `$${params.length}`));
+    };
+
+    add('user_id = ?', userId);
+    conditions.push('deleted_at IS NULL');
+    if (filters.from || filters.to) {
+        params.push(resolveTimeZone(filters.timeZone));
+        const localDate = `(recorded_at AT TIME ZONE $${params.length})::date`;
+        if (filters.from) add(`${localDate} >= ?`, filters.from);
+        if (filters.to) add(`${localDate} <= ?`, filters.to);
+    }
+    if (filters.status) add('status = ?', filters.status);
+    if (filters.kondisi && filters.kondisi.length > 0) add('kondisi = ANY(?)', filters.kondisi);
+    if (filters.minBpm !== undefined) add('bpm >= ?', filters.minBpm);
+    if (filters.maxBpm !== undefined) add('bpm <= ?', filters.maxBpm);
+    if (filters.reviewStatus) add('review_status = ?', filters.reviewStatus);
+
+    return { conditions, params };
+}
+
+// Full SELECT for one page (or everything when not paginated), plus the matching COUNT
+function buildHistoryQueries(userId, options) {
+    const { columns, direction } = SORTS[options.sort];
+    const { conditions, params } = buildFilterConditions(userId, options.filters);
+    const countSql = `SELECT COUNT(*) FROM ecg_results WHERE ${conditions.join(' AND ')}`;
+    const countParams = [...params];
+
+    if (options.after) {
+        const placeholders = options.after.map((value) => {
+            params.push(value);
+            return `$${params.length}`;
+        });
+        conditions.push(`(${columns.join(', ')}) ${direction === 'DESC' ? '<' : '>'} (${placeholders.join(', ')})`);
+    }
+
+    const cursorSelect = columns.map((column) => `${CURSOR_COLUMNS[column]} AS cursor_${column}`).join(', ');
+    params.push(resolveTimeZone(options.filters.timeZone));
+    const zone = `$${params.length}`;
+    let sql = `SELECT *,
+                      to_char(recorded_at AT TIME ZONE ${zone}, 'YYYY-MM-DD') AS local_date,
+                      to_char(recorded_at AT TIME ZONE ${zone}, 'HH24:MI:SS') AS local_time,
+                      ${cursorSelect}
+               FROM ecg_results
+               WHERE ${conditions.join(' AND ')}
+               ORDER BY ${columns.map((column) => `${column} ${direction}`).join(', ')}`;
+
+    if (options.paginated) {
+        // One extra row tells whether there is a next page
+        params.push(options.limit + 1);
+        sql += ` LIMIT $${params.length}`;
+    }
+
+    return { sql, params, countSql, countParams };
+}
+
+function createEcgResultRepository(db) {
+    return {
+        // Insert a classified reading; tanggal / waktu are derived as the local date and time in timeZone.
+        // Returns null when the user already has a reading with the same clientId.
+        async insert(reading) {
+            const result = await db.query(
+                `INSERT INTO ecg_results
+                    (user_id, username, recorded_at, timezone, tanggal, waktu, bpm, status, kondisi,
+                     client_bpm, server_bpm, signal_quality, rr_intervals, bpm_source, rhythm_analysis,
+                     activity_context, rule_set_version, classification_details, client_id)
+                 VALUES ($1, $2, $3::timestamptz, $4::text,
+                         ($3::timestamptz AT TIME ZONE $4::text)::date,
+                         date_trunc('second', $3::timestamptz AT TIME ZONE $4::text)::time,
+                         $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+                 ON CONFLICT (user_id, client_id) DO NOTHING
+                 RETURNING *`,
+                [
+                    reading.userId, reading.username, reading.recordedAt, reading.timeZone,
+                    reading.bpm, reading.status, reading.kondisi,
+                    reading.clientBpm,
+                    reading.serverBpm,
+                    reading.signalQuality,
+                    reading.rrIntervals ? JSON.stringify(reading.rrIntervals) : null,
+                    reading.bpmSource,
+                    reading.rhythmAnalysis ? JSON.stringify(reading.rhythmAnalysis) : null,
+                    reading.activityContext,
+                    reading.ruleSetVersion,
+                    JSON.stringify(reading.classificationDetails),
+                    reading.clientId
+                ]
+            );
+            return result.rows[0] || null;
+        },
+
+        async findByClientId(userId, clientId) {
+            const result = await db.query(
+                'SELECT * FROM ecg_results WHERE user_id = $1 AND client_id = $2 AND deleted_at IS NULL',
+                [userId, clientId]
+            );
+            return result.rows[0] || null;
+        },
+
+        // Tombstone of a deleted reading: { ecg_result_id, deleted_at } or null
+        async findDeletionByClientId(userId, clientId) {
+            const result = await db.query(
+                'SELECT ecg_result_id, deleted_at FROM ecg_deletions WHERE user_id = $1 AND client_id = $2',
+                [userId, clientId]
+            );
+            return result.rows[0] || null;
+        },
+
+        // A reading of the user taken at exactly this time with this BPM (imports skip it)
+        async findByRecordedAt(userId, recordedAt, bpm) {
+            const result = await db.query(
+                'SELECT * FROM ecg_results WHERE user_id = $1 AND recorded_at = $2 AND bpm = $3 AND deleted_at IS NULL ORDER BY id LIMIT 1',
+                [userId, recordedAt, bpm]
+            );
+            return result.rows[0] || null;
+        },
+
+        // A result only if it belongs to the user
+        async findOwned(id, userId) {
+            const result = await db.query(
+                'SELECT * FROM ecg_results WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+                [id, userId]
+            );
+            return result.rows[0] || null;
+        },
+
+        // Owner of a result, or null when it does not exist
+        async findOwnerId(id) {
+            const result = await db.query('SELECT user_id FROM ecg_results WHERE id = $1 AND deleted_at IS NULL', [id]);
+            return result.rows[0] ? result.rows[0].user_id : null;
+        },
+
+        // Latest review verdict ('confirmed' / 'overridden'); status / kondisi stay the automatic ones
+        async setReviewStatus(id, reviewStatus) {
+            await db.query('UPDATE ecg_results SET review_status = $1 WHERE id = $2', [reviewStatus, id]);
+        },
+
+        // Server-side measurement from a waveform; the stored classification is left as it was
+        async updateAnalysis(id, { serverBpm, signalQuality, rrIntervals, rhythmAnalysis }) {
+            await db.query(
+                `UPDATE ecg_results
+                 SET server_bpm = $1, signal_quality = $2, rr_intervals = $3, rhythm_analysis = $4
+                 WHERE id = $5`,
+                [serverBpm, signalQuality, JSON.stringify(rrIntervals), JSON.stringify(rhythmAnalysis), id]
+            );
+        },
+
+        // Rows of one history page (with local_date / local_time and cursor_* columns), plus the
+        // filtered total when paginated. options come from parseHistoryQuery.
+        async listHistory(userId, options) {
+            const { sql, params, countSql, countParams } = buildHistoryQueries(userId, options);
+            const result = await db.query(sql, params);
+
+            let total;
+            if (options.paginated) {
+                const countResult = await db.query(countSql, countParams);
+                total = parseInt(countResult.rows[0].count, 10);
+            }
+
+            return { rows: result.rows, total };
+        },
+
+        // Summary, per-kondisi counts, period aggregates, longest Normal streak and the resting BPM
+        // regression, with local times in timeZone
+        async getStats(userId, { filters, timeZone, granularities }) {
+            // Every query starts from the user's readings with a local timestamp in their zone
+            const { conditions, params } = buildFilterConditions(userId, { ...filters, timeZone });
+            params.push(timeZone);
+            const readings = `WITH readings AS (
+                    SELECT id, bpm, status, kondisi, activity_context,
+                           recorded_at AT TIME ZONE $${params.length} AS local_time
+                    FROM ecg_results
+                    WHERE ${conditions.join(' AND ')}
+                )`;
+
+            const summary = await db.query(
+                `${readings}
+                 SELECT COUNT(*)::int AS count,
+                        MIN(bpm) AS min_bpm,
+                        MAX(bpm) AS max_bpm,
+                        ROUND(AVG(bpm)::numeric, 1)::float8 AS mean_bpm,
+                        percentile_cont(0.5) WITHIN GROUP (ORDER BY bpm) AS median_bpm,
+                        COUNT(*) FILTER (WHERE status = 'Normal')::int AS normal_count,
+                        COUNT(*) FILTER (WHERE status = 'Abnormal')::int AS abnormal_count,
+                        to_char(MIN(local_time), '${LOCAL_TIME_FORMAT}') AS first_reading,
+                        to_char(MAX(local_time), '${LOCAL_TIME_FORMAT}') AS last_reading
+                 FROM readings`,
+                params
+            );
+
+            const perKondisi = await db.query(
+                `${readings}
+                 SELECT kondisi, COUNT(*)::int AS count
+                 FROM readings
+                 GROUP BY kondisi
+                 ORDER BY count DESC`,
+                params
+            );
+
+            const aggregates = {};
+            for (const granularity of granularities) {
+                const result = await db.query(
+                    `${readings}
+                     SELECT date_trunc('${granularity}', local_time)::date::text AS period,
+                            COUNT(*)::int AS count,
+                            MIN(bpm) AS min_bpm,
+                            MAX(bpm) AS max_bpm,
+                            ROUND(AVG(bpm)::numeric, 1)::float8 AS mean_bpm,
+                            COUNT(*) FILTER (WHERE status = 'Abnormal')::int AS abnormal_count
+                     FROM readings
+                     GROUP BY period
+                     ORDER BY period ASC`,
+                    params
+                );
+                aggregates[granularity] = result.rows;
+            }
+
+            // Gaps-and-islands: runs of consecutive Normal readings
+            const streak = await db.query(
+                `${readings}
+                 SELECT COUNT(*)::int AS length,
+                        to_char(MIN(local_time), '${LOCAL_TIME_FORMAT}') AS started_at,
+                        to_char(MAX(local_time), '${LOCAL_TIME_FORMAT}') AS ended_at
+                 FROM (
+                     SELECT status, local_time,
+                            ROW_NUMBER() OVER (ORDER BY local_time, id)
+                            - ROW_NUMBER() OVER (PARTITION BY status ORDER BY local_time, id) AS run
+                     FROM readings
+                 ) runs
+                 WHERE status = 'Normal'
+                 GROUP BY run
+                 ORDER BY length DESC, MIN(local_time) DESC
+                 LIMIT 1`,
+                params
+            );
+
+            // Least-squares slope of resting BPM over time, in bpm per 30 days
+            const trend = await db.query(
+                `${readings}
+                 SELECT regr_count(bpm, EXTRACT(EPOCH FROM local_time))::int AS readings,
+                        regr_slope(bpm, EXTRACT(EPOCH FROM local_time)) * 86400 * 30 AS slope_per_30_days
+                 FROM readings
+                 WHERE activity_context = 'rest'`,
+                params
+            );
+
+            return {
+                summary: summary.rows[0],
+                perKondisi: perKondisi.rows,
+                aggregates,
+                longestNormalStreak: streak.rows[0] || null,
+                trend: { readings: trend.rows[0].readings, slopePer30Days: trend.rows[0].slope_per_30_days }
+            };
+        },
+
+        // Abnormal readings recorded after `from`, up to and including `to`
+        async countAbnormalBetween(userId, from, to) {
+            const result = await db.query(
+                `SELECT COUNT(*) FROM ecg_results
+                 WHERE user_id = $1 AND status = 'Abnormal' AND recorded_at > $2 AND recorded_at <= $3 AND deleted_at IS NULL`,
+                [userId, from, to]
+            );
+            return parseInt(result.rows[0].count, 10);
+        },
+
+        async countForUser(userId) {
+            const result = await db.query('SELECT COUNT(*) FROM ecg_results WHERE user_id = $1 AND deleted_at IS NULL', [userId]);
+            return parseInt(result.rows[0].count, 10);
+        },
+
+        // Move every result of the user to the trash; returns the trashed results
+        async trashAllForUser(userId, deletedBy) {
+            const result = await db.query(
+                `UPDATE ecg_results SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $2
+                 WHERE user_id = $1 AND deleted_at IS NULL
+                 RETURNING ${TRASH_COLUMNS}`,
+                [userId, deletedBy]
+            );
+            return result.rows;
+        },
+
+        // Returns the trashed result, or null when the user has no such result outside the trash
+        async trashOne(id, userId, deletedBy) {
+            const result = await db.query(
+                `UPDATE ecg_results SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $3
+                 WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL
+                 RETURNING ${TRASH_COLUMNS}`,
+                [id, userId, deletedBy]
+            );
+            return result.rows[0] || null;
+        },
+
+        // Results in the user's trash, most recently deleted first
+        async listTrash(userId) {
+            const result = await db.query(
+                `SELECT ${TRASH_COLUMNS} FROM ecg_results
+                 WHERE user_id = $1 AND deleted_at IS NOT NULL
+                 ORDER BY deleted_at DESC, id DESC`,
+                [userId]
+            );
+            return result.rows;
+        },
+
+        // Take results out of the trash (all of them when ids is null). Returns the restored results,
+        // each with trashed_at, the deleted_at it had.
+        async restore(userId, ids = null) {
+            const result = await db.query(
+                `UPDATE ecg_results r SET deleted_at = NULL, deleted_by = NULL
+                 FROM (
+                     SELECT id, deleted_at FROM ecg_results
+                     WHERE user_id = $1 AND deleted_at IS NOT NULL AND ($2::int[] IS NULL OR id = ANY($2::int[]))
+                     FOR UPDATE
+                 ) old
+                 WHERE r.id = old.id
+                 RETURNING ${TRASH_COLUMNS.split(', ').map((column) => `r.${column}`).join(', ')}, old.deleted_at AS trashed_at`,
+                [userId, ids]
+            );
+            return result.rows.sort((a, b) => a.id - b.id);
+        },
+
+        // Delete results in the user's trash for good (all of them when ids is null); returns them
+        async purgeTrash(userId, ids = null) {
+            const result = await db.query(
+                `DELETE FROM ecg_results
+                 WHERE user_id = $1 AND deleted_at IS NOT NULL AND ($2::int[] IS NULL OR id = ANY($2::int[]))
+                 RETURNING ${TRASH_COLUMNS}`,
+                [userId, ids]
+            );
+            return result.rows.sort((a, b) => a.id - b.id);
+        },
+
+        // Delete at most `limit` results that went to the trash before `deletedBefore`; returns them
+        async purgeExpiredTrash(deletedBefore, limit) {
+            const result = await db.query(
+                `DELETE FROM ecg_results
+                 WHERE id IN (
+                     SELECT id FROM ecg_results
+                     WHERE deleted_at < $1
+                     ORDER BY deleted_at, id
+                     LIMIT $2
+                 )
+                 RETURNING ${TRASH_COLUMNS}`,
+                [deletedBefore, limit]
+            );
+            return result.rows;
+        },
+
+        // Results created / updated and deleted after change sequence `since`, oldest first,
+        // each list holding at most `limit` entries
+        async listChanges(userId, { since, limit }) {
+            const changed = await db.query(
+                `SELECT * FROM ecg_results
+                 WHERE user_id = $1 AND change_seq > $2 AND deleted_at IS NULL
+                 ORDER BY change_seq ASC
+                 LIMIT $3`,
+                [userId, since, limit]
+            );
+            const deleted = await db.query(
+                `SELECT ecg_result_id AS id, client_id, deleted_at, change_seq FROM ecg_deletions
+                 WHERE user_id = $1 AND change_seq > $2
+                 ORDER BY change_seq ASC
+                 LIMIT $3`,
+                [userId, since, limit]
+            );
+            return { changed: changed.rows, deleted: deleted.rows };
+        }
+    };
+}
+
+module.exports = { createEcgResultRepository };
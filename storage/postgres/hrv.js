@@ -0,0 +1,89 @@
+// HRV metrics per ECG result for PostgreSQL, and the HRV trend over a date range
+
+const HRV_METRICS = ['mean_rr', 'sdnn', 'rmssd', 'pnn50', 'lf_power', 'hf_power', 'lf_hf_ratio'];
+
+function createHrvRepository(db) {
+    return {
+        // Store (or replace) the HRV metrics of an ECG result
+        async save(resultId, hrv) {
+            await db.query(
+                `INSERT INTO ecg_hrv
+                    (ecg_result_id, nn_count, duration_seconds, mean_rr, sdnn, rmssd, pnn50, lf_power, hf_power, lf_hf_ratio)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+                 ON CONFLICT (ecg_result_id) DO UPDATE SET
+                    nn_count = EXCLUDED.nn_count, duration_seconds = EXCLUDED.duration_seconds,
+                    mean_rr = EXCLUDED.mean_rr, sdnn = EXCLUDED.sdnn, rmssd = EXCLUDED.rmssd, pnn50 = EXCLUDED.pnn50,
+                    lf_power = EXCLUDED.lf_power, hf_power = EXCLUDED.hf_power, lf_hf_ratio = EXCLUDED.lf_hf_ratio,
+                    updated_at = CURRENT_TIMESTAMP`,
+                [
+                    resultId, hrv.nnCount, hrv.durationSeconds, hrv.meanRR, hrv.sdnn, hrv.rmssd, hrv.pnn50,
+                    hrv.lfPower, hrv.hfPower, hrv.lfHfRatio
+                ]
+            );
+        },
+
+        // Per-reading HRV points, averages over the range and, with a bucket, averages per period.
+        // from / to are inclusive local dates in timeZone.
+        async getTrend(userId, { timeZone, from, to, bucket }) {
+            const conditions = ['r.user_id = $1', 'r.deleted_at IS NULL'];
+            const params = [userId];
+            if (from || to) {
+                params.push(timeZone);
+                const localDate = `(r.recorded_at AT TIME ZONE $${params.length})::date`;
+                if (from) {
+                    params.push(from);
+                    conditions.push(`${localDate} >= $${params.length}`);
+                }
+                if (to) {
+                    params.push(to);
+                    conditions.push(`${localDate} <= $${params.length}`);
+                }
+            }
+            const where = conditions.join(' AND ');
+
+            // Queries that render local times take the zone as one extra parameter
+            const zoneParams = [...params, timeZone];
+            const localTime = `r.recorded_at AT TIME ZONE $${zoneParams.length}`;
+
+            const points = await db.query(
+                `SELECT r.id AS ecg_result_id, r.recorded_at,
+                        to_char(${localTime}, 'YYYY-MM-DD') AS local_date,
+                        to_char(${localTime}, 'HH24:MI:SS') AS local_time, r.bpm,
+                        h.nn_count, h.duration_seconds, h.mean_rr, h.sdnn, h.rmssd, h.pnn50,
+                        h.lf_power, h.hf_power, h.lf_hf_ratio
+                 FROM ecg_results r
+                 JOIN ecg_hrv h ON h.ecg_result_id = r.id
+                 WHERE ${where}
+                 ORDER BY r.recorded_at ASC, r.id ASC`,
+                zoneParams
+            );
+
+            const average = (column) => `ROUND(AVG(h.${column})::numeric, 2)::float8 AS ${column}`;
+            const aggregates = ['COUNT(*)::int AS count', ...HRV_METRICS.map(average)].join(', ');
+
+            const summary = await db.query(
+                `SELECT ${aggregates}
+                 FROM ecg_results r
+                 JOIN ecg_hrv h ON h.ecg_result_id = r.id
+                 WHERE ${where}`,
+                params
+            );
+
+            const buckets = bucket
+                ? (await db.query(
+                    `SELECT to_char(date_trunc('${bucket}', ${localTime}), 'YYYY-MM-DD') AS period, ${aggregates}
+                     FROM ecg_results r
+                     JOIN ecg_hrv h ON h.ecg_result_id = r.id
+                     WHERE ${where}
+                     GROUP BY period
+                     ORDER BY period ASC`,
+                    zoneParams
+                )).rows
+                : undefined;
+
+            return { points: points.rows, summary: summary.rows[0], buckets };
+        }
+    };
+}
+
+module.exports = { HRV_METRICS, createHrvRepository };
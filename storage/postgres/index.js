@@ -0,0 +1,96 @@
+// PostgreSQL storage backend: repositories bound to the shared pool, or to one client inside a transaction
+
+const { formatMigration, migrate, getMigrationStatus } = require('../../db/migrate');
+const { createUserRepository } = require('./users');
+const { createSessionRepository } = require('./sessions');
+const { createEcgResultRepository } = require('./ecgResults');
+const { createWaveformRepository } = require('./waveforms');
+const { createHrvRepository } = require('./hrv');
+const { createThresholdRepository } = require('./thresholds');
+const { createReclassificationRepository } = require('./reclassification');
+const { createCareGrantRepository } = require('./careGrants');
+const { createReviewRepository } = require('./reviews');
+const { createAlertRepository } = require('./alerts');
+const { createWebhookRepository } = require('./webhooks');
+const { createAccountRepository } = require('./accounts');
+const { createAuditRepository } = require('./audit');
+
+// db is anything with query(): the pool, or a client holding a transaction
+function createRepositories(db) {
+    return {
+        users: createUserRepository(db),
+        sessions: createSessionRepository(db),
+        ecgResults: createEcgResultRepository(db),
+        waveforms: createWaveformRepository(db),
+        hrv: createHrvRepository(db),
+        thresholds: createThresholdRepository(db),
+        reclassification: createReclassificationRepository(db),
+        careGrants: createCareGrantRepository(db),
+        reviews: createReviewRepository(db),
+        alerts: createAlertRepository(db),
+        webhooks: createWebhookRepository(db),
+        accounts: createAccountRepository(db),
+        audit: createAuditRepository(db)
+    };
+}
+
+function createPostgresStorage({ pool, getDatabaseStatus, checkDatabaseConnection }) {
+    return {
+        name: 'postgres',
+        ...createRepositories(pool),
+
+        // Run callback(repositories) in one transaction; it is rolled back if the callback throws
+        async transaction(callback) {
+            const client = await pool.connect();
+            try {
+                await client.query('BEGIN');
+                const result = await callback(createRepositories(client));
+                await client.query('COMMIT');
+                return result;
+            } catch (error) {
+                await client.query('ROLLBACK').catch(() => {});
+                throw error;
+            } finally {
+                client.release();
+            }
+        },
+
+        // Refuse to serve on an outdated schema. MIGRATE_ON_START=true applies pending migrations first;
+        // otherwise run `npm run migrate` before starting.
+        async prepare() {
+            if (!pool) {
+                throw new Error('DATABASE_URL is not set');
+            }
+
+            if (process.env.MIGRATE_ON_START === 'true') {
+                await migrate(pool);
+            }
+
+            const status = await getMigrationStatus(pool);
+            if (status.pending.length > 0) {
+                const pending = status.pending.map(formatMigration).join(', ');
+                throw new Error(`Database schema is behind (version ${status.current}, pending: ${pending}). Run \`npm run migrate\` first`);
+            }
+            if (status.unknown.length > 0) {
+                console.log('⚠️ Database has migrations this build does not know:', status.unknown.map((row) => row.version).join(', '));
+            }
+            console.log(`✅ Database schema at version ${status.current}`);
+        },
+
+        getStatus() {
+            return getDatabaseStatus();
+        },
+
+        // Live status for /health
+        async checkStatus() {
+            if (!pool) return 'not configured';
+            return (await checkDatabaseConnection()) ? 'connected' : 'configured but not connected';
+        },
+
+        async close() {
+            if (pool) await pool.end();
+        }
+    };
+}
+
+module.exports = { createPostgresStorage };
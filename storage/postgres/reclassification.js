@@ -0,0 +1,133 @@
+// Reclassification jobs, the rows they walk over and their audit trail, for PostgreSQL
+
+function createReclassificationRepository(db) {
+    return {
+        async createJob({ userId, ruleSetVersion, createdBy }) {
+            const result = await db.query(
+                `INSERT INTO reclassification_jobs (user_id, rule_set_version, created_by)
+                 VALUES ($1, $2, $3)
+                 RETURNING *`,
+                [userId, ruleSetVersion, createdBy]
+            );
+            return result.rows[0];
+        },
+
+        async listJobs(limit) {
+            const result = await db.query('SELECT * FROM reclassification_jobs ORDER BY id DESC LIMIT $1', [limit]);
+            return result.rows;
+        },
+
+        async findJob(id) {
+            const result = await db.query('SELECT * FROM reclassification_jobs WHERE id = $1', [id]);
+            return result.rows[0] || null;
+        },
+
+        // Most recent audit entries of a job
+        async listJobChanges(jobId, limit) {
+            const result = await db.query(
+                'SELECT * FROM ecg_reclassification_audit WHERE job_id = $1 ORDER BY id DESC LIMIT $2',
+                [jobId, limit]
+            );
+            return result.rows;
+        },
+
+        // Mark a pending, running or failed job as running; returns the job, or null if it cannot run
+        async claimJob(id) {
+            const result = await db.query(
+                `UPDATE reclassification_jobs
+                 SET status = 'running', error = NULL, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $1 AND status IN ('pending', 'running', 'failed')
+                 RETURNING *`,
+                [id]
+            );
+            return result.rows[0] || null;
+        },
+
+        // Next results after afterId (in id order) with the owner's age, gender and thresholds
+        // (results in the trash too, so a restored result comes back under the current rules)
+        async fetchBatch({ userId, afterId, limit }) {
+            const params = [afterId, limit];
+            let userFilter = '';
+            if (userId) {
+                params.push(userId);
+                userFilter = `AND r.user_id = $${params.length}`;
+            }
+
+            const result = await db.query(
+                `SELECT r.id, r.user_id, r.bpm, r.status, r.kondisi, r.rule_set_version, r.activity_context,
+                        r.classification_details, u.age, u.gender, t.low_bpm, t.high_bpm
+                 FROM ecg_results r
+                 JOIN users u ON u.id = r.user_id
+                 LEFT JOIN user_thresholds t ON t.user_id = r.user_id
+                 WHERE r.id > $1 ${userFilter}
+                 ORDER BY r.id ASC
+                 LIMIT $2`,
+                params
+            );
+            return result.rows;
+        },
+
+        // Write one reclassified result and its audit row. Only touches the row if nobody reclassified
+        // it since it was read; returns whether it was changed.
+        async applyChange(diff, job) {
+            const update = await db.query(
+                `UPDATE ecg_results
+                 SET status = $1, kondisi = $2, rule_set_version = $3, classification_details = $4
+                 WHERE id = $5 AND status = $6 AND kondisi = $7`,
+                [
+                    diff.after.status, diff.after.kondisi, diff.after.ruleSetVersion, JSON.stringify(diff.details),
+                    diff.ecgResultId, diff.before.status, diff.before.kondisi
+                ]
+            );
+            if (update.rowCount === 0) return false;
+
+            await db.query(
+                `INSERT INTO ecg_reclassification_audit
+                    (job_id, ecg_result_id, user_id, bpm, old_status, old_kondisi, old_rule_set_version,
+                     new_status, new_kondisi, new_rule_set_version, changed_by)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+                [
+                    job.id, diff.ecgResultId, diff.userId, diff.bpm,
+                    diff.before.status, diff.before.kondisi, diff.before.ruleSetVersion,
+                    diff.after.status, diff.after.kondisi, diff.after.ruleSetVersion,
+                    job.created_by
+                ]
+            );
+            return true;
+        },
+
+        // Persist the cursor and counters of a job
+        async updateJobProgress(job) {
+            await db.query(
+                `UPDATE reclassification_jobs
+                 SET last_processed_id = $1, processed_count = $2, changed_count = $3, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $4`,
+                [job.last_processed_id, job.processed_count, job.changed_count, job.id]
+            );
+        },
+
+        async completeJob(id) {
+            await db.query(
+                `UPDATE reclassification_jobs
+                 SET status = 'completed', finished_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $1`,
+                [id]
+            );
+        },
+
+        async failJob(id, message) {
+            await db.query(
+                `UPDATE reclassification_jobs SET status = 'failed', error = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2`,
+                [message, id]
+            );
+        },
+
+        // Jobs still marked running, e.g. after a restart
+        async listRunningJobIds() {
+            const result = await db.query("SELECT id FROM reclassification_jobs WHERE status = 'running' ORDER BY id");
+            return result.rows.map((row) => row.id);
+        }
+    };
+}
+
+module.exports = { createReclassificationRepository };
@@ -0,0 +1,63 @@
+// Clinician reviews (notes and verdicts) of ECG results for PostgreSQL
+
+// Review columns plus the author's username and role
+const REVIEW_SELECT = `SELECT r.id, r.ecg_result_id, r.author_id, u.username AS author_username, u.role AS author_role,
+                              r.verdict, r.reviewed_status, r.diagnosis, r.note, r.created_at, r.updated_at
+                       FROM ecg_reviews r
+                       LEFT JOIN users u ON u.id = r.author_id`;
+
+function createReviewRepository(db) {
+    const findById = async (id) => {
+        const result = await db.query(`${REVIEW_SELECT} WHERE r.id = $1`, [id]);
+        return result.rows[0] || null;
+    };
+
+    return {
+        findById,
+
+        async create({ resultId, authorId, verdict, reviewedStatus, diagnosis, note }) {
+            const result = await db.query(
+                `INSERT INTO ecg_reviews (ecg_result_id, author_id, verdict, reviewed_status, diagnosis, note)
+                 VALUES ($1, $2, $3, $4, $5, $6)
+                 RETURNING id`,
+                [resultId, authorId, verdict, reviewedStatus, diagnosis, note]
+            );
+            return findById(result.rows[0].id);
+        },
+
+        // Every review of a result, newest first
+        async listForResult(resultId) {
+            const result = await db.query(
+                `${REVIEW_SELECT} WHERE r.ecg_result_id = $1 ORDER BY r.created_at DESC, r.id DESC`,
+                [resultId]
+            );
+            return result.rows;
+        },
+
+        async updateNote(id, note) {
+            const result = await db.query(
+                'UPDATE ecg_reviews SET note = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING id',
+                [id, note]
+            );
+            return result.rows[0] ? findById(id) : null;
+        },
+
+        // The latest review with a verdict of each given result (results without one are left out)
+        async latestVerdicts(resultIds) {
+            if (resultIds.length === 0) return [];
+            const result = await db.query(
+                `SELECT DISTINCT ON (r.ecg_result_id) r.id, r.ecg_result_id, r.author_id,
+                        u.username AS author_username, u.role AS author_role,
+                        r.verdict, r.reviewed_status, r.diagnosis, r.note, r.created_at, r.updated_at
+                 FROM ecg_reviews r
+                 LEFT JOIN users u ON u.id = r.author_id
+                 WHERE r.ecg_result_id = ANY($1) AND r.verdict IS NOT NULL
+                 ORDER BY r.ecg_result_id, r.created_at DESC, r.id DESC`,
+                [resultIds]
+            );
+            return result.rows;
+        }
+    };
+}
+
+module.exports = { createReviewRepository };
@@ -0,0 +1,62 @@
+// Auth sessions (one row per refresh token) for PostgreSQL
+
+function createSessionRepository(db) {
+    return {
+        async create({ userId, refreshTokenHash, userAgent, ttlSeconds }) {
+            const result = await db.query(
+                `INSERT INTO auth_sessions (user_id, refresh_token_hash, user_agent, expires_at)
+                 VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(secs => $4))
+                 RETURNING id`,
+                [userId, refreshTokenHash, userAgent || null, ttlSeconds]
+            );
+            return result.rows[0].id;
+        },
+
+        // Swap the refresh token of an active session; returns { id, user_id } or null
+        async rotate(refreshTokenHash, newRefreshTokenHash, ttlSeconds) {
+            const result = await db.query(
+                `UPDATE auth_sessions
+                 SET refresh_token_hash = $1,
+                     expires_at = CURRENT_TIMESTAMP + make_interval(secs => $2),
+                     last_used_at = CURRENT_TIMESTAMP
+                 WHERE refresh_token_hash = $3
+                   AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+                 RETURNING id, user_id`,
+                [newRefreshTokenHash, ttlSeconds, refreshTokenHash]
+            );
+            return result.rows[0] || null;
+        },
+
+        // Returns the number of sessions revoked
+        async revoke(sessionId) {
+            const result = await db.query(
+                'UPDATE auth_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1 AND revoked_at IS NULL',
+                [sessionId]
+            );
+            return result.rowCount;
+        },
+
+        async revokeAllForUser(userId) {
+            const result = await db.query(
+                'UPDATE auth_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL',
+                [userId]
+            );
+            return result.rowCount;
+        },
+
+        // The user behind an active (not revoked, not expired) session: { id, username, role } or null
+        async findActiveUser(sessionId, userId) {
+            const result = await db.query(
+                `SELECT u.id, u.username, u.role
+                 FROM auth_sessions s
+                 JOIN users u ON u.id = s.user_id
+                 WHERE s.id = $1 AND s.user_id = $2
+                   AND s.revoked_at IS NULL AND s.expires_at > CURRENT_TIMESTAMP`,
+                [sessionId, userId]
+            );
+            return result.rows[0] || null;
+        }
+    };
+}
+
+module.exports = { createSessionRepository };
@@ -0,0 +1,36 @@
+// Clinician-set BPM thresholds per user for PostgreSQL
+
+const THRESHOLD_COLUMNS = 'user_id, low_bpm, high_bpm, note, set_by, created_at, updated_at';
+
+function createThresholdRepository(db) {
+    return {
+        async find(userId) {
+            const result = await db.query(
+                `SELECT ${THRESHOLD_COLUMNS} FROM user_thresholds WHERE user_id = $1`,
+                [userId]
+            );
+            return result.rows[0] || null;
+        },
+
+        async upsert(userId, { lowBpm, highBpm, note, setBy }) {
+            const result = await db.query(
+                `INSERT INTO user_thresholds (user_id, low_bpm, high_bpm, note, set_by)
+                 VALUES ($1, $2, $3, $4, $5)
+                 ON CONFLICT (user_id) DO UPDATE SET
+                    low_bpm = EXCLUDED.low_bpm, high_bpm = EXCLUDED.high_bpm, note = EXCLUDED.note,
+                    set_by = EXCLUDED.set_by, updated_at = CURRENT_TIMESTAMP
+                 RETURNING ${THRESHOLD_COLUMNS}`,
+                [userId, lowBpm, highBpm, note, setBy]
+            );
+            return result.rows[0];
+        },
+
+        // Returns whether there was anything to remove
+        async remove(userId) {
+            const result = await db.query('DELETE FROM user_thresholds WHERE user_id = $1', [userId]);
+            return result.rowCount > 0;
+        }
+    };
+}
+
+module.exports = { createThresholdRepository };
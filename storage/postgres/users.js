@@ -0,0 +1,124 @@
+// Users table access for PostgreSQL
+
+function createUserRepository(db) {
+    return {
+        async findById(id) {
+            const result = await db.query('SELECT * FROM users WHERE id = $1', [id]);
+            return result.rows[0] || null;
+        },
+
+        async findByUsername(username) {
+            const result = await db.query('SELECT * FROM users WHERE username = $1', [username]);
+            return result.rows[0] || null;
+        },
+
+        // Is the username used by anyone other than exceptUserId?
+        async isUsernameTaken(username, exceptUserId = null) {
+            const result = exceptUserId === null
+                ? await db.query('SELECT 1 FROM users WHERE username = $1', [username])
+                : await db.query('SELECT 1 FROM users WHERE username = $1 AND id != $2', [username, exceptUserId]);
+            return result.rows.length > 0;
+        },
+
+        async create({ username, passwordHash, age, gender, role = 'user' }) {
+            const result = await db.query(
+                'INSERT INTO users (username, password, age, gender, role) VALUES ($1, $2, $3, $4, $5) RETURNING id, username, age, gender, role',
+                [username, passwordHash, age, gender, role]
+            );
+            return result.rows[0];
+        },
+
+        async setRole(id, role) {
+            const result = await db.query(
+                'UPDATE users SET role = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING id, username, role, updated_at',
+                [role, id]
+            );
+            return result.rows[0] || null;
+        },
+
+        async updatePassword(id, passwordHash) {
+            await db.query('UPDATE users SET password = $1 WHERE id = $2', [passwordHash, id]);
+        },
+
+        async getProfile(id) {
+            const result = await db.query(
+                'SELECT id, username, age, gender, timezone, created_at, updated_at, deletion_scheduled_for FROM users WHERE id = $1',
+                [id]
+            );
+            return result.rows[0] || null;
+        },
+
+        // passwordHash and timezone are only changed when given
+        async updateProfile(id, { username, age, gender, passwordHash = null, timezone = null }) {
+            const result = await db.query(
+                `UPDATE users 
+                 SET username = $1, age = $2, gender = $3, password = COALESCE($4, password),
+                     timezone = COALESCE($5, timezone), updated_at = CURRENT_TIMESTAMP 
+                 WHERE id = $6 
+                 RETURNING id, username, age, gender, timezone, updated_at`,
+                [username, age, gender, passwordHash, timezone, id]
+            );
+            return result.rows[0] || null;
+        },
+
+        // Profile time zone (may be null)
+        async getTimeZone(id) {
+            const result = await db.query('SELECT timezone FROM users WHERE id = $1', [id]);
+            return result.rows[0] ? result.rows[0].timezone : null;
+        },
+
+        // Age, gender and clinician-set thresholds used by the classification rules
+        async getClassificationContext(id) {
+            const result = await db.query(
+                `SELECT u.age, u.gender, t.low_bpm, t.high_bpm
+                 FROM users u
+                 LEFT JOIN user_thresholds t ON t.user_id = u.id
+                 WHERE u.id = $1`,
+                [id]
+            );
+
+            const row = result.rows[0];
+            if (!row) return {};
+
+            return {
+                age: row.age,
+                gender: row.gender,
+                thresholds: row.low_bpm !== null || row.high_bpm !== null
+                    ? { low_bpm: row.low_bpm, high_bpm: row.high_bpm }
+                    : null
+            };
+        },
+
+        // Usernames only, for the deprecated /api/users/all
+        async listPublic() {
+            const result = await db.query(
+                'SELECT username FROM users ORDER BY created_at DESC, id DESC'
+            );
+            return result.rows;
+        },
+
+        // Admin listing: { users, total }
+        async list({ search = '', limit, offset }) {
+            const conditions = [];
+            const params = [];
+            if (search) {
+                params.push(`%${search}%`);
+                conditions.push(`username ILIKE $${params.length}`);
+            }
+            const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+            const countResult = await db.query(`SELECT COUNT(*) FROM users ${where}`, params);
+            const result = await db.query(
+                `SELECT id, username, age, gender, role, created_at, updated_at
+                 FROM users ${where}
+                 ORDER BY created_at DESC, id DESC
+                 LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+                [...params, limit, offset]
+            );
+
+            return { users: result.rows, total: parseInt(countResult.rows[0].count, 10) };
+        }
+    };
+}
+
+module.exports = { createUserRepository };
@@ -0,0 +1,52 @@
+// Raw ECG waveforms for PostgreSQL. Samples are stored as one packed binary blob per result.
+
+const { encodeSamples } = require('../../ecg/waveform');
+
+const WAVEFORM_SUMMARY_COLUMNS = `id, ecg_result_id, sample_rate, gain, baseline, units, encoding,
+    lead_count, samples_per_lead, samples_per_lead / sample_rate AS duration_seconds, leads, created_at, updated_at`;
+
+function createWaveformRepository(db) {
+    return {
+        // Store (or replace) the raw waveform of an ECG result; returns its metadata without samples
+        async save(resultId, waveform) {
+            const result = await db.query(
+                `INSERT INTO ecg_waveforms
+                    (ecg_result_id, sample_rate, gain, baseline, units, encoding, lead_count, samples_per_lead, leads, samples)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+                 ON CONFLICT (ecg_result_id) DO UPDATE SET
+                    sample_rate = EXCLUDED.sample_rate, gain = EXCLUDED.gain, baseline = EXCLUDED.baseline,
+                    units = EXCLUDED.units, encoding = EXCLUDED.encoding, lead_count = EXCLUDED.lead_count,
+                    samples_per_lead = EXCLUDED.samples_per_lead, leads = EXCLUDED.leads, samples = EXCLUDED.samples,
+                    updated_at = CURRENT_TIMESTAMP
+                 RETURNING ${WAVEFORM_SUMMARY_COLUMNS}`,
+                [
+                    resultId,
+                    waveform.sampleRate,
+                    waveform.gain,
+                    waveform.baseline,
+                    waveform.units,
+                    waveform.encoding,
+                    waveform.leads.length,
+                    waveform.samplesPerLead,
+                    JSON.stringify(waveform.leads),
+                    encodeSamples(waveform)
+                ]
+            );
+            return result.rows[0];
+        },
+
+        // Full waveform row (with samples) of a result owned by the user, or null
+        async findForUser(resultId, userId) {
+            const result = await db.query(
+                `SELECT w.*
+                 FROM ecg_waveforms w
+                 JOIN ecg_results r ON r.id = w.ecg_result_id
+                 WHERE w.ecg_result_id = $1 AND r.user_id = $2 AND r.deleted_at IS NULL`,
+                [resultId, userId]
+            );
+            return result.rows[0] || null;
+        }
+    };
+}
+
+module.exports = { createWaveformRepository };
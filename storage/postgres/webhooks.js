@@ -0,0 +1,131 @@
+// Webhooks, their queued deliveries and the log of delivery attempts, for PostgreSQL
+
+// The secret is only returned when the webhook is created
+const WEBHOOK_COLUMNS = 'id, user_id, url, enabled, created_at, updated_at';
+const DELIVERY_COLUMNS = 'id, alert_id, webhook_id, status, attempts, next_attempt_at, last_status_code, last_error, created_at, updated_at, delivered_at';
+const ATTEMPT_COLUMNS = 'id, delivery_id, attempt, status_code, error, duration_ms, attempted_at';
+
+function createWebhookRepository(db) {
+    return {
+        async list(userId) {
+            const result = await db.query(`SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE user_id = $1 ORDER BY id`, [userId]);
+            return result.rows;
+        },
+
+        async findOwned(id, userId) {
+            const result = await db.query(`SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE id = $1 AND user_id = $2`, [id, userId]);
+            return result.rows[0] || null;
+        },
+
+        async create(userId, { url, secret }) {
+            const result = await db.query(
+                `INSERT INTO webhooks (user_id, url, secret) VALUES ($1, $2, $3) RETURNING ${WEBHOOK_COLUMNS}, secret`,
+                [userId, url, secret]
+            );
+            return result.rows[0];
+        },
+
+        // Pending deliveries are dropped with the webhook
+        async remove(id, userId) {
+            const result = await db.query('DELETE FROM webhooks WHERE id = $1 AND user_id = $2', [id, userId]);
+            return result.rowCount > 0;
+        },
+
+        // Queue an alert for every enabled webhook of the user; returns the number queued
+        async enqueueDeliveries(alertId, userId) {
+            const result = await db.query(
+                `INSERT INTO webhook_deliveries (alert_id, webhook_id)
+                 SELECT $1, id FROM webhooks WHERE user_id = $2 AND enabled`,
+                [alertId, userId]
+            );
+            return result.rowCount;
+        },
+
+        // Take up to `limit` due deliveries, pushing their next attempt `leaseMs` ahead so no other
+        // worker sends them meanwhile. Rows hold the webhook url / secret and the alert.
+        async claimDue({ limit, leaseMs }) {
+            const claimed = await db.query(
+                `UPDATE webhook_deliveries d
+                 SET next_attempt_at = CURRENT_TIMESTAMP + $2 * INTERVAL '1 millisecond'
+                 WHERE d.id IN (
+                     SELECT id FROM webhook_deliveries
+                     WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+                     ORDER BY next_attempt_at, id
+                     LIMIT $1
+                     FOR UPDATE SKIP LOCKED
+                 )
+                 RETURNING d.id`,
+                [limit, leaseMs]
+            );
+            if (claimed.rows.length === 0) return [];
+
+            const result = await db.query(
+                `SELECT d.id AS delivery_id, d.attempts, w.id AS webhook_id, w.url, w.secret,
+                        a.id AS alert_id, a.user_id, u.username, a.rule_id, a.rule_type, a.ecg_result_id,
+                        a.bpm, a.status, a.kondisi, a.recorded_at, a.details, a.created_at AS alert_created_at
+                 FROM webhook_deliveries d
+                 JOIN webhooks w ON w.id = d.webhook_id
+                 JOIN alerts a ON a.id = d.alert_id
+                 JOIN users u ON u.id = a.user_id
+                 WHERE d.id = ANY($1)
+                 ORDER BY d.id`,
+                [claimed.rows.map((row) => row.id)]
+            );
+            return result.rows;
+        },
+
+        // Log one attempt and update the delivery: delivered, pending again at nextAttemptAt, or failed
+        async recordAttempt(deliveryId, { attempt, statusCode, error, durationMs, delivered, nextAttemptAt }) {
+            await db.query(
+                `INSERT INTO webhook_delivery_attempts (delivery_id, attempt, status_code, error, duration_ms)
+                 VALUES ($1, $2, $3, $4, $5)`,
+                [deliveryId, attempt, statusCode, error, durationMs]
+            );
+            await db.query(
+                `UPDATE webhook_deliveries
+                 SET attempts = $2,
+                     status = CASE WHEN $3 THEN 'delivered' WHEN $4::timestamptz IS NULL THEN 'failed' ELSE 'pending' END,
+                     next_attempt_at = $4,
+                     last_status_code = $5,
+                     last_error = $6,
+                     delivered_at = CASE WHEN $3 THEN CURRENT_TIMESTAMP ELSE NULL END,
+                     updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $1`,
+                [deliveryId, attempt, delivered, nextAttemptAt, statusCode, error]
+            );
+        },
+
+        // Delivery log of a webhook, newest first, each with its attempts (`attempt_log`, oldest first)
+        async listDeliveries(webhookId, { limit }) {
+            const deliveries = await db.query(
+                `SELECT ${DELIVERY_COLUMNS} FROM webhook_deliveries
+                 WHERE webhook_id = $1
+                 ORDER BY created_at DESC, id DESC
+                 LIMIT $2`,
+                [webhookId, limit]
+            );
+            if (deliveries.rows.length === 0) return [];
+
+            const attempts = await db.query(
+                `SELECT ${ATTEMPT_COLUMNS} FROM webhook_delivery_attempts WHERE delivery_id = ANY($1) ORDER BY id`,
+                [deliveries.rows.map((row) => row.id)]
+            );
+            return deliveries.rows.map((delivery) => ({
+                ...delivery,
+                attempt_log: attempts.rows.filter((row) => row.delivery_id === delivery.id)
+            }));
+        },
+
+        // Deliveries of the given alerts, oldest first
+        async listDeliveriesForAlerts(alertIds) {
+            if (alertIds.length === 0) return [];
+            const result = await db.query(
+                `SELECT ${DELIVERY_COLUMNS} FROM webhook_deliveries WHERE alert_id = ANY($1) ORDER BY id`,
+                [alertIds]
+            );
+            return result.rows;
+        }
+    };
+}
+
+module.exports = { createWebhookRepository };
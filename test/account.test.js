@@ -0,0 +1,132 @@
+// A grace period of about 0.1 s, so scheduled deletions fall due within the test
+process.env.ACCOUNT_DELETION_GRACE_DAYS = '0.000001';
+
+const zlib = require('zlib');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser } = require('./helpers');
+const { purgeDueAccounts } = require('../jobs/accounts');
+
+let api;
+let user;
+let admin;
+
+before(async () => {
+    api = await startServer();
+    user = await createUser(api, 'account_user', { password: 'secret123' });
+    admin = await createUser(api, 'account_admin', { role: 'admin' });
+});
+
+after(async () => {
+    await api.close();
+});
+
+// Files of a ZIP archive by name; the sizes are in the local headers
+function unzip(archive) {
+    const files = {};
+    let offset = 0;
+    while (archive.readUInt32LE(offset) === 0x04034b50) {
+        const method = archive.readUInt16LE(offset + 8);
+        const size = archive.readUInt32LE(offset + 18);
+        const nameLength = archive.readUInt16LE(offset + 26);
+        const extraLength = archive.readUInt16LE(offset + 28);
+        const name = archive.toString('utf8', offset + 30, offset + 30 + nameLength);
+        const start = offset + 30 + nameLength + extraLength;
+        const data = archive.subarray(start, start + size);
+        files[name] = (method === 8 ? zlib.inflateRawSync(data) : data).toString('utf8');
+        offset = start + size;
+    }
+    return files;
+}
+
+function requestDeletion(owner, body, token = owner.token) {
+    return api.request('POST', `/api/account/${owner.id}/deletion`, { token, body });
+}
+
+async function seed(owner) {
+    const saved = await api.request('POST', '/api/ecg/save', {
+        token: owner.token,
+        body: { userId: owner.id, bpm: 130 }
+    });
+    await api.request('POST', `/api/alerts/rules/${owner.id}`, { token: owner.token, body: { type: 'abnormal' } });
+    await api.request('POST', '/api/ecg/save', {
+        token: owner.token,
+        body: { userId: owner.id, bpm: 140 }
+    });
+    return saved.body.result;
+}
+
+test('the data export holds everything about the account, without secrets', async () => {
+    const result = await seed(user);
+
+    const response = await api.request('GET', `/api/account/${user.id}/export`, { token: user.token });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'application/zip');
+    assert.match(response.headers.get('content-disposition'), /filename="ecg-account-account_user-\d{4}-\d{2}-\d{2}\.zip"/);
+
+    const files = unzip(response.body);
+    assert.ok(files['README.txt'].length > 0);
+    assert.ok(files['ecg_results.csv'].includes('Takikardia'));
+
+    const profile = JSON.parse(files['profile.json']);
+    assert.equal(profile.username, 'account_user');
+    assert.equal(profile.password, undefined);
+
+    assert.deepEqual(JSON.parse(files['ecg_results.json']).map((row) => row.bpm), [result.bpm, 140]);
+    assert.equal(JSON.parse(files['alerts.json']).length, 1);
+    assert.ok(!JSON.stringify(files).includes('refresh_token_hash'));
+
+    assert.equal((await api.request('GET', `/api/account/${user.id}/export`, { token: admin.token })).status, 403);
+});
+
+test('a deletion needs the password and can be cancelled during the grace period', async () => {
+    assert.equal((await requestDeletion(user, {})).body.errors[0].field, 'password');
+    assert.equal((await requestDeletion(user, { password: 'wrong-one' })).body.code, 'PASSWORD_INCORRECT');
+
+    const scheduled = await requestDeletion(user, { password: 'secret123' });
+    assert.equal(scheduled.status, 202);
+    assert.equal(scheduled.body.deletion.pending, true);
+    assert.equal(scheduled.body.deletion.requestedBy, user.id);
+
+    const twice = await requestDeletion(user, { password: 'secret123' });
+    assert.equal(twice.status, 409);
+    assert.equal(twice.body.code, 'ACCOUNT_DELETION_PENDING');
+
+    const cancelled = await api.request('DELETE', `/api/account/${user.id}/deletion`, { token: user.token });
+    assert.equal(cancelled.status, 200);
+    assert.equal(cancelled.body.deletion.pending, false);
+
+    await new Promise((resolve) => setTimeout(resolve, 150));
+    await purgeDueAccounts(api.storage);
+    assert.equal((await api.request('GET', `/api/profile/${user.id}`, { token: user.token })).status, 200);
+
+    assert.equal((await api.request('DELETE', `/api/account/${user.id}/deletion`, { token: user.token })).status, 404);
+});
+
+test('after the grace period the account and all its data are gone, with an audit record left', async () => {
+    const leaving = await createUser(api, 'account_leaving');
+    await seed(leaving);
+
+    const scheduled = await requestDeletion(leaving, {}, admin.token);
+    assert.equal(scheduled.status, 202);
+    assert.equal(scheduled.body.deletion.requestedBy, admin.id);
+
+    await new Promise((resolve) => setTimeout(resolve, 150));
+    const deleted = [];
+    await purgeDueAccounts(api.storage, { onDeleted: (record) => deleted.push(record) });
+    assert.deepEqual(deleted.map((record) => [record.user_id, record.ecg_result_count]), [[leaving.id, 2]]);
+
+    assert.equal((await api.request('GET', `/api/profile/${leaving.id}`, { token: leaving.token })).status, 401);
+    const login = await api.request('POST', '/api/auth/login', { body: { username: leaving.username, password: 'secret123' } });
+    assert.equal(login.status, 401);
+    assert.equal(await api.storage.ecgResults.countForUser(leaving.id), 0);
+
+    const audit = await api.request('GET', '/api/admin/account-deletions', { token: admin.token });
+    const [record] = audit.body.deletions;
+    assert.equal(record.user_id, leaving.id);
+    assert.equal(record.requested_by, admin.id);
+    assert.equal(record.username, undefined);
+
+    // The username can be taken again
+    await createUser(api, 'account_leaving');
+});
@@ -0,0 +1,184 @@
+// Quick retries, so a failed webhook delivery is retried within the test
+process.env.WEBHOOK_RETRY_BASE_MS = '20';
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+// The receiver runs on localhost
+process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS = 'true';
+
+const http = require('http');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser } = require('./helpers');
+const { matchAlertRule } = require('../ecg/alerts');
+const { signPayload, deliverDueWebhooks } = require('../jobs/alerts');
+
+let api;
+let user;
+let receiver;
+let receiverUrl;
+
+// Requests the local receiver got, and the status codes it answers the next ones with (else 200)
+const received = [];
+const replies = [];
+
+before(async () => {
+    api = await startServer();
+    user = await createUser(api, 'alert_user', { age: 40 });
+
+    receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+            received.push({ headers: req.headers, body });
+            res.statusCode = replies.shift() || 200;
+            res.end();
+        });
+    });
+    await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}/hooks/ecg`;
+});
+
+after(async () => {
+    await new Promise((resolve) => receiver.close(resolve));
+    await api.close();
+});
+
+function addRule(owner, body) {
+    return api.request('POST', `/api/alerts/rules/${owner.id}`, { token: owner.token, body });
+}
+
+function save(owner, bpm, recordedAt = new Date().toISOString()) {
+    return api.request('POST', '/api/ecg/save', {
+        token: owner.token,
+        body: { userId: owner.id, bpm, recordedAt }
+    });
+}
+
+async function waitFor(condition, description) {
+    for (let attempt = 0; attempt < 100; attempt++) {
+        const value = await condition();
+        if (value) return value;
+        await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    throw new Error(`Timed out waiting for ${description}`);
+}
+
+test('each rule type matches only the readings it describes', () => {
+    const abnormal = { status: 'Abnormal', kondisi: 'Takikardia', bpm: 120 };
+    const normal = { status: 'Normal', kondisi: 'Normal', bpm: 70 };
+
+    assert.deepEqual(matchAlertRule({ type: 'abnormal' }, abnormal), { status: 'Abnormal', kondisi: 'Takikardia' });
+    assert.equal(matchAlertRule({ type: 'abnormal' }, normal), null);
+
+    const count = { type: 'abnormal_count', threshold_count: 3, window_hours: 24 };
+    assert.equal(matchAlertRule(count, abnormal, { abnormalCount: 2 }), null);
+    assert.deepEqual(matchAlertRule(count, abnormal, { abnormalCount: 3 }), { count: 3, thresholdCount: 3, windowHours: 24 });
+    assert.equal(matchAlertRule(count, normal, { abnormalCount: 5 }), null);
+
+    assert.deepEqual(matchAlertRule({ type: 'bpm_above', bpm_limit: 90 }, abnormal), { bpm: 120, limit: 90 });
+    assert.equal(matchAlertRule({ type: 'bpm_above', bpm_limit: 90 }, normal), null);
+    assert.deepEqual(matchAlertRule({ type: 'bpm_below', bpm_limit: 75 }, normal), { bpm: 70, limit: 75 });
+});
+
+test('an Abnormal reading raises an alert delivered as a signed webhook', async () => {
+    await addRule(user, { type: 'abnormal' });
+    const registered = await api.request('POST', `/api/alerts/webhooks/${user.id}`, { token: user.token, body: { url: receiverUrl } });
+    assert.equal(registered.status, 201);
+    const { secret } = registered.body.webhook;
+    assert.match(secret, /^[0-9a-f]{64}$/);
+
+    const normal = await save(user, 75);
+    assert.deepEqual(normal.body.alerts, []);
+
+    const abnormal = await save(user, 130);
+    assert.deepEqual(abnormal.body.alerts.map((alert) => alert.type), ['abnormal']);
+
+    const [request] = await waitFor(() => received.length === 1 && received, 'the webhook');
+    const [, timestamp, signature] = /^t=(\d+),v1=([0-9a-f]+)$/.exec(request.headers['x-ecg-signature']);
+    assert.equal(signature, signPayload(secret, timestamp, request.body));
+    assert.equal(request.headers['x-ecg-event'], 'alert.created');
+
+    const payload = JSON.parse(request.body);
+    assert.equal(payload.alert.ecgResultId, abnormal.body.result.id);
+    assert.equal(payload.alert.kondisi, 'Takikardia');
+
+    const webhooks = await api.request('GET', `/api/alerts/webhooks/${user.id}`, { token: user.token });
+    assert.equal(webhooks.body.webhooks[0].secret, undefined);
+});
+
+test('failed deliveries are retried with backoff and logged', async () => {
+    received.length = 0;
+    replies.push(500);
+
+    await save(user, 140);
+    await waitFor(() => received.length === 1, 'the first attempt');
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    await deliverDueWebhooks(api.storage);
+
+    const [webhook] = (await api.request('GET', `/api/alerts/webhooks/${user.id}`, { token: user.token })).body.webhooks;
+    const latest = await waitFor(async () => {
+        const log = await api.request('GET', `/api/alerts/webhooks/${user.id}/${webhook.id}/deliveries`, { token: user.token });
+        return log.body.deliveries[0].status === 'delivered' && log.body.deliveries[0];
+    }, 'the retry');
+    assert.equal(received.length, 2);
+    assert.equal(latest.attempts, 2);
+    assert.deepEqual(latest.attempt_log.map((attempt) => [attempt.attempt, attempt.status_code, attempt.error]), [
+        [1, 500, 'HTTP 500'],
+        [2, 200, null]
+    ]);
+});
+
+test('a delivery gives up after the last attempt', async () => {
+    received.length = 0;
+    replies.push(503, 503, 503);
+
+    await save(user, 150);
+    for (let attempt = 1; attempt <= 3; attempt++) {
+        await waitFor(() => received.length === attempt, `attempt ${attempt}`);
+        await new Promise((resolve) => setTimeout(resolve, 20 * 2 ** attempt));
+        await deliverDueWebhooks(api.storage);
+    }
+
+    const [delivery] = await waitFor(async () => {
+        const alerts = await api.request('GET', `/api/alerts/${user.id}`, { token: user.token });
+        return alerts.body.alerts[0].deliveries[0].status === 'failed' && alerts.body.alerts[0].deliveries;
+    }, 'the last attempt');
+    assert.equal(delivery.attempts, 3);
+    assert.equal(received.length, 3);
+});
+
+test('abnormal_count alerts once per window', async () => {
+    const counter = await createUser(api, 'alert_counter', { age: 40 });
+    await addRule(counter, { type: 'abnormal_count', thresholdCount: 2, windowHours: 6 });
+
+    const raised = [];
+    for (const hour of [1, 2, 3, 10]) {
+        const response = await save(counter, 130, `2026-05-01T${String(hour).padStart(2, '0')}:00:00Z`);
+        raised.push(response.body.alerts.length);
+    }
+    // The second reading trips the rule; the third is inside the same window; the fourth is alone in its window
+    assert.deepEqual(raised, [0, 1, 0, 0]);
+});
+
+test('rules need the parameters of their type and belong to their owner', async () => {
+    const missing = await addRule(user, { type: 'bpm_above' });
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.errors[0].field, 'bpmLimit');
+
+    const extra = await addRule(user, { type: 'abnormal', bpmLimit: 100 });
+    assert.equal(extra.status, 400);
+
+    const below = await addRule(user, { type: 'bpm_below', bpmLimit: 50, enabled: false });
+    assert.equal(below.body.rule.enabled, false);
+    assert.deepEqual((await save(user, 45)).body.alerts.map((alert) => alert.type), ['abnormal']);
+
+    const stranger = await createUser(api, 'alert_stranger');
+    assert.equal((await api.request('GET', `/api/alerts/${user.id}`, { token: stranger.token })).status, 403);
+    assert.equal((await api.request('POST', `/api/alerts/webhooks/${user.id}`, {
+        token: stranger.token,
+        body: { url: 'http://127.0.0.1:1/x' }
+    })).status, 403);
+    assert.equal((await api.request('POST', `/api/alerts/webhooks/${user.id}`, {
+        token: user.token,
+        body: { url: 'ftp://example.com/x' }
+    })).status, 400);
+});
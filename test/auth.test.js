@@ -0,0 +1,132 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser } = require('./helpers');
+
+let api;
+
+before(async () => {
+    api = await startServer();
+});
+
+after(async () => {
+    await api.close();
+});
+
+test('login returns an access token and a refresh token', async () => {
+    await createUser(api, 'auth_login');
+
+    const login = await api.request('POST', '/api/auth/login', {
+        body: { username: 'auth_login', password: 'secret123' }
+    });
+
+    assert.equal(login.status, 200);
+    assert.equal(login.body.tokenType, 'Bearer');
+    assert.ok(login.body.accessToken);
+    assert.ok(login.body.refreshToken);
+    assert.equal(login.body.token, login.body.accessToken);
+    assert.equal(login.body.user.username, 'auth_login');
+    assert.equal(login.body.user.password, undefined);
+});
+
+test('wrong passwords and unknown users get the same 401', async () => {
+    await createUser(api, 'auth_wrong');
+
+    const wrong = await api.request('POST', '/api/auth/login', {
+        body: { username: 'auth_wrong', password: 'not-it' }
+    });
+    const unknown = await api.request('POST', '/api/auth/login', {
+        body: { username: 'auth_nobody', password: 'not-it' }
+    });
+
+    assert.equal(wrong.status, 401);
+    assert.equal(wrong.body.code, 'INVALID_CREDENTIALS');
+    assert.deepEqual(unknown.body, wrong.body);
+});
+
+test('user-scoped routes need a valid token', async () => {
+    const user = await createUser(api, 'auth_routes');
+
+    const missing = await api.request('GET', `/api/ecg/history/${user.id}`);
+    assert.equal(missing.status, 401);
+    assert.equal(missing.body.code, 'AUTH_REQUIRED');
+
+    const forged = await api.request('GET', `/api/ecg/history/${user.id}`, { token: `${user.token}x` });
+    assert.equal(forged.status, 401);
+    assert.equal(forged.body.code, 'TOKEN_INVALID');
+
+    const own = await api.request('GET', `/api/ecg/history/${user.id}`, { token: user.token });
+    assert.equal(own.status, 200);
+});
+
+test("users cannot read other users' data", async () => {
+    const owner = await createUser(api, 'auth_owner');
+    const other = await createUser(api, 'auth_other');
+
+    const history = await api.request('GET', `/api/ecg/history/${owner.id}`, { token: other.token });
+    assert.equal(history.status, 403);
+    assert.equal(history.body.code, 'USER_ACCESS_DENIED');
+
+    const save = await api.request('POST', '/api/ecg/save', {
+        token: other.token,
+        body: { userId: owner.id, bpm: 72 }
+    });
+    assert.equal(save.status, 403);
+});
+
+test('readings are saved under the username of the token', async () => {
+    const user = await createUser(api, 'auth_saver');
+    await createUser(api, 'auth_mallory');
+
+    const save = await api.request('POST', '/api/ecg/save', {
+        token: user.token,
+        body: { userId: user.id, username: 'auth_mallory', bpm: 72 }
+    });
+    assert.equal(save.status, 201);
+    assert.equal(save.body.result.username, 'auth_saver');
+});
+
+test('refresh rotates the refresh token', async () => {
+    const user = await createUser(api, 'auth_refresh');
+
+    const refreshed = await api.request('POST', '/api/auth/refresh', {
+        body: { refreshToken: user.refreshToken }
+    });
+    assert.equal(refreshed.status, 200);
+    assert.notEqual(refreshed.body.refreshToken, user.refreshToken);
+
+    const reused = await api.request('POST', '/api/auth/refresh', {
+        body: { refreshToken: user.refreshToken }
+    });
+    assert.equal(reused.status, 401);
+    assert.equal(reused.body.code, 'REFRESH_TOKEN_INVALID');
+
+    const profile = await api.request('GET', `/api/profile/${user.id}`, { token: refreshed.body.accessToken });
+    assert.equal(profile.status, 200);
+});
+
+test('logout revokes the session right away', async () => {
+    const user = await createUser(api, 'auth_logout');
+
+    const logout = await api.request('POST', '/api/auth/logout', { token: user.token, body: {} });
+    assert.equal(logout.status, 200);
+    assert.equal(logout.body.revokedSessions, 1);
+
+    const revoked = await api.request('GET', `/api/profile/${user.id}`, { token: user.token });
+    assert.equal(revoked.status, 401);
+    assert.equal(revoked.body.code, 'SESSION_REVOKED');
+
+    const refresh = await api.request('POST', '/api/auth/refresh', { body: { refreshToken: user.refreshToken } });
+    assert.equal(refresh.status, 401);
+});
+
+test('admin routes are limited to admins', async () => {
+    const user = await createUser(api, 'auth_plain');
+    const admin = await createUser(api, 'auth_admin', { role: 'admin' });
+
+    const denied = await api.request('GET', '/api/admin/users', { token: user.token });
+    assert.equal(denied.status, 403);
+    assert.equal(denied.body.code, 'INSUFFICIENT_PERMISSIONS');
+
+    const allowed = await api.request('GET', '/api/admin/users', { token: admin.token });
+    assert.equal(allowed.status, 200);
+});
@@ -0,0 +1,121 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser } = require('./helpers');
+
+let api;
+let patient;
+let doctor;
+
+before(async () => {
+    api = await startServer();
+    patient = await createUser(api, 'care_patient');
+    doctor = await createUser(api, 'care_doctor', { role: 'clinician' });
+});
+
+after(async () => {
+    await api.close();
+});
+
+function invite(from, username) {
+    return api.request('POST', '/api/care/grants', { token: from.token, body: { username } });
+}
+
+function save(owner, bpm, recordedAt) {
+    return api.request('POST', '/api/ecg/save', {
+        token: owner.token,
+        body: { userId: owner.id, bpm, recordedAt }
+    });
+}
+
+test('a grantee reads nothing until the invitation is accepted', async () => {
+    const sent = await invite(patient, doctor.username);
+    assert.equal(sent.status, 201);
+    assert.equal(sent.body.grant.status, 'pending');
+    assert.equal(sent.body.grant.relationship, 'clinician');
+
+    const history = `/api/ecg/history/${patient.id}`;
+    assert.equal((await api.request('GET', history, { token: doctor.token })).status, 403);
+
+    const invitations = await api.request('GET', '/api/care/invitations', { token: doctor.token });
+    assert.deepEqual(invitations.body.invitations.map((row) => row.id), [sent.body.grant.id]);
+
+    const accepted = await api.request('POST', `/api/care/invitations/${sent.body.grant.id}/accept`, {
+        token: doctor.token,
+        headers: { 'Accept-Language': 'id' }
+    });
+    assert.equal(accepted.status, 200);
+    assert.equal(accepted.body.grant.status, 'active');
+    assert.equal(accepted.body.message, 'Undangan diterima');
+
+    assert.equal((await api.request('GET', history, { token: doctor.token })).status, 200);
+    assert.equal((await api.request('GET', `/api/profile/${patient.id}`, { token: doctor.token })).status, 200);
+
+    const again = await api.request('POST', `/api/care/invitations/${sent.body.grant.id}/decline`, { token: doctor.token });
+    assert.equal(again.status, 409);
+    assert.equal(again.body.code, 'GRANT_NOT_PENDING');
+});
+
+test('access is read-only', async () => {
+    const write = await api.request('POST', '/api/ecg/save', {
+        token: doctor.token,
+        body: { userId: patient.id, bpm: 70 }
+    });
+    assert.equal(write.status, 403);
+
+    const erase = await api.request('DELETE', `/api/ecg/history/${patient.id}`, { token: doctor.token });
+    assert.equal(erase.status, 403);
+});
+
+test('the dashboard lists patients with Abnormal readings first', async () => {
+    const other = await createUser(api, 'care_other');
+    const grant = (await invite(other, doctor.username)).body.grant;
+    await api.request('POST', `/api/care/invitations/${grant.id}/accept`, { token: doctor.token });
+
+    const recent = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+    await save(patient, 72, recent);
+    await save(other, 130, recent);
+
+    const dashboard = await api.request('GET', '/api/care/patients', { token: doctor.token });
+    assert.equal(dashboard.status, 200);
+    assert.deepEqual(dashboard.body.patients.map((row) => [row.username, row.latestReading.status, row.abnormalCount]), [
+        ['care_other', 'Abnormal', 1],
+        ['care_patient', 'Normal', 0]
+    ]);
+
+    assert.equal((await api.request('GET', '/api/care/patients', { token: patient.token })).status, 403);
+});
+
+test('either side can revoke, which ends access at once', async () => {
+    const [grant] = (await api.request('GET', '/api/care/grants', { token: patient.token })).body.grants;
+
+    const revoked = await api.request('DELETE', `/api/care/grants/${grant.id}`, { token: patient.token });
+    assert.equal(revoked.status, 200);
+    assert.equal(revoked.body.grant.status, 'revoked');
+
+    assert.equal((await api.request('GET', `/api/ecg/history/${patient.id}`, { token: doctor.token })).status, 403);
+    assert.equal((await api.request('DELETE', `/api/care/grants/${grant.id}`, { token: doctor.token })).status, 409);
+
+    const dashboard = await api.request('GET', '/api/care/patients', { token: doctor.token });
+    assert.deepEqual(dashboard.body.patients.map((row) => row.username), ['care_other']);
+});
+
+test('invitations only go to other care accounts, once', async () => {
+    const plain = await createUser(api, 'care_plain');
+    const stranger = await createUser(api, 'care_stranger');
+
+    // A patient account and a missing one look the same to the inviter
+    const notCare = await invite(patient, plain.username);
+    const missing = await invite(patient, 'nobody_here');
+    assert.equal(notCare.status, 404);
+    assert.equal(notCare.body.code, 'GRANTEE_NOT_FOUND');
+    assert.deepEqual(missing.body, notCare.body);
+    assert.equal((await invite(doctor, doctor.username)).body.code, 'GRANT_SELF');
+
+    const caregiver = await createUser(api, 'care_family', { role: 'caregiver' });
+    assert.equal((await invite(patient, caregiver.username)).status, 201);
+    assert.equal((await invite(patient, caregiver.username)).status, 409);
+
+    const [pending] = (await api.request('GET', '/api/care/invitations', { token: caregiver.token })).body.invitations;
+    const foreign = await api.request('POST', `/api/care/invitations/${pending.id}/accept`, { token: stranger.token });
+    assert.equal(foreign.status, 404);
+});
@@ -0,0 +1,131 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser } = require('./helpers');
+const { ACTIVITY_CONTEXTS, CURRENT_RULE_SET_VERSION, listRuleSets, classifyBpm } = require('../ecg/classification');
+
+let api;
+let admin;
+
+before(async () => {
+    api = await startServer();
+    admin = await createUser(api, 'class_admin', { role: 'admin' });
+});
+
+after(async () => {
+    await api.close();
+});
+
+async function save(user, bpm, extra = {}) {
+    const response = await api.request('POST', '/api/ecg/save', {
+        token: user.token,
+        body: { userId: user.id, bpm, ...extra }
+    });
+    return response.body.result;
+}
+
+test('v1 keeps the fixed 60 / 100 limits for every age', () => {
+    assert.equal(classifyBpm(59, { age: 30 }, 'v1').kondisi, 'Bradikardia');
+    assert.equal(classifyBpm(101, { age: 30 }, 'v1').kondisi, 'Takikardia');
+    assert.equal(classifyBpm(130, { age: 4 }, 'v1').kondisi, 'Takikardia');
+    assert.equal(classifyBpm(80, { age: 4 }, 'v1').status, 'Normal');
+});
+
+test('v2 uses age-banded limits', () => {
+    const child = classifyBpm(130, { age: 4 }, 'v2');
+    assert.equal(child.status, 'Normal');
+    assert.deepEqual(child.details.ageBand, { minAge: 3, maxAge: 5 });
+
+    assert.equal(classifyBpm(95, { age: 0 }, 'v2').kondisi, 'Bradikardia');
+    assert.equal(classifyBpm(105, { age: 40 }, 'v2').kondisi, 'Takikardia');
+    assert.equal(classifyBpm(70, {}, 'v2').details.age, null);
+});
+
+test('v2 adjusts the limits to the activity', () => {
+    const sleep = classifyBpm(55, { age: 40, activity: 'sleep' }, 'v2');
+    assert.equal(sleep.status, 'Normal');
+    assert.equal(sleep.details.low, 50);
+
+    // 85% of 220 - 20 = 170
+    const exercise = classifyBpm(150, { age: 20, activity: 'post_exercise' }, 'v2');
+    assert.equal(exercise.status, 'Normal');
+    assert.equal(exercise.details.high, 170);
+});
+
+test('clinician thresholds replace the age band in v2 only', () => {
+    const thresholds = { low_bpm: 45, high_bpm: null };
+
+    const v2 = classifyBpm(50, { age: 70, thresholds }, 'v2');
+    assert.equal(v2.status, 'Normal');
+    assert.equal(v2.details.source, 'user_threshold');
+    assert.equal(v2.details.high, 100);
+
+    assert.equal(classifyBpm(50, { age: 70, thresholds }, 'v1').kondisi, 'Bradikardia');
+});
+
+test('unknown rule sets are refused', () => {
+    assert.throws(() => classifyBpm(70, {}, 'v0'), /Unknown classification rule set/);
+});
+
+test('rule sets are listed with the current one marked', async () => {
+    assert.equal(listRuleSets().filter((ruleSet) => ruleSet.current).length, 1);
+
+    const response = await api.request('GET', '/api/ecg/rule-sets', { token: admin.token });
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.activities, ACTIVITY_CONTEXTS);
+    assert.ok(response.body.ruleSets.find((ruleSet) => ruleSet.version === CURRENT_RULE_SET_VERSION).current);
+});
+
+test("saved readings are classified with the user's age and activity", async () => {
+    const child = await createUser(api, 'class_child', { age: 4 });
+
+    const rest = await save(child, 130);
+    assert.equal(rest.status, 'Normal');
+    assert.equal(rest.rule_set_version, CURRENT_RULE_SET_VERSION);
+    assert.equal(rest.activity_context, 'rest');
+
+    const adult = await createUser(api, 'class_adult', { age: 40 });
+    const sleep = await save(adult, 55, { activity: 'sleep' });
+    assert.equal(sleep.status, 'Normal');
+    assert.equal(sleep.classification_details.low, 50);
+});
+
+test('thresholds set by staff apply to later readings', async () => {
+    const patient = await createUser(api, 'class_patient', { age: 70 });
+
+    const denied = await api.request('PUT', `/api/ecg/thresholds/${patient.id}`, {
+        token: patient.token,
+        body: { lowBpm: 45 }
+    });
+    assert.equal(denied.status, 403);
+
+    const saved = await api.request('PUT', `/api/ecg/thresholds/${patient.id}`, {
+        token: admin.token,
+        body: { lowBpm: 45, highBpm: 110, note: 'Athlete' }
+    });
+    assert.equal(saved.status, 200);
+
+    const own = await api.request('GET', `/api/ecg/thresholds/${patient.id}`, { token: patient.token });
+    assert.equal(own.body.thresholds.low_bpm, 45);
+
+    const reading = await save(patient, 50);
+    assert.equal(reading.status, 'Normal');
+    assert.equal(reading.classification_details.source, 'user_threshold');
+
+    const removed = await api.request('DELETE', `/api/ecg/thresholds/${patient.id}`, { token: admin.token });
+    assert.equal(removed.body.deleted, true);
+    assert.equal((await save(patient, 50)).kondisi, 'Bradikardia');
+});
+
+test('thresholds must be a valid range', async () => {
+    const patient = await createUser(api, 'class_range');
+
+    const inverted = await api.request('PUT', `/api/ecg/thresholds/${patient.id}`, {
+        token: admin.token,
+        body: { lowBpm: 120, highBpm: 60 }
+    });
+    assert.equal(inverted.status, 400);
+
+    const empty = await api.request('PUT', `/api/ecg/thresholds/${patient.id}`, { token: admin.token, body: {} });
+    assert.equal(empty.status, 400);
+    assert.equal(empty.body.errors[0].code, 'AT_LEAST_ONE_REQUIRED');
+});
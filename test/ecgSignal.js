@@ -0,0 +1,55 @@
+// Synthetic single-lead ECG (millivolts) for the signal-analysis tests: P, Q, R, S and T waves as
+// Gaussians at every beat, on top of baseline wander and noise. Deterministic for a given seed.
+
+// Park-Miller generator, so failures can be reproduced
+function createRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 16807) % 2147483647;
+        return state / 2147483647;
+    };
+}
+
+const WAVES = [
+    { offset: -0.16, width: 0.02, amplitude: 0.15 }, // P
+    { offset: -0.03, width: 0.008, amplitude: -0.1 }, // Q
+    { offset: 0, width: 0.01, amplitude: 1.2 }, // R
+    { offset: 0.03, width: 0.008, amplitude: -0.25 }, // S
+    { offset: 0.25, width: 0.04, amplitude: 0.35 } // T
+];
+
+// rr(random) returns the next RR interval in ms. Returns { samples, sampleRate, beats } where beats
+// holds the sample index of every R peak.
+function synthesizeEcg({ sampleRate = 250, seconds = 30, rr = () => 800, noise = 0.03, wander = 0.2, seed = 1 } = {}) {
+    const random = createRandom(seed);
+
+    const beatTimes = [];
+    for (let time = 0.3; time < seconds; time += rr(random) / 1000) {
+        beatTimes.push(time);
+    }
+
+    const samples = new Array(sampleRate * seconds);
+    for (let i = 0; i < samples.length; i++) {
+        const time = i / sampleRate;
+        let value = wander * Math.sin(2 * Math.PI * 0.25 * time) + noise * (random() - 0.5) * 2;
+
+        beatTimes.forEach((beat) => {
+            if (Math.abs(time - beat) > 0.6) return;
+            WAVES.forEach(({ offset, width, amplitude }) => {
+                value += amplitude * Math.exp(-((time - beat - offset) ** 2) / (2 * width * width));
+            });
+        });
+
+        samples[i] = value;
+    }
+
+    return {
+        samples,
+        sampleRate,
+        beats: beatTimes.map((time) => Math.round(time * sampleRate))
+    };
+}
+
+module.exports = {
+    synthesizeEcg
+};
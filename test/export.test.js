@@ -0,0 +1,134 @@
+const zlib = require('zlib');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser } = require('./helpers');
+const { historyToCsv } = require('../export/csv');
+
+let api;
+let user;
+
+before(async () => {
+    api = await startServer();
+    user = await createUser(api, 'export_user', { age: 40, gender: 'perempuan' });
+
+    for (const [bpm, recordedAt] of [[72, '2026-03-01T08:00:00Z'], [130, '2026-03-02T08:00:00Z'], [55, '2026-03-10T08:00:00Z']]) {
+        await api.request('POST', '/api/ecg/save', {
+            token: user.token,
+            body: { userId: user.id, bpm, recordedAt, timeZone: 'Asia/Jakarta' }
+        });
+    }
+});
+
+after(async () => {
+    await api.close();
+});
+
+function exportAs(format, query = '', token = user.token) {
+    return api.request('GET', `/api/ecg/export/${user.id}?format=${format}&tz=Asia/Jakarta${query}`, { token });
+}
+
+// Decompressed page content of a PDF, where its text is drawn
+function pdfText(pdf) {
+    const text = [];
+    const source = pdf.toString('latin1');
+    const pattern = /\/FlateDecode >>\nstream\n/g;
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+        const start = match.index + match[0].length;
+        const end = source.indexOf('\nendstream', start);
+        text.push(zlib.inflateSync(pdf.subarray(start, end)).toString('latin1'));
+    }
+    return text.join('\n');
+}
+
+test('CSV cells are quoted and defused for spreadsheets', () => {
+    const csv = historyToCsv([{ id: 1, bpm: 70, kondisi: 'Normal', review: { note: '=HYPERLINK("x"), "quoted"' } }]);
+
+    assert.ok(csv.startsWith('﻿id,client_id,recorded_at'));
+    assert.ok(csv.endsWith('\r\n'));
+    assert.match(csv, /,"'=HYPERLINK\(""x""\), ""quoted"""\r\n$/);
+});
+
+test('CSV exports one row per reading in date order', async () => {
+    const response = await exportAs('csv');
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/csv/);
+    assert.match(response.headers.get('content-disposition'), /attachment; filename="ecg-history-export_user-\d{4}-\d{2}-\d{2}\.csv"/);
+
+    const lines = response.body.toString('utf8').replace(/^﻿/, '').trim().split('\r\n');
+    const header = lines[0].split(',');
+    const rows = lines.slice(1).map((line) => Object.fromEntries(line.split(',').map((cell, index) => [header[index], cell])));
+    assert.deepEqual(rows.map((row) => [row.local_date, row.local_time, row.bpm, row.kondisi]), [
+        ['2026-03-01', '15:00:00', '72', 'Normal'],
+        ['2026-03-02', '15:00:00', '130', 'Takikardia'],
+        ['2026-03-10', '15:00:00', '55', 'Bradikardia']
+    ]);
+});
+
+test('exports honour the history filters', async () => {
+    const ranged = await exportAs('csv', '&from=2026-03-02&to=2026-03-05');
+    assert.equal(ranged.body.toString('utf8').trim().split('\r\n').length, 2);
+
+    const abnormal = await exportAs('fhir', '&status=Abnormal');
+    assert.equal(JSON.parse(abnormal.body.toString('utf8')).entry.length, 3);
+});
+
+test('FHIR exports are a Bundle of heart-rate Observations for one Patient', async () => {
+    const response = await exportAs('fhir');
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^application\/fhir\+json/);
+
+    const bundle = JSON.parse(response.body.toString('utf8'));
+    assert.equal(bundle.resourceType, 'Bundle');
+    assert.equal(bundle.type, 'collection');
+
+    const [patient, ...observations] = bundle.entry;
+    assert.equal(patient.resource.resourceType, 'Patient');
+    assert.equal(patient.resource.gender, 'female');
+    assert.equal(observations.length, 3);
+
+    const [, tachycardia] = observations.map((entry) => entry.resource);
+    assert.equal(tachycardia.subject.reference, patient.fullUrl);
+    assert.deepEqual(tachycardia.code.coding[0], { system: 'http://loinc.org', code: '8867-4', display: 'Heart rate' });
+    assert.deepEqual(tachycardia.valueQuantity, { value: 130, unit: 'beats/minute', system: 'http://unitsofmeasure.org', code: '/min' });
+    assert.equal(tachycardia.interpretation[0].coding[0].code, 'H');
+    assert.equal(tachycardia.effectiveDateTime, '2026-03-02T08:00:00.000Z');
+});
+
+test('PDF reports carry the profile and summary without a browser', async () => {
+    const response = await exportAs('pdf');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'application/pdf');
+
+    const pdf = response.body;
+    assert.equal(pdf.subarray(0, 5).toString('latin1'), '%PDF-');
+    assert.ok(pdf.toString('latin1').trimEnd().endsWith('%%EOF'));
+
+    // Every object sits where the cross-reference table says it does
+    const source = pdf.toString('latin1');
+    const xrefAt = Number(/startxref\n(\d+)/.exec(source)[1]);
+    const offsets = source.slice(xrefAt).split('\n').filter((line) => / 00000 n\s*$/.test(line)).map((line) => Number(line.slice(0, 10)));
+    assert.ok(offsets.length > 3);
+    offsets.forEach((offset, index) => assert.ok(source.startsWith(`${index + 1} 0 obj`, offset)));
+
+    const text = pdfText(pdf);
+    assert.match(text, /ECG History Report/);
+    assert.match(text, /export_user/);
+    assert.match(text, /Summary/);
+    assert.match(text, /BPM trend/);
+});
+
+test('reports are localised and exports are limited to people with access', async () => {
+    const indonesian = await api.request('GET', `/api/ecg/export/${user.id}?format=pdf`, {
+        token: user.token,
+        headers: { 'Accept-Language': 'id' }
+    });
+    assert.match(pdfText(indonesian.body), /Laporan Riwayat EKG/);
+
+    const stranger = await createUser(api, 'export_stranger');
+    assert.equal((await exportAs('csv', '', stranger.token)).status, 403);
+    assert.equal((await exportAs('xml')).status, 400);
+});
@@ -0,0 +1,126 @@
+// Shared setup of the request-level tests. node --test runs every test file in its own process,
+// and each file starts the API on a random port: on the in-memory backend, or on PostgreSQL when
+// TEST_DATABASE_URL is set, in a schema of its own (test_<pid>) that is dropped afterwards.
+// Server logs are hidden unless TEST_LOGS=1.
+
+const TEST_ENV = {
+    JWT_SECRET: 'test-secret',
+    LOGIN_RATE_LIMIT: '10000',
+    REGISTER_RATE_LIMIT: '10000',
+    USERNAME_CHECK_RATE_LIMIT: '10000',
+    USERNAME_LOOKUP_LIMIT: '10000'
+};
+
+// Test files set their own values (e.g. low rate limits) before requiring this one
+Object.entries(TEST_ENV).forEach(([name, value]) => {
+    if (process.env[name] === undefined) process.env[name] = value;
+});
+
+const SELF_REGISTER_ROLES = ['user', 'caregiver'];
+
+const schema = `test_${process.pid}`;
+
+if (process.env.TEST_DATABASE_URL) {
+    const url = new URL(process.env.TEST_DATABASE_URL);
+    url.searchParams.set('options', `-c search_path=${schema}`);
+    process.env.DATABASE_URL = url.toString();
+    process.env.STORAGE_BACKEND = 'postgres';
+    process.env.MIGRATE_ON_START = 'true';
+} else {
+    delete process.env.DATABASE_URL;
+    process.env.STORAGE_BACKEND = 'memory';
+}
+
+if (process.env.TEST_LOGS !== '1') {
+    console.log = () => {};
+    console.error = () => {};
+}
+
+async function withAdminClient(callback) {
+    const { Client } = require('pg');
+    const client = new Client({ connectionString: process.env.TEST_DATABASE_URL });
+    await client.connect();
+    try {
+        await callback(client);
+    } finally {
+        await client.end();
+    }
+}
+
+// JSON requests; the response body is parsed as JSON when it is JSON, else kept as a Buffer
+async function request(baseUrl, method, path, { token, body, headers = {} } = {}) {
+    const init = { method, headers: { ...headers } };
+    if (token) init.headers.Authorization = `Bearer ${token}`;
+    if (body !== undefined) {
+        init.headers['Content-Type'] = init.headers['Content-Type'] || 'application/json';
+        init.body = Buffer.isBuffer(body) || typeof body === 'string' ? body : JSON.stringify(body);
+    }
+
+    const response = await fetch(`${baseUrl}${path}`, init);
+    const buffer = Buffer.from(await response.arrayBuffer());
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+
+    return {
+        status: response.status,
+        headers: response.headers,
+        body: isJson ? JSON.parse(buffer.toString('utf8')) : buffer
+    };
+}
+
+// The API on a random port: { baseUrl, storage, request(method, path, options), close() }
+async function startServer() {
+    if (process.env.TEST_DATABASE_URL) {
+        await withAdminClient((client) => client.query(`CREATE SCHEMA IF NOT EXISTS ${schema}`));
+    }
+
+    const app = require('../server');
+    const { storage } = require('../storage');
+    await storage.prepare();
+
+    const server = await new Promise((resolve) => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    return {
+        baseUrl,
+        storage,
+        request: (method, path, options) => request(baseUrl, method, path, options),
+
+        async close() {
+            server.closeAllConnections();
+            await new Promise((resolve) => server.close(resolve));
+
+            if (process.env.TEST_DATABASE_URL) {
+                await require('../db/pool').pool.end();
+                await withAdminClient((client) => client.query(`DROP SCHEMA IF EXISTS ${schema} CASCADE`));
+            }
+        }
+    };
+}
+
+// Register and log in a user; roles that cannot self-register (clinician, admin) are set in storage.
+// Returns { id, username, token, refreshToken }.
+async function createUser(api, username, { password = 'secret123', age = 35, gender = 'male', role = 'user' } = {}) {
+    const registerRole = SELF_REGISTER_ROLES.includes(role) ? role : 'user';
+    const registered = await api.request('POST', '/api/auth/register', {
+        body: { username, password, age, gender, role: registerRole }
+    });
+    if (registered.status !== 201) {
+        throw new Error(`Registering ${username} failed: ${JSON.stringify(registered.body)}`);
+    }
+    if (role !== registerRole) await api.storage.users.setRole(registered.body.user.id, role);
+
+    const login = await api.request('POST', '/api/auth/login', { body: { username, password } });
+    return {
+        id: registered.body.user.id,
+        username,
+        token: login.body.accessToken,
+        refreshToken: login.body.refreshToken
+    };
+}
+
+module.exports = {
+    startServer,
+    createUser
+};
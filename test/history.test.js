@@ -0,0 +1,104 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser } = require('./helpers');
+const { encodeCursor } = require('../utils/historyFilters');
+
+let api;
+let user;
+
+// bpm and capture time (UTC) of the seeded readings; the user is 40, so < 60 and > 100 are abnormal
+const READINGS = [
+    [72, '2026-01-05T08:00:00Z'],
+    [55, '2026-01-10T08:00:00Z'],
+    [110, '2026-01-15T08:00:00Z'],
+    [80, '2026-01-20T08:00:00Z'],
+    [95, '2026-02-01T08:00:00Z'],
+    [130, '2026-02-10T08:00:00Z'],
+    [64, '2026-02-20T08:00:00Z']
+];
+
+before(async () => {
+    api = await startServer();
+    user = await createUser(api, 'history_user', { age: 40 });
+
+    for (const [bpm, recordedAt] of READINGS) {
+        await api.request('POST', '/api/ecg/save', {
+            token: user.token,
+            body: { userId: user.id, bpm, recordedAt, timeZone: 'UTC' }
+        });
+    }
+});
+
+after(async () => {
+    await api.close();
+});
+
+function history(query = '') {
+    return api.request('GET', `/api/ecg/history/${user.id}${query}`, { token: user.token });
+}
+
+function bpms(response) {
+    return response.body.history.map((row) => row.bpm);
+}
+
+test('without paging parameters the whole history comes back, newest first', async () => {
+    const response = await history();
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(bpms(response), [64, 130, 95, 80, 110, 55, 72]);
+    assert.equal(response.body.pagination, undefined);
+});
+
+test('readings can be filtered by status, condition, BPM and date', async () => {
+    assert.deepEqual(bpms(await history('?status=Abnormal')), [130, 110, 55]);
+    assert.deepEqual(bpms(await history('?kondisi=Bradikardia,Takikardia')), [130, 110, 55]);
+    assert.deepEqual(bpms(await history('?minBpm=70&maxBpm=100')), [95, 80, 72]);
+    assert.deepEqual(bpms(await history('?from=2026-01-10&to=2026-01-20')), [80, 110, 55]);
+});
+
+test('readings can be sorted by date or BPM', async () => {
+    assert.deepEqual(bpms(await history('?sort=date_asc')), [72, 55, 110, 80, 95, 130, 64]);
+    assert.deepEqual(bpms(await history('?sort=bpm_desc&limit=3')), [130, 110, 95]);
+    assert.deepEqual(bpms(await history('?sort=bpm_asc&status=Normal')), [64, 72, 80, 95]);
+});
+
+test('cursor pagination walks every reading exactly once', async () => {
+    const seen = [];
+    let cursor = null;
+
+    do {
+        const response = await history(`?sort=bpm_asc&limit=3${cursor ? `&cursor=${cursor}` : ''}`);
+        assert.equal(response.body.total, READINGS.length);
+        seen.push(...bpms(response));
+        cursor = response.body.pagination.nextCursor;
+        assert.equal(response.body.pagination.hasMore, cursor !== null);
+    } while (cursor);
+
+    assert.deepEqual(seen, READINGS.map(([bpm]) => bpm).sort((a, b) => a - b));
+});
+
+test('invalid filters and cursors are rejected', async () => {
+    const wrongSort = await history(`?sort=date_asc&cursor=${(await history('?limit=1')).body.pagination.nextCursor}`);
+    assert.equal(wrongSort.status, 400);
+    assert.equal(wrongSort.body.errors[0].code, 'INVALID_CURSOR');
+    assert.deepEqual(wrongSort.body.history, []);
+
+    assert.equal((await history('?cursor=garbage')).status, 400);
+
+    // Tampered cursors with values of the wrong type never reach the query
+    for (const [sort, values] of [
+        ['date_desc', ['x', 'y']],
+        ['date_desc', ['2026-01-10T08:00:00Z', 1.5]],
+        ['bpm_asc', ['72', 1]],
+        ['bpm_asc', [72, 99999999999]]
+    ]) {
+        const tampered = await history(`?sort=${sort}&cursor=${encodeCursor(sort, values)}`);
+        assert.equal(tampered.status, 400);
+        assert.equal(tampered.body.errors[0].code, 'INVALID_CURSOR');
+    }
+    assert.equal((await history(`?cursor=${encodeCursor('date_desc', ['2026-01-10 08:00:00+00', 3])}`)).status, 200);
+    assert.equal((await history('?limit=0')).status, 400);
+    assert.equal((await history('?limit=101')).status, 400);
+    assert.equal((await history('?from=2026-02-01&to=2026-01-01')).status, 400);
+    assert.equal((await history('?status=Unknown')).status, 400);
+});
@@ -0,0 +1,107 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser } = require('./helpers');
+const { MIN_NN_INTERVALS, computeHrv } = require('../ecg/hrv');
+
+let api;
+let user;
+
+before(async () => {
+    api = await startServer();
+    user = await createUser(api, 'hrv_user');
+});
+
+after(async () => {
+    await api.close();
+});
+
+// RR series (ms) whose beat-to-beat rate follows a sine of the given frequency (Hz)
+function modulatedRR(seconds, frequency, { mean = 800, amplitude = 40 } = {}) {
+    const rr = [];
+    for (let time = 0; time < seconds; time += rr[rr.length - 1] / 1000) {
+        rr.push(mean + amplitude * Math.sin(2 * Math.PI * frequency * time));
+    }
+    return rr;
+}
+
+test('a perfectly steady rhythm has no variability', () => {
+    const hrv = computeHrv(new Array(20).fill(1000));
+
+    assert.equal(hrv.nnCount, 20);
+    assert.equal(hrv.meanRR, 1000);
+    assert.equal(hrv.sdnn, 0);
+    assert.equal(hrv.rmssd, 0);
+    assert.equal(hrv.pnn50, 0);
+});
+
+test('time-domain metrics of an alternating rhythm', () => {
+    const rr = Array.from({ length: 20 }, (_, i) => (i % 2 === 0 ? 800 : 900));
+    const hrv = computeHrv(rr);
+
+    assert.equal(hrv.meanRR, 850);
+    assert.equal(hrv.rmssd, 100);
+    assert.equal(hrv.pnn50, 100);
+    assert.equal(hrv.sdnn, 51.3);
+    assert.equal(hrv.durationSeconds, 17);
+});
+
+test('ectopic and implausible intervals are left out', () => {
+    const rr = [...new Array(12).fill(800), 400, 1200, 250, 2500, ...new Array(12).fill(800)];
+    const hrv = computeHrv(rr);
+
+    assert.equal(hrv.nnCount, 24);
+    assert.equal(hrv.sdnn, 0);
+});
+
+test(`fewer than ${MIN_NN_INTERVALS} clean intervals give no metrics`, () => {
+    assert.equal(computeHrv(new Array(MIN_NN_INTERVALS - 1).fill(800)), null);
+    assert.equal(computeHrv([]), null);
+    assert.equal(computeHrv(null), null);
+});
+
+test('spectral power needs a minute of intervals', () => {
+    const hrv = computeHrv(modulatedRR(30, 0.25));
+    assert.equal(hrv.lfPower, null);
+    assert.equal(hrv.hfPower, null);
+    assert.equal(hrv.lfHfRatio, null);
+});
+
+test('breathing-rate modulation shows up as HF power, slower modulation as LF power', () => {
+    const breathing = computeHrv(modulatedRR(180, 0.25));
+    assert.ok(breathing.hfPower > 10 * breathing.lfPower);
+    assert.ok(breathing.lfHfRatio < 0.1);
+
+    const slow = computeHrv(modulatedRR(180, 0.1));
+    assert.ok(slow.lfPower > 10 * slow.hfPower);
+    assert.ok(slow.lfHfRatio > 10);
+});
+
+test('HRV of saved readings is returned as a trend', async () => {
+    const rrIntervals = Array.from({ length: 30 }, (_, i) => (i % 2 === 0 ? 800 : 900));
+
+    for (const recordedAt of ['2026-03-01T08:00:00Z', '2026-03-02T08:00:00Z']) {
+        const saved = await api.request('POST', '/api/ecg/save', {
+            token: user.token,
+            body: { userId: user.id, bpm: 70, rrIntervals, recordedAt }
+        });
+        assert.equal(saved.status, 201);
+        assert.equal(saved.body.hrv.rmssd, 100);
+    }
+
+    const trend = await api.request('GET', `/api/ecg/hrv/${user.id}?from=2026-03-01&to=2026-03-31&tz=UTC`, {
+        token: user.token
+    });
+    assert.equal(trend.status, 200);
+    assert.equal(trend.body.count, 2);
+    assert.equal(Number(trend.body.points[0].rmssd), 100);
+
+    const outside = await api.request('GET', `/api/ecg/hrv/${user.id}?from=2026-04-01&tz=UTC`, { token: user.token });
+    assert.equal(outside.body.count, 0);
+});
+
+test('the HRV trend rejects an inverted date range', async () => {
+    const response = await api.request('GET', `/api/ecg/hrv/${user.id}?from=2026-03-31&to=2026-03-01`, {
+        token: user.token
+    });
+    assert.equal(response.status, 400);
+});
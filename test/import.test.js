@@ -0,0 +1,142 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser } = require('./helpers');
+const { parseCsv } = require('../import/csv');
+
+let api;
+let user;
+
+before(async () => {
+    api = await startServer();
+    user = await createUser(api, 'import_user', { age: 40 });
+});
+
+after(async () => {
+    await api.close();
+});
+
+function importFile(body, owner = user) {
+    return api.request('POST', `/api/ecg/import/${owner.id}`, { token: owner.token, body });
+}
+
+function heartRate(bpm, effectiveDateTime, extra = {}) {
+    return {
+        resource: {
+            resourceType: 'Observation',
+            status: 'final',
+            code: { coding: [{ system: 'http://loinc.org', code: '8867-4' }] },
+            effectiveDateTime,
+            valueQuantity: { value: bpm, unit: 'beats/minute', code: '/min' },
+            ...extra
+        }
+    };
+}
+
+test('CSV records keep quoted delimiters, quotes and line breaks', () => {
+    const { records } = parseCsv('a;b\r\n"x;1";"say ""hi"""\n\n"two\nlines";3');
+
+    assert.deepEqual(records, [
+        { line: 1, cells: ['a', 'b'] },
+        { line: 2, cells: ['x;1', 'say "hi"'] },
+        { line: 4, cells: ['two\nlines', '3'] }
+    ]);
+    assert.match(parseCsv('a,b\n"open,1').error, /unterminated/);
+});
+
+test('CSV rows are mapped, classified and reported one by one', async () => {
+    const csv = [
+        'Datum;Zeit;Puls',
+        '2026-03-20;08:00;72.6',
+        '2026-03-21;08:00;abc',
+        '2026-03-22;08:00;130',
+        // 02:30 does not exist in Berlin that night; it is read as the time after the gap
+        '2026-03-29;02:30;65'
+    ].join('\n');
+
+    const response = await importFile({
+        format: 'csv',
+        csv,
+        mapping: { date: 'Datum', time: 'Zeit', bpm: 'Puls' },
+        timeZone: 'Europe/Berlin'
+    });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.summary, { created: 3, duplicate: 0, deleted: 0, rejected: 1 });
+    assert.deepEqual(response.body.results.map((row) => [row.line, row.status]), [
+        [2, 'created'], [3, 'rejected'], [4, 'created'], [5, 'created']
+    ]);
+    assert.equal(response.body.results[1].errors[0].field, 'bpm');
+    assert.deepEqual(response.body.results[2].result, { status: 'Abnormal', kondisi: 'Takikardia' });
+
+    const history = await api.request('GET', `/api/ecg/history/${user.id}?tz=UTC&sort=date_asc`, { token: user.token });
+    assert.deepEqual(history.body.history.map((row) => [new Date(row.recorded_at).toISOString(), row.bpm]), [
+        ['2026-03-20T07:00:00.000Z', 73],
+        ['2026-03-22T07:00:00.000Z', 130],
+        ['2026-03-29T01:30:00.000Z', 65]
+    ]);
+
+    const again = await importFile({ format: 'csv', csv, mapping: { date: 'Datum', time: 'Zeit', bpm: 'Puls' }, timeZone: 'Europe/Berlin' });
+    assert.deepEqual(again.body.summary, { created: 0, duplicate: 3, deleted: 0, rejected: 1 });
+});
+
+test('a CSV export imports back as duplicates', async () => {
+    const exported = await api.request('GET', `/api/ecg/export/${user.id}?format=csv`, { token: user.token });
+    const response = await importFile({ format: 'csv', csv: exported.body.toString('utf8') });
+
+    assert.deepEqual(response.body.summary, { created: 0, duplicate: 3, deleted: 0, rejected: 0 });
+});
+
+test('FHIR heart-rate Observations are imported and other entries reported', async () => {
+    const other = await createUser(api, 'import_fhir', { age: 40 });
+    const bundle = {
+        resourceType: 'Bundle',
+        type: 'collection',
+        entry: [
+            { resource: { resourceType: 'Patient' } },
+            heartRate(58, '2026-04-01T06:00:00+07:00', { method: { text: 'Sleep' } }),
+            heartRate(70, '2026-04-02T06:00:00+07:00', { status: 'entered-in-error' }),
+            heartRate(70, '2026-04-03T06:00:00+07:00', { valueQuantity: { value: 70, code: 'mV' } }),
+            { resource: { resourceType: 'Observation', status: 'final', code: { coding: [{ system: 'http://loinc.org', code: '8310-5' }] } } },
+            heartRate(300.5, '2026-04-04T06:00:00+07:00')
+        ]
+    };
+
+    const response = await importFile({ format: 'fhir', bundle }, other);
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.results.map((row) => [row.entry, row.status, row.code]), [
+        [1, 'created', undefined],
+        [2, 'rejected', 'IMPORT_STATUS_NOT_ACCEPTED'],
+        [3, 'rejected', 'IMPORT_UNIT_INVALID'],
+        [4, 'rejected', 'IMPORT_NOT_HEART_RATE'],
+        [5, 'rejected', 'VALIDATION_FAILED']
+    ]);
+
+    const [reading] = (await api.request('GET', `/api/ecg/history/${other.id}`, { token: other.token })).body.history;
+    assert.equal(reading.activity_context, 'sleep');
+    assert.equal(reading.kondisi, 'Normal');
+
+    const exported = await api.request('GET', `/api/ecg/export/${other.id}?format=fhir`, { token: other.token });
+    const roundTrip = await importFile({ format: 'fhir', bundle: JSON.parse(exported.body.toString('utf8')) }, other);
+    assert.deepEqual(roundTrip.body.summary, { created: 0, duplicate: 1, deleted: 0, rejected: 0 });
+});
+
+test('files that cannot be read are rejected as a whole', async () => {
+    const missing = await importFile({ format: 'csv', csv: 'when,pulse\n2026-01-01,70', mapping: { bpm: 'heart' } });
+    assert.equal(missing.status, 400);
+    assert.deepEqual(missing.body.errors.map((error) => [error.field, error.code]), [
+        ['mapping.bpm', 'COLUMN_NOT_FOUND'],
+        ['mapping.recordedAt', 'COLUMN_NOT_FOUND']
+    ]);
+
+    assert.equal((await importFile({ format: 'csv', csv: 'bpm,recorded_at\n' })).body.code, 'IMPORT_FILE_INVALID');
+    assert.equal((await importFile({ format: 'fhir', bundle: { resourceType: 'Patient' } })).body.code, 'IMPORT_FILE_INVALID');
+    assert.equal((await importFile({ format: 'fhir', csv: 'bpm\n70' })).status, 400);
+    assert.equal((await importFile({ format: 'csv', csv: 'a\n1', mapping: { pulse: 'a' } })).body.errors[0].field, 'mapping.pulse');
+
+    const stranger = await createUser(api, 'import_stranger');
+    const foreign = await api.request('POST', `/api/ecg/import/${user.id}`, {
+        token: stranger.token,
+        body: { format: 'csv', csv: 'bpm,recorded_at\n70,2026-01-01T00:00:00Z' }
+    });
+    assert.equal(foreign.status, 403);
+});
@@ -0,0 +1,192 @@
+// Small caps, so they are reached within the test
+process.env.LIVE_MAX_SESSIONS = '2';
+process.env.LIVE_MAX_SAMPLES = '4000';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser } = require('./helpers');
+const { synthesizeEcg } = require('./ecgSignal');
+
+let api;
+let patient;
+let doctor;
+let stranger;
+
+before(async () => {
+    api = await startServer();
+    patient = await createUser(api, 'live_patient');
+    doctor = await createUser(api, 'live_doctor', { role: 'clinician' });
+    stranger = await createUser(api, 'live_stranger');
+
+    const grant = await api.request('POST', '/api/care/grants', { token: patient.token, body: { username: doctor.username } });
+    await api.request('POST', `/api/care/invitations/${grant.body.grant.id}/accept`, { token: doctor.token });
+});
+
+after(async () => {
+    await api.close();
+});
+
+function start(body = {}, owner = patient) {
+    return api.request('POST', '/api/ecg/live', {
+        token: owner.token,
+        body: { userId: owner.id, ...body }
+    });
+}
+
+function send(sessionId, body, token = patient.token) {
+    return api.request('POST', `/api/ecg/live/${sessionId}/data`, { token, body });
+}
+
+// Server-sent events of a live session: next() resolves with the next { event, data }
+async function watch(sessionId, token) {
+    const controller = new AbortController();
+    const response = await fetch(`${api.baseUrl}/api/ecg/live/${sessionId}/stream`, {
+        headers: { Authorization: `Bearer ${token}` },
+        signal: controller.signal
+    });
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    async function next() {
+        for (;;) {
+            const end = buffer.indexOf('\n\n');
+            if (end !== -1) {
+                const block = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+                if (block.startsWith(':')) continue;
+                const event = /^event: (.*)$/m.exec(block)[1];
+                const data = JSON.parse(/^data: (.*)$/m.exec(block)[1]);
+                return { event, data };
+            }
+            const { value, done } = await reader.read();
+            if (done) return null;
+            buffer += decoder.decode(value, { stream: true });
+        }
+    }
+
+    return { status: response.status, next, close: () => controller.abort() };
+}
+
+test('beats give a running heart rate and are saved as a reading', async () => {
+    const started = await start({ activity: 'rest' });
+    assert.equal(started.status, 201);
+    const { id } = started.body.session;
+
+    const first = await send(id, { beats: [{ bpm: 70 }, { rr: 750 }, { bpm: 90 }] });
+    assert.equal(first.status, 200);
+    assert.equal(first.body.heartRate, 80);
+    assert.equal(first.body.heartRateSource, 'beats');
+    assert.equal(first.body.beatsReceived, 3);
+
+    const ended = await api.request('POST', `/api/ecg/live/${id}/end`, { token: patient.token, body: {} });
+    assert.equal(ended.status, 201);
+    assert.equal(ended.body.result.bpm, 80);
+    assert.equal(ended.body.result.activity_context, 'rest');
+    assert.equal(ended.body.waveform, null);
+
+    assert.equal((await send(id, { beats: [{ bpm: 70 }] })).status, 404);
+});
+
+test('viewers with access watch the stream until it is saved with its waveform', async () => {
+    const { samples, sampleRate } = synthesizeEcg({ seconds: 8, rr: () => 800 });
+    const { id } = (await start({ sampleRate, leads: ['II'], units: 'mV' })).body.session;
+
+    const viewer = await watch(id, doctor.token);
+    assert.equal(viewer.status, 200);
+    const hello = await viewer.next();
+    assert.equal(hello.event, 'session');
+    assert.equal(hello.data.sampleRate, sampleRate);
+    assert.equal(hello.data.viewers, 1);
+
+    const chunk = sampleRate * 2;
+    let last;
+    for (let offset = 0; offset < samples.length; offset += chunk) {
+        last = await send(id, { samples: samples.slice(offset, offset + chunk) });
+        const relayed = await viewer.next();
+        assert.equal(relayed.event, 'data');
+        assert.equal(relayed.data.offset, offset);
+        assert.equal(relayed.data.leads[0].length, chunk);
+    }
+    assert.equal(last.body.heartRateSource, 'waveform');
+    assert.equal(Math.round(last.body.heartRate), 75);
+
+    const ended = await api.request('POST', `/api/ecg/live/${id}/end`, { token: patient.token, body: {} });
+    assert.equal(ended.status, 201);
+    assert.equal(ended.body.result.bpm, 75);
+    assert.equal(ended.body.waveform.samples_per_lead, samples.length);
+
+    const final = await viewer.next();
+    assert.equal(final.event, 'ended');
+    assert.equal(final.data.resultId, ended.body.result.id);
+    assert.equal(await viewer.next(), null);
+
+    const stored = await api.request('GET', `/api/ecg/${ended.body.result.id}/waveform`, { token: doctor.token });
+    assert.equal(stored.status, 200);
+    assert.equal(stored.body.waveform.leads[0].name, 'II');
+});
+
+test('a cancelled session tells its viewers and saves nothing', async () => {
+    const { id } = (await start()).body.session;
+    const viewer = await watch(id, patient.token);
+    await viewer.next();
+
+    const cancelled = await api.request('DELETE', `/api/ecg/live/${id}`, { token: patient.token });
+    assert.equal(cancelled.status, 200);
+    assert.deepEqual(await viewer.next(), { event: 'cancelled', data: { sessionId: id } });
+
+    const history = await api.request('GET', `/api/ecg/history/${patient.id}`, { token: patient.token });
+    assert.equal(history.body.count, 2);
+});
+
+test('only the measuring user feeds a session and only people with access watch it', async () => {
+    const { id } = (await start()).body.session;
+
+    const second = await start();
+    assert.equal(second.status, 409);
+    assert.equal(second.body.session.id, id);
+
+    const listed = await api.request('GET', `/api/ecg/live/user/${patient.id}`, { token: doctor.token });
+    assert.deepEqual(listed.body.sessions.map((session) => session.id), [id]);
+    assert.equal((await api.request('GET', `/api/ecg/live/user/${patient.id}`, { token: stranger.token })).status, 403);
+
+    const viewer = await watch(id, stranger.token);
+    assert.equal(viewer.status, 404);
+    viewer.close();
+
+    assert.equal((await send(id, { beats: [{ bpm: 70 }] }, doctor.token)).status, 404);
+
+    const samples = await send(id, { samples: [1, 2, 3] });
+    assert.equal(samples.status, 422);
+    assert.equal(samples.body.code, 'LIVE_DATA_INVALID');
+    assert.equal((await send(id, { beats: [{ bpm: 400 }] })).status, 422);
+
+    const empty = await api.request('POST', `/api/ecg/live/${id}/end`, { token: patient.token, body: {} });
+    assert.equal(empty.status, 422);
+    assert.equal(empty.body.code, 'LIVE_SESSION_EMPTY');
+
+    await api.request('DELETE', `/api/ecg/live/${id}`, { token: patient.token });
+});
+
+test('sessions hold a limited number of samples and only so many run at once', async () => {
+    const { id } = (await start({ sampleRate: 250, leads: ['I', 'II'] })).body.session;
+    const chunk = (length) => ({ leads: [new Array(length).fill(0.1), new Array(length).fill(0.2)] });
+
+    assert.equal((await send(id, chunk(1500))).status, 200);
+    const full = await send(id, chunk(600));
+    assert.equal(full.status, 422);
+    assert.match(full.body.message, /4000 samples over all leads/);
+
+    const second = await start({}, stranger);
+    assert.equal(second.status, 201);
+    const third = await start({}, doctor);
+    assert.equal(third.status, 503);
+    assert.equal(third.body.code, 'LIVE_SESSIONS_FULL');
+
+    await api.request('DELETE', `/api/ecg/live/${second.body.session.id}`, { token: stranger.token });
+    const retried = await start({}, doctor);
+    assert.equal(retried.status, 201);
+
+    await api.request('DELETE', `/api/ecg/live/${retried.body.session.id}`, { token: doctor.token });
+    await api.request('DELETE', `/api/ecg/live/${id}`, { token: patient.token });
+});
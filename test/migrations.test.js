@@ -0,0 +1,161 @@
+// Schema migrations against a real database; skipped unless TEST_DATABASE_URL is set.
+// Every test gets an empty schema of its own.
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const { loadMigrations, migrate, rollback, getMigrationStatus } = require('../db/migrate');
+const { createPostgresStorage } = require('../storage/postgres');
+
+const skip = process.env.TEST_DATABASE_URL ? false : 'needs TEST_DATABASE_URL';
+const schema = `test_migrations_${process.pid}`;
+const LATEST = loadMigrations().slice(-1)[0].version;
+
+let pool;
+
+beforeEach(async () => {
+    if (skip) return;
+    const { Pool } = require('pg');
+    const url = new URL(process.env.TEST_DATABASE_URL);
+    url.searchParams.set('options', `-c search_path=${schema}`);
+    pool = new Pool({ connectionString: url.toString(), max: 2 });
+    await pool.query(`DROP SCHEMA IF EXISTS ${schema} CASCADE`);
+    await pool.query(`CREATE SCHEMA ${schema}`);
+});
+
+afterEach(async () => {
+    if (skip) return;
+    await pool.query(`DROP SCHEMA IF EXISTS ${schema} CASCADE`);
+    await pool.end();
+});
+
+async function tables() {
+    const result = await pool.query(
+        'SELECT table_name FROM information_schema.tables WHERE table_schema = $1 ORDER BY table_name',
+        [schema]
+    );
+    return result.rows.map((row) => row.table_name);
+}
+
+async function constraints(table) {
+    const result = await pool.query(
+        `SELECT conname, contype, confdeltype FROM pg_constraint
+         WHERE conrelid = $1::regclass ORDER BY conname`,
+        [table]
+    );
+    return result.rows;
+}
+
+// The tables as they were created by hand before migrations existed: no unique usernames,
+// nullable columns and a foreign key without ON DELETE CASCADE
+async function createLegacyTables() {
+    await pool.query(`CREATE TABLE users (
+        id SERIAL PRIMARY KEY,
+        username VARCHAR(50),
+        password VARCHAR(255),
+        age INTEGER,
+        gender VARCHAR(20),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await pool.query(`CREATE TABLE ecg_results (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id),
+        username VARCHAR(50),
+        tanggal DATE,
+        waktu TIME,
+        bpm INTEGER,
+        status VARCHAR(20),
+        kondisi VARCHAR(50),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await pool.query("INSERT INTO users (username, password, age, gender) VALUES ('legacy', 'plain123', 40, 'male')");
+    await pool.query(`INSERT INTO ecg_results (user_id, username, tanggal, waktu, bpm, status, kondisi)
+        VALUES (1, 'legacy', '2024-01-02', '08:00:00', 72, 'Normal', 'Normal')`);
+}
+
+test('all migrations apply to an empty database and revert cleanly', { skip }, async () => {
+    const applied = await migrate(pool);
+    assert.equal(applied.length, LATEST);
+
+    const status = await getMigrationStatus(pool);
+    assert.equal(status.current, LATEST);
+    assert.deepEqual(status.pending, []);
+    assert.ok((await tables()).includes('ecg_results'));
+
+    assert.deepEqual(await migrate(pool), []);
+
+    const reverted = await rollback(pool, { to: 0 });
+    assert.equal(reverted.length, LATEST);
+    assert.deepEqual(await tables(), ['schema_migrations']);
+
+    assert.equal((await migrate(pool)).length, LATEST);
+});
+
+test('migrating part of the way leaves the rest pending', { skip }, async () => {
+    await migrate(pool, { to: 3 });
+
+    const status = await getMigrationStatus(pool);
+    assert.equal(status.current, 3);
+    assert.equal(status.pending[0].version, 4);
+
+    await rollback(pool, { steps: 2 });
+    assert.equal((await getMigrationStatus(pool)).current, 1);
+});
+
+test('a legacy database keeps its data and gains the missing constraints', { skip }, async () => {
+    await createLegacyTables();
+    await migrate(pool);
+
+    const user = await pool.query("SELECT password, role FROM users WHERE username = 'legacy'");
+    assert.deepEqual(user.rows, [{ password: 'plain123', role: 'user' }]);
+    assert.equal((await pool.query('SELECT bpm FROM ecg_results')).rows[0].bpm, 72);
+
+    const userConstraints = await constraints('users');
+    assert.ok(userConstraints.some((row) => row.conname === 'users_username_key' && row.contype === 'u'));
+
+    const foreignKeys = (await constraints('ecg_results')).filter((row) => row.contype === 'f' && row.conname.includes('user_id'));
+    assert.deepEqual(foreignKeys.map((row) => [row.conname, row.confdeltype]), [['ecg_results_user_id_fkey', 'c']]);
+
+    await assert.rejects(
+        pool.query("INSERT INTO users (username, password) VALUES ('legacy', 'again')"),
+        { code: '23505' }
+    );
+    await assert.rejects(
+        pool.query("INSERT INTO ecg_results (user_id, username, waktu, bpm, status, kondisi) VALUES (1, NULL, '08:00', 70, 'Normal', 'Normal')"),
+        { code: '23502' }
+    );
+
+    await pool.query("DELETE FROM users WHERE username = 'legacy'");
+    assert.equal((await pool.query('SELECT COUNT(*)::int AS count FROM ecg_results')).rows[0].count, 0);
+});
+
+test('re-running the first migration does not duplicate constraints', { skip }, async () => {
+    await migrate(pool, { to: 1 });
+    const before = [...await constraints('users'), ...await constraints('ecg_results')];
+
+    const [first] = loadMigrations();
+    for (const statement of first.up) {
+        await pool.query(statement);
+    }
+
+    assert.deepEqual([...await constraints('users'), ...await constraints('ecg_results')], before);
+});
+
+test('the server refuses an outdated schema unless told to migrate', { skip }, async () => {
+    await migrate(pool, { to: 2 });
+    const storage = createPostgresStorage({ pool, getDatabaseStatus: () => 'connected', checkDatabaseConnection: async () => true });
+
+    const previous = process.env.MIGRATE_ON_START;
+    try {
+        delete process.env.MIGRATE_ON_START;
+        await assert.rejects(storage.prepare(), /Database schema is behind \(version 2/);
+
+        process.env.MIGRATE_ON_START = 'true';
+        await storage.prepare();
+        assert.equal((await getMigrationStatus(pool)).current, LATEST);
+    } finally {
+        if (previous === undefined) delete process.env.MIGRATE_ON_START;
+        else process.env.MIGRATE_ON_START = previous;
+    }
+});
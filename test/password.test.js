@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+const { hashPassword, verifyPassword, isPasswordHash } = require('../utils/password');
+
+let api;
+
+before(async () => {
+    api = await startServer();
+});
+
+after(async () => {
+    await api.close();
+});
+
+test('hashes are salted scrypt strings that verify', async () => {
+    const first = await hashPassword('secret123');
+    const second = await hashPassword('secret123');
+
+    assert.ok(isPasswordHash(first));
+    assert.match(first, /^scrypt\$16384\$8\$1\$/);
+    assert.notEqual(first, second);
+
+    assert.deepEqual(await verifyPassword('secret123', first), { valid: true, needsRehash: false });
+    assert.deepEqual(await verifyPassword('secret124', first), { valid: false, needsRehash: false });
+});
+
+test('legacy plaintext values verify and ask for a rehash', async () => {
+    assert.deepEqual(await verifyPassword('secret123', 'secret123'), { valid: true, needsRehash: true });
+    assert.equal((await verifyPassword('secret124', 'secret123')).valid, false);
+});
+
+test('hashes with older cost parameters ask for a rehash', async () => {
+    const [, , r, p, salt] = (await hashPassword('secret123')).split('$');
+    const hash = crypto.scryptSync('secret123', Buffer.from(salt, 'base64url'), 64, { N: 1024, r: 8, p: 1 });
+    const stored = ['scrypt', 1024, r, p, salt, hash.toString('base64url')].join('$');
+
+    assert.deepEqual(await verifyPassword('secret123', stored), { valid: true, needsRehash: true });
+});
+
+test('malformed hashes never verify', async () => {
+    assert.equal((await verifyPassword('secret123', 'scrypt$')).valid, false);
+    assert.equal((await verifyPassword('secret123', 'scrypt$x$y$z$salt$')).valid, false);
+    assert.equal((await verifyPassword(undefined, 'secret123')).valid, false);
+});
+
+test('registration stores a hash, never the password', async () => {
+    await api.request('POST', '/api/auth/register', {
+        body: { username: 'pw_register', password: 'secret123', age: 30, gender: 'female' }
+    });
+
+    const user = await api.storage.users.findByUsername('pw_register');
+    assert.ok(isPasswordHash(user.password));
+    assert.ok(!user.password.includes('secret123'));
+});
+
+test('logging in with a plaintext row upgrades it to a hash', async () => {
+    await api.storage.users.create({ username: 'pw_legacy', passwordHash: 'legacy123', age: 50, gender: 'male' });
+
+    const login = await api.request('POST', '/api/auth/login', {
+        body: { username: 'pw_legacy', password: 'legacy123' }
+    });
+    assert.equal(login.status, 200);
+
+    const user = await api.storage.users.findByUsername('pw_legacy');
+    assert.ok(isPasswordHash(user.password));
+    assert.equal((await verifyPassword('legacy123', user.password)).valid, true);
+
+    const again = await api.request('POST', '/api/auth/login', {
+        body: { username: 'pw_legacy', password: 'legacy123' }
+    });
+    assert.equal(again.status, 200);
+});
@@ -0,0 +1,119 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser } = require('./helpers');
+const { synthesizeEcg } = require('./ecgSignal');
+const { MIN_RELIABLE_QUALITY, detectRPeaks, analyzeLead, analyzeWaveform, median } = require('../ecg/qrs');
+
+let api;
+let user;
+
+before(async () => {
+    api = await startServer();
+    user = await createUser(api, 'qrs_user');
+});
+
+after(async () => {
+    await api.close();
+});
+
+// Every true beat found within 50 ms, and nothing else
+function assertPeaksMatch(peaks, beats, sampleRate) {
+    const tolerance = sampleRate * 0.05;
+    assert.equal(peaks.length, beats.length);
+    beats.forEach((beat, i) => assert.ok(Math.abs(peaks[i] - beat) <= tolerance, `beat ${i} at ${beat}, found ${peaks[i]}`));
+}
+
+function noise(length, seed = 7) {
+    let state = seed;
+    return Array.from({ length }, () => {
+        state = (state * 16807) % 2147483647;
+        return state / 2147483647 - 0.5;
+    });
+}
+
+test('R peaks are found at every beat across heart rates and sample rates', () => {
+    [
+        { bpm: 50, sampleRate: 250 },
+        { bpm: 75, sampleRate: 250 },
+        { bpm: 120, sampleRate: 500 },
+        { bpm: 180, sampleRate: 360 }
+    ].forEach(({ bpm, sampleRate }) => {
+        const { samples, beats } = synthesizeEcg({ sampleRate, seconds: 20, rr: () => 60000 / bpm });
+        assertPeaksMatch(detectRPeaks(samples, sampleRate), beats, sampleRate);
+    });
+});
+
+test('heart rate and RR intervals follow the detected beats', () => {
+    const { samples, sampleRate } = synthesizeEcg({ seconds: 30, rr: () => 800 });
+    const analysis = analyzeLead(samples, sampleRate);
+
+    assert.equal(analysis.heartRate, 75);
+    assert.equal(analysis.beatCount, analysis.rPeaks.length);
+    assert.equal(analysis.rrIntervals.length, analysis.rPeaks.length - 1);
+    analysis.rrIntervals.forEach((rr) => assert.ok(Math.abs(rr - 800) <= 20));
+    assert.ok(analysis.signalQuality >= MIN_RELIABLE_QUALITY);
+});
+
+test('irregular rhythms keep their beat-to-beat variation', () => {
+    const { samples, sampleRate, beats } = synthesizeEcg({
+        seconds: 30,
+        rr: (random) => 500 + random() * 700,
+        seed: 3
+    });
+    assertPeaksMatch(detectRPeaks(samples, sampleRate), beats, sampleRate);
+});
+
+test('noise scores below the reliable signal quality', () => {
+    const analysis = analyzeLead(noise(250 * 20), 250);
+    assert.ok(analysis.signalQuality < MIN_RELIABLE_QUALITY);
+});
+
+test('recordings shorter than two seconds have no peaks', () => {
+    const { samples } = synthesizeEcg({ seconds: 1 });
+    assert.deepEqual(detectRPeaks(samples, 250), []);
+    assert.equal(analyzeLead(samples, 250).heartRate, null);
+});
+
+test('waveforms are analysed on lead II when they have one', () => {
+    const lead = synthesizeEcg({ seconds: 10, rr: () => 1000 }).samples;
+    const analysis = analyzeWaveform({
+        sampleRate: 250,
+        leads: [{ name: 'I' }, { name: 'II' }],
+        data: [noise(lead.length), lead]
+    });
+
+    assert.equal(analysis.lead, 'II');
+    assert.equal(analysis.heartRate, 60);
+});
+
+test('median handles odd, even and empty lists', () => {
+    assert.equal(median([3, 1, 2]), 2);
+    assert.equal(median([4, 1, 3, 2]), 2.5);
+    assert.equal(median([]), null);
+});
+
+test('a clean waveform overrides the heart rate the app reported', async () => {
+    const { samples, sampleRate } = synthesizeEcg({ seconds: 20, rr: () => 600 });
+
+    const response = await api.request('POST', '/api/ecg/save', {
+        token: user.token,
+        body: { userId: user.id, bpm: 70, waveform: { sampleRate, samples } }
+    });
+
+    assert.equal(response.status, 201);
+    assert.equal(response.body.analysis.heartRate, 100);
+    assert.equal(response.body.result.bpm, 100);
+    assert.equal(response.body.result.client_bpm, 70);
+    assert.equal(response.body.result.bpm_source, 'waveform');
+    assert.equal(response.body.result.server_bpm, 100);
+});
+
+test('a noisy waveform without a reported heart rate cannot be classified', async () => {
+    const response = await api.request('POST', '/api/ecg/save', {
+        token: user.token,
+        body: { userId: user.id, waveform: { sampleRate: 250, samples: noise(250 * 10) } }
+    });
+
+    assert.equal(response.status, 422);
+    assert.equal(response.body.code, 'BPM_UNDETERMINED');
+});
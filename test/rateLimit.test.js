@@ -0,0 +1,144 @@
+// Low limits and a one-second lockout, so they are reached within the test
+process.env.LOGIN_RATE_LIMIT = '30';
+process.env.REGISTER_RATE_LIMIT = '3';
+process.env.USERNAME_CHECK_RATE_LIMIT = '6';
+process.env.USERNAME_LOOKUP_LIMIT = '5';
+process.env.LOGIN_MAX_FAILURES = '3';
+process.env.LOGIN_LOCKOUT_MS = '1000';
+process.env.LOGIN_LOCKOUT_MAX_MS = '1500';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser } = require('./helpers');
+const { createMemoryRateLimitStore } = require('../utils/rateLimitStore');
+const { setRateLimitStore } = require('../middleware/rateLimit');
+
+let api;
+let user;
+
+before(async () => {
+    api = await startServer();
+    user = await createUser(api, 'limit_user', { password: 'secret123' });
+});
+
+after(async () => {
+    await api.close();
+});
+
+function login(username, password) {
+    return api.request('POST', '/api/auth/login', { body: { username, password } });
+}
+
+function register(username) {
+    return api.request('POST', '/api/auth/register', { body: { username, password: 'secret123', age: 30, gender: 'male' } });
+}
+
+test('the memory store counts hits in a window that opens with the first one', async () => {
+    const store = createMemoryRateLimitStore();
+    try {
+        const first = await store.increment('key', 50);
+        const second = await store.increment('key', 50);
+        assert.deepEqual([first.count, second.count], [1, 2]);
+        assert.equal(second.resetAt, first.resetAt);
+        assert.deepEqual(await store.get('key'), second);
+
+        await new Promise((resolve) => setTimeout(resolve, 60));
+        assert.equal(await store.get('key'), null);
+        assert.equal((await store.increment('key', 50)).count, 1);
+
+        await store.reset('key');
+        assert.equal(await store.get('key'), null);
+    } finally {
+        store.close();
+    }
+});
+
+test('repeated wrong passwords lock the username, for longer each time', async () => {
+    assert.equal((await login(user.username, 'wrong-1')).status, 401);
+    assert.equal((await login(user.username, 'wrong-2')).status, 401);
+
+    const locked = await login(user.username, 'wrong-3');
+    assert.equal(locked.status, 429);
+    assert.equal(locked.body.code, 'ACCOUNT_LOCKED');
+    assert.equal(locked.headers.get('retry-after'), '1');
+    assert.equal(locked.body.retryAfter, 1);
+
+    // Not even the right password gets in during the lockout
+    assert.equal((await login(user.username, 'secret123')).body.code, 'ACCOUNT_LOCKED');
+
+    await new Promise((resolve) => setTimeout(resolve, 1100));
+    for (const attempt of [1, 2]) {
+        assert.equal((await login(user.username, `wrong-${attempt}`)).status, 401);
+    }
+    const again = await login(user.username, 'wrong-3');
+    assert.equal(again.status, 429);
+    assert.equal(again.headers.get('retry-after'), '2');
+
+    await new Promise((resolve) => setTimeout(resolve, 1600));
+    assert.equal((await login(user.username, 'secret123')).status, 200);
+});
+
+test('unknown usernames are locked the same way, revealing nothing', async () => {
+    const known = await login(user.username, 'wrong');
+    const unknown = await login('limit_nobody', 'wrong');
+    assert.equal(unknown.status, known.status);
+    assert.equal(unknown.body.message, known.body.message);
+
+    await login('limit_nobody', 'wrong');
+    assert.equal((await login('limit_nobody', 'wrong')).body.code, 'ACCOUNT_LOCKED');
+});
+
+test('registration is limited per client IP', async () => {
+    const allowed = await register('limit_second');
+    assert.equal(allowed.status, 201);
+    assert.equal(allowed.headers.get('ratelimit-limit'), '3');
+    assert.equal(allowed.headers.get('ratelimit-remaining'), '1');
+
+    assert.equal((await register('limit_third')).status, 201);
+    const limited = await register('limit_fourth');
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.code, 'RATE_LIMITED');
+    assert.equal(limited.headers.get('ratelimit-remaining'), '0');
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+});
+
+test('one client IP learns about a limited number of different usernames', async () => {
+    const check = (username) => api.request('GET', `/api/users/check-username?username=${username}`);
+
+    // limit_user, limit_second and limit_third were registered from this IP; asking again is free
+    assert.equal((await check('limit_user')).body.exists, true);
+    assert.equal((await check('limit_user')).status, 200);
+    assert.equal((await check('limit_other')).body.exists, false);
+    assert.equal((await check('limit_more')).status, 200);
+
+    const limited = await check('limit_extra');
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.code, 'RATE_LIMITED');
+
+    // Usernames already asked about still answer, until the per-IP request limit
+    const known = await check('limit_user');
+    assert.equal(known.status, 200);
+    assert.equal(known.headers.get('ratelimit-remaining'), '0');
+    assert.equal((await check('limit_user')).status, 429);
+});
+
+test('logins are limited per client IP, whichever usernames they try', async () => {
+    let response;
+    for (let attempt = 0; attempt < 40; attempt++) {
+        response = await login(`limit_spray_${attempt}`, 'wrong');
+        if (response.status === 429 && response.body.code === 'RATE_LIMITED') break;
+    }
+    assert.equal(response.body.code, 'RATE_LIMITED');
+    assert.equal(response.headers.get('ratelimit-limit'), '30');
+    assert.equal((await login(user.username, 'secret123')).status, 429);
+});
+
+test('the counter store can be swapped, and a broken one lets requests through', async () => {
+    setRateLimitStore({
+        async increment() { throw new Error('store down'); },
+        async get() { throw new Error('store down'); },
+        async reset() { throw new Error('store down'); }
+    });
+
+    assert.equal((await login(user.username, 'secret123')).status, 200);
+});
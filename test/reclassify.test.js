@@ -0,0 +1,106 @@
+// Small batches, so a job spans several of them
+process.env.RECLASSIFY_BATCH_SIZE = '2';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser } = require('./helpers');
+
+let api;
+let admin;
+let child;
+
+before(async () => {
+    api = await startServer();
+    admin = await createUser(api, 'recl_admin', { role: 'admin' });
+
+    // Normal for a 4-year-old under v2, Takikardia under the fixed v1 limits
+    child = await createUser(api, 'recl_child', { age: 4 });
+    for (const bpm of [125, 130, 135, 90, 95]) {
+        await api.request('POST', '/api/ecg/save', {
+            token: child.token,
+            body: { userId: child.id, bpm }
+        });
+    }
+});
+
+after(async () => {
+    await api.close();
+});
+
+async function waitForJob(id) {
+    for (let attempt = 0; attempt < 100; attempt++) {
+        const response = await api.request('GET', `/api/admin/reclassify/jobs/${id}`, { token: admin.token });
+        if (['completed', 'failed'].includes(response.body.job.status)) return response.body;
+        await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    throw new Error(`Reclassification job ${id} did not finish`);
+}
+
+test('a preview reports the changes without writing them', async () => {
+    const preview = await api.request('POST', '/api/admin/reclassify/preview', {
+        token: admin.token,
+        body: { userId: child.id, ruleSetVersion: 'v1', limit: 2 }
+    });
+
+    assert.equal(preview.status, 200);
+    assert.equal(preview.body.dryRun, true);
+    assert.equal(preview.body.scanned, 5);
+    assert.equal(preview.body.changed, 3);
+    assert.equal(preview.body.changes.length, 2);
+    assert.equal(preview.body.truncated, true);
+    assert.deepEqual(preview.body.changes[0].after, { status: 'Abnormal', kondisi: 'Takikardia', ruleSetVersion: 'v1' });
+
+    const history = await api.request('GET', `/api/ecg/history/${child.id}`, { token: child.token });
+    assert.ok(history.body.history.every((row) => row.status === 'Normal'));
+});
+
+test('a job applies the rule set in batches and records every change', async () => {
+    const started = await api.request('POST', '/api/admin/reclassify/jobs', {
+        token: admin.token,
+        body: { userId: child.id, ruleSetVersion: 'v1' }
+    });
+    assert.equal(started.status, 202);
+
+    const { job, changes } = await waitForJob(started.body.job.id);
+    assert.equal(job.status, 'completed');
+    assert.equal(job.processed_count, 5);
+    assert.equal(job.changed_count, 3);
+    assert.equal(changes.length, 3);
+
+    const history = await api.request('GET', `/api/ecg/history/${child.id}`, { token: child.token });
+    const tachycardic = history.body.history.filter((row) => row.kondisi === 'Takikardia');
+    assert.equal(tachycardic.length, 3);
+    assert.ok(tachycardic.every((row) => row.rule_set_version === 'v1'));
+
+    const resume = await api.request('POST', `/api/admin/reclassify/jobs/${job.id}/resume`, { token: admin.token });
+    assert.equal(resume.status, 409);
+    assert.equal(resume.body.code, 'JOB_ALREADY_COMPLETED');
+});
+
+test('running the current rule set again brings the results back', async () => {
+    const started = await api.request('POST', '/api/admin/reclassify/jobs', {
+        token: admin.token,
+        body: { userId: child.id }
+    });
+
+    const { job } = await waitForJob(started.body.job.id);
+    assert.equal(job.changed_count, 3);
+
+    const listed = await api.request('GET', '/api/admin/reclassify/jobs', { token: admin.token });
+    assert.equal(listed.body.count, 2);
+});
+
+test('reclassification is for admins only and checks the rule set', async () => {
+    const denied = await api.request('POST', '/api/admin/reclassify/preview', { token: child.token, body: {} });
+    assert.equal(denied.status, 403);
+
+    const unknown = await api.request('POST', '/api/admin/reclassify/jobs', {
+        token: admin.token,
+        body: { ruleSetVersion: 'v0' }
+    });
+    assert.equal(unknown.status, 400);
+
+    const missing = await api.request('GET', '/api/admin/reclassify/jobs/999999', { token: admin.token });
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.code, 'JOB_NOT_FOUND');
+});
@@ -0,0 +1,100 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser } = require('./helpers');
+
+let api;
+let patient;
+let doctor;
+let resultId;
+
+before(async () => {
+    api = await startServer();
+    patient = await createUser(api, 'review_patient');
+    doctor = await createUser(api, 'review_doctor', { role: 'clinician' });
+
+    const grant = await api.request('POST', '/api/care/grants', { token: patient.token, body: { username: doctor.username } });
+    await api.request('POST', `/api/care/invitations/${grant.body.grant.id}/accept`, { token: doctor.token });
+
+    const saved = await api.request('POST', '/api/ecg/save', {
+        token: patient.token,
+        body: { userId: patient.id, bpm: 120 }
+    });
+    resultId = saved.body.result.id;
+});
+
+after(async () => {
+    await api.close();
+});
+
+function review(reviewer, body, id = resultId) {
+    return api.request('POST', `/api/ecg/${id}/reviews`, { token: reviewer.token, body });
+}
+
+test('a note alone leaves the record unreviewed', async () => {
+    const response = await review(doctor, { note: 'Check again after rest' });
+
+    assert.equal(response.status, 201);
+    assert.equal(response.body.review.verdict, null);
+    assert.equal(response.body.review.author_username, doctor.username);
+    assert.equal(response.body.reviewStatus, 'unreviewed');
+});
+
+test('a confirmation records the automatic classification it agreed with', async () => {
+    const response = await review(doctor, { verdict: 'confirmed' });
+
+    assert.equal(response.body.reviewStatus, 'confirmed');
+    assert.equal(response.body.review.reviewed_status, 'Abnormal');
+    assert.equal(response.body.review.diagnosis, 'Takikardia');
+});
+
+test('an override keeps the automatic kondisi apart from the verdict', async () => {
+    const response = await review(doctor, { verdict: 'overridden', status: 'Normal', diagnosis: 'Sinus tachycardia after exercise' });
+    assert.equal(response.body.reviewStatus, 'overridden');
+
+    const reviews = await api.request('GET', `/api/ecg/${resultId}/reviews`, { token: patient.token });
+    assert.equal(reviews.status, 200);
+    assert.deepEqual(reviews.body.automatic, { status: 'Abnormal', kondisi: 'Takikardia' });
+    assert.equal(reviews.body.reviewStatus, 'overridden');
+    assert.equal(reviews.body.review.diagnosis, 'Sinus tachycardia after exercise');
+    assert.equal(reviews.body.count, 3);
+
+    const history = await api.request('GET', `/api/ecg/history/${patient.id}`, { token: patient.token });
+    const [row] = history.body.history;
+    assert.equal(row.kondisi, 'Takikardia');
+    assert.equal(row.review_status, 'overridden');
+    assert.equal(row.review.verdict, 'overridden');
+    assert.equal(row.review.reviewed_status, 'Normal');
+});
+
+test('only the author edits a note, and only the note', async () => {
+    const created = (await review(doctor, { note: 'first draft' })).body.review;
+    const path = `/api/ecg/${resultId}/reviews/${created.id}`;
+
+    const edited = await api.request('PUT', path, { token: doctor.token, body: { note: 'final', verdict: 'confirmed' } });
+    assert.equal(edited.status, 200);
+    assert.equal(edited.body.review.note, 'final');
+    assert.equal(edited.body.review.verdict, null);
+    assert.ok(new Date(edited.body.review.updated_at) >= new Date(created.created_at));
+
+    const admin = await createUser(api, 'review_admin', { role: 'admin' });
+    const foreign = await api.request('PUT', path, { token: admin.token, body: { note: 'not mine' } });
+    assert.equal(foreign.status, 403);
+    assert.equal(foreign.body.code, 'REVIEW_EDIT_DENIED');
+
+    assert.equal((await api.request('PUT', `/api/ecg/${resultId}/reviews/999999`, { token: doctor.token, body: { note: 'x' } })).status, 404);
+});
+
+test('reviews need a clinician with access and a complete verdict', async () => {
+    assert.equal((await review(patient, { note: 'self review' })).status, 403);
+
+    const outsider = await createUser(api, 'review_outsider', { role: 'clinician' });
+    assert.equal((await review(outsider, { verdict: 'confirmed' })).status, 404);
+    assert.equal((await api.request('GET', `/api/ecg/${resultId}/reviews`, { token: outsider.token })).status, 404);
+
+    const incomplete = await review(doctor, { verdict: 'overridden', status: 'Normal' });
+    assert.equal(incomplete.status, 400);
+    assert.equal(incomplete.body.errors[0].field, 'diagnosis');
+
+    assert.equal((await review(doctor, {})).body.errors[0].code, 'AT_LEAST_ONE_REQUIRED');
+    assert.equal((await review(doctor, { note: 'x' }, 999999)).status, 404);
+});
@@ -0,0 +1,113 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser } = require('./helpers');
+const { synthesizeEcg } = require('./ecgSignal');
+const { analyzeRhythm } = require('../ecg/rhythm');
+
+let api;
+let user;
+
+before(async () => {
+    api = await startServer();
+    user = await createUser(api, 'rhythm_user');
+});
+
+after(async () => {
+    await api.close();
+});
+
+// Deterministic RR series: uniform jitter of +-spread ms around mean
+function jittered(count, mean, spread, seed = 11) {
+    let state = seed;
+    return Array.from({ length: count }, () => {
+        state = (state * 16807) % 2147483647;
+        return Math.round(mean + (state / 2147483647 - 0.5) * 2 * spread);
+    });
+}
+
+function findingTypes(result) {
+    return result.findings.map((finding) => finding.type);
+}
+
+test('a steady sinus rhythm is regular', () => {
+    const result = analyzeRhythm(jittered(60, 800, 15));
+
+    assert.equal(result.rhythm, 'regular');
+    assert.deepEqual(result.findings, []);
+    assert.equal(result.metrics.intervalCount, 60);
+    assert.ok(result.metrics.nrmssd < 0.1);
+});
+
+test('an irregularly irregular rhythm is flagged as possible AF', () => {
+    const result = analyzeRhythm(jittered(60, 800, 300));
+    const af = result.findings.find((finding) => finding.type === 'possible_af');
+
+    assert.equal(result.rhythm, 'irregular');
+    assert.ok(af);
+    assert.equal(af.confidence, 'high');
+    assert.equal(af.criteriaMet, 3);
+});
+
+test('short recordings lower the AF confidence, and so does a poor signal', () => {
+    const short = analyzeRhythm(jittered(20, 800, 300)).findings.find((finding) => finding.type === 'possible_af');
+    assert.equal(short.confidence, 'medium');
+
+    const poor = analyzeRhythm(jittered(60, 800, 300), { signalQuality: 0.3 })
+        .findings.find((finding) => finding.type === 'possible_af');
+    assert.equal(poor.confidence, 'medium');
+});
+
+test('pauses are reported with the longest one', () => {
+    const rr = [...new Array(15).fill(800), 3500, ...new Array(15).fill(800), 2200];
+    const pause = analyzeRhythm(rr).findings.find((finding) => finding.type === 'pause');
+
+    assert.equal(pause.count, 2);
+    assert.equal(pause.longestMs, 3500);
+    assert.equal(pause.confidence, 'high');
+    assert.deepEqual(pause.pauses[0], { beatIndex: 16, durationMs: 3500 });
+});
+
+test('premature beats with a compensatory pause are counted as ectopic', () => {
+    const rr = [];
+    for (let i = 0; i < 6; i++) rr.push(800, 800, 800, 800, 800, 800, 800, 800, 560, 1040);
+
+    const result = analyzeRhythm(rr);
+    const ectopic = result.findings.find((finding) => finding.type === 'ectopic_beats');
+
+    assert.deepEqual(findingTypes(result), ['ectopic_beats']);
+    assert.equal(ectopic.count, 6);
+    assert.equal(ectopic.frequent, true);
+    assert.equal(ectopic.percentOfBeats, 9.8);
+    assert.equal(ectopic.confidence, 'medium');
+});
+
+test('fewer than 12 intervals are not screened', () => {
+    const result = analyzeRhythm(jittered(11, 800, 300));
+    assert.equal(result.rhythm, 'insufficient_data');
+    assert.deepEqual(result.findings, []);
+    assert.equal(analyzeRhythm(null).metrics.intervalCount, 0);
+});
+
+test('saved readings carry the rhythm screening', async () => {
+    const response = await api.request('POST', '/api/ecg/save', {
+        token: user.token,
+        body: { userId: user.id, bpm: 75, rrIntervals: jittered(60, 800, 300) }
+    });
+
+    assert.equal(response.status, 201);
+    assert.equal(response.body.rhythm.rhythm, 'irregular');
+    assert.ok(findingTypes(response.body.rhythm).includes('possible_af'));
+    assert.equal(response.body.result.rhythm_analysis.rhythm, 'irregular');
+});
+
+test('a waveform with an irregular rhythm is screened from its detected beats', async () => {
+    const { samples, sampleRate } = synthesizeEcg({ seconds: 40, rr: (random) => 500 + random() * 600, seed: 5 });
+
+    const response = await api.request('POST', '/api/ecg/save', {
+        token: user.token,
+        body: { userId: user.id, waveform: { sampleRate, samples } }
+    });
+
+    assert.equal(response.status, 201);
+    assert.ok(findingTypes(response.body.rhythm).includes('possible_af'));
+});
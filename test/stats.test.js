@@ -0,0 +1,123 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser } = require('./helpers');
+
+let api;
+let user;
+
+// bpm and capture time (UTC) of the seeded readings; the user is 40, so < 60 and > 100 are abnormal
+const READINGS = [
+    [70, '2026-01-05T08:00:00Z'],
+    [72, '2026-01-06T08:00:00Z'],
+    [110, '2026-01-07T08:00:00Z'],
+    [74, '2026-01-12T08:00:00Z'],
+    [76, '2026-02-02T08:00:00Z'],
+    [78, '2026-02-03T08:00:00Z'],
+    [55, '2026-02-04T08:00:00Z'],
+    [80, '2026-02-05T08:00:00Z']
+];
+
+before(async () => {
+    api = await startServer();
+    user = await createUser(api, 'stats_user', { age: 40 });
+
+    for (const [bpm, recordedAt] of READINGS) {
+        await api.request('POST', '/api/ecg/save', {
+            token: user.token,
+            body: { userId: user.id, bpm, recordedAt, timeZone: 'UTC' }
+        });
+    }
+});
+
+after(async () => {
+    await api.close();
+});
+
+function stats(query = '') {
+    return api.request('GET', `/api/ecg/stats/${user.id}${query}`, { token: user.token });
+}
+
+test('the summary covers count, range, mean, median and status counts', async () => {
+    const response = await stats('?tz=UTC');
+
+    assert.equal(response.status, 200);
+    const { summary } = response.body;
+    assert.equal(Number(summary.count), 8);
+    assert.equal(summary.min_bpm, 55);
+    assert.equal(summary.max_bpm, 110);
+    assert.equal(Number(summary.mean_bpm), 76.9);
+    assert.equal(Number(summary.median_bpm), 75);
+    assert.equal(Number(summary.normal_count), 6);
+    assert.equal(Number(summary.abnormal_count), 2);
+    assert.equal(summary.first_reading, '2026-01-05T08:00:00');
+    assert.equal(summary.last_reading, '2026-02-05T08:00:00');
+
+    const perKondisi = Object.fromEntries(response.body.perKondisi.map((row) => [row.kondisi, Number(row.count)]));
+    assert.deepEqual(perKondisi, { Normal: 6, Bradikardia: 1, Takikardia: 1 });
+    assert.equal(response.body.perKondisi[0].kondisi, 'Normal');
+});
+
+test('readings are aggregated per requested period', async () => {
+    const response = await stats('?tz=UTC&granularity=month');
+    const { aggregates } = response.body;
+
+    assert.deepEqual(Object.keys(aggregates), ['month']);
+    assert.deepEqual(aggregates.month.map((row) => [row.period, Number(row.count), Number(row.abnormal_count)]), [
+        ['2026-01-01', 4, 1],
+        ['2026-02-01', 4, 1]
+    ]);
+});
+
+test('the longest run of normal readings is reported', async () => {
+    const { longestNormalStreak } = (await stats('?tz=UTC')).body;
+
+    assert.equal(Number(longestNormalStreak.length), 3);
+    assert.equal(longestNormalStreak.started_at, '2026-01-12T08:00:00');
+    assert.equal(longestNormalStreak.ended_at, '2026-02-03T08:00:00');
+});
+
+test('the trend follows the slope of resting readings', async () => {
+    const climber = await createUser(api, 'stats_climber', { age: 40 });
+    for (let day = 1; day <= 6; day++) {
+        await api.request('POST', '/api/ecg/save', {
+            token: climber.token,
+            body: { userId: climber.id, bpm: 60 + day * 2, recordedAt: `2026-03-0${day}T08:00:00Z` }
+        });
+    }
+    // A reading after exercise does not count towards the resting trend
+    await api.request('POST', '/api/ecg/save', {
+        token: climber.token,
+        body: { userId: climber.id, bpm: 40, activity: 'post_exercise', recordedAt: '2026-03-07T08:00:00Z' }
+    });
+
+    const response = await api.request('GET', `/api/ecg/stats/${climber.id}?tz=UTC`, { token: climber.token });
+    assert.equal(response.body.trend.direction, 'rising');
+    assert.equal(response.body.trend.readings, 6);
+    assert.equal(response.body.trend.slopeBpmPer30Days, 60);
+
+    const few = await api.request('GET', `/api/ecg/stats/${climber.id}?tz=UTC&from=2026-03-03`, { token: climber.token });
+    assert.equal(few.body.trend.direction, 'insufficient_data');
+    assert.equal(few.body.trend.readings, 4);
+});
+
+test('a date range limits the statistics', async () => {
+    const response = await stats('?tz=UTC&from=2026-01-01&to=2026-01-31');
+
+    assert.equal(Number(response.body.summary.count), 4);
+    assert.equal(response.body.from, '2026-01-01');
+    assert.equal(response.body.to, '2026-01-31');
+
+    assert.equal((await stats('?from=2026-02-01&to=2026-01-01')).status, 400);
+    assert.equal((await stats('?granularity=year')).status, 400);
+});
+
+test('a user without readings gets empty statistics', async () => {
+    const empty = await createUser(api, 'stats_empty');
+    const response = await api.request('GET', `/api/ecg/stats/${empty.id}`, { token: empty.token });
+
+    assert.equal(response.status, 200);
+    assert.equal(Number(response.body.summary.count), 0);
+    assert.equal(response.body.summary.mean_bpm, null);
+    assert.deepEqual(response.body.longestNormalStreak, { length: 0, started_at: null, ended_at: null });
+    assert.equal(response.body.trend.direction, 'insufficient_data');
+});
@@ -0,0 +1,106 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+const { createStorage } = require('../storage');
+const { createMemoryStorage } = require('../storage/memory');
+
+function reading(storage, user, bpm) {
+    return storage.ecgResults.insert({
+        userId: user.id,
+        username: user.username,
+        bpm,
+        status: 'Normal',
+        kondisi: 'Normal',
+        recordedAt: '2026-05-01T00:00:00Z',
+        timeZone: 'UTC'
+    });
+}
+
+let api;
+
+before(async () => {
+    api = await startServer();
+});
+
+after(async () => {
+    await api.close();
+});
+
+test('only the known backends can be chosen', () => {
+    assert.equal(createStorage('memory').name, 'memory');
+    assert.throws(() => createStorage('sqlite'), /STORAGE_BACKEND must be one of: postgres, memory/);
+});
+
+test('the API runs and reports the backend in use', async () => {
+    const health = await api.request('GET', '/health');
+
+    assert.equal(health.status, 200);
+    assert.equal(health.body.storage, api.storage.name);
+});
+
+test('memory rows fail the way PostgreSQL rows do', async () => {
+    const storage = createMemoryStorage();
+    const user = await storage.users.create({ username: 'mem_user', passwordHash: 'x', age: '35', gender: 'male' });
+    assert.equal(user.age, 35);
+
+    await assert.rejects(
+        storage.users.create({ username: 'mem_user', passwordHash: 'y' }),
+        { code: '23505', constraint: 'users_username_key' }
+    );
+    await assert.rejects(reading(storage, user, 72.5), { code: '22P02' });
+    await assert.rejects(reading(storage, user, 2 ** 31), { code: '22003' });
+    await assert.rejects(reading(storage, user, null), { code: '23502', column: 'bpm' });
+});
+
+test('memory rows are copies, not shared references', async () => {
+    const storage = createMemoryStorage();
+    const user = await storage.users.create({ username: 'mem_copy', passwordHash: 'x' });
+
+    const found = await storage.users.findById(user.id);
+    found.username = 'changed';
+    found.created_at.setFullYear(2000);
+
+    const again = await storage.users.findById(String(user.id));
+    assert.equal(again.username, 'mem_copy');
+    assert.notEqual(again.created_at.getFullYear(), 2000);
+});
+
+test('a failed memory transaction leaves nothing behind', async () => {
+    const storage = createMemoryStorage();
+    const user = await storage.users.create({ username: 'mem_tx', passwordHash: 'x' });
+
+    await assert.rejects(storage.transaction(async (repositories) => {
+        await reading(repositories, user, 70);
+        await repositories.users.setRole(user.id, 'admin');
+        throw new Error('boom');
+    }), /boom/);
+
+    assert.equal((await storage.users.findById(user.id)).role, 'user');
+    assert.equal(await storage.ecgResults.countForUser(user.id), 0);
+
+    const committed = await storage.transaction(async (repositories) => (await reading(repositories, user, 72)).id);
+    assert.equal((await storage.ecgResults.findOwned(committed, user.id)).bpm, 72);
+});
+
+test('memory calls wait for a running transaction', async () => {
+    const storage = createMemoryStorage();
+    const order = [];
+
+    const transaction = storage.transaction(async () => {
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        order.push('transaction');
+    });
+    const lookup = storage.users.findByUsername('nobody').then(() => order.push('lookup'));
+
+    await Promise.all([transaction, lookup]);
+    assert.deepEqual(order, ['transaction', 'lookup']);
+});
+
+test('reset empties the memory backend', async () => {
+    const storage = createMemoryStorage();
+    await storage.users.create({ username: 'mem_reset', passwordHash: 'x' });
+
+    await storage.reset();
+    assert.equal(await storage.users.findByUsername('mem_reset'), null);
+    assert.equal((await storage.users.create({ username: 'mem_reset', passwordHash: 'x' })).id, 1);
+});
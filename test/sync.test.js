@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser } = require('./helpers');
+
+let api;
+let user;
+
+before(async () => {
+    api = await startServer();
+    user = await createUser(api, 'sync_user');
+});
+
+after(async () => {
+    await api.close();
+});
+
+function push(readings) {
+    return api.request('POST', '/api/ecg/sync', { token: user.token, body: { userId: user.id, readings } });
+}
+
+function pull(since) {
+    return api.request('GET', `/api/ecg/sync/${user.id}?since=${since}`, { token: user.token });
+}
+
+function reading(bpm, extra = {}) {
+    return { clientId: crypto.randomUUID(), bpm, recordedAt: '2026-05-01T07:00:00+07:00', ...extra };
+}
+
+test('a batch reports every reading on its own', async () => {
+    const response = await push([reading(72), { bpm: 70 }, reading(72.5), reading(0), reading(130)]);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.summary, { created: 2, duplicate: 0, deleted: 0, rejected: 3 });
+    assert.deepEqual(response.body.results.map((item) => item.status), ['created', 'rejected', 'rejected', 'rejected', 'created']);
+    assert.equal(response.body.results[1].errors[0].field, 'clientId');
+    assert.equal(response.body.results[2].errors[0].code, 'INVALID_TYPE');
+    assert.deepEqual(response.body.results[4].result, { status: 'Abnormal', kondisi: 'Takikardia' });
+});
+
+test('sending the same readings again stores nothing twice', async () => {
+    const batch = [reading(65), reading(66)];
+    const first = await push(batch);
+    const second = await push(batch.map((item) => ({ ...item, clientId: item.clientId.toUpperCase() })));
+
+    assert.deepEqual(second.body.summary, { created: 0, duplicate: 2, deleted: 0, rejected: 0 });
+    assert.deepEqual(second.body.results.map((item) => item.id), first.body.results.map((item) => item.id));
+
+    const save = await api.request('POST', '/api/ecg/save', {
+        token: user.token,
+        body: { userId: user.id, ...batch[0] }
+    });
+    assert.equal(save.status, 200);
+    assert.equal(save.body.duplicate, true);
+    assert.equal(save.body.result.id, first.body.results[0].id);
+});
+
+test('readings deleted on the server are not brought back by a retry', async () => {
+    const item = reading(68);
+    const { id } = (await push([item])).body.results[0];
+
+    const deleted = await api.request('DELETE', `/api/ecg/history/${user.id}/${id}`, { token: user.token });
+    assert.equal(deleted.status, 200);
+
+    const retry = await push([item]);
+    assert.deepEqual(retry.body.results[0], { index: 0, clientId: item.clientId, status: 'deleted', id });
+
+    const save = await api.request('POST', '/api/ecg/save', {
+        token: user.token,
+        body: { userId: user.id, ...item }
+    });
+    assert.equal(save.status, 409);
+    assert.equal(save.body.code, 'ECG_RESULT_DELETED');
+});
+
+test('pulls page through creations and deletions in change order', async () => {
+    const other = await createUser(api, 'sync_pull');
+    const items = [reading(70), reading(71), reading(72)];
+    const pushed = await api.request('POST', '/api/ecg/sync', {
+        token: other.token,
+        body: { userId: other.id, readings: items }
+    });
+    const ids = pushed.body.results.map((item) => item.id);
+
+    const first = await api.request('GET', `/api/ecg/sync/${other.id}?since=0&limit=2`, { token: other.token });
+    assert.equal(first.body.hasMore, true);
+    assert.deepEqual(first.body.changes.map((row) => row.id), ids.slice(0, 2));
+
+    const rest = await api.request('GET', `/api/ecg/sync/${other.id}?since=${first.body.nextSince}`, { token: other.token });
+    assert.equal(rest.body.hasMore, false);
+    assert.deepEqual(rest.body.changes.map((row) => row.id), [ids[2]]);
+
+    await api.request('DELETE', `/api/ecg/history/${other.id}/${ids[0]}`, { token: other.token });
+
+    const afterDelete = await api.request('GET', `/api/ecg/sync/${other.id}?since=${rest.body.nextSince}`, { token: other.token });
+    assert.deepEqual(afterDelete.body.changes, []);
+    assert.equal(afterDelete.body.deletions.length, 1);
+    assert.equal(afterDelete.body.deletions[0].id, ids[0]);
+
+    const nothing = await api.request('GET', `/api/ecg/sync/${other.id}?since=${afterDelete.body.nextSince}`, { token: other.token });
+    assert.deepEqual(nothing.body.changes, []);
+    assert.deepEqual(nothing.body.deletions, []);
+    assert.equal(nothing.body.nextSince, afterDelete.body.nextSince);
+});
+
+test('sync is limited to the caller and to valid batches', async () => {
+    const stranger = await createUser(api, 'sync_stranger');
+
+    const foreignPush = await api.request('POST', '/api/ecg/sync', {
+        token: stranger.token,
+        body: { userId: user.id, readings: [reading(70)] }
+    });
+    assert.equal(foreignPush.status, 403);
+
+    const foreignPull = await api.request('GET', `/api/ecg/sync/${user.id}`, { token: stranger.token });
+    assert.equal(foreignPull.status, 403);
+
+    assert.equal((await push([])).status, 400);
+    assert.equal((await pull(-1)).status, 400);
+});
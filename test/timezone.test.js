@@ -0,0 +1,107 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser } = require('./helpers');
+const {
+    DEFAULT_TIME_ZONE,
+    resolveTimeZone,
+    parseCaptureTime,
+    toLocalDateTime,
+    fromLocalDateTime,
+    truncateLocalDate
+} = require('../utils/timezone');
+
+let api;
+let user;
+
+before(async () => {
+    api = await startServer();
+    user = await createUser(api, 'tz_user');
+});
+
+after(async () => {
+    await api.close();
+});
+
+function save(body) {
+    return api.request('POST', '/api/ecg/save', {
+        token: user.token,
+        body: { userId: user.id, bpm: 70, ...body }
+    });
+}
+
+test('the first valid zone wins, else the default', () => {
+    assert.equal(resolveTimeZone('Europe/Berlin', 'Asia/Jakarta'), 'Europe/Berlin');
+    assert.equal(resolveTimeZone(undefined, 'Not/AZone', 'Asia/Makassar'), 'Asia/Makassar');
+    assert.equal(resolveTimeZone(null), DEFAULT_TIME_ZONE);
+});
+
+test('capture times need an explicit offset and a plausible instant', () => {
+    const now = Date.parse('2026-06-01T00:00:00Z');
+
+    assert.equal(parseCaptureTime('2026-05-01T19:30:00+07:00', now).date.toISOString(), '2026-05-01T12:30:00.000Z');
+    assert.equal(parseCaptureTime(Date.parse('2026-05-01T00:00:00Z'), now).date.toISOString(), '2026-05-01T00:00:00.000Z');
+    assert.match(parseCaptureTime('2026-05-01T19:30:00', now).error, /offset/);
+    assert.match(parseCaptureTime('2026-07-01T00:00:00Z', now).error, /outside/);
+    assert.match(parseCaptureTime('1999-12-31T00:00:00Z', now).error, /outside/);
+});
+
+test('instants convert to and from local wall-clock time', () => {
+    assert.deepEqual(toLocalDateTime(new Date('2026-03-01T20:00:00Z'), 'Asia/Jakarta'), { date: '2026-03-02', time: '03:00:00' });
+    assert.equal(fromLocalDateTime('2026-03-02', '03:00', 'Asia/Jakarta').toISOString(), '2026-03-01T20:00:00.000Z');
+
+    // 02:30 does not exist on the day New York springs forward; it resolves to after the gap
+    assert.equal(fromLocalDateTime('2026-03-08', '02:30', 'America/New_York').toISOString(), '2026-03-08T07:30:00.000Z');
+    assert.equal(fromLocalDateTime('2026-03-08', '25:00', 'America/New_York'), null);
+});
+
+test('local dates truncate to their week and month', () => {
+    assert.equal(truncateLocalDate('2026-03-05', 'week'), '2026-03-02');
+    assert.equal(truncateLocalDate('2026-03-01', 'week'), '2026-02-23');
+    assert.equal(truncateLocalDate('2026-03-05', 'month'), '2026-03-01');
+    assert.equal(truncateLocalDate('2026-03-05', 'day'), '2026-03-05');
+});
+
+test('readings keep the capture instant and the local time of the phone', async () => {
+    const response = await save({ recordedAt: '2026-03-01T23:30:00+07:00', timeZone: 'Asia/Jakarta' });
+
+    assert.equal(response.status, 201);
+    assert.equal(new Date(response.body.result.recorded_at).toISOString(), '2026-03-01T16:30:00.000Z');
+    assert.equal(response.body.result.timezone, 'Asia/Jakarta');
+    assert.equal(response.body.result.waktu, '23:30:00');
+});
+
+test('history shows local dates in the requested zone', async () => {
+    await save({ recordedAt: '2026-04-10T02:00:00+07:00', timeZone: 'Asia/Jakarta' });
+
+    const jakarta = await api.request('GET', `/api/ecg/history/${user.id}?tz=Asia/Jakarta&from=2026-04-10&to=2026-04-10`, {
+        token: user.token
+    });
+    assert.equal(jakarta.body.count, 1);
+    assert.equal(jakarta.body.history[0].local_date, '2026-04-10');
+    assert.equal(jakarta.body.history[0].local_time, '02:00:00');
+
+    // The same instant is still the previous evening in New York
+    const newYork = await api.request('GET', `/api/ecg/history/${user.id}?tz=America/New_York&from=2026-04-09&to=2026-04-09`, {
+        token: user.token
+    });
+    assert.equal(newYork.body.timezone, 'America/New_York');
+    assert.equal(newYork.body.count, 1);
+    assert.equal(newYork.body.history[0].local_time, '15:00:00');
+});
+
+test("the profile zone is the default for a user's listings", async () => {
+    const updated = await api.request('PUT', '/api/profile/update', {
+        token: user.token,
+        body: { userId: user.id, username: user.username, age: 35, gender: 'male', timezone: 'Asia/Tokyo' }
+    });
+    assert.equal(updated.status, 200);
+
+    const history = await api.request('GET', `/api/ecg/history/${user.id}`, { token: user.token });
+    assert.equal(history.body.timezone, 'Asia/Tokyo');
+});
+
+test('invalid zones and capture times are rejected', async () => {
+    assert.equal((await save({ timeZone: 'Mars/Olympus' })).status, 400);
+    assert.equal((await save({ recordedAt: '2026-03-01 10:00' })).status, 400);
+    assert.equal((await api.request('GET', `/api/ecg/history/${user.id}?tz=Nowhere`, { token: user.token })).status, 400);
+});
@@ -0,0 +1,139 @@
+// A retention period of about 0.1 s, so trashed results fall due for the purge within the test
+process.env.ECG_TRASH_RETENTION_DAYS = '0.000001';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser } = require('./helpers');
+const { purgeExpiredTrash } = require('../jobs/trash');
+
+let api;
+let user;
+let admin;
+
+before(async () => {
+    api = await startServer();
+    user = await createUser(api, 'trash_user', { password: 'secret123' });
+    admin = await createUser(api, 'trash_admin', { role: 'admin' });
+});
+
+after(async () => {
+    await api.close();
+});
+
+async function save(owner, bpm) {
+    const response = await api.request('POST', '/api/ecg/save', {
+        token: owner.token,
+        body: { userId: owner.id, bpm }
+    });
+    return response.body.result.id;
+}
+
+function history(owner) {
+    return api.request('GET', `/api/ecg/history/${owner.id}`, { token: owner.token });
+}
+
+function trash(owner, token = owner.token) {
+    return api.request('GET', `/api/ecg/trash/${owner.id}`, { token });
+}
+
+function auditLog(query) {
+    return api.request('GET', `/api/admin/audit-log?${new URLSearchParams(query)}`, { token: admin.token });
+}
+
+test('deleted results go to the trash and can be restored', async () => {
+    const first = await save(user, 72);
+    const second = await save(user, 130);
+
+    const deleted = await api.request('DELETE', `/api/ecg/history/${user.id}/${first}`, { token: user.token });
+    assert.equal(deleted.status, 200);
+    assert.ok(deleted.body.restorableUntil);
+    assert.equal((await api.request('DELETE', `/api/ecg/history/${user.id}/${first}`, { token: user.token })).status, 404);
+
+    const all = await api.request('DELETE', `/api/ecg/history/${user.id}`, { token: user.token });
+    assert.equal(all.body.deletedCount, 1);
+    assert.equal((await history(user)).body.count, 0);
+
+    const listed = await trash(user);
+    assert.deepEqual(listed.body.trash.map((row) => row.id), [second, first]);
+    assert.ok(listed.body.trash.every((row) => row.purge_after && row.local_date));
+    assert.equal((await trash(user, admin.token)).status, 200);
+
+    const restored = await api.request('POST', `/api/ecg/trash/${user.id}/restore`, {
+        token: user.token,
+        body: { ids: [first, 99999] }
+    });
+    assert.equal(restored.status, 200);
+    assert.deepEqual(restored.body.restoredIds, [first]);
+    assert.deepEqual(restored.body.notFound, [99999]);
+    assert.deepEqual((await history(user)).body.history.map((row) => row.id), [first]);
+
+    const missing = await api.request('POST', `/api/ecg/trash/${user.id}/restore`, { token: user.token, body: { ids: [99999] } });
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.code, 'TRASH_RECORD_NOT_FOUND');
+
+    const rest = await api.request('POST', `/api/ecg/trash/${user.id}/restore`, { token: user.token, body: {} });
+    assert.deepEqual(rest.body.restoredIds, [second]);
+    assert.equal((await history(user)).body.count, 2);
+});
+
+test('results deleted from the trash are gone for good', async () => {
+    const id = await save(user, 80);
+    await api.request('DELETE', `/api/ecg/history/${user.id}/${id}`, { token: user.token });
+
+    const purged = await api.request('DELETE', `/api/ecg/trash/${user.id}/${id}`, { token: user.token });
+    assert.equal(purged.status, 200);
+    assert.equal(purged.body.purgedRecordId, id);
+    assert.equal((await api.request('DELETE', `/api/ecg/trash/${user.id}/${id}`, { token: user.token })).status, 404);
+
+    const restored = await api.request('POST', `/api/ecg/trash/${user.id}/restore`, { token: user.token, body: { ids: [id] } });
+    assert.equal(restored.status, 404);
+
+    // Only the owner empties their trash; admins can look and restore but not purge
+    assert.equal((await api.request('DELETE', `/api/ecg/trash/${user.id}`, { token: admin.token })).status, 403);
+});
+
+test('the purge deletes results older than the retention period and logs them as the system', async () => {
+    const id = await save(user, 90);
+    await api.request('DELETE', `/api/ecg/history/${user.id}/${id}`, { token: user.token });
+
+    await new Promise((resolve) => setTimeout(resolve, 150));
+    await purgeExpiredTrash(api.storage);
+    assert.equal((await trash(user)).body.count, 0);
+
+    const [entry] = (await auditLog({ action: 'ecg.purge', entityId: id })).body.entries;
+    assert.equal(entry.actor_id, null);
+    assert.equal(entry.actor_role, 'system');
+    assert.equal(entry.before.bpm, 90);
+    assert.equal(entry.after, null);
+});
+
+test('the audit log keeps the values before and after each change', async () => {
+    const updated = await api.request('PUT', '/api/profile/update', {
+        token: user.token,
+        body: { userId: user.id, username: user.username, age: 36, gender: 'male', oldPassword: 'secret123', newPassword: 'secret456' }
+    });
+    assert.equal(updated.status, 200);
+
+    const [profile] = (await auditLog({ action: 'profile.update', userId: user.id })).body.entries;
+    assert.equal(profile.actor_id, user.id);
+    assert.equal(profile.actor_username, user.username);
+    assert.deepEqual(profile.before, { age: 35, password: '[redacted]' });
+    assert.deepEqual(profile.after, { age: 36, password: '[redacted]' });
+
+    const deletes = (await auditLog({ action: 'ecg.delete', userId: user.id })).body.entries;
+    assert.equal(deletes.length, 4);
+    assert.equal(deletes[0].before.deleted_at, null);
+    assert.ok(deletes[0].after.deleted_at);
+
+    const restores = (await auditLog({ action: 'ecg.restore', userId: user.id })).body.entries;
+    assert.equal(restores.length, 2);
+    assert.equal(restores[0].after.deleted_at, null);
+
+    const page = await auditLog({ userId: user.id, limit: 2 });
+    assert.equal(page.body.count, 2);
+    const next = await auditLog({ userId: user.id, limit: 2, beforeId: page.body.nextBeforeId });
+    assert.ok(next.body.entries.every((entry) => entry.id < page.body.nextBeforeId));
+
+    assert.equal((await api.request('GET', '/api/admin/audit-log', { token: user.token })).status, 403);
+    assert.equal((await auditLog({ action: 'ecg.archive' })).status, 400);
+});
@@ -0,0 +1,66 @@
+// /api/users/all and /api/users/check-username share one rate limit bucket, kept small here
+process.env.USERNAME_CHECK_RATE_LIMIT = '30';
+process.env.USERS_ALL_SUNSET = '2099-01-01T00:00:00Z';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser } = require('./helpers');
+
+let api;
+
+before(async () => {
+    api = await startServer();
+    await createUser(api, 'users_taken');
+});
+
+after(async () => {
+    await api.close();
+});
+
+test('check-username tells whether a username is taken', async () => {
+    const taken = await api.request('GET', '/api/users/check-username?username=users_taken');
+    assert.equal(taken.status, 200);
+    assert.equal(taken.body.exists, true);
+    assert.equal(taken.body.available, false);
+
+    const free = await api.request('GET', '/api/users/check-username?username=users_free');
+    assert.equal(free.body.exists, false);
+    assert.equal(free.body.available, true);
+
+    const missing = await api.request('GET', '/api/users/check-username');
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.code, 'VALIDATION_FAILED');
+});
+
+test('the deprecated /api/users/all only returns usernames', async () => {
+    const response = await api.request('GET', '/api/users/all');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.deprecated, true);
+    assert.ok(response.body.users.length >= 1);
+    response.body.users.forEach((user) => assert.deepEqual(Object.keys(user), ['username']));
+    assert.ok(response.body.users.some((user) => user.username === 'users_taken'));
+});
+
+test('the deprecated /api/users/all announces its removal', async () => {
+    const response = await api.request('GET', '/api/users/all');
+
+    assert.equal(response.headers.get('deprecation'), 'true');
+    assert.equal(response.headers.get('sunset'), new Date('2099-01-01T00:00:00Z').toUTCString());
+    assert.match(response.headers.get('link'), /<\/api\/users\/check-username>; rel="successor-version"/);
+    assert.match(response.headers.get('warning'), /removed on 2099-01-01/);
+});
+
+test('both lookups are rate limited together', async () => {
+    let response;
+    for (let i = 0; i < 30; i++) {
+        const path = i % 2 === 0 ? '/api/users/all' : '/api/users/check-username?username=users_free';
+        response = await api.request('GET', path);
+        if (response.status === 429) break;
+    }
+
+    assert.equal(response.status, 429);
+    assert.equal(response.body.code, 'RATE_LIMITED');
+    assert.ok(Number(response.headers.get('retry-after')) > 0);
+    assert.equal(response.headers.get('ratelimit-limit'), '30');
+});
@@ -0,0 +1,134 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser } = require('./helpers');
+const { resolveLocale, translate } = require('../utils/i18n');
+const { validateRequest, integer, string, oneOf } = require('../validation/rules');
+
+let api;
+let user;
+
+before(async () => {
+    api = await startServer();
+    user = await createUser(api, 'valid_user');
+});
+
+after(async () => {
+    await api.close();
+});
+
+function register(body, headers) {
+    return api.request('POST', '/api/auth/register', { body, headers });
+}
+
+test('Accept-Language picks the best supported locale', () => {
+    assert.equal(resolveLocale('id-ID,id;q=0.9,en;q=0.8'), 'id');
+    assert.equal(resolveLocale('fr;q=1, en;q=0.5, id;q=0.7'), 'id');
+    assert.equal(resolveLocale('in'), 'id');
+    assert.equal(resolveLocale('de'), 'en');
+    assert.equal(resolveLocale(undefined), 'en');
+});
+
+test('messages fill in their placeholders in the chosen language', () => {
+    assert.equal(translate('en', 'TOO_LARGE', { field: 'bpm', max: 300 }), 'bpm must be at most 300');
+    assert.equal(translate('id', 'INVALID_TYPE', { field: 'age', expected: 'integer' }), 'age harus berupa bilangan bulat');
+    assert.equal(translate('id', 'NO_SUCH_CODE'), 'NO_SUCH_CODE');
+});
+
+test('schemas normalise valid values and collect every field error', () => {
+    const schema = {
+        query: { limit: integer({ min: 1 }) },
+        body: { name: string({ required: true }), kind: oneOf(['a', 'b']) }
+    };
+
+    const valid = validateRequest(schema, { query: { limit: '5' }, body: { name: '  x  ', extra: 1 } });
+    assert.deepEqual(valid, { values: { query: { limit: 5 }, body: { name: 'x' } }, errors: [] });
+
+    const invalid = validateRequest(schema, { query: { limit: '1.5' }, body: { name: ' ', kind: 'c' } });
+    assert.deepEqual(invalid.errors.map((error) => [error.in, error.field, error.code]), [
+        ['query', 'limit', 'INVALID_TYPE'],
+        ['body', 'name', 'REQUIRED'],
+        ['body', 'kind', 'INVALID_CHOICE']
+    ]);
+});
+
+test('invalid bodies get one envelope with field-level errors', async () => {
+    const response = await register({ username: 'ab', password: 'secret123', age: 'old', gender: 'robot' });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.success, false);
+    assert.equal(response.body.code, 'VALIDATION_FAILED');
+    assert.deepEqual(response.body.errors.map((error) => [error.in, error.field, error.code]), [
+        ['body', 'username', 'TOO_SHORT'],
+        ['body', 'age', 'INVALID_TYPE'],
+        ['body', 'gender', 'INVALID_CHOICE']
+    ]);
+    assert.equal(response.body.message, response.body.errors[0].message);
+});
+
+test('messages follow Accept-Language', async () => {
+    const indonesian = await register({ username: 'valid_user', password: 'secret123', age: 30, gender: 'female' }, {
+        'Accept-Language': 'id-ID,id;q=0.9'
+    });
+    assert.equal(indonesian.status, 400);
+    assert.equal(indonesian.body.code, 'USERNAME_TAKEN');
+    assert.equal(indonesian.body.message, 'Username sudah digunakan');
+    assert.equal(indonesian.headers.get('content-language'), 'id');
+
+    const english = await register({ username: 'valid_user', password: 'secret123', age: 30, gender: 'female' });
+    assert.equal(english.body.message, 'Username is already taken');
+    assert.equal(english.headers.get('content-language'), 'en');
+});
+
+test('readings and ids are type-checked', async () => {
+    const save = (body) => api.request('POST', '/api/ecg/save', {
+        token: user.token,
+        body: { userId: user.id, ...body }
+    });
+
+    const decimal = await save({ bpm: 72.5 });
+    assert.equal(decimal.status, 400);
+    assert.equal(decimal.body.errors[0].code, 'INVALID_TYPE');
+
+    assert.equal((await save({ bpm: -5 })).body.errors[0].code, 'TOO_SMALL');
+    assert.equal((await save({ bpm: 'fast' })).status, 400);
+    assert.equal((await save({})).body.errors[0].code, 'BPM_OR_WAVEFORM_REQUIRED');
+    assert.equal((await save({ bpm: 70, userId: 'me' })).body.errors[0].field, 'userId');
+
+    const params = await api.request('GET', '/api/profile/abc', { token: user.token });
+    assert.equal(params.status, 400);
+    assert.equal(params.body.errors[0].in, 'params');
+});
+
+test('impossible dates are rejected as invalid, not as server errors', async () => {
+    for (const path of [`/api/ecg/history/${user.id}?from=2024-13-45`, `/api/ecg/stats/${user.id}?to=2024-02-30`]) {
+        const response = await api.request('GET', path, { token: user.token });
+        assert.equal(response.status, 400);
+        assert.equal(response.body.errors[0].code, 'INVALID_DATE');
+    }
+});
+
+test('malformed JSON and unknown endpoints use the same envelope', async () => {
+    const json = await api.request('POST', '/api/auth/login', { body: '{"username":' });
+    assert.equal(json.status, 400);
+    assert.equal(json.body.code, 'INVALID_JSON');
+
+    const missing = await api.request('GET', '/api/nothing-here', { headers: { 'Accept-Language': 'id' } });
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.code, 'ENDPOINT_NOT_FOUND');
+    assert.equal(missing.body.message, 'Endpoint tidak ditemukan');
+});
+
+test('server errors do not reveal their details', async () => {
+    const getProfile = api.storage.users.getProfile;
+    api.storage.users.getProfile = async () => {
+        throw new Error('connection to 10.0.0.5 refused');
+    };
+
+    try {
+        const response = await api.request('GET', `/api/profile/${user.id}`, { token: user.token });
+        assert.equal(response.status, 500);
+        assert.deepEqual(response.body, { success: false, code: 'INTERNAL_ERROR', message: 'Internal server error' });
+    } finally {
+        api.storage.users.getProfile = getProfile;
+    }
+});
@@ -0,0 +1,152 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser } = require('./helpers');
+const { synthesizeEcg } = require('./ecgSignal');
+const {
+    parseWaveformJson,
+    parseWaveformBinary,
+    encodeSamples,
+    decodeLead,
+    downsample,
+    toMillivolts
+} = require('../ecg/waveform');
+
+let api;
+let owner;
+
+before(async () => {
+    api = await startServer();
+    owner = await createUser(api, 'wave_owner');
+});
+
+after(async () => {
+    await api.close();
+});
+
+async function saveReading(user, bpm = 70) {
+    const response = await api.request('POST', '/api/ecg/save', {
+        token: user.token,
+        body: { userId: user.id, bpm }
+    });
+    return response.body.result;
+}
+
+test('JSON waveforms are parsed, with the single-lead shorthand', () => {
+    const { waveform } = parseWaveformJson({ sampleRate: 250, samples: [1, 2, 3] });
+
+    assert.equal(waveform.sampleRate, 250);
+    assert.equal(waveform.encoding, 'int16');
+    assert.equal(waveform.units, 'mV');
+    assert.deepEqual(waveform.leads, [{ name: 'I' }]);
+    assert.deepEqual(waveform.data, [[1, 2, 3]]);
+
+    const float = parseWaveformJson({ sampleRate: 250, leads: [{ name: 'II', samples: [0.5, -0.25] }] });
+    assert.equal(float.waveform.encoding, 'float32');
+});
+
+test('invalid JSON waveforms are rejected with a reason', () => {
+    assert.match(parseWaveformJson({ samples: [1] }).error, /sampleRate/);
+    assert.match(parseWaveformJson({ sampleRate: 250 }).error, /at least one lead/);
+    assert.match(parseWaveformJson({ sampleRate: 250, samples: [1, 'x'] }).error, /non-numeric/);
+    assert.match(parseWaveformJson({
+        sampleRate: 250,
+        leads: [{ samples: [1, 2] }, { samples: [1] }]
+    }).error, /same number of samples/);
+});
+
+test('binary waveforms are read lead-major from the query metadata', () => {
+    const buffer = Buffer.alloc(8);
+    [10, 20, -10, -20].forEach((value, i) => buffer.writeInt16LE(value, i * 2));
+
+    const { waveform } = parseWaveformBinary(buffer, { sampleRate: '500', gain: '200', leads: 'I,II' });
+    assert.equal(waveform.units, 'adc');
+    assert.deepEqual(waveform.data, [[10, 20], [-10, -20]]);
+
+    assert.match(parseWaveformBinary(Buffer.alloc(3), { sampleRate: '500' }).error, /Body length/);
+    assert.match(parseWaveformBinary(buffer, { sampleRate: '500', encoding: 'int8' }).error, /encoding/);
+});
+
+test('stored samples decode back, sliced, downsampled and in millivolts', () => {
+    const { waveform } = parseWaveformJson({ sampleRate: 4, gain: 100, baseline: 10, leads: [
+        { name: 'I', samples: [10, 110, 210, 310] },
+        { name: 'II', samples: [0, 1, 2, 3] }
+    ] });
+    const row = {
+        samples: encodeSamples(waveform),
+        encoding: waveform.encoding,
+        samples_per_lead: waveform.samplesPerLead,
+        gain: 100,
+        baseline: 10
+    };
+
+    assert.deepEqual(decodeLead(row, 1), [0, 1, 2, 3]);
+    assert.deepEqual(decodeLead(row, 0, 1, 3), [110, 210]);
+    assert.deepEqual(toMillivolts(decodeLead(row, 0), row), [0, 1, 2, 3]);
+    assert.deepEqual(downsample([1, 3, 5, 7, 9], 2), [2, 6, 9]);
+});
+
+test('a waveform uploaded for a reading is analysed and can be read back', async () => {
+    const result = await saveReading(owner);
+    const { samples, sampleRate } = synthesizeEcg({ seconds: 20, rr: () => 750 });
+
+    const upload = await api.request('PUT', `/api/ecg/${result.id}/waveform`, {
+        token: owner.token,
+        body: { sampleRate, samples }
+    });
+    assert.equal(upload.status, 201);
+    assert.equal(upload.body.waveform.samples_per_lead, samples.length);
+    assert.equal(Math.round(upload.body.analysis.heartRate), 80);
+
+    const slice = await api.request('GET', `/api/ecg/${result.id}/waveform?start=2&end=4&downsample=5`, {
+        token: owner.token
+    });
+    assert.equal(slice.status, 200);
+    assert.equal(slice.body.waveform.sampleRate, 50);
+    assert.equal(slice.body.waveform.start, 2);
+    assert.equal(slice.body.waveform.leads[0].samples.length, 100);
+
+    // Stored as float32, so compare with a tolerance
+    const firstBlock = samples.slice(500, 505).reduce((sum, value) => sum + value, 0) / 5;
+    assert.ok(Math.abs(slice.body.waveform.leads[0].samples[0] - firstBlock) < 1e-4);
+});
+
+test('binary waveform uploads are accepted', async () => {
+    const result = await saveReading(owner);
+    const buffer = Buffer.alloc(2500 * 2);
+    synthesizeEcg({ seconds: 10 }).samples.forEach((value, i) => buffer.writeInt16LE(Math.round(value * 200), i * 2));
+
+    const upload = await api.request('PUT', `/api/ecg/${result.id}/waveform?sampleRate=250&gain=200`, {
+        token: owner.token,
+        headers: { 'Content-Type': 'application/octet-stream' },
+        body: buffer
+    });
+    assert.equal(upload.status, 201);
+    assert.equal(upload.body.waveform.encoding, 'int16');
+});
+
+test("other users can neither upload nor read a reading's waveform", async () => {
+    const result = await saveReading(owner);
+    const stranger = await createUser(api, 'wave_stranger');
+
+    const upload = await api.request('PUT', `/api/ecg/${result.id}/waveform`, {
+        token: stranger.token,
+        body: { sampleRate: 250, samples: [1, 2, 3] }
+    });
+    assert.equal(upload.status, 404);
+    assert.equal(upload.body.code, 'ECG_RECORD_NOT_FOUND');
+
+    const read = await api.request('GET', `/api/ecg/${result.id}/waveform`, { token: stranger.token });
+    assert.equal(read.status, 404);
+    assert.equal(read.body.code, 'WAVEFORM_NOT_FOUND');
+});
+
+test('invalid waveform uploads get a validation error', async () => {
+    const result = await saveReading(owner);
+
+    const response = await api.request('PUT', `/api/ecg/${result.id}/waveform`, {
+        token: owner.token,
+        body: { sampleRate: 0, samples: [1] }
+    });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.errors[0].code, 'INVALID_WAVEFORM');
+});
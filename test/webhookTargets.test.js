@@ -0,0 +1,99 @@
+// Webhook targets are checked as in production here: WEBHOOK_ALLOW_PRIVATE_TARGETS is not set
+process.env.WEBHOOK_MAX_ATTEMPTS = '1';
+
+const http = require('http');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser } = require('./helpers');
+const { isPrivateAddress, isAllowedWebhookUrl, lookupPublicAddress } = require('../utils/webhookTargets');
+
+let api;
+let user;
+let receiver;
+let port;
+
+// Requests that reached the local receiver; there should be none
+let received = 0;
+
+before(async () => {
+    api = await startServer();
+    user = await createUser(api, 'target_user', { age: 40 });
+
+    receiver = http.createServer((req, res) => {
+        received += 1;
+        res.end();
+    });
+    await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+    port = receiver.address().port;
+});
+
+after(async () => {
+    await new Promise((resolve) => receiver.close(resolve));
+    await api.close();
+});
+
+async function waitFor(condition, description) {
+    for (let attempt = 0; attempt < 100; attempt++) {
+        const value = await condition();
+        if (value) return value;
+        await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    throw new Error(`Timed out waiting for ${description}`);
+}
+
+test('loopback, private, link-local and reserved addresses are private', () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1',
+        '0.0.0.0', '224.0.0.1', '::1', '::', 'fe80::1', 'fd00::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe']) {
+        assert.equal(isPrivateAddress(address), true, address);
+    }
+    for (const address of ['8.8.8.8', '172.32.0.1', '2606:4700::1111', 'example.com']) {
+        assert.equal(isPrivateAddress(address), false, address);
+    }
+
+    assert.equal(isAllowedWebhookUrl('https://hooks.example.com/ecg'), true);
+    assert.equal(isAllowedWebhookUrl('http://LOCALHOST./x'), false);
+    assert.equal(isAllowedWebhookUrl('http://api.localhost/x'), false);
+    assert.equal(isAllowedWebhookUrl('http://[::1]:8080/x'), false);
+    // The URL parser turns other spellings of 127.0.0.1 into the dotted form
+    assert.equal(isAllowedWebhookUrl('http://2130706433/x'), false);
+});
+
+test('host names are refused when they resolve to a private address', async () => {
+    const error = await new Promise((resolve) => lookupPublicAddress('localhost', {}, resolve));
+    assert.match(error.message, /localhost resolves to .*, which webhooks may not target/);
+});
+
+test('webhooks cannot be saved for private targets', async () => {
+    for (const url of [`http://127.0.0.1:${port}/hook`, 'http://localhost/hook', 'http://169.254.169.254/latest/meta-data',
+        'http://10.0.0.5/hook', 'http://192.168.1.10/hook', 'http://[::1]/hook', 'http://[fe80::1]/hook']) {
+        const response = await api.request('POST', `/api/alerts/webhooks/${user.id}`, { token: user.token, body: { url } });
+        assert.equal(response.status, 400, url);
+        assert.equal(response.body.errors[0].code, 'WEBHOOK_TARGET_NOT_ALLOWED');
+    }
+
+    const allowed = await api.request('POST', `/api/alerts/webhooks/${user.id}`, {
+        token: user.token,
+        body: { url: 'https://hooks.example.com/ecg' }
+    });
+    assert.equal(allowed.status, 201);
+    await api.request('DELETE', `/api/alerts/webhooks/${user.id}/${allowed.body.webhook.id}`, { token: user.token });
+});
+
+test('deliveries to private targets fail without a request being sent', async () => {
+    // As if saved before the check existed, or with the flag on at the time
+    const webhooks = [];
+    for (const url of [`http://127.0.0.1:${port}/hook`, `http://localhost:${port}/hook`]) {
+        webhooks.push(await api.storage.webhooks.create(user.id, { url, secret: 'x'.repeat(64) }));
+    }
+    await api.request('POST', `/api/alerts/rules/${user.id}`, { token: user.token, body: { type: 'abnormal' } });
+    await api.request('POST', '/api/ecg/save', { token: user.token, body: { userId: user.id, bpm: 130 } });
+
+    for (const webhook of webhooks) {
+        const [delivery] = await waitFor(async () => {
+            const log = await api.request('GET', `/api/alerts/webhooks/${user.id}/${webhook.id}/deliveries`, { token: user.token });
+            return log.body.deliveries[0] && log.body.deliveries[0].status === 'failed' && log.body.deliveries;
+        }, `the delivery to ${webhook.url}`);
+        assert.match(delivery.attempt_log[0].error, /webhooks may not target/);
+    }
+    assert.equal(received, 0);
+});
@@ -0,0 +1,89 @@
+// Audit log entries: ECG results moved to the trash (ecg.delete), taken out of it (ecg.restore) or
+// deleted for good (ecg.purge), and changes to a user's profile (profile.update) or role (profile.role).
+// Entries keep the values before and after the change; password hashes are never logged.
+
+const AUDIT_ACTIONS = ['ecg.delete', 'ecg.restore', 'ecg.purge', 'profile.update', 'profile.role'];
+
+// Actor of changes the server makes by itself, such as the trash purge
+const SYSTEM_ACTOR = { id: null, role: 'system' };
+
+// Marks a changed password in before / after
+const REDACTED = '[redacted]';
+
+// What the log keeps of an ECG result
+function ecgSnapshot(row, deletedAt) {
+    return {
+        client_id: row.client_id,
+        recorded_at: row.recorded_at,
+        bpm: row.bpm,
+        status: row.status,
+        kondisi: row.kondisi,
+        deleted_at: deletedAt
+    };
+}
+
+// One entry per result returned by trashOne / trashAllForUser (ecg.delete), restore (ecg.restore)
+// or purgeTrash / purgeExpiredTrash (ecg.purge). actor is req.user or SYSTEM_ACTOR.
+function ecgAuditEntries(actor, action, rows) {
+    return rows.map((row) => {
+        let before;
+        let after;
+        if (action === 'ecg.delete') {
+            before = ecgSnapshot(row, null);
+            after = ecgSnapshot(row, row.deleted_at);
+        } else if (action === 'ecg.restore') {
+            before = ecgSnapshot(row, row.trashed_at);
+            after = ecgSnapshot(row, null);
+        } else {
+            before = ecgSnapshot(row, row.deleted_at);
+            after = null;
+        }
+
+        return {
+            actorId: actor.id,
+            actorRole: actor.role,
+            action,
+            entityType: 'ecg_result',
+            entityId: row.id,
+            userId: row.user_id,
+            before,
+            after
+        };
+    });
+}
+
+// Entry for a change to a user, keeping only the fields that changed; null when nothing did.
+// passwordChanged adds a redacted password field to both sides.
+function userAuditEntry(actor, action, userId, previous, current, { passwordChanged = false } = {}) {
+    const before = {};
+    const after = {};
+    Object.keys(current).forEach((field) => {
+        if (String(previous[field]) !== String(current[field])) {
+            before[field] = previous[field];
+            after[field] = current[field];
+        }
+    });
+    if (passwordChanged) {
+        before.password = REDACTED;
+        after.password = REDACTED;
+    }
+    if (Object.keys(after).length === 0) return null;
+
+    return {
+        actorId: actor.id,
+        actorRole: actor.role,
+        action,
+        entityType: 'user',
+        entityId: userId,
+        userId,
+        before,
+        after
+    };
+}
+
+module.exports = {
+    AUDIT_ACTIONS,
+    SYSTEM_ACTOR,
+    ecgAuditEntries,
+    userAuditEntry
+};
@@ -0,0 +1,43 @@
+// Error responses share one envelope:
+//   { success: false, code, message, errors?: [{ in, field, code, message }] }
+// code is stable and meant for clients; message is localised (see utils/i18n.js).
+
+const { translate } = require('./i18n');
+
+// Field errors with their localised messages
+function localizeErrors(locale, errors) {
+    return errors.map((error) => ({
+        in: error.in,
+        field: error.field,
+        code: error.code,
+        message: translate(locale, error.code, { field: error.field, ...error.params })
+    }));
+}
+
+function sendError(req, res, status, code, params = {}, extra = {}) {
+    return res.status(status).json({
+        success: false,
+        code,
+        message: translate(req.locale, code, params),
+        ...extra
+    });
+}
+
+// 400 with field-level details; message is the first field error so older apps can show it as is
+function sendValidationError(req, res, errors, extra = {}) {
+    const details = localizeErrors(req.locale, errors);
+
+    return res.status(400).json({
+        success: false,
+        code: 'VALIDATION_FAILED',
+        message: details.length > 0 ? details[0].message : translate(req.locale, 'VALIDATION_FAILED'),
+        errors: details,
+        ...extra
+    });
+}
+
+module.exports = {
+    localizeErrors,
+    sendError,
+    sendValidationError
+};
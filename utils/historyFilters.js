@@ -0,0 +1,97 @@
+// Query-string filters, sorting and cursor pagination for ECG history style listings.
+// Cursors are opaque base64url JSON holding the sort key values of the last returned row.
+// Dates in filters and output are local dates in the viewer's time zone.
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const STATUSES = ['Normal', 'Abnormal'];
+const REVIEW_STATUSES = ['unreviewed', 'confirmed', 'overridden'];
+
+// Sort keys and the columns of their keyset (always ending with id as tie-breaker)
+const SORTS = {
+    date_desc: { columns: ['recorded_at', 'id'], direction: 'DESC' },
+    date_asc: { columns: ['recorded_at', 'id'], direction: 'ASC' },
+    bpm_desc: { columns: ['bpm', 'id'], direction: 'DESC' },
+    bpm_asc: { columns: ['bpm', 'id'], direction: 'ASC' }
+};
+
+// Cursor values must match the type of their column before they reach a query: timestamps as
+// ISO / PostgreSQL text, bpm and id as integers in the range of an integer column
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}(:\d{2})?)$/;
+const MAX_INTEGER = 2147483647;
+const isColumnInteger = (value) => Number.isInteger(value) && Math.abs(value) <= MAX_INTEGER;
+const CURSOR_VALUE_CHECKS = {
+    recorded_at: (value) => typeof value === 'string' && TIMESTAMP_PATTERN.test(value) && !Number.isNaN(Date.parse(value)),
+    bpm: isColumnInteger,
+    id: isColumnInteger
+};
+
+function encodeCursor(sort, values) {
+    return Buffer.from(JSON.stringify({ s: sort, v: values })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        return decoded && typeof decoded.s === 'string' && Array.isArray(decoded.v) ? decoded : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Turn a validated query (validation/schemas.js historyQuery) into listing options.
+// Returns { error } for a cursor that does not match the sort or its column types, otherwise the options;
+// paginated is true when the caller asked for a page (limit or cursor), otherwise all rows are returned.
+function parseHistoryQuery(query = {}) {
+    const { from, to, status, reviewStatus, sort = 'date_desc', cursor, tz, minBpm, maxBpm } = query;
+    const limit = query.limit === undefined ? DEFAULT_LIMIT : query.limit;
+
+    let after = null;
+    if (cursor) {
+        const decoded = decodeCursor(cursor);
+        const { columns } = SORTS[sort];
+        if (!decoded || decoded.s !== sort || decoded.v.length !== columns.length ||
+            !columns.every((column, index) => CURSOR_VALUE_CHECKS[column](decoded.v[index]))) {
+            return { error: { in: 'query', field: 'cursor', code: 'INVALID_CURSOR', params: {} } };
+        }
+        after = decoded.v;
+    }
+
+    return {
+        filters: { from, to, status, kondisi: query.kondisi || [], minBpm, maxBpm, reviewStatus, timeZone: tz },
+        sort,
+        limit,
+        after,
+        paginated: query.limit !== undefined || !!cursor
+    };
+}
+
+// Strip the helper columns and work out the next cursor
+function buildPage(rows, options) {
+    const { columns } = SORTS[options.sort];
+    const hasMore = options.paginated && rows.length > options.limit;
+    const pageRows = hasMore ? rows.slice(0, options.limit) : rows;
+
+    const history = pageRows.map((row) => {
+        const clean = { ...row };
+        columns.forEach((column) => delete clean[`cursor_${column}`]);
+        return clean;
+    });
+
+    const last = pageRows[pageRows.length - 1];
+    const nextCursor = hasMore
+        ? encodeCursor(options.sort, columns.map((column) => last[`cursor_${column}`]))
+        : null;
+
+    return { history, hasMore, nextCursor };
+}
+
+module.exports = {
+    MAX_LIMIT,
+    STATUSES,
+    REVIEW_STATUSES,
+    SORTS,
+    encodeCursor,
+    parseHistoryQuery,
+    buildPage
+};
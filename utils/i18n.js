@@ -0,0 +1,54 @@
+// Response message localisation. Clients pick the language with Accept-Language
+// (id or en); DEFAULT_LOCALE is used when none of the requested languages is supported.
+
+const CATALOGS = {
+    en: require('../locales/en'),
+    id: require('../locales/id')
+};
+
+const SUPPORTED_LOCALES = Object.keys(CATALOGS);
+const DEFAULT_LOCALE = SUPPORTED_LOCALES.includes(process.env.DEFAULT_LOCALE) ? process.env.DEFAULT_LOCALE : 'en';
+
+// Older Android versions report Indonesian with the legacy ISO code "in"
+const ALIASES = { in: 'id' };
+
+// Best supported locale for an Accept-Language header, e.g. "id-ID,id;q=0.9,en;q=0.8"
+function resolveLocale(header) {
+    if (typeof header !== 'string' || !header) return DEFAULT_LOCALE;
+
+    const ranges = header.split(',')
+        .map((part, index) => {
+            const [tag, ...options] = part.trim().split(';');
+            const quality = options.map((option) => option.trim())
+                .find((option) => option.startsWith('q='));
+            return { tag: tag.trim().toLowerCase(), q: quality ? Number(quality.slice(2)) : 1, index };
+        })
+        .filter((range) => range.tag && Number.isFinite(range.q) && range.q > 0)
+        .sort((a, b) => b.q - a.q || a.index - b.index);
+
+    for (const { tag } of ranges) {
+        const language = tag.split('-')[0];
+        const locale = ALIASES[language] || language;
+        if (CATALOGS[locale]) return locale;
+    }
+    return DEFAULT_LOCALE;
+}
+
+// Message for a code with {placeholders} filled in; falls back to English, then to the code
+function translate(locale, code, params = {}) {
+    const catalog = CATALOGS[locale] || CATALOGS[DEFAULT_LOCALE];
+    const template = catalog.messages[code] || CATALOGS.en.messages[code] || code;
+
+    return template.replace(/\{(\w+)\}/g, (match, name) => {
+        if (params[name] === undefined) return match;
+        if (name === 'expected') return catalog.types[params[name]] || params[name];
+        return String(params[name]);
+    });
+}
+
+module.exports = {
+    SUPPORTED_LOCALES,
+    DEFAULT_LOCALE,
+    resolveLocale,
+    translate
+};
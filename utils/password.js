@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt cost parameters; stored with each hash so they can be raised later
+const SCRYPT_N = 16384;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const KEY_LENGTH = 64;
+const PREFIX = 'scrypt';
+
+// Format: scrypt$N$r$p$salt$hash (salt and hash base64url)
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(String(password), salt, KEY_LENGTH, { N: SCRYPT_N, r: SCRYPT_R, p: SCRYPT_P });
+
+    return [PREFIX, SCRYPT_N, SCRYPT_R, SCRYPT_P, salt.toString('base64url'), hash.toString('base64url')].join('$');
+}
+
+function isPasswordHash(stored) {
+    return typeof stored === 'string' && stored.startsWith(`${PREFIX}$`);
+}
+
+function safeEqual(a, b) {
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Check a password against a stored value, which may still be a legacy plaintext row.
+// needsRehash tells the caller to store a fresh hash after a successful check.
+async function verifyPassword(password, stored) {
+    if (typeof password !== 'string' || typeof stored !== 'string') {
+        return { valid: false, needsRehash: false };
+    }
+
+    if (!isPasswordHash(stored)) {
+        // Legacy plaintext: compare digests so the comparison time doesn't depend on the length
+        const digest = (value) => crypto.createHash('sha256').update(value).digest();
+        return { valid: safeEqual(digest(password), digest(stored)), needsRehash: true };
+    }
+
+    const [, n, r, p, salt, hash] = stored.split('$');
+    const expected = Buffer.from(hash || '', 'base64url');
+    const params = { N: parseInt(n, 10), r: parseInt(r, 10), p: parseInt(p, 10) };
+
+    if (!salt || expected.length === 0 || !params.N || !params.r || !params.p) {
+        return { valid: false, needsRehash: false };
+    }
+
+    const actual = await scrypt(password, Buffer.from(salt, 'base64url'), expected.length, {
+        ...params,
+        maxmem: 256 * params.N * params.r
+    });
+
+    const valid = safeEqual(actual, expected);
+    const needsRehash = valid && (params.N !== SCRYPT_N || params.r !== SCRYPT_R || params.p !== SCRYPT_P);
+
+    return { valid, needsRehash };
+}
+
+// Burn the same time as a real check when the user doesn't exist
+let dummyHash;
+async function verifyDummyPassword(password) {
+    if (!dummyHash) dummyHash = await hashPassword(crypto.randomBytes(16).toString('hex'));
+    await verifyPassword(String(password), dummyHash);
+    return { valid: false, needsRehash: false };
+}
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+    verifyDummyPassword,
+    isPasswordHash
+};
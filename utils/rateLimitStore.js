@@ -0,0 +1,60 @@
+// Counters behind rate limiting and the login lockout (middleware/rateLimit.js). A counter counts hits
+// in a fixed window that opens with its first hit; resetAt is when that window closes (epoch ms).
+//
+// Only the in-process store exists for now: counters are lost on restart and not shared between
+// instances. Another store (e.g. Redis) only has to provide the same async methods:
+//   increment(key, windowMs) -> { count, resetAt }   count one hit, opening a new window if none is open
+//   get(key) -> { count, resetAt } | null            the open window of key, if any
+//   reset(key)                                       forget the counter
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+function createMemoryRateLimitStore({ sweepIntervalMs = SWEEP_INTERVAL_MS } = {}) {
+    const counters = new Map();
+
+    const openCounter = (key, now) => {
+        const counter = counters.get(key);
+        return counter && counter.resetAt > now ? counter : null;
+    };
+
+    // Drop closed windows so one-off clients do not pile up
+    const timer = setInterval(() => {
+        const now = Date.now();
+        counters.forEach((counter, key) => {
+            if (counter.resetAt <= now) counters.delete(key);
+        });
+    }, sweepIntervalMs);
+    timer.unref();
+
+    return {
+        name: 'memory',
+
+        async increment(key, windowMs) {
+            const now = Date.now();
+            let counter = openCounter(key, now);
+            if (!counter) {
+                counter = { count: 0, resetAt: now + windowMs };
+                counters.set(key, counter);
+            }
+            counter.count += 1;
+            return { count: counter.count, resetAt: counter.resetAt };
+        },
+
+        async get(key) {
+            const counter = openCounter(key, Date.now());
+            return counter ? { count: counter.count, resetAt: counter.resetAt } : null;
+        },
+
+        async reset(key) {
+            counters.delete(key);
+        },
+
+        close() {
+            clearInterval(timer);
+        }
+    };
+}
+
+module.exports = {
+    createMemoryRateLimitStore
+};
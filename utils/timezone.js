@@ -0,0 +1,122 @@
+// IANA time zone helpers
+
+// Most users are in Indonesia (WIB)
+const DEFAULT_TIME_ZONE = process.env.DEFAULT_TIME_ZONE || 'Asia/Jakarta';
+
+// Zone that legacy tanggal / waktu values were written in (the server's clock)
+const STORAGE_TIME_ZONE = process.env.STORAGE_TIME_ZONE || 'UTC';
+
+// How far in the future a client capture time may be (clock drift)
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+const EARLIEST_CAPTURE = Date.UTC(2000, 0, 1);
+
+function isValidTimeZone(timeZone) {
+    if (typeof timeZone !== 'string' || !timeZone) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Explicit zone (e.g. ?tz=) first, then the user's profile zone, then the default
+function resolveTimeZone(...candidates) {
+    return candidates.find(isValidTimeZone) || DEFAULT_TIME_ZONE;
+}
+
+// Parse a client capture time: epoch milliseconds or an ISO 8601 string with an explicit
+// offset (a bare local time would be ambiguous). Returns { date } or { error }.
+function parseCaptureTime(value, now = Date.now()) {
+    let date;
+    if (typeof value === 'number') {
+        date = new Date(value);
+    } else if (typeof value === 'string' && /(Z|[+-]\d{2}:?\d{2})$/i.test(value.trim())) {
+        date = new Date(value.trim());
+    } else {
+        return { error: 'recordedAt must be epoch milliseconds or an ISO 8601 time with offset, e.g. 2024-05-01T19:30:00+07:00' };
+    }
+
+    if (Number.isNaN(date.getTime())) {
+        return { error: 'recordedAt is not a valid time' };
+    }
+    if (date.getTime() > now + MAX_CLOCK_SKEW_MS || date.getTime() < EARLIEST_CAPTURE) {
+        return { error: 'recordedAt is outside the accepted range' };
+    }
+    return { date };
+}
+
+const localFormats = new Map();
+
+// Local calendar date and wall-clock time of an instant in a zone: { date: 'YYYY-MM-DD', time: 'HH:MM:SS' }
+function toLocalDateTime(instant, timeZone) {
+    if (!localFormats.has(timeZone)) {
+        localFormats.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+
+    const parts = {};
+    localFormats.get(timeZone).formatToParts(instant).forEach(({ type, value }) => { parts[type] = value; });
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        time: `${parts.hour}:${parts.minute}:${parts.second}`
+    };
+}
+
+// Instant of a local date ('YYYY-MM-DD') and wall-clock time ('HH:MM' or 'HH:MM:SS') in a zone, or null
+// when either is malformed. Times skipped by a DST change resolve to the instant after the gap.
+function fromLocalDateTime(date, time, timeZone) {
+    const match = /^(\d{2}):(\d{2})(?::(\d{2}))?$/.exec(time);
+    if (!match || !/^\d{4}-\d{2}-\d{2}$/.test(date)) return null;
+
+    const wallClock = Date.parse(`${date}T${match[1]}:${match[2]}:${match[3] || '00'}Z`);
+    if (Number.isNaN(wallClock)) return null;
+
+    // Difference between the wall clock we want and the one shown at an instant
+    const drift = (instant) => {
+        const local = toLocalDateTime(new Date(instant), timeZone);
+        return wallClock - Date.parse(`${local.date}T${local.time}Z`);
+    };
+
+    // Shift by the zone's offset, twice in case the offset changes in between
+    let instant = wallClock;
+    for (let i = 0; i < 2; i++) {
+        instant += drift(instant);
+    }
+
+    // Inside a gap this lands before it, still on the old offset; applying that offset once
+    // more moves the time past the gap
+    const remaining = drift(instant);
+    if (remaining > 0) instant += remaining;
+
+    return new Date(instant);
+}
+
+// First day of the day / week (Monday) / month containing a YYYY-MM-DD date, like date_trunc
+function truncateLocalDate(date, unit) {
+    if (unit === 'month') return `${date.slice(0, 7)}-01`;
+    if (unit !== 'week') return date;
+
+    const day = new Date(`${date}T00:00:00Z`);
+    day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+    return day.toISOString().slice(0, 10);
+}
+
+module.exports = {
+    DEFAULT_TIME_ZONE,
+    STORAGE_TIME_ZONE,
+    isValidTimeZone,
+    resolveTimeZone,
+    parseCaptureTime,
+    toLocalDateTime,
+    fromLocalDateTime,
+    truncateLocalDate
+};
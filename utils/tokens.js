@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+
+const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL, 10) || 15 * 60; // seconds
+const REFRESH_TOKEN_TTL = parseInt(process.env.REFRESH_TOKEN_TTL, 10) || 30 * 24 * 60 * 60; // seconds
+
+let secret = process.env.JWT_SECRET;
+if (!secret) {
+    // Tokens signed with a random secret do not survive a restart
+    console.log('⚠️ JWT_SECRET not found, using a random secret for this process');
+    secret = crypto.randomBytes(32).toString('hex');
+}
+
+function base64url(input) {
+    return Buffer.from(input).toString('base64url');
+}
+
+function sign(data) {
+    return base64url(crypto.createHmac('sha256', secret).update(data).digest());
+}
+
+// Signed HS256 JWT for API access
+function signAccessToken({ userId, sessionId }) {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const payload = base64url(JSON.stringify({
+        sub: String(userId),
+        sid: sessionId,
+        type: 'access',
+        iat: now,
+        exp: now + ACCESS_TOKEN_TTL
+    }));
+
+    return `${header}.${payload}.${sign(`${header}.${payload}`)}`;
+}
+
+// Returns the token payload, or null when the token is malformed, forged or expired
+function verifyAccessToken(token) {
+    if (typeof token !== 'string') return null;
+
+    const parts = token.split('.');
+    if (parts.length !== 3) return null;
+
+    const [header, payload, signature] = parts;
+    const expected = Buffer.from(sign(`${header}.${payload}`));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+        return null;
+    }
+
+    if (claims.type !== 'access' || !claims.sub || !claims.sid) return null;
+    if (!claims.exp || claims.exp <= Math.floor(Date.now() / 1000)) return null;
+
+    return claims;
+}
+
+// Opaque refresh token; only its hash is stored
+function generateRefreshToken() {
+    return crypto.randomBytes(48).toString('base64url');
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+module.exports = {
+    ACCESS_TOKEN_TTL,
+    REFRESH_TOKEN_TTL,
+    signAccessToken,
+    verifyAccessToken,
+    generateRefreshToken,
+    hashToken
+};
@@ -0,0 +1,64 @@
+// Webhooks may only point at public hosts. The server POSTs to whatever URL a user registers, so
+// localhost, private networks or the cloud metadata address (169.254.169.254) would let any account
+// make the server send requests inside its own network. Literal addresses and localhost names are
+// refused when a webhook is saved; host names are checked again each time they are resolved for a
+// delivery, as DNS can point them anywhere later. WEBHOOK_ALLOW_PRIVATE_TARGETS=true lifts both checks
+// (local development and tests).
+
+const dns = require('dns');
+const net = require('net');
+
+const WEBHOOK_ALLOW_PRIVATE_TARGETS = process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true';
+
+// This network, private, shared (CGNAT), loopback, link-local, benchmarking, multicast and reserved
+// ranges. IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) match the IPv4 ranges.
+const PRIVATE_RANGES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+function isPrivateAddress(address) {
+    const family = net.isIP(address);
+    return family !== 0 && PRIVATE_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// Host of a URL without IPv6 brackets or a trailing dot, in lower case
+function urlHost(url) {
+    return new URL(url).hostname.replace(/^\[(.*)\]$/, '$1').replace(/\.$/, '').toLowerCase();
+}
+
+// Whether a webhook URL may be saved and sent to, as far as can be told without DNS
+function isAllowedWebhookUrl(url) {
+    if (WEBHOOK_ALLOW_PRIVATE_TARGETS) return true;
+
+    const host = urlHost(url);
+    if (host === 'localhost' || host.endsWith('.localhost')) return false;
+    return !isPrivateAddress(host);
+}
+
+// dns.lookup for http(s).request that fails for host names resolving to a private address, so the
+// address that is checked is the one the request connects to
+function lookupPublicAddress(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+
+        const blocked = WEBHOOK_ALLOW_PRIVATE_TARGETS ? null : addresses.find(({ address }) => isPrivateAddress(address));
+        if (blocked) {
+            return callback(new Error(`${hostname} resolves to ${blocked.address}, which webhooks may not target`));
+        }
+
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+module.exports = {
+    WEBHOOK_ALLOW_PRIVATE_TARGETS,
+    isPrivateAddress,
+    isAllowedWebhookUrl,
+    lookupPublicAddress
+};
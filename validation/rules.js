@@ -0,0 +1,220 @@
+// Declarative request validation.
+//
+// A schema lists the fields each part of a request accepts, built with the helpers below:
+//   { params: { userId: id({ required: true }) }, body: { age: integer({ min: 0, max: 130 }) } }
+// plus an optional check(values) for rules that involve several fields. Fields are optional
+// unless required; undefined, null and '' count as missing (null is kept for nullable fields).
+// Validated values are normalised (numeric strings become numbers, strings are trimmed).
+//
+// Errors are { in, field, code, params } with a stable code; messages are added in the
+// caller's language when the response is sent (see utils/errors.js).
+
+const { isValidTimeZone } = require('../utils/timezone');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const INTEGER_PATTERN = /^-?\d+$/;
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+
+// parse(value) returns { value } or { code, params }
+function rule(parse, { required = false, nullable = false } = {}) {
+    return { parse, required, nullable };
+}
+
+function fail(code, params = {}) {
+    return { code, params };
+}
+
+function checkBounds(value, { min, max }, codes = ['TOO_SMALL', 'TOO_LARGE']) {
+    if (min !== undefined && value < min) return fail(codes[0], { min });
+    if (max !== undefined && value > max) return fail(codes[1], { max });
+    return null;
+}
+
+function string(options = {}) {
+    const { trim = true, pattern } = options;
+    return rule((value) => {
+        if (typeof value !== 'string') return fail('INVALID_TYPE', { expected: 'string' });
+        const text = trim ? value.trim() : value;
+        const length = checkBounds(text.length, options, ['TOO_SHORT', 'TOO_LONG']);
+        if (length) return length;
+        if (pattern && !pattern.test(text)) return fail('INVALID_FORMAT');
+        return { value: text };
+    }, options);
+}
+
+// Numbers may also arrive as numeric strings (query strings, form-style clients)
+function toNumber(value, pattern) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : NaN;
+    if (typeof value === 'string' && pattern.test(value.trim())) return Number(value.trim());
+    return NaN;
+}
+
+function integer(options = {}) {
+    return rule((value) => {
+        const number = toNumber(value, INTEGER_PATTERN);
+        if (!Number.isInteger(number)) return fail('INVALID_TYPE', { expected: 'integer' });
+        return checkBounds(number, options) || { value: number };
+    }, options);
+}
+
+function number(options = {}) {
+    return rule((value) => {
+        const parsed = toNumber(value, NUMBER_PATTERN);
+        if (Number.isNaN(parsed)) return fail('INVALID_TYPE', { expected: 'number' });
+        return checkBounds(parsed, options) || { value: parsed };
+    }, options);
+}
+
+// Positive integer ids, in params or bodies
+function id(options = {}) {
+    return integer({ min: 1, ...options });
+}
+
+function boolean(options = {}) {
+    return rule((value) => {
+        if (value === true || value === 'true') return { value: true };
+        if (value === false || value === 'false') return { value: false };
+        return fail('INVALID_TYPE', { expected: 'boolean' });
+    }, options);
+}
+
+// One of a fixed list of strings; ignoreCase still returns the value as sent
+function oneOf(values, options = {}) {
+    return rule((value) => {
+        const text = typeof value === 'string' ? value.trim() : value;
+        const matches = options.ignoreCase
+            ? values.some((allowed) => typeof text === 'string' && allowed.toLowerCase() === text.toLowerCase())
+            : values.includes(text);
+        return matches ? { value: text } : fail('INVALID_CHOICE', { values: values.join(', ') });
+    }, options);
+}
+
+// Comma-separated list (e.g. ?granularity=day,week), optionally restricted to values
+function list(values, options = {}) {
+    return rule((value) => {
+        if (typeof value !== 'string') return fail('INVALID_TYPE', { expected: 'string' });
+        const items = value.split(',').map((item) => item.trim()).filter(Boolean);
+        if (values && items.some((item) => !values.includes(item))) {
+            return fail('INVALID_CHOICE', { values: values.join(', ') });
+        }
+        return { value: items };
+    }, options);
+}
+
+// Calendar date in YYYY-MM-DD format
+function date(options = {}) {
+    return rule((value) => {
+        if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return fail('INVALID_DATE');
+
+        // Impossible dates like 2024-13-45 are Invalid Date; rolled-over ones like 2024-02-30 change
+        const parsed = new Date(`${value}T00:00:00Z`);
+        if (Number.isNaN(parsed.getTime()) || parsed.toISOString().slice(0, 10) !== value) {
+            return fail('INVALID_DATE');
+        }
+        return { value };
+    }, options);
+}
+
+function timeZone(options = {}) {
+    return rule((value) => (isValidTimeZone(value) ? { value } : fail('INVALID_TIME_ZONE')), options);
+}
+
+function uuid(options = {}) {
+    return rule((value) => (
+        typeof value === 'string' && UUID_PATTERN.test(value) ? { value } : fail('INVALID_UUID')
+    ), options);
+}
+
+function array(options = {}) {
+    return rule((value) => {
+        if (!Array.isArray(value)) return fail('INVALID_TYPE', { expected: 'array' });
+        return checkBounds(value.length, options, ['TOO_FEW_ITEMS', 'TOO_MANY_ITEMS']) || { value };
+    }, options);
+}
+
+function object(options = {}) {
+    return rule((value) => (
+        value && typeof value === 'object' && !Array.isArray(value)
+            ? { value }
+            : fail('INVALID_TYPE', { expected: 'object' })
+    ), options);
+}
+
+// Field-specific parsing: fn(value) returns { value } or { code, params }
+function custom(fn, options = {}) {
+    return rule(fn, options);
+}
+
+function isMissing(value) {
+    return value === undefined || value === null || value === '';
+}
+
+// Validate one part of a request. Returns { values, errors }; values only holds declared fields.
+function validateFields(fields, source, location) {
+    const input = source && typeof source === 'object' && !Buffer.isBuffer(source) ? source : {};
+    const values = {};
+    const errors = [];
+
+    for (const [field, fieldRule] of Object.entries(fields)) {
+        const value = input[field];
+
+        if (value === null && fieldRule.nullable) {
+            values[field] = null;
+            continue;
+        }
+
+        if (isMissing(value) || (typeof value === 'string' && !value.trim())) {
+            if (fieldRule.required) errors.push({ in: location, field, code: 'REQUIRED', params: {} });
+            continue;
+        }
+
+        const result = fieldRule.parse(value);
+        if (result.code) {
+            errors.push({ in: location, field, code: result.code, params: result.params || {} });
+        } else {
+            values[field] = result.value;
+        }
+    }
+
+    return { values, errors };
+}
+
+const PARTS = ['params', 'query', 'body'];
+
+// Validate a request against a schema. check(values) only runs when every field is valid.
+function validateRequest(schema, req) {
+    const values = {};
+    let errors = [];
+
+    for (const part of PARTS) {
+        if (!schema[part]) continue;
+        const result = validateFields(schema[part], req[part], part);
+        values[part] = result.values;
+        errors = errors.concat(result.errors);
+    }
+
+    if (errors.length === 0 && schema.check) {
+        errors = schema.check(values) || [];
+    }
+
+    return { values, errors };
+}
+
+module.exports = {
+    string,
+    integer,
+    number,
+    id,
+    boolean,
+    oneOf,
+    list,
+    date,
+    timeZone,
+    uuid,
+    array,
+    object,
+    custom,
+    validateFields,
+    validateRequest
+};
@@ -0,0 +1,604 @@
+// Request schemas of the API routes (see validation/rules.js for the field helpers)
+
+const {
+    string,
+    integer,
+    number,
+    id,
+    boolean,
+    oneOf,
+    list,
+    date,
+    timeZone,
+    uuid,
+    array,
+    object,
+    custom
+} = require('./rules');
+const { ACTIVITY_CONTEXTS, getRuleSet } = require('../ecg/classification');
+const { ALERT_RULE_TYPES, RULE_PARAMETERS } = require('../ecg/alerts');
+const { MAX_LEADS, MAX_SAMPLE_RATE, parseWaveformJson } = require('../ecg/waveform');
+const { parseCaptureTime } = require('../utils/timezone');
+const { SORTS, STATUSES, REVIEW_STATUSES, MAX_LIMIT } = require('../utils/historyFilters');
+const { CSV_IMPORT_COLUMNS } = require('../import/csv');
+const { AUDIT_ACTIONS } = require('../utils/audit');
+const { isAllowedWebhookUrl } = require('../utils/webhookTargets');
+
+// Accepted gender values (any letter case); stored as sent
+const GENDERS = ['male', 'female', 'laki-laki', 'perempuan'];
+
+// Longest RR series accepted from the client (about 9 hours at 200 bpm)
+const MAX_RR_INTERVALS = 100000;
+
+// Offline sync: readings per push, and changes per pull page
+const SYNC_MAX_READINGS = 200;
+const SYNC_DEFAULT_LIMIT = 100;
+const SYNC_MAX_LIMIT = 500;
+
+const PERIODS = ['day', 'week', 'month'];
+
+// Account roles; clinician and admin are only given by an admin, the others can be picked at registration
+const ROLES = ['user', 'caregiver', 'clinician', 'admin'];
+const REGISTER_ROLES = ['user', 'caregiver'];
+
+// Review verdicts on an ECG result; an overriding review brings its own status and diagnosis
+const VERDICTS = ['confirmed', 'overridden'];
+
+// Download formats of the ECG history (see export/)
+const EXPORT_FORMATS = ['csv', 'pdf', 'fhir'];
+
+// Import: file formats, and readings per file
+const IMPORT_FORMATS = ['csv', 'fhir'];
+const IMPORT_MAX_READINGS = 5000;
+
+const userIdParams = { userId: id({ required: true }) };
+const age = integer({ required: true, min: 0, max: 130 });
+const gender = oneOf(GENDERS, { required: true, ignoreCase: true });
+const bpmLimit = integer({ min: 20, max: 250, nullable: true });
+
+// Webhook targets: absolute http(s) URLs outside private networks (see utils/webhookTargets.js)
+const webhookUrl = custom((value) => {
+    if (typeof value !== 'string' || value.length > 2000) return { code: 'INVALID_URL' };
+    try {
+        const url = new URL(value.trim());
+        if (!['http:', 'https:'].includes(url.protocol)) return { code: 'INVALID_URL' };
+        return isAllowedWebhookUrl(url.toString()) ? { value: url.toString() } : { code: 'WEBHOOK_TARGET_NOT_ALLOWED' };
+    } catch (error) {
+        return { code: 'INVALID_URL' };
+    }
+}, { required: true });
+
+const ruleSetVersion = custom((value) => (
+    typeof value === 'string' && getRuleSet(value) ? { value } : { code: 'INVALID_RULE_SET' }
+));
+
+// Error when both fields are set and the first is above (or, with strict, not below) the second
+function rangeError(values, location, field, other, strict = false) {
+    const low = values[field];
+    const high = values[other];
+    if (low === undefined || low === null || high === undefined || high === null) return [];
+    if (strict ? low < high : low <= high) return [];
+    return [{ in: location, field, code: strict ? 'MUST_BE_LOWER' : 'INVALID_RANGE', params: { other } }];
+}
+
+// Capture time of a reading (epoch milliseconds or ISO 8601 with offset), replaced by a Date
+function captureTime(options = {}) {
+    return custom((value) => {
+        const parsed = parseCaptureTime(value);
+        return parsed.error ? { code: 'INVALID_TIMESTAMP' } : { value: parsed.date };
+    }, options);
+}
+
+// Fields of one ECG reading, shared by POST /api/ecg/save and each reading of a sync push.
+// waveform is replaced by the parsed waveform and recordedAt by a Date.
+const readingFields = {
+    bpm: integer({ min: 1, max: 300 }),
+    activity: oneOf(ACTIVITY_CONTEXTS),
+    timeZone: timeZone(),
+    clientId: uuid(),
+    recordedAt: captureTime(),
+    waveform: custom((value) => {
+        const parsed = parseWaveformJson(value);
+        return parsed.error
+            ? { code: 'INVALID_WAVEFORM', params: { reason: parsed.error } }
+            : { value: parsed.waveform };
+    }),
+    rrIntervals: custom((value) => {
+        if (!Array.isArray(value) || !value.every((rr) => typeof rr === 'number' && Number.isFinite(rr) && rr > 0)) {
+            return { code: 'INVALID_TYPE', params: { expected: 'array' } };
+        }
+        if (value.length > MAX_RR_INTERVALS) return { code: 'TOO_MANY_ITEMS', params: { max: MAX_RR_INTERVALS } };
+        return { value };
+    })
+};
+
+function checkReading(values, location = 'body') {
+    return values.bpm === undefined && values.waveform === undefined
+        ? [{ in: location, field: 'bpm', code: 'BPM_OR_WAVEFORM_REQUIRED', params: {} }]
+        : [];
+}
+
+const register = {
+    body: {
+        username: string({ required: true, min: 3, max: 50 }),
+        password: string({ required: true, min: 6, max: 200, trim: false }),
+        age,
+        gender,
+        role: oneOf(REGISTER_ROLES)
+    }
+};
+
+const login = {
+    body: {
+        username: string({ required: true, max: 50 }),
+        password: string({ required: true, trim: false })
+    }
+};
+
+const refresh = {
+    body: { refreshToken: string({ required: true }) }
+};
+
+const logout = {
+    body: { allSessions: boolean() }
+};
+
+const checkUsername = {
+    query: { username: string({ required: true, max: 50 }) }
+};
+
+const adminUsers = {
+    query: {
+        page: integer({ min: 1 }),
+        limit: integer({ min: 1, max: 100 }),
+        search: string({ max: 100 })
+    }
+};
+
+const reclassifyPreview = {
+    body: {
+        userId: id(),
+        ruleSetVersion,
+        limit: integer({ min: 1, max: 1000 })
+    }
+};
+
+const reclassifyJob = {
+    body: { userId: id(), ruleSetVersion }
+};
+
+const adminUserRole = {
+    params: userIdParams,
+    body: { role: oneOf(ROLES, { required: true }) }
+};
+
+const jobParams = {
+    params: { id: id({ required: true }) }
+};
+
+const userParams = {
+    params: userIdParams
+};
+
+const profileUpdate = {
+    body: {
+        userId: id({ required: true }),
+        username: string({ required: true, max: 50 }),
+        age,
+        gender,
+        oldPassword: string({ trim: false }),
+        newPassword: string({ min: 6, max: 200, trim: false }),
+        timezone: timeZone({ nullable: true })
+    },
+    check: ({ body }) => (body.newPassword !== undefined && body.oldPassword === undefined
+        ? [{ in: 'body', field: 'oldPassword', code: 'REQUIRED', params: {} }]
+        : [])
+};
+
+const ecgSave = {
+    body: {
+        userId: id({ required: true }),
+        ...readingFields
+    },
+    check: ({ body }) => checkReading(body)
+};
+
+// Each reading of a sync push needs a clientId
+const syncReadingFields = {
+    ...readingFields,
+    clientId: uuid({ required: true })
+};
+
+// Readings are validated one by one in the route, so one bad reading does not fail the others
+const ecgSyncPush = {
+    body: {
+        userId: id({ required: true }),
+        readings: array({ required: true, min: 1, max: SYNC_MAX_READINGS })
+    }
+};
+
+// One reading of an imported file (see import/): old readings need their capture time
+const importReadingFields = {
+    bpm: number({ required: true, min: 1, max: 300 }),
+    recordedAt: captureTime({ required: true }),
+    activity: oneOf(ACTIVITY_CONTEXTS),
+    timeZone: timeZone(),
+    clientId: uuid()
+};
+
+// The file comes as csv (text, columns picked with mapping) or bundle (FHIR JSON); activity and
+// timeZone apply to rows without their own. Rows are validated one by one in the route.
+const ecgImport = {
+    params: userIdParams,
+    body: {
+        format: oneOf(IMPORT_FORMATS, { required: true }),
+        csv: string({ trim: false }),
+        mapping: object(),
+        bundle: object(),
+        activity: oneOf(ACTIVITY_CONTEXTS),
+        timeZone: timeZone()
+    },
+    check: ({ body }) => {
+        const file = body.format === 'csv' ? 'csv' : 'bundle';
+        const errors = body[file] === undefined ? [{ in: 'body', field: file, code: 'REQUIRED', params: {} }] : [];
+
+        (body.format === 'csv' ? ['bundle'] : ['csv', 'mapping'])
+            .filter((field) => body[field] !== undefined)
+            .forEach((field) => errors.push({ in: 'body', field, code: 'NOT_USED_WITH_FORMAT', params: { format: body.format } }));
+
+        Object.entries(body.mapping || {}).forEach(([field, column]) => {
+            if (!CSV_IMPORT_COLUMNS[field]) {
+                errors.push({ in: 'body', field: `mapping.${field}`, code: 'INVALID_CHOICE', params: { values: Object.keys(CSV_IMPORT_COLUMNS).join(', ') } });
+            } else if (column !== null && (typeof column !== 'string' || !column.trim())) {
+                errors.push({ in: 'body', field: `mapping.${field}`, code: 'INVALID_TYPE', params: { expected: 'string' } });
+            }
+        });
+        return errors;
+    }
+};
+
+const ecgSyncPull = {
+    params: userIdParams,
+    query: {
+        since: integer({ min: 0, max: 999999999999999 }),
+        limit: integer({ min: 1, max: SYNC_MAX_LIMIT })
+    }
+};
+
+// History filters, shared by the history listing and its downloads
+const historyFilterFields = {
+    from: date(),
+    to: date(),
+    tz: timeZone(),
+    status: oneOf(STATUSES),
+    sort: oneOf(Object.keys(SORTS)),
+    kondisi: list(),
+    minBpm: number(),
+    maxBpm: number(),
+    reviewStatus: oneOf(REVIEW_STATUSES)
+};
+
+const checkHistoryFilters = ({ query }) => [
+    ...rangeError(query, 'query', 'from', 'to'),
+    ...rangeError(query, 'query', 'minBpm', 'maxBpm')
+];
+
+const historyQuery = {
+    params: userIdParams,
+    query: {
+        ...historyFilterFields,
+        limit: integer({ min: 1, max: MAX_LIMIT }),
+        cursor: string()
+    },
+    check: checkHistoryFilters
+};
+
+// Downloads take the history filters, without pagination
+const historyExport = {
+    params: userIdParams,
+    query: {
+        format: oneOf(EXPORT_FORMATS, { required: true }),
+        ...historyFilterFields
+    },
+    check: checkHistoryFilters
+};
+
+const stats = {
+    params: userIdParams,
+    query: {
+        from: date(),
+        to: date(),
+        tz: timeZone(),
+        granularity: list(PERIODS)
+    },
+    check: ({ query }) => rangeError(query, 'query', 'from', 'to')
+};
+
+const hrvTrend = {
+    params: userIdParams,
+    query: {
+        from: date(),
+        to: date(),
+        tz: timeZone(),
+        bucket: oneOf(PERIODS)
+    },
+    check: ({ query }) => rangeError(query, 'query', 'from', 'to')
+};
+
+const waveformParams = {
+    params: { id: id({ required: true }) }
+};
+
+const waveformQuery = {
+    params: { id: id({ required: true }) },
+    query: {
+        start: number({ min: 0 }),
+        end: number({ min: 0 }),
+        downsample: integer({ min: 1 }),
+        lead: string(),
+        raw: boolean()
+    },
+    check: ({ query }) => rangeError({ start: 0, ...query }, 'query', 'start', 'end', true)
+};
+
+const thresholdsUpdate = {
+    params: userIdParams,
+    body: {
+        lowBpm: bpmLimit,
+        highBpm: bpmLimit,
+        note: string({ max: 500, nullable: true })
+    },
+    check: ({ body }) => {
+        if ((body.lowBpm === undefined || body.lowBpm === null) && (body.highBpm === undefined || body.highBpm === null)) {
+            return [{ in: 'body', field: 'lowBpm', code: 'AT_LEAST_ONE_REQUIRED', params: { fields: 'lowBpm, highBpm' } }];
+        }
+        return rangeError(body, 'body', 'lowBpm', 'highBpm', true);
+    }
+};
+
+const historyRecordParams = {
+    params: { ...userIdParams, id: id({ required: true }) }
+};
+
+// Most results one trash request names
+const TRASH_MAX_IDS = 1000;
+
+// Restore the named results, or the whole trash without ids
+const trashRestore = {
+    params: userIdParams,
+    body: {
+        ids: custom((value) => {
+            if (!Array.isArray(value) || !value.every((item) => Number.isInteger(item) && item > 0)) {
+                return { code: 'INVALID_TYPE', params: { expected: 'array' } };
+            }
+            if (value.length === 0) return { code: 'TOO_FEW_ITEMS', params: { min: 1 } };
+            if (value.length > TRASH_MAX_IDS) return { code: 'TOO_MANY_ITEMS', params: { max: TRASH_MAX_IDS } };
+            return { value: [...new Set(value)] };
+        })
+    }
+};
+
+const resultParams = {
+    params: { id: id({ required: true }) }
+};
+
+const reviewCreate = {
+    params: { id: id({ required: true }) },
+    body: {
+        verdict: oneOf(VERDICTS),
+        status: oneOf(STATUSES),
+        diagnosis: string({ max: 100 }),
+        note: string({ max: 2000 })
+    },
+    check: ({ body }) => {
+        if (body.verdict === undefined && body.note === undefined) {
+            return [{ in: 'body', field: 'verdict', code: 'AT_LEAST_ONE_REQUIRED', params: { fields: 'verdict, note' } }];
+        }
+        if (body.verdict === 'overridden') {
+            return ['status', 'diagnosis']
+                .filter((field) => body[field] === undefined)
+                .map((field) => ({ in: 'body', field, code: 'REQUIRED', params: {} }));
+        }
+        return ['status', 'diagnosis']
+            .filter((field) => body[field] !== undefined)
+            .map((field) => ({ in: 'body', field, code: 'ONLY_WHEN_OVERRIDDEN', params: {} }));
+    }
+};
+
+const reviewUpdate = {
+    params: { id: id({ required: true }), reviewId: id({ required: true }) },
+    body: { note: string({ required: true, max: 2000 }) }
+};
+
+// Body fields of the alert rule parameters (ecg/alerts.js RULE_PARAMETERS)
+const RULE_PARAMETER_FIELDS = {
+    threshold_count: 'thresholdCount',
+    window_hours: 'windowHours',
+    bpm_limit: 'bpmLimit'
+};
+
+const alertRuleCreate = {
+    params: userIdParams,
+    body: {
+        type: oneOf(ALERT_RULE_TYPES, { required: true }),
+        thresholdCount: integer({ min: 1, max: 100 }),
+        windowHours: integer({ min: 1, max: 24 * 30 }),
+        bpmLimit: integer({ min: 20, max: 300 }),
+        enabled: boolean()
+    },
+    check: ({ body }) => {
+        const needed = RULE_PARAMETERS[body.type].map((column) => RULE_PARAMETER_FIELDS[column]);
+        return Object.values(RULE_PARAMETER_FIELDS)
+            .filter((field) => needed.includes(field) === (body[field] === undefined))
+            .map((field) => ({
+                in: 'body',
+                field,
+                code: needed.includes(field) ? 'REQUIRED' : 'NOT_USED_BY_RULE_TYPE',
+                params: { type: body.type }
+            }));
+    }
+};
+
+const alertRuleUpdate = {
+    params: { ...userIdParams, id: id({ required: true }) },
+    body: { enabled: boolean({ required: true }) }
+};
+
+const alertRuleParams = {
+    params: { ...userIdParams, id: id({ required: true }) }
+};
+
+const alertList = {
+    params: userIdParams,
+    query: { limit: integer({ min: 1, max: 200 }) }
+};
+
+const webhookCreate = {
+    params: userIdParams,
+    body: { url: webhookUrl }
+};
+
+const webhookParams = {
+    params: { ...userIdParams, id: id({ required: true }) }
+};
+
+const webhookDeliveries = {
+    params: { ...userIdParams, id: id({ required: true }) },
+    query: { limit: integer({ min: 1, max: 200 }) }
+};
+
+// Live sessions: sampleRate (and the waveform metadata) for a sample stream, none for beats only
+const liveStart = {
+    body: {
+        userId: id({ required: true }),
+        activity: oneOf(ACTIVITY_CONTEXTS),
+        timeZone: timeZone(),
+        clientId: uuid(),
+        sampleRate: number({ min: 1, max: MAX_SAMPLE_RATE }),
+        gain: number({ min: 0.001 }),
+        baseline: number(),
+        units: string({ max: 20 }),
+        leads: array({ min: 1, max: MAX_LEADS })
+    },
+    check: ({ body }) => (
+        body.leads && !body.leads.every((name) => typeof name === 'string' && name.trim() !== '' && name.length <= 20)
+            ? [{ in: 'body', field: 'leads', code: 'INVALID_FORMAT', params: {} }]
+            : []
+    )
+};
+
+const liveParams = {
+    params: { sessionId: uuid({ required: true }) }
+};
+
+// One chunk: samples (single lead) or leads (one array per lead), and / or beats ({ bpm } / { rr })
+const liveData = {
+    params: { sessionId: uuid({ required: true }) },
+    body: {
+        samples: array({ min: 1 }),
+        leads: array({ min: 1, max: MAX_LEADS }),
+        beats: array({ min: 1, max: 1000 })
+    },
+    check: ({ body }) => (
+        body.samples === undefined && body.leads === undefined && body.beats === undefined
+            ? [{ in: 'body', field: 'samples', code: 'AT_LEAST_ONE_REQUIRED', params: { fields: 'samples, leads, beats' } }]
+            : []
+    )
+};
+
+const liveEnd = {
+    params: { sessionId: uuid({ required: true }) },
+    body: { bpm: integer({ min: 1, max: 300 }) }
+};
+
+const careGrantCreate = {
+    body: { username: string({ required: true, max: 50 }) }
+};
+
+const grantParams = {
+    params: { id: id({ required: true }) }
+};
+
+// The account owner confirms with their password; an admin needs none
+const accountDeletionRequest = {
+    params: userIdParams,
+    body: { password: string({ trim: false, max: 200 }) }
+};
+
+const accountDeletions = {
+    query: { limit: integer({ min: 1, max: 200 }) }
+};
+
+// from / to are UTC dates; beforeId is nextBeforeId of the previous page
+const auditLog = {
+    query: {
+        userId: id(),
+        actorId: id(),
+        action: oneOf(AUDIT_ACTIONS),
+        entityType: oneOf(['ecg_result', 'user']),
+        entityId: id(),
+        from: date(),
+        to: date(),
+        beforeId: id(),
+        limit: integer({ min: 1, max: 200 })
+    },
+    check: ({ query }) => rangeError(query, 'query', 'from', 'to')
+};
+
+module.exports = {
+    GENDERS,
+    ROLES,
+    MAX_RR_INTERVALS,
+    SYNC_MAX_READINGS,
+    SYNC_DEFAULT_LIMIT,
+    SYNC_MAX_LIMIT,
+    IMPORT_MAX_READINGS,
+    readingFields,
+    syncReadingFields,
+    checkReading,
+    register,
+    login,
+    refresh,
+    logout,
+    checkUsername,
+    adminUsers,
+    reclassifyPreview,
+    reclassifyJob,
+    adminUserRole,
+    jobParams,
+    userParams,
+    profileUpdate,
+    ecgSave,
+    ecgSyncPush,
+    ecgSyncPull,
+    importReadingFields,
+    ecgImport,
+    historyQuery,
+    historyExport,
+    stats,
+    hrvTrend,
+    waveformParams,
+    waveformQuery,
+    thresholdsUpdate,
+    historyRecordParams,
+    trashRestore,
+    resultParams,
+    reviewCreate,
+    reviewUpdate,
+    alertRuleCreate,
+    alertRuleUpdate,
+    alertRuleParams,
+    alertList,
+    webhookCreate,
+    webhookParams,
+    webhookDeliveries,
+    liveStart,
+    liveParams,
+    liveData,
+    liveEnd,
+    careGrantCreate,
+    grantParams,
+    accountDeletionRequest,
+    accountDeletions,
+    auditLog
+};